@@ -0,0 +1,271 @@
+const { ethers } = require('ethers');
+
+const FALLBACK_PRIORITY_FEE_GWEI = '0.05';
+const TOKEN_GAS_FALLBACK = 100000n;
+const FUNDING_PATH = process.env.TX_SERVER_MNEMONIC_PATH || "m/44'/60'/0'/0/0";
+
+const sendCorsHeaders = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+};
+
+const parseJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    if (req.body && typeof req.body === 'object') {
+      resolve(req.body);
+      return;
+    }
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (!body) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+  });
+
+const getProvider = (rpcUrl) => {
+  return new ethers.JsonRpcProvider(rpcUrl, undefined, { batchMaxCount: 1 });
+};
+
+const getFeeOptions = async (provider) => {
+  const feeData = await provider.getFeeData();
+  const fallbackPriority = ethers.parseUnits(FALLBACK_PRIORITY_FEE_GWEI, 'gwei');
+  return {
+    maxFeePerGas: feeData.maxFeePerGas || feeData.gasPrice || fallbackPriority,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || fallbackPriority
+  };
+};
+
+const resolveFundingWallet = (secret, path) => {
+  const trimmed = secret.trim();
+  if (!trimmed) {
+    throw new Error('Funding secret is required');
+  }
+  const words = trimmed.split(/\s+/).filter(Boolean);
+  if (words.length >= 12) {
+    // 与前端 evmUtils 一致：支持全部 BIP39 词表，并按传入的派生路径派生
+    const wordlist = Object.values(ethers.wordlists).find((list) => ethers.Mnemonic.isValidMnemonic(trimmed, list));
+    if (!wordlist) {
+      throw new Error('Funding mnemonic is invalid');
+    }
+    return ethers.HDNodeWallet.fromPhrase(trimmed, undefined, path || FUNDING_PATH, wordlist);
+  }
+  const key = trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`;
+  return new ethers.Wallet(key);
+};
+
+const addGasBuffer = (gasLimit) => {
+  if (gasLimit <= 0n) return gasLimit;
+  return gasLimit + gasLimit / 5n;
+};
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+const estimateTokenTransferGas = async (contract, to, amount, fallback = TOKEN_GAS_FALLBACK) => {
+  try {
+    const estimate = await contract.transfer.estimateGas(to, amount);
+    return addGasBuffer(estimate);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// 精度读不到时直接报错，避免按错误的精度换算数量
+const readTokenMeta = async (contract) => {
+  let decimals;
+  try {
+    decimals = Number(await contract.decimals());
+  } catch (error) {
+    throw new Error(`Failed to read token decimals: ${error.message}`);
+  }
+  let symbol = 'TOKEN';
+  try {
+    symbol = (await contract.symbol()) || symbol;
+  } catch (error) {
+    // Keep default symbol.
+  }
+  return { decimals, symbol };
+};
+
+const isNonceError = (error) => {
+  const message = error?.message || '';
+  return error?.code === 'NONCE_EXPIRED' || /nonce too low|already been used/i.test(message);
+};
+
+const isInFlightLimitError = (error) => {
+  const message = error?.message || '';
+  return /in-flight transaction limit/i.test(message);
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 请求参数有误，返回 400
+const createBadRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// recipients 可以是地址字符串 (统一使用 amount)，也可以是 { address, amount } (逐个地址的数量)
+const normalizeRecipients = (recipients, defaultAmount, decimals) =>
+  recipients.map((item) => {
+    const to = typeof item === 'string' ? item : item?.address;
+    const amount = (typeof item === 'string' ? '' : item?.amount) || defaultAmount;
+    if (!to || !ethers.isAddress(to)) {
+      throw createBadRequest(`Invalid recipient: ${to}`);
+    }
+    if (!amount) {
+      throw createBadRequest(`amount is required for ${to}`);
+    }
+    let value;
+    try {
+      value = ethers.parseUnits(String(amount), decimals);
+    } catch (error) {
+      throw createBadRequest(`Invalid amount for ${to}: ${amount}`);
+    }
+    if (value <= 0n) {
+      throw createBadRequest(`amount must be greater than 0 for ${to}`);
+    }
+    return { to, value };
+  });
+
+module.exports = async (req, res) => {
+  sendCorsHeaders(res);
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.statusCode = 405;
+    res.end('Method Not Allowed');
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await parseJsonBody(req);
+  } catch (error) {
+    res.statusCode = 400;
+    res.end(error.message);
+    return;
+  }
+
+  try {
+    const recipients = Array.isArray(payload.recipients) ? payload.recipients : [];
+    const tokenAddress = payload.tokenAddress;
+    const waitConfirm = Boolean(payload.waitConfirm);
+    const delayMs = Number(payload.delayMs || 0);
+    const rpcUrl = payload.rpcUrl;
+    const fundingSecret = payload.fundingSecret;
+    const fundingPath = payload.fundingPath || FUNDING_PATH;
+
+    if (!rpcUrl) {
+      throw new Error('rpcUrl is required');
+    }
+    if (!fundingSecret) {
+      throw new Error('fundingSecret is required');
+    }
+
+    if (!recipients.length) {
+      throw new Error('recipients is required');
+    }
+    if (!tokenAddress || !ethers.isAddress(tokenAddress)) {
+      throw new Error('tokenAddress is required');
+    }
+
+    const provider = getProvider(rpcUrl);
+    const wallet = resolveFundingWallet(fundingSecret, fundingPath).connect(provider);
+    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+    const { decimals, symbol } = await readTokenMeta(contract);
+    const sendRows = normalizeRecipients(recipients, payload.amount, decimals);
+    const total = sendRows.reduce((sum, row) => sum + row.value, 0n);
+    const balance = await contract.balanceOf(wallet.address);
+    if (balance < total) {
+      throw new Error(
+        `Funding balance ${ethers.formatUnits(balance, decimals)} ${symbol} is less than total ` +
+          `${ethers.formatUnits(total, decimals)} ${symbol}`
+      );
+    }
+    const feeOptions = await getFeeOptions(provider);
+    const logs = [`📋 共 ${sendRows.length} 个收款地址，合计 ${ethers.formatUnits(total, decimals)} ${symbol}`];
+    let nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+    let lastSubmittedHash = null;
+
+    for (let i = 0; i < sendRows.length; i += 1) {
+      const { to, value } = sendRows[i];
+      const label = `${i + 1}/${sendRows.length} ${to.slice(0, 6)}...${to.slice(-4)} ${ethers.formatUnits(value, decimals)} ${symbol}`;
+      const gasLimit = await estimateTokenTransferGas(contract, to, value);
+      const request = await contract.transfer.populateTransaction(to, value);
+      try {
+        const tx = await wallet.sendTransaction({
+          ...request,
+          gasLimit,
+          ...feeOptions,
+          nonce: nextNonce
+        });
+        nextNonce += 1;
+        lastSubmittedHash = tx.hash;
+        logs.push(`✅ 已提交 ${label} → ${tx.hash}`);
+        if (waitConfirm) {
+          await tx.wait(1);
+          logs.push(`✅ 已确认 ${label}`);
+        }
+      } catch (error) {
+        if (isNonceError(error) || isInFlightLimitError(error)) {
+          try {
+            if (isInFlightLimitError(error)) {
+              logs.push(`⏳ 节点限制未确认交易数量，等待确认后重试 ${label}`);
+              if (lastSubmittedHash) {
+                await provider.waitForTransaction(lastSubmittedHash, 1);
+              } else {
+                await delay(Math.max(delayMs, 2000));
+              }
+            }
+            nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+            const retryTx = await wallet.sendTransaction({
+              ...request,
+              gasLimit,
+              ...feeOptions,
+              nonce: nextNonce
+            });
+            nextNonce += 1;
+            lastSubmittedHash = retryTx.hash;
+            logs.push(`✅ 已重试提交 ${label} → ${retryTx.hash}`);
+            if (waitConfirm) {
+              await retryTx.wait(1);
+              logs.push(`✅ 已确认 ${label}`);
+            }
+          } catch (retryError) {
+            logs.push(`❌ 发送失败 ${label}: ${retryError.message}`);
+          }
+        } else {
+          logs.push(`❌ 发送失败 ${label}: ${error.message}`);
+        }
+      }
+
+      if (i < sendRows.length - 1 && delayMs > 0) {
+        await delay(delayMs);
+      }
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ logs }));
+  } catch (error) {
+    res.statusCode = error.statusCode || 500;
+    res.end(error.message);
+  }
+};
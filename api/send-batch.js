@@ -53,7 +53,12 @@ const resolveFundingWallet = (secret, path) => {
   }
   const words = trimmed.split(/\s+/).filter(Boolean);
   if (words.length >= 12) {
-    return ethers.Wallet.fromPhrase(trimmed, undefined, path || FUNDING_PATH);
+    // 与前端 evmUtils 一致：支持全部 BIP39 词表，并按传入的派生路径派生
+    const wordlist = Object.values(ethers.wordlists).find((list) => ethers.Mnemonic.isValidMnemonic(trimmed, list));
+    if (!wordlist) {
+      throw new Error('Funding mnemonic is invalid');
+    }
+    return ethers.HDNodeWallet.fromPhrase(trimmed, undefined, path || FUNDING_PATH, wordlist);
   }
   const key = trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`;
   return new ethers.Wallet(key);
@@ -85,6 +90,32 @@ const isInFlightLimitError = (error) => {
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// 请求参数有误，返回 400
+const createBadRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// recipients 可以是地址字符串 (统一使用 amountEth)，也可以是 { address, amountEth } (逐个地址的数量)
+const normalizeRecipients = (recipients, amountEth) =>
+  recipients.map((item) => {
+    const to = typeof item === 'string' ? item : item?.address;
+    const amount = (typeof item === 'string' ? '' : item?.amountEth) || amountEth;
+    if (!to || !ethers.isAddress(to)) {
+      throw createBadRequest(`Invalid recipient: ${to}`);
+    }
+    if (!amount) {
+      throw createBadRequest(`amountEth is required for ${to}`);
+    }
+    let value;
+    try {
+      value = ethers.parseEther(String(amount));
+    } catch (error) {
+      throw createBadRequest(`Invalid amountEth for ${to}: ${amount}`);
+    }
+    if (value <= 0n) {
+      throw createBadRequest(`amountEth must be greater than 0 for ${to}`);
+    }
+    return { to, value };
+  });
+
 module.exports = async (req, res) => {
   sendCorsHeaders(res);
 
@@ -128,21 +159,25 @@ module.exports = async (req, res) => {
     if (!recipients.length) {
       throw new Error('recipients is required');
     }
-    if (!amountEth) {
-      throw new Error('amountEth is required');
-    }
 
+    const sendRows = normalizeRecipients(recipients, amountEth);
     const provider = getProvider(rpcUrl);
     const wallet = resolveFundingWallet(fundingSecret, fundingPath).connect(provider);
+    const total = sendRows.reduce((sum, row) => sum + row.value, 0n);
+    const balance = await provider.getBalance(wallet.address);
+    if (balance < total) {
+      throw new Error(
+        `Funding balance ${ethers.formatEther(balance)} ETH is less than total ${ethers.formatEther(total)} ETH`
+      );
+    }
     const feeOptions = await getFeeOptions(provider);
-    const value = ethers.parseEther(amountEth);
-    const logs = [];
+    const logs = [`📋 共 ${sendRows.length} 个收款地址，合计 ${ethers.formatEther(total)} ETH`];
     let nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
     let lastSubmittedHash = null;
 
-    for (let i = 0; i < recipients.length; i += 1) {
-      const to = recipients[i];
-      const label = `${i + 1}/${recipients.length} ${to.slice(0, 6)}...${to.slice(-4)}`;
+    for (let i = 0; i < sendRows.length; i += 1) {
+      const { to, value } = sendRows[i];
+      const label = `${i + 1}/${sendRows.length} ${to.slice(0, 6)}...${to.slice(-4)} ${ethers.formatEther(value)} ETH`;
       const gasLimit = await estimateGasLimit(provider, {
         to,
         from: wallet.address,
@@ -197,7 +232,7 @@ module.exports = async (req, res) => {
         }
       }
 
-      if (i < recipients.length - 1 && delayMs > 0) {
+      if (i < sendRows.length - 1 && delayMs > 0) {
         await delay(delayMs);
       }
     }
@@ -205,7 +240,7 @@ module.exports = async (req, res) => {
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({ logs }));
   } catch (error) {
-    res.statusCode = 500;
+    res.statusCode = error.statusCode || 500;
     res.end(error.message);
   }
 };
@@ -106,7 +106,7 @@ function createMenu() {
             const result = await dialog.showOpenDialog(mainWindow, {
               properties: ['openFile'],
               filters: [
-                { name: '加密文件', extensions: ['txt', 'json', 'csv'] },
+                { name: '加密文件', extensions: ['txt', 'json', 'csv', 'zip'] },
                 { name: '所有文件', extensions: ['*'] }
               ]
             });
@@ -154,7 +154,7 @@ function createMenu() {
               type: 'info',
               title: '关于',
               message: '助记词生成与加密工具',
-              detail: '版本 1.0.0\\n\\n安全生成BIP39助记词并使用AES-256-CTR加密保护。\\n\\n⚠️ 请妥善保管您的密码和助记词！'
+              detail: '版本 1.0.0\\n\\n安全生成BIP39助记词并使用AES-256-GCM加密保护 (Argon2id/scrypt密钥派生)。\\n\\n⚠️ 请妥善保管您的密码和助记词！'
             });
           }
         }
@@ -3,6 +3,16 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 
+// 任务日志核心逻辑 (行状态、签名后先记录再广播、按链上状态核对) 与浏览器共用，为 ES 模块，启动前加载
+const journalCore = {};
+const ROW_STATUS = {};
+
+const loadJournalCore = async () => {
+  const core = await import('../src/utils/journalCore.mjs');
+  Object.assign(journalCore, core);
+  Object.assign(ROW_STATUS, core.JOURNAL_ROW_STATUS);
+};
+
 const loadEnvFile = (filepath) => {
   if (!fs.existsSync(filepath)) {
     return;
@@ -34,6 +44,24 @@ const PORT = Number(process.env.TX_SERVER_PORT || 8788);
 const FUNDING_PATH = process.env.TX_SERVER_MNEMONIC_PATH || "m/44'/60'/0'/0/0";
 const FALLBACK_PRIORITY_FEE_GWEI = '0.05';
 const GAS_LIMIT_FALLBACK = 60000n;
+const TOKEN_GAS_FALLBACK = 100000n;
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+// Disperse 兼容的批量转账合约：一笔交易向多个地址转出 ETH 或代币 (代币需先授权)
+const DISPERSE_ABI = [
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)'
+];
+const DEFAULT_CHUNK_SIZE = 100;
+const MAX_CHUNK_GAS = 10000000n;
 
 const parseJsonBody = (req) =>
   new Promise((resolve, reject) => {
@@ -67,7 +95,12 @@ const resolveFundingWallet = (secret, path) => {
   }
   const words = trimmed.split(/\s+/).filter(Boolean);
   if (words.length >= 12) {
-    return ethers.Wallet.fromPhrase(trimmed, undefined, path || FUNDING_PATH);
+    // 与前端 evmUtils 一致：支持全部 BIP39 词表，并按传入的派生路径派生
+    const wordlist = Object.values(ethers.wordlists).find((list) => ethers.Mnemonic.isValidMnemonic(trimmed, list));
+    if (!wordlist) {
+      throw new Error('fundingSecret is not a valid BIP39 mnemonic');
+    }
+    return ethers.HDNodeWallet.fromPhrase(trimmed, undefined, path || FUNDING_PATH, wordlist);
   }
   const key = trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`;
   return new ethers.Wallet(key);
@@ -88,6 +121,9 @@ const getFeeOptions = async (provider) => {
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// 请求参数有误，返回 400
+const createBadRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
 const isNonceError = (error) => {
   const message = error?.message || '';
   return error?.code === 'NONCE_EXPIRED' || /nonce too low|already been used/i.test(message);
@@ -112,57 +148,200 @@ const estimateGasLimit = async (provider, tx, fallback = GAS_LIMIT_FALLBACK) =>
   }
 };
 
-const handleSendBatch = async (payload) => {
-  const recipients = Array.isArray(payload.recipients) ? payload.recipients : [];
-  const amountEth = payload.amountEth;
-  const delayMs = Number(payload.delayMs || 0);
-  const waitConfirm = Boolean(payload.waitConfirm);
-  const rpcUrl = payload.rpcUrl;
-  const fundingSecret = payload.fundingSecret;
-  const fundingPath = payload.fundingPath || FUNDING_PATH;
+const estimateTokenTransferGas = async (contract, to, amount, fallback = TOKEN_GAS_FALLBACK) => {
+  try {
+    const estimate = await contract.transfer.estimateGas(to, amount);
+    return addGasBuffer(estimate);
+  } catch (error) {
+    return fallback;
+  }
+};
 
-  if (!recipients.length) {
-    throw new Error('recipients is required');
+// 精度读不到时直接报错，避免按错误的精度换算数量
+const readTokenMeta = async (contract) => {
+  let decimals;
+  try {
+    decimals = Number(await contract.decimals());
+  } catch (error) {
+    throw new Error(`Failed to read token decimals: ${error.message}`);
   }
-  if (!rpcUrl) {
-    throw new Error('rpcUrl is required');
+  let symbol = 'TOKEN';
+  try {
+    symbol = (await contract.symbol()) || symbol;
+  } catch (error) {
+    // Keep default symbol.
   }
-  if (!fundingSecret) {
-    throw new Error('fundingSecret is required');
+  return { decimals, symbol };
+};
+
+// 任务日志：每个任务一个 JSON 文件，签名后、广播前写入交易哈希，中断后可核对链上状态并继续
+const JOURNAL_DIR = path.resolve(process.env.TX_SERVER_JOURNAL_DIR || path.join(process.cwd(), '.tx-journal'));
+const JOB_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const journalPath = (jobId) => {
+  if (!JOB_ID_PATTERN.test(jobId || '')) {
+    throw new Error('Invalid jobId');
   }
-  if (!amountEth) {
-    throw new Error('amountEth is required');
+  return path.join(JOURNAL_DIR, `${jobId}.json`);
+};
+
+const readJournal = (jobId) => {
+  const file = journalPath(jobId);
+  if (!fs.existsSync(file)) {
+    return null;
   }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
 
-  const provider = getProvider(rpcUrl);
-  const wallet = resolveFundingWallet(fundingSecret, fundingPath).connect(provider);
-  const feeOptions = await getFeeOptions(provider);
-  const value = ethers.parseEther(amountEth);
-  const logs = [];
+const writeJournal = (journal) => {
+  const next = { ...journal, updatedAt: new Date().toISOString() };
+  const file = journalPath(journal.id);
+  fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(next, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  return next;
+};
+
+const listJournals = () => {
+  if (!fs.existsSync(JOURNAL_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(JOURNAL_DIR)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => JSON.parse(fs.readFileSync(path.join(JOURNAL_DIR, name), 'utf8')))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// 正在执行的任务：同一任务的批量请求与继续请求不能并行 (如 HTTP 超时后重试、另一个标签页继续)，
+// 否则仍为待发送的行会被重复发送
+const activeJobs = new Set();
+
+const claimJob = (jobId) => {
+  if (activeJobs.has(jobId)) {
+    throw new Error(`Job ${jobId} is already running`);
+  }
+  activeJobs.add(jobId);
+};
+
+const releaseJob = (jobId) => {
+  activeJobs.delete(jobId);
+};
+
+// 创建即占用任务，调用方在 finally 中 releaseJob
+const createJournal = (jobId, kind, fields, rows) => {
+  const id = JOB_ID_PATTERN.test(jobId || '')
+    ? jobId
+    : `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  if (activeJobs.has(id)) {
+    throw new Error(`Job ${id} is already running`);
+  }
+  if (readJournal(id)) {
+    throw new Error(`Job ${id} already exists, use /api/resume-batch`);
+  }
+  const now = new Date().toISOString();
+  const journal = writeJournal({
+    id,
+    kind,
+    status: 'running',
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+    rows: rows.map((row, i) => ({
+      index: i + 1,
+      from: '',
+      value: null,
+      nonce: null,
+      hash: '',
+      status: ROW_STATUS.PENDING,
+      note: '',
+      ...row
+    }))
+  });
+  claimJob(journal.id);
+  return journal;
+};
+
+const createJournalWriter = (journal) => {
+  let current = journal;
+  return {
+    current: () => current,
+    update: (index, patch) => {
+      current = writeJournal({
+        ...current,
+        rows: current.rows.map((row) => (row.index === index ? { ...row, ...patch } : row))
+      });
+    },
+    // 合约批量的一笔交易对应多行，一次写入
+    updateRows: (indexes, patch) => {
+      current = writeJournal({
+        ...current,
+        rows: current.rows.map((row) => (indexes.includes(row.index) ? { ...row, ...patch } : row))
+      });
+    },
+    // 代币授权是日志中单独的一步
+    updateApproval: (patch) => {
+      current = writeJournal({ ...current, approval: { ...current.approval, ...patch } });
+    }
+  };
+};
+
+const finishJournal = (journal) =>
+  writeJournal({
+    ...journal,
+    status: journalCore.isJournalSettled(journal) ? 'completed' : 'incomplete'
+  });
+
+const summarizeJournal = (journal) =>
+  journal.rows.reduce((counts, row) => ({ ...counts, [row.status]: (counts[row.status] || 0) + 1 }), {});
+
+const journalResult = (journal, logs) => ({
+  jobId: journal.id,
+  status: journal.status,
+  rows: journal.rows,
+  logs
+});
+
+// 核对规则见 src/utils/journalCore.mjs
+const reconcileJournal = async (journal, provider) =>
+  writeJournal({ ...(await journalCore.reconcileEntries(journal, provider)), status: 'running' });
+
+const formatLabel = (index, total, address) =>
+  `${index}/${total} ${address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '未知'}`;
+
+// token 为 { contract, symbol, decimals } 时逐行转出代币，否则发送 ETH
+const runSendRows = async ({ writer, wallet, provider, feeOptions, waitConfirm, delayMs, logs, token = null }) => {
+  const { rows: allRows } = writer.current();
+  const rows = allRows.filter((row) => row.status === ROW_STATUS.PENDING);
   let nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
   let lastSubmittedHash = null;
 
-  for (let i = 0; i < recipients.length; i += 1) {
-    const to = recipients[i];
-    const label = `${i + 1}/${recipients.length} ${to.slice(0, 6)}...${to.slice(-4)}`;
-    const gasLimit = await estimateGasLimit(provider, {
-      to,
-      from: wallet.address,
-      value
-    });
+  for (let i = 0; i < rows.length; i += 1) {
+    const { index, to } = rows[i];
+    const value = ethers.getBigInt(rows[i].value);
+    const amount = token ? `${ethers.formatUnits(value, token.decimals)} ${token.symbol}` : `${ethers.formatEther(value)} ETH`;
+    const label = `${formatLabel(index, allRows.length, to)} ${amount}`;
+    const record = (patch) => writer.update(index, patch);
+    const gasLimit = token
+      ? await estimateTokenTransferGas(token.contract, to, value)
+      : await estimateGasLimit(provider, {
+          to,
+          from: wallet.address,
+          value
+        });
+    const submit = async (nonce) => {
+      const request = token ? await token.contract.transfer.populateTransaction(to, value) : { to, value };
+      return journalCore.broadcastWithJournal(wallet, { ...request, gasLimit, ...feeOptions, nonce }, record);
+    };
+
     try {
-      const tx = await wallet.sendTransaction({
-        to,
-        value,
-        gasLimit,
-        ...feeOptions,
-        nonce: nextNonce
-      });
+      const tx = await submit(nextNonce);
       nextNonce += 1;
       lastSubmittedHash = tx.hash;
       logs.push(`✅ 已提交 ${label} → ${tx.hash}`);
       if (waitConfirm) {
         await tx.wait(1);
+        record({ status: ROW_STATUS.CONFIRMED });
         logs.push(`✅ 已确认 ${label}`);
       }
     } catch (error) {
@@ -177,64 +356,365 @@ const handleSendBatch = async (payload) => {
             }
           }
           nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
-        const retryTx = await wallet.sendTransaction({
-          to,
-          value,
-          gasLimit,
-          ...feeOptions,
-          nonce: nextNonce
-        });
+          const retryTx = await submit(nextNonce);
           nextNonce += 1;
           lastSubmittedHash = retryTx.hash;
           logs.push(`✅ 已重试提交 ${label} → ${retryTx.hash}`);
           if (waitConfirm) {
             await retryTx.wait(1);
+            record({ status: ROW_STATUS.CONFIRMED });
             logs.push(`✅ 已确认 ${label}`);
           }
         } catch (retryError) {
+          record({ status: ROW_STATUS.FAILED, note: retryError.message });
           logs.push(`❌ 发送失败 ${label}: ${retryError.message}`);
         }
       } else {
+        record({ status: ROW_STATUS.FAILED, note: error.message });
         logs.push(`❌ 发送失败 ${label}: ${error.message}`);
       }
     }
 
-    if (i < recipients.length - 1 && delayMs > 0) {
+    if (i < rows.length - 1 && delayMs > 0) {
       await delay(delayMs);
     }
   }
+};
 
-  return { logs };
+const getDisperseCall = (contract, targets, tokenAddress) => {
+  const recipients = targets.map((target) => target.to);
+  const values = targets.map((target) => target.value);
+  if (tokenAddress) {
+    return { fn: contract.disperseToken, args: [tokenAddress, recipients, values] };
+  }
+  const total = values.reduce((sum, value) => sum + value, 0n);
+  return { fn: contract.disperseEther, args: [recipients, values, { value: total }] };
 };
 
-const handleReclaimBatch = async (payload) => {
-  const entries = Array.isArray(payload.entries) ? payload.entries : [];
+// 按每笔地址数切分并逐批估算 gas，某批超过 MAX_CHUNK_GAS 时每笔地址数减半；
+// 估算失败的批次 (交易会回滚) 记录 error，gasLimit 为 null，不会发送
+const splitIntoChunks = async (targets, chunkSize, estimate) => {
+  const chunks = [];
+  let size = chunkSize;
+  let start = 0;
+  while (start < targets.length) {
+    const slice = targets.slice(start, start + size);
+    let gasLimit;
+    try {
+      gasLimit = await estimate(slice);
+    } catch (error) {
+      chunks.push({ targets: slice, gasLimit: null, error: error.shortMessage || error.message });
+      start += slice.length;
+      continue;
+    }
+    if (gasLimit > MAX_CHUNK_GAS && slice.length > 1) {
+      size = Math.ceil(slice.length / 2);
+      continue;
+    }
+    chunks.push({ targets: slice, gasLimit });
+    start += slice.length;
+  }
+  return { chunks, chunkSize: size };
+};
+
+// 合约批量发送待发送的行：代币授权不足时先授权并等待确认；一批的所有行共用同一交易哈希
+const runDisperseRows = async ({ writer, wallet, provider, feeOptions, waitConfirm, delayMs, logs, token, disperse }) => {
+  const targets = writer
+    .current()
+    .rows.filter((row) => row.status === ROW_STATUS.PENDING)
+    .map((row) => ({ index: row.index, to: row.to, value: ethers.getBigInt(row.value) }));
+  const contract = new ethers.Contract(disperse.address, DISPERSE_ABI, wallet);
+  const tokenAddress = token ? await token.contract.getAddress() : null;
+  const formatAmount = (value) =>
+    token ? `${ethers.formatUnits(value, token.decimals)} ${token.symbol}` : `${ethers.formatEther(value)} ETH`;
+  let nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+
+  if (token) {
+    // 上一轮的授权仍在交易池中时等它上链，避免重复授权
+    const { approval } = writer.current();
+    if (approval?.status === ROW_STATUS.SUBMITTED) {
+      logs.push(`⏳ 授权交易 ${approval.hash} 仍在交易池中，等待确认`);
+      const receipt = await provider.waitForTransaction(approval.hash, 1);
+      writer.updateApproval(
+        receipt.status === 1
+          ? { status: ROW_STATUS.CONFIRMED, note: '' }
+          : { status: ROW_STATUS.UNKNOWN, note: '交易已打包但执行失败' }
+      );
+      nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+    }
+
+    const total = targets.reduce((sum, target) => sum + target.value, 0n);
+    if ((await token.contract.allowance(wallet.address, disperse.address)) < total) {
+      const request = await token.contract.approve.populateTransaction(disperse.address, total);
+      const gasLimit = await estimateGasLimit(provider, { ...request, from: wallet.address }, TOKEN_GAS_FALLBACK);
+      writer.updateApproval({
+        from: wallet.address,
+        to: tokenAddress,
+        spender: disperse.address,
+        value: total.toString(),
+        nonce: nextNonce,
+        hash: '',
+        status: ROW_STATUS.PENDING,
+        note: ''
+      });
+      // 授权签名后先写日志再广播，继续任务时按哈希核对
+      try {
+        const tx = await journalCore.broadcastWithJournal(
+          wallet,
+          { ...request, gasLimit, ...feeOptions, nonce: nextNonce },
+          writer.updateApproval
+        );
+        nextNonce += 1;
+        logs.push(`🔓 已提交授权 ${formatAmount(total)} → ${tx.hash}，等待确认`);
+        await tx.wait(1);
+        writer.updateApproval({ status: ROW_STATUS.CONFIRMED });
+        logs.push('✅ 授权已确认');
+      } catch (error) {
+        writer.updateApproval({ status: ROW_STATUS.FAILED, note: error.message });
+        throw new Error(`Approve failed: ${error.message}`);
+      }
+    }
+  }
+
+  const { chunks, chunkSize } = await splitIntoChunks(targets, disperse.chunkSize, async (slice) => {
+    const { fn, args } = getDisperseCall(contract, slice, tokenAddress);
+    return addGasBuffer(await fn.estimateGas(...args));
+  });
+  if (chunkSize < disperse.chunkSize) {
+    logs.push(`⚠️ 单笔交易 gas 超过 ${MAX_CHUNK_GAS}，每笔地址数已由 ${disperse.chunkSize} 调整为 ${chunkSize}`);
+  }
+  logs.push(`📦 通过批量转账合约 ${disperse.address} 分 ${chunks.length} 笔交易发送`);
+
+  for (let i = 0; i < chunks.length; i += 1) {
+    const chunk = chunks[i];
+    const indexes = chunk.targets.map((target) => target.index);
+    const label = `第 ${i + 1}/${chunks.length} 批 ${indexes.length} 个地址 ${formatAmount(
+      chunk.targets.reduce((sum, target) => sum + target.value, 0n)
+    )}`;
+    const record = (patch) => writer.updateRows(indexes, patch);
+
+    if (chunk.error) {
+      record({ status: ROW_STATUS.FAILED, note: `gas 估算失败: ${chunk.error}` });
+      logs.push(`❌ ${label} gas 估算失败，交易会回滚，未发送: ${chunk.error}`);
+      continue;
+    }
+
+    try {
+      const { fn, args } = getDisperseCall(contract, chunk.targets, tokenAddress);
+      const request = await fn.populateTransaction(...args);
+      const tx = await journalCore.broadcastWithJournal(
+        wallet,
+        { ...request, gasLimit: chunk.gasLimit, ...feeOptions, nonce: nextNonce },
+        record
+      );
+      nextNonce += 1;
+      logs.push(`✅ 已提交 ${label} (gas ${chunk.gasLimit}) → ${tx.hash}`);
+      if (waitConfirm) {
+        await tx.wait(1);
+        record({ status: ROW_STATUS.CONFIRMED });
+        logs.push(`✅ 已确认 ${label}`);
+      }
+    } catch (error) {
+      record({ status: ROW_STATUS.FAILED, note: error.message });
+      logs.push(`❌ 发送失败 ${label}: ${error.message}`);
+      nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+    }
+
+    if (i < chunks.length - 1 && delayMs > 0) {
+      await delay(delayMs);
+    }
+  }
+};
+
+// 指定批量转账合约时按批次发送，合约未部署在当前网络时改为逐个地址发送
+const runFundingRows = async (options) => {
+  const { disperse, provider, logs } = options;
+  if (disperse) {
+    if ((await provider.getCode(disperse.address)) !== '0x') {
+      await runDisperseRows(options);
+      return;
+    }
+    logs.push(`⚠️ 批量转账合约 ${disperse.address} 未部署在当前网络，已改为逐个地址发送`);
+  }
+  await runSendRows(options);
+};
+
+// disperseAddress 为空时逐个地址发送
+const parseDisperseOptions = (payload) => {
+  if (!payload.disperseAddress) {
+    return null;
+  }
+  if (!ethers.isAddress(payload.disperseAddress)) {
+    throw new Error(`Invalid disperseAddress: ${payload.disperseAddress}`);
+  }
+  const chunkSize = Math.floor(Number(payload.chunkSize || DEFAULT_CHUNK_SIZE));
+  if (!Number.isFinite(chunkSize) || chunkSize < 1) {
+    throw new Error('chunkSize must be a positive integer');
+  }
+  return { address: ethers.getAddress(payload.disperseAddress), chunkSize };
+};
+
+// recipients 可以是地址字符串 (统一使用默认数量)，也可以是 { address, [field] } (逐个地址的数量)
+// 收款清单有误时返回 400，在估算与签名之前拒绝
+const normalizeRecipients = (recipients, defaultAmount, { field = 'amountEth', decimals = 18 } = {}) =>
+  recipients.map((item) => {
+    const to = typeof item === 'string' ? item : item?.address;
+    const amount = (typeof item === 'string' ? '' : item?.[field]) || defaultAmount;
+    if (!to || !ethers.isAddress(to)) {
+      throw createBadRequest(`Invalid recipient: ${to}`);
+    }
+    if (!amount) {
+      throw createBadRequest(`${field} is required for ${to}`);
+    }
+    let value;
+    try {
+      value = ethers.parseUnits(String(amount), decimals);
+    } catch (error) {
+      throw createBadRequest(`Invalid ${field} for ${to}: ${amount}`);
+    }
+    if (value <= 0n) {
+      throw createBadRequest(`${field} must be greater than 0 for ${to}`);
+    }
+    return { to, value };
+  });
+
+const handleSendBatch = async (payload) => {
+  const recipients = Array.isArray(payload.recipients) ? payload.recipients : [];
+  const amountEth = payload.amountEth;
+  const delayMs = Number(payload.delayMs || 0);
+  const waitConfirm = Boolean(payload.waitConfirm);
   const rpcUrl = payload.rpcUrl;
-  const reserveEth = payload.reserveEth || '0';
+  const fundingSecret = payload.fundingSecret;
+  const fundingPath = payload.fundingPath || FUNDING_PATH;
+
+  if (!recipients.length) {
+    throw new Error('recipients is required');
+  }
+  if (!rpcUrl) {
+    throw new Error('rpcUrl is required');
+  }
+  if (!fundingSecret) {
+    throw new Error('fundingSecret is required');
+  }
+
+  const sendRows = normalizeRecipients(recipients, amountEth);
+  const disperse = parseDisperseOptions(payload);
+  const provider = getProvider(rpcUrl);
+  const wallet = resolveFundingWallet(fundingSecret, fundingPath).connect(provider);
+  const total = sendRows.reduce((sum, row) => sum + row.value, 0n);
+  const balance = await provider.getBalance(wallet.address);
+  if (balance < total) {
+    throw new Error(
+      `Funding balance ${ethers.formatEther(balance)} ETH is less than total ${ethers.formatEther(total)} ETH`
+    );
+  }
+  const feeOptions = await getFeeOptions(provider);
+  const logs = [`📋 共 ${sendRows.length} 个收款地址，合计 ${ethers.formatEther(total)} ETH`];
+  const writer = createJournalWriter(
+    createJournal(
+      payload.jobId,
+      'send',
+      { from: wallet.address, params: disperse ? { disperse } : {} },
+      sendRows.map(({ to, value }) => ({ from: wallet.address, to, value: value.toString() }))
+    )
+  );
+
+  try {
+    await runFundingRows({ writer, wallet, provider, feeOptions, waitConfirm, delayMs, logs, disperse });
+  } finally {
+    finishJournal(writer.current());
+    releaseJob(writer.current().id);
+  }
+
+  return journalResult(readJournal(writer.current().id), logs);
+};
+
+const handleDistributeBatch = async (payload) => {
+  const recipients = Array.isArray(payload.recipients) ? payload.recipients : [];
+  const tokenAddress = payload.tokenAddress;
   const delayMs = Number(payload.delayMs || 0);
   const waitConfirm = Boolean(payload.waitConfirm);
-  const reclaimAddress = payload.reclaimAddress;
+  const rpcUrl = payload.rpcUrl;
+  const fundingSecret = payload.fundingSecret;
+  const fundingPath = payload.fundingPath || FUNDING_PATH;
 
-  if (!entries.length) {
-    throw new Error('entries is required');
+  if (!recipients.length) {
+    throw new Error('recipients is required');
+  }
+  if (!tokenAddress || !ethers.isAddress(tokenAddress)) {
+    throw new Error('tokenAddress is required');
   }
   if (!rpcUrl) {
     throw new Error('rpcUrl is required');
   }
-  if (!reclaimAddress) {
-    throw new Error('reclaimAddress is required');
+  if (!fundingSecret) {
+    throw new Error('fundingSecret is required');
   }
 
+  const disperse = parseDisperseOptions(payload);
   const provider = getProvider(rpcUrl);
+  const wallet = resolveFundingWallet(fundingSecret, fundingPath).connect(provider);
+  const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  const { decimals, symbol } = await readTokenMeta(contract);
+  const sendRows = normalizeRecipients(recipients, payload.amount, { field: 'amount', decimals });
+  const total = sendRows.reduce((sum, row) => sum + row.value, 0n);
+  const balance = await contract.balanceOf(wallet.address);
+  if (balance < total) {
+    throw new Error(
+      `Funding balance ${ethers.formatUnits(balance, decimals)} ${symbol} is less than total ` +
+        `${ethers.formatUnits(total, decimals)} ${symbol}`
+    );
+  }
   const feeOptions = await getFeeOptions(provider);
-  const reserveWei = ethers.parseEther(reserveEth);
-  const logs = [];
+  const logs = [`📋 共 ${sendRows.length} 个收款地址，合计 ${ethers.formatUnits(total, decimals)} ${symbol}`];
+  const writer = createJournalWriter(
+    createJournal(
+      payload.jobId,
+      'distribute',
+      { from: wallet.address, symbol, decimals, params: { tokenAddress, ...(disperse ? { disperse } : {}) } },
+      sendRows.map(({ to, value }) => ({ from: wallet.address, to, value: value.toString() }))
+    )
+  );
 
-  for (let i = 0; i < entries.length; i += 1) {
-    const entry = entries[i];
-    const privateKey = entry.privateKey || '';
-    const address = entry.address || '';
-    const label = `${i + 1}/${entries.length} ${address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '未知'}`;
+  try {
+    await runFundingRows({
+      writer,
+      wallet,
+      provider,
+      feeOptions,
+      waitConfirm,
+      delayMs,
+      logs,
+      token: { contract, symbol, decimals },
+      disperse
+    });
+  } finally {
+    finishJournal(writer.current());
+    releaseJob(writer.current().id);
+  }
+
+  return journalResult(readJournal(writer.current().id), logs);
+};
+
+const runReclaimRows = async ({
+  writer,
+  keysByAddress,
+  provider,
+  feeOptions,
+  reserveWei,
+  reclaimAddress,
+  waitConfirm,
+  delayMs,
+  logs
+}) => {
+  const { rows: allRows } = writer.current();
+  const rows = allRows.filter((row) => row.status === ROW_STATUS.PENDING);
+
+  for (let i = 0; i < rows.length; i += 1) {
+    const { index, from } = rows[i];
+    const label = formatLabel(index, allRows.length, from);
+    const record = (patch) => writer.update(index, patch);
+    const privateKey = keysByAddress.get(from.toLowerCase());
 
     if (!privateKey) {
       logs.push(`⚠️ 无私钥，跳过 ${label}`);
@@ -242,8 +722,7 @@ const handleReclaimBatch = async (payload) => {
     }
 
     try {
-      const key = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
-      const wallet = new ethers.Wallet(key).connect(provider);
+      const wallet = new ethers.Wallet(privateKey).connect(provider);
       const nonce = await provider.getTransactionCount(wallet.address, 'pending');
       const balance = await provider.getBalance(wallet.address);
       const estimatedGasLimit = await estimateGasLimit(provider, {
@@ -255,6 +734,7 @@ const handleReclaimBatch = async (payload) => {
       const sendable = balance - reserveWei - gasCost;
 
       if (sendable <= 0n) {
+        record({ status: ROW_STATUS.SKIPPED, note: '余额不足' });
         logs.push(`⚠️ 余额不足，跳过 ${label}`);
         continue;
       }
@@ -272,34 +752,211 @@ const handleReclaimBatch = async (payload) => {
       const finalSendable = balance - reserveWei - finalGasCost;
 
       if (finalSendable <= 0n) {
+        record({ status: ROW_STATUS.SKIPPED, note: '余额不足' });
         logs.push(`⚠️ 余额不足，跳过 ${label}`);
         continue;
       }
 
-      const tx = await wallet.sendTransaction({
-        to: reclaimAddress,
-        value: finalSendable,
-        gasLimit: finalGasLimit,
-        ...feeOptions,
-        nonce
-      });
+      record({ value: finalSendable.toString() });
+      const tx = await journalCore.broadcastWithJournal(
+        wallet,
+        {
+          to: reclaimAddress,
+          value: finalSendable,
+          gasLimit: finalGasLimit,
+          ...feeOptions,
+          nonce
+        },
+        record
+      );
       logs.push(`✅ 已提交 ${label} → ${tx.hash}`);
       if (waitConfirm) {
         await tx.wait(1);
+        record({ status: ROW_STATUS.CONFIRMED });
         logs.push(`✅ 已确认 ${label}`);
       }
     } catch (error) {
+      record({ status: ROW_STATUS.FAILED, note: error.message });
       logs.push(`❌ 回收失败 ${label}: ${error.message}`);
     }
 
-    if (i < entries.length - 1 && delayMs > 0) {
+    if (i < rows.length - 1 && delayMs > 0) {
       await delay(delayMs);
     }
   }
+};
+
+const normalizeKey = (privateKey) => (privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`);
+
+// 私钥只保存在内存中，日志只记录地址
+const collectKeys = (entries) => {
+  const keysByAddress = new Map();
+  entries.forEach((entry) => {
+    if (entry.privateKey) {
+      const key = normalizeKey(entry.privateKey);
+      keysByAddress.set(new ethers.Wallet(key).address.toLowerCase(), key);
+    }
+  });
+  return keysByAddress;
+};
+
+const handleReclaimBatch = async (payload) => {
+  const entries = Array.isArray(payload.entries) ? payload.entries : [];
+  const rpcUrl = payload.rpcUrl;
+  const reserveEth = payload.reserveEth || '0';
+  const delayMs = Number(payload.delayMs || 0);
+  const waitConfirm = Boolean(payload.waitConfirm);
+  const reclaimAddress = payload.reclaimAddress;
+
+  if (!entries.length) {
+    throw new Error('entries is required');
+  }
+  if (!rpcUrl) {
+    throw new Error('rpcUrl is required');
+  }
+  if (!reclaimAddress) {
+    throw new Error('reclaimAddress is required');
+  }
+
+  const provider = getProvider(rpcUrl);
+  const feeOptions = await getFeeOptions(provider);
+  const reserveWei = ethers.parseEther(reserveEth);
+  const keysByAddress = collectKeys(entries);
+  const logs = [];
+  const writer = createJournalWriter(
+    createJournal(
+      payload.jobId,
+      'reclaim',
+      { params: { reclaimAddress, reserveWei: reserveWei.toString() } },
+      entries.map((entry) => {
+        const from = entry.privateKey
+          ? new ethers.Wallet(normalizeKey(entry.privateKey)).address
+          : entry.address || '';
+        // 与浏览器日志一致：暂无私钥的行保持待发送，之后提供私钥即可继续
+        return entry.privateKey ? { from, to: reclaimAddress } : { from, to: reclaimAddress, note: '无私钥' };
+      })
+    )
+  );
+
+  try {
+    await runReclaimRows({
+      writer,
+      keysByAddress,
+      provider,
+      feeOptions,
+      reserveWei,
+      reclaimAddress,
+      waitConfirm,
+      delayMs,
+      logs
+    });
+  } finally {
+    finishJournal(writer.current());
+    releaseJob(writer.current().id);
+  }
+
+  return journalResult(readJournal(writer.current().id), logs);
+};
+
+// 按链上状态核对后继续待发送的行
+const resumeJournal = async (journal, payload, { rpcUrl, delayMs, waitConfirm }) => {
+  const provider = getProvider(rpcUrl);
+  const logs = [];
+  const writer = createJournalWriter(await reconcileJournal(journal, provider));
+  const counts = summarizeJournal(writer.current());
+  logs.push(
+    `🔍 链上核对：已确认 ${counts.confirmed || 0} 笔，交易池中 ${counts.submitted || 0} 笔，` +
+      `待发送 ${counts.pending || 0} 笔，需人工核对 ${counts.unknown || 0} 笔`
+  );
+
+  try {
+    if (counts.pending) {
+      const feeOptions = await getFeeOptions(provider);
+      if (journal.kind === 'send' || journal.kind === 'distribute') {
+        const wallet = resolveFundingWallet(payload.fundingSecret || '', payload.fundingPath || FUNDING_PATH)
+          .connect(provider);
+        if (wallet.address !== journal.from) {
+          throw new Error(`fundingSecret does not match job funding address ${journal.from}`);
+        }
+        let token = null;
+        if (journal.kind === 'distribute') {
+          const contract = new ethers.Contract(journal.params.tokenAddress, ERC20_ABI, wallet);
+          token = { contract, ...(await readTokenMeta(contract)) };
+        }
+        await runFundingRows({
+          writer,
+          wallet,
+          provider,
+          feeOptions,
+          waitConfirm,
+          delayMs,
+          logs,
+          token,
+          disperse: journal.params.disperse || null
+        });
+      } else {
+        await runReclaimRows({
+          writer,
+          keysByAddress: collectKeys(Array.isArray(payload.entries) ? payload.entries : []),
+          provider,
+          feeOptions,
+          reserveWei: ethers.getBigInt(journal.params.reserveWei),
+          reclaimAddress: journal.params.reclaimAddress,
+          waitConfirm,
+          delayMs,
+          logs
+        });
+      }
+    }
+  } finally {
+    finishJournal(writer.current());
+  }
+
+  return journalResult(readJournal(journal.id), logs);
+};
+
+const handleResumeBatch = async (payload) => {
+  const rpcUrl = payload.rpcUrl;
+  const delayMs = Number(payload.delayMs || 0);
+  const waitConfirm = Boolean(payload.waitConfirm);
+
+  if (!rpcUrl) {
+    throw new Error('rpcUrl is required');
+  }
+  const journal = readJournal(payload.jobId);
+  if (!journal) {
+    throw new Error(`Job ${payload.jobId} not found`);
+  }
+  claimJob(journal.id);
+  try {
+    return await resumeJournal(journal, payload, { rpcUrl, delayMs, waitConfirm });
+  } finally {
+    releaseJob(journal.id);
+  }
+};
 
-  return { logs };
+const handleJournal = async (payload) => {
+  if (payload.jobId) {
+    const journal = readJournal(payload.jobId);
+    if (!journal) {
+      throw new Error(`Job ${payload.jobId} not found`);
+    }
+    return journal;
+  }
+  return {
+    jobs: listJournals().map((journal) => ({
+      jobId: journal.id,
+      kind: journal.kind,
+      status: journal.status,
+      createdAt: journal.createdAt,
+      counts: summarizeJournal(journal)
+    }))
+  };
 };
 
+// 前端据此判断后端能否按预览执行合约批量并记录任务日志；Vercel API 没有该接口
+const handleCapabilities = () => ({ journal: true, disperse: true });
+
 const server = http.createServer(async (req, res) => {
   sendCorsHeaders(res);
 
@@ -332,6 +989,13 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    if (req.url === '/api/distribute-batch') {
+      const result = await handleDistributeBatch(payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+      return;
+    }
+
     if (req.url === '/api/reclaim-batch') {
       const result = await handleReclaimBatch(payload);
       res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -339,15 +1003,41 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    if (req.url === '/api/resume-batch') {
+      const result = await handleResumeBatch(payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+      return;
+    }
+
+    if (req.url === '/api/journal') {
+      const result = await handleJournal(payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+      return;
+    }
+
+    if (req.url === '/api/capabilities') {
+      const result = handleCapabilities();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+      return;
+    }
+
     res.writeHead(404, { 'Content-Type': 'text/plain' });
     res.end('Not Found');
   } catch (error) {
-    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.writeHead(error.statusCode || 500, { 'Content-Type': 'text/plain' });
     res.end(error.message);
   }
 });
 
-server.listen(PORT, () => {
+loadJournalCore().then(() => server.listen(PORT, () => {
   console.log(`TX server listening on http://localhost:${PORT}`);
   console.log('RPC: provided per request');
-});
+  const unfinished = listJournals().filter((journal) => journal.status !== 'completed');
+  console.log(`Journal: ${JOURNAL_DIR} (${unfinished.length} unfinished job(s))`);
+  unfinished.forEach((journal) => {
+    console.log(`  ${journal.id} ${journal.kind} ${journal.status}, resume via POST /api/resume-batch`);
+  });
+}));
@@ -5,8 +5,13 @@ import MnemonicGenerator from './components/MnemonicGenerator';
 import EncryptionPanel from './components/EncryptionPanel';
 import BatchProcessor from './components/BatchProcessor';
 import AddressValidator from './components/AddressValidator';
+import MnemonicRepair from './components/MnemonicRepair';
 import GasBatchManager from './components/GasBatchManager';
 import BalanceBatchQuery from './components/BalanceBatchQuery';
+import RekeyPanel from './components/RekeyPanel';
+import ShamirPanel from './components/ShamirPanel';
+import AccountDiscoveryPanel from './components/AccountDiscoveryPanel';
+import { importEncryptedFile } from './utils/importUtils';
 import './App.css';
 
 const theme = createTheme({
@@ -40,6 +45,7 @@ function App() {
   const [mnemonics, setMnemonics] = useState([]);
   const [encryptedResults, setEncryptedResults] = useState([]);
   const [isDarkMode, setIsDarkMode] = useState(false);
+  const [importedFile, setImportedFile] = useState(null);
 
   // 监听Electron菜单事件（在Web环境下安全跳过）
   useEffect(() => {
@@ -67,6 +73,21 @@ function App() {
       setCurrentTab(3);
     });
 
+    // 导入菜单只传来文件路径，由渲染进程读取并解析，结果交给解密、验证与 Gas 页面
+    ipcRenderer.on('menu-import', async (event, filePath) => {
+      try {
+        const fs = window.require('fs');
+        const path = window.require('path');
+        const data = await fs.promises.readFile(filePath);
+        const result = await importEncryptedFile(path.basename(filePath), new Uint8Array(data));
+        setImportedFile(result);
+        setCurrentTab(2);
+      } catch (error) {
+        console.error('❌ 菜单导入失败:', error);
+        alert(error.message);
+      }
+    });
+
     ipcRenderer.on('menu-clear', () => {
       if (window.confirm('确定要清空所有数据吗？此操作不可撤销。')) {
         setMnemonics([]);
@@ -78,6 +99,7 @@ function App() {
     return () => {
       ipcRenderer.removeAllListeners('menu-new');
       ipcRenderer.removeAllListeners('menu-batch');
+      ipcRenderer.removeAllListeners('menu-import');
       ipcRenderer.removeAllListeners('menu-clear');
     };
   }, []);
@@ -148,6 +170,24 @@ function App() {
               >
                 💰 批量查询
               </button>
+              <button
+                className={`tab-button ${currentTab === 7 ? 'active' : ''}`}
+                onClick={() => setCurrentTab(7)}
+              >
+                🔑 密码轮换
+              </button>
+              <button
+                className={`tab-button ${currentTab === 8 ? 'active' : ''}`}
+                onClick={() => setCurrentTab(8)}
+              >
+                🧩 助记词分片
+              </button>
+              <button
+                className={`tab-button ${currentTab === 9 ? 'active' : ''}`}
+                onClick={() => setCurrentTab(9)}
+              >
+                🧭 账户发现
+              </button>
             </div>
           </Box>
 
@@ -173,6 +213,7 @@ function App() {
               encryptedResults={encryptedResults}
               setEncryptedResults={setEncryptedResults}
               mode="decrypt"
+              importedFile={importedFile}
             />
           )}
 
@@ -183,23 +224,40 @@ function App() {
           )}
 
           {currentTab === 4 && (
-            <AddressValidator />
+            <>
+              <AddressValidator importedFile={importedFile} />
+              <Box sx={{ mt: 3 }}>
+                <MnemonicRepair />
+              </Box>
+            </>
           )}
 
           {currentTab === 5 && (
-            <GasBatchManager />
+            <GasBatchManager importedFile={importedFile} />
           )}
 
           {currentTab === 6 && (
             <BalanceBatchQuery />
           )}
+
+          {currentTab === 7 && (
+            <RekeyPanel />
+          )}
+
+          {currentTab === 8 && (
+            <ShamirPanel />
+          )}
+
+          {currentTab === 9 && (
+            <AccountDiscoveryPanel />
+          )}
         </Paper>
 
         {/* 安全提醒 */}
         <Paper elevation={2} sx={{ p: 2, bgcolor: 'warning.light', color: 'warning.contrastText' }}>
           <Typography variant="body2">
             ⚠️ <strong>安全提醒</strong>：请务必安全保存您的密码和助记词。建议将加密后的文件备份到多个安全位置。
-            本软件采用AES-256-CTR加密，请使用强密码保护您的数据。
+            本软件采用AES-256-GCM加密并以Argon2id派生密钥，请使用强密码保护您的数据。
           </Typography>
         </Paper>
       </Container>
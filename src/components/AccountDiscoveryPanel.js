@@ -0,0 +1,259 @@
+import React, { useRef, useState } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Alert,
+  LinearProgress,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip
+} from '@mui/material';
+import { Explore, Stop, ContentCopy } from '@mui/icons-material';
+import { DERIVATION_PRESETS } from '../utils/evmUtils';
+import { createProvider } from '../utils/providerUtils';
+import {
+  DEFAULT_GAP_LIMIT,
+  discoverAccounts,
+  getScannablePresets
+} from '../utils/discoveryUtils';
+import PassphraseInput from './PassphraseInput';
+import { isValidMnemonic } from '../utils/wordlistUtils';
+
+/**
+ * 账户发现面板
+ * 恢复旧助记词后不知道用过哪些地址时，按各路径预设扫描直到连续 N 个地址未使用
+ */
+
+const DEFAULT_RPC_URL =
+  (process.env.REACT_APP_DEFAULT_RPC_URL || '').trim() || 'https://mainnet.base.org';
+
+const AccountDiscoveryPanel = () => {
+  const [rpcUrl, setRpcUrl] = useState(DEFAULT_RPC_URL);
+  const [mnemonic, setMnemonic] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [presets, setPresets] = useState(getScannablePresets());
+  const [gapLimit, setGapLimit] = useState(DEFAULT_GAP_LIMIT);
+  const [scanning, setScanning] = useState(false);
+  const [current, setCurrent] = useState(null);
+  const [scannedCount, setScannedCount] = useState(0);
+  const [found, setFound] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const stopRef = useRef(false);
+
+  const togglePreset = (presetId) => {
+    setPresets((selected) =>
+      selected.includes(presetId)
+        ? selected.filter((id) => id !== presetId)
+        : [...selected, presetId]
+    );
+  };
+
+  const handleScan = async () => {
+    const normalized = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+    if (!isValidMnemonic(normalized)) {
+      setError('助记词格式不正确');
+      return;
+    }
+    if (!rpcUrl.trim()) {
+      setError('请输入 RPC 地址');
+      return;
+    }
+    if (presets.length === 0) {
+      setError('请至少选择一个路径预设');
+      return;
+    }
+
+    stopRef.current = false;
+    setScanning(true);
+    setError('');
+    setFound([]);
+    setSummary(null);
+    setScannedCount(0);
+
+    try {
+      const result = await discoverAccounts(normalized, {
+        provider: createProvider(rpcUrl.trim()),
+        // 按预设注册顺序扫描
+        presets: getScannablePresets().filter((id) => presets.includes(id)),
+        gapLimit,
+        passphrase,
+        onProgress: (progress) => {
+          setCurrent(progress);
+          setScannedCount((count) => count + 1);
+        },
+        shouldStop: () => stopRef.current
+      });
+      setFound(result.found);
+      setSummary(result);
+    } catch (err) {
+      setError(`扫描失败: ${err.message}`);
+    } finally {
+      setScanning(false);
+      setCurrent(null);
+    }
+  };
+
+  const handleCopyAddresses = () => {
+    navigator.clipboard.writeText(found.map((entry) => entry.address).join('\n'));
+  };
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Typography variant="h5" component="h2" gutterBottom>
+        🧭 账户发现
+      </Typography>
+      <Typography variant="body2" color="textSecondary" paragraph>
+        按路径预设逐个派生地址并查询链上 nonce 与余额，连续 N 个地址都未使用时停止该预设，
+        列出所有有余额或有交易记录的地址及其路径。
+      </Typography>
+
+      <Box sx={{ mb: 3 }}>
+        <TextField
+          fullWidth
+          label="RPC 地址"
+          value={rpcUrl}
+          onChange={(e) => setRpcUrl(e.target.value)}
+          helperText="需支持浏览器跨域访问；只发送地址，不发送助记词"
+          disabled={scanning}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          type="password"
+          label="助记词"
+          value={mnemonic}
+          onChange={(e) => setMnemonic(e.target.value)}
+          disabled={scanning}
+          sx={{ mb: 2 }}
+        />
+        <PassphraseInput
+          value={passphrase}
+          onChange={setPassphrase}
+          disabled={scanning}
+          sx={{ mb: 2 }}
+        />
+
+        <Typography variant="subtitle2">路径预设</Typography>
+        <FormGroup row sx={{ mb: 2 }}>
+          {getScannablePresets().map((presetId) => (
+            <FormControlLabel
+              key={presetId}
+              control={
+                <Checkbox
+                  checked={presets.includes(presetId)}
+                  onChange={() => togglePreset(presetId)}
+                  disabled={scanning}
+                />
+              }
+              label={DERIVATION_PRESETS[presetId].label}
+              title={DERIVATION_PRESETS[presetId].description}
+            />
+          ))}
+        </FormGroup>
+
+        <TextField
+          label="间隔上限 N"
+          type="number"
+          value={gapLimit}
+          onChange={(e) => setGapLimit(Math.max(1, parseInt(e.target.value, 10) || 1))}
+          helperText="连续 N 个未使用地址后停止"
+          disabled={scanning}
+          InputProps={{ inputProps: { min: 1, max: 100 } }}
+        />
+      </Box>
+
+      <Box display="flex" gap={2} sx={{ mb: 2 }}>
+        <Button
+          variant="contained"
+          startIcon={<Explore />}
+          onClick={handleScan}
+          disabled={scanning || !mnemonic.trim()}
+        >
+          {scanning ? '扫描中...' : '开始扫描'}
+        </Button>
+        <Button
+          variant="outlined"
+          color="error"
+          startIcon={<Stop />}
+          onClick={() => { stopRef.current = true; }}
+          disabled={!scanning}
+        >
+          停止
+        </Button>
+      </Box>
+
+      {scanning && (
+        <Box sx={{ mb: 2 }}>
+          <LinearProgress />
+          {current && (
+            <Typography variant="caption" color="textSecondary" sx={{ fontFamily: 'monospace' }}>
+              已检查 {scannedCount} 个 · {current.path} · 连续未使用 {current.gap}/{gapLimit}
+            </Typography>
+          )}
+        </Box>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {summary && (
+        <Alert severity={found.length > 0 ? 'success' : 'info'} sx={{ mb: 2 }}>
+          {summary.stopped ? '扫描已停止' : '扫描完成'}：查询 {summary.scanned} 个地址，
+          发现 {found.length} 个已使用地址
+        </Alert>
+      )}
+
+      {found.length > 0 && (
+        <Box>
+          <Box display="flex" justifyContent="flex-end" sx={{ mb: 1 }}>
+            <Button size="small" startIcon={<ContentCopy />} onClick={handleCopyAddresses}>
+              复制全部地址
+            </Button>
+          </Box>
+          <TableContainer sx={{ maxHeight: 400, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+            <Table stickyHeader size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>预设</TableCell>
+                  <TableCell>路径</TableCell>
+                  <TableCell>地址</TableCell>
+                  <TableCell>Nonce</TableCell>
+                  <TableCell>余额</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {found.map((entry) => (
+                  <TableRow key={entry.path} hover>
+                    <TableCell>
+                      <Chip size="small" label={entry.presetLabel} />
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>{entry.path}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>{entry.address}</TableCell>
+                    <TableCell>{entry.nonce}</TableCell>
+                    <TableCell>{entry.balance}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default AccountDiscoveryPanel;
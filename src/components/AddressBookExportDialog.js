@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  Alert,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip
+} from '@mui/material';
+import { Close, Contacts } from '@mui/icons-material';
+import { fileExporter } from '../utils/fileExportUtils';
+import { normalizeTags } from '../utils/addressBookUtils';
+
+/**
+ * 导出只读地址簿
+ * 只写出地址、名称、派生路径、批次ID与标签，不含密文，导入时无需密码
+ */
+const AddressBookExportDialog = ({ open, onClose, results = [] }) => {
+  const [format, setFormat] = useState('csv');
+  const [labelPrefix, setLabelPrefix] = useState('账号 ');
+  const [tagsText, setTagsText] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const addressCount = results.filter((r) => r.address).length;
+  const tags = normalizeTags(tagsText);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      const result = await fileExporter.exportAddressBook(results, format, { labelPrefix, tags });
+      alert(`地址簿导出成功！\n文件: ${result.filename}\n包含 ${result.count} 个地址`);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleClose = () => {
+    setError('');
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" justifyContent="space-between">
+          <Box display="flex" alignItems="center">
+            <Contacts sx={{ mr: 1, color: 'primary.main' }} />
+            <Typography variant="h6">导出地址簿</Typography>
+          </Box>
+          <IconButton onClick={handleClose} size="small">
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="textSecondary" paragraph>
+          地址簿只包含地址、名称、派生路径、批次ID与标签，不含任何密文，可在余额查询与 Gas 批量页面直接导入
+        </Typography>
+
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 2, mb: 2 }}>
+          <FormControl>
+            <InputLabel>格式</InputLabel>
+            <Select value={format} label="格式" onChange={(e) => setFormat(e.target.value)}>
+              <MenuItem value="csv">CSV 格式</MenuItem>
+              <MenuItem value="json">JSON 格式</MenuItem>
+            </Select>
+          </FormControl>
+          <TextField
+            label="名称前缀"
+            value={labelPrefix}
+            onChange={(e) => setLabelPrefix(e.target.value)}
+            helperText={`例如 ${labelPrefix}001`}
+          />
+        </Box>
+
+        <TextField
+          fullWidth
+          label="标签（可选，逗号分隔）"
+          value={tagsText}
+          onChange={(e) => setTagsText(e.target.value)}
+          helperText="每个地址都会带上这些标签，导入时可按标签筛选"
+          sx={{ mb: 1 }}
+        />
+        <Box sx={{ mb: 2 }}>
+          {tags.map((tag) => (
+            <Chip key={tag} label={tag} size="small" sx={{ mr: 0.5 }} />
+          ))}
+        </Box>
+
+        {addressCount < results.length && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {results.length - addressCount} 项没有地址，不会写入地址簿
+          </Alert>
+        )}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={handleClose}>取消</Button>
+        <Button variant="contained" onClick={handleExport} disabled={exporting || addressCount === 0}>
+          {exporting ? '导出中...' : `导出 ${addressCount} 个地址`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AddressBookExportDialog;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Box, Button, Alert } from '@mui/material';
+import { Contacts } from '@mui/icons-material';
+import { ADDRESS_BOOK_ACCEPT, parseAddressBook } from '../utils/addressBookUtils';
+
+/**
+ * 只读地址簿导入按钮
+ * 读取 JSON / CSV 地址簿，解析后通过 onImport 交给页面；不涉及任何密码。
+ * parse 与 accept 可替换为其他只读清单 (如金额清单) 的解析
+ */
+
+let inputCounter = 0;
+
+const AddressBookImport = ({
+  onImport = () => {},
+  imported = null,
+  disabled = false,
+  label = '导入地址簿',
+  parse = parseAddressBook,
+  accept = ADDRESS_BOOK_ACCEPT
+}) => {
+  const [inputId] = useState(() => `address-book-import-${++inputCounter}`);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      onImport(parse(file.name, await file.text()));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Box>
+      <input
+        id={inputId}
+        type="file"
+        accept={accept}
+        style={{ display: 'none' }}
+        onChange={handleFileChange}
+        disabled={disabled}
+      />
+      <label htmlFor={inputId}>
+        <Button variant="outlined" component="span" startIcon={<Contacts />} disabled={disabled}>
+          {label}
+        </Button>
+      </label>
+      {error && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {error}
+        </Alert>
+      )}
+      {imported?.warnings.map((warning) => (
+        <Alert key={warning} severity="warning" sx={{ mt: 1 }}>
+          {warning}
+        </Alert>
+      ))}
+    </Box>
+  );
+};
+
+export default AddressBookImport;
@@ -3,7 +3,7 @@
  * 验证助记词生成的ETH地址是否一致
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Paper,
   Typography,
@@ -29,19 +29,80 @@ import {
   Error,
   CheckCircle,
   Cancel,
-  Refresh
+  Refresh,
+  LockOpen
 } from '@mui/icons-material';
-import { validateAddressConsistency, validateAddressUniqueness, generateEthereumAddress } from '../utils/evmUtils';
+import {
+  DEFAULT_ETH_PATH,
+  validateAddressConsistency,
+  validateAddressUniqueness,
+  generateEthereumAddress
+} from '../utils/evmUtils';
+import PassphraseInput from './PassphraseInput';
+import MnemonicInput from './MnemonicInput';
+import { expandMnemonic } from '../utils/wordlistUtils';
+import { decryptMnemonic } from '../utils/cryptoUtilsGUI';
+import EncryptedFileImport from './EncryptedFileImport';
+import DerivationPathSelector from './DerivationPathSelector';
 
-const AddressValidator = () => {
+const AddressValidator = ({ importedFile = null }) => {
   const [mnemonic, setMnemonic] = useState('');
   const [mnemonicList, setMnemonicList] = useState('');
+  const [imported, setImported] = useState(null);
+  const [importPassword, setImportPassword] = useState('');
+  const [expectedAddresses, setExpectedAddresses] = useState([]);
   const [testCount, setTestCount] = useState(5);
+  const [passphrase, setPassphrase] = useState('');
+  const [derivationPath, setDerivationPath] = useState(DEFAULT_ETH_PATH);
   const [validating, setValidating] = useState(false);
   const [singleResult, setSingleResult] = useState(null);
   const [batchResult, setBatchResult] = useState(null);
   const [mode, setMode] = useState('single'); // single | batch
 
+  // Electron "导入" 菜单载入的文件
+  useEffect(() => {
+    if (importedFile) {
+      setImported(importedFile);
+      setMode('batch');
+    }
+  }, [importedFile]);
+
+  // 解密导入的文件并填入批量列表，导出时记录的地址用于核对
+  const handleImportDecrypt = async () => {
+    if (!importPassword) {
+      alert('请输入解密密码');
+      return;
+    }
+
+    setValidating(true);
+    try {
+      const mnemonics = [];
+      const addresses = [];
+      let failed = 0;
+      for (const item of imported.items.filter((entry) => entry.encryptedData)) {
+        try {
+          mnemonics.push(await decryptMnemonic(item.encryptedData, importPassword));
+          addresses.push(item.address || '');
+        } catch (error) {
+          failed += 1;
+        }
+      }
+
+      const paths = Array.from(new Set(imported.items.map((item) => item.derivationPath).filter(Boolean)));
+      if (paths.length === 1) {
+        setDerivationPath(paths[0]);
+      }
+      setMnemonicList(mnemonics.join('\n'));
+      setExpectedAddresses(addresses);
+      clearResults();
+      if (failed > 0) {
+        alert(`${failed} 项解密失败：密码错误或数据损坏`);
+      }
+    } finally {
+      setValidating(false);
+    }
+  };
+
   // 单个助记词验证
   const handleSingleValidation = async () => {
     if (!mnemonic.trim()) {
@@ -51,7 +112,7 @@ const AddressValidator = () => {
 
     setValidating(true);
     try {
-      const result = validateAddressConsistency(mnemonic.trim(), testCount);
+      const result = validateAddressConsistency(expandMnemonic(mnemonic).mnemonic, testCount, passphrase, derivationPath);
       setSingleResult(result);
       setBatchResult(null);
     } catch (error) {
@@ -67,7 +128,8 @@ const AddressValidator = () => {
     const mnemonics = mnemonicList
       .split('\n')
       .map(line => line.trim())
-      .filter(line => line.length > 0);
+      .filter(line => line.length > 0)
+      .map(line => expandMnemonic(line).mnemonic);
 
     if (mnemonics.length === 0) {
       alert('请输入助记词列表（每行一个）');
@@ -82,20 +144,22 @@ const AddressValidator = () => {
     setValidating(true);
     try {
       // 验证地址唯一性
-      const uniquenessResult = validateAddressUniqueness(mnemonics);
+      const uniquenessResult = validateAddressUniqueness(mnemonics, passphrase, derivationPath);
 
       // 为每个助记词生成详细信息
       const detailedResults = mnemonics.map((mnemonic, index) => {
         try {
-          const addressInfo = generateEthereumAddress(mnemonic);
-          const consistencyResult = validateAddressConsistency(mnemonic, 3); // 减少测试次数提高性能
+          const addressInfo = generateEthereumAddress(mnemonic, derivationPath, passphrase);
+          const consistencyResult = validateAddressConsistency(mnemonic, 3, passphrase, derivationPath); // 减少测试次数提高性能
+          const expected = expectedAddresses[index];
+          const matchesExport = !expected || expected.toLowerCase() === addressInfo.address.toLowerCase();
 
           return {
             id: index + 1,
             mnemonic: mnemonic,
             address: addressInfo.address,
-            isValid: consistencyResult.isConsistent,
-            error: null
+            isValid: consistencyResult.isConsistent && matchesExport,
+            error: matchesExport ? null : '与导出记录的地址不一致'
           };
         } catch (error) {
           return {
@@ -159,17 +223,36 @@ const AddressValidator = () => {
         </FormControl>
       </Box>
 
+      <Box sx={{ mb: 3 }}>
+        <PassphraseInput
+          value={passphrase}
+          onChange={(value) => {
+            setPassphrase(value);
+            clearResults();
+          }}
+          disabled={validating}
+        />
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <DerivationPathSelector
+          value={derivationPath}
+          onChange={(path) => {
+            setDerivationPath(path);
+            clearResults();
+          }}
+          disabled={validating}
+        />
+      </Box>
+
       {mode === 'single' ? (
         // 单个验证模式
         <Box sx={{ mb: 3 }}>
-          <TextField
-            fullWidth
-            multiline
-            rows={3}
+          <MnemonicInput
             label="输入助记词"
-            placeholder="输入要验证的助记词（用空格分隔）"
+            placeholder="输入要验证的助记词（用空格分隔，可只输入每个单词的前 4 个字母）"
             value={mnemonic}
-            onChange={(e) => setMnemonic(e.target.value)}
+            onChange={setMnemonic}
             sx={{ mb: 2 }}
           />
 
@@ -208,6 +291,35 @@ const AddressValidator = () => {
       ) : (
         // 批量验证模式
         <Box sx={{ mb: 3 }}>
+          <EncryptedFileImport
+            onImport={(result) => {
+              setImported(result);
+              clearResults();
+            }}
+            imported={imported}
+            disabled={validating}
+            label="导入加密文件"
+          />
+          {imported && imported.items.length > 0 && (
+            <Box display="flex" alignItems="center" gap={2} sx={{ mb: 2 }}>
+              <TextField
+                label="解密密码"
+                type="password"
+                value={importPassword}
+                onChange={(e) => setImportPassword(e.target.value)}
+                disabled={validating}
+                sx={{ flex: 1 }}
+              />
+              <Button
+                variant="outlined"
+                startIcon={<LockOpen />}
+                onClick={handleImportDecrypt}
+                disabled={validating || !importPassword}
+              >
+                解密并填入列表
+              </Button>
+            </Box>
+          )}
           <TextField
             fullWidth
             multiline
@@ -215,9 +327,12 @@ const AddressValidator = () => {
             label="输入助记词列表"
             placeholder="每行输入一个助记词，最多50个"
             value={mnemonicList}
-            onChange={(e) => setMnemonicList(e.target.value)}
+            onChange={(e) => {
+              setMnemonicList(e.target.value);
+              setExpectedAddresses([]);
+            }}
             sx={{ mb: 2 }}
-            helperText="每行一个助记词，系统将验证地址生成一致性和唯一性"
+            helperText="每行一个助记词，支持前 4 个字母缩写，系统将验证地址生成一致性和唯一性"
           />
 
           <Box display="flex" alignItems="center" gap={2} sx={{ mb: 2 }}>
@@ -369,7 +484,7 @@ const AddressValidator = () => {
         <Typography variant="body2">
           • 一致性验证: 确保同一助记词多次生成相同地址<br/>
           • 唯一性验证: 确保不同助记词生成不同地址<br/>
-          • 使用标准HD钱包路径: m/44'/60'/0'/0/0<br/>
+          • 当前派生路径: {derivationPath}（可切换 BIP44 / Ledger Live / Ledger 旧版 / 自定义）<br/>
           • 所有验证都在本地完成，不会上传任何数据
         </Typography>
       </Alert>
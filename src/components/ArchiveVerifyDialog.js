@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  Alert,
+  TextField,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Close, FactCheck } from '@mui/icons-material';
+import { verifyArchive } from '../utils/manifestUtils';
+
+/**
+ * 压缩包完整性校验
+ * 按 manifest.json 核对每个文件的 SHA-256 与文件数量；填写批次密码时同时校验清单 MAC。
+ * 全程不解密任何助记词
+ */
+
+let JSZip;
+
+try {
+  JSZip = require('jszip');
+} catch (error) {
+  console.warn('⚠️ JSZip未安装，压缩包校验将不可用');
+}
+
+const STATUS_CHIPS = {
+  ok: { label: '一致', color: 'success' },
+  modified: { label: '已被修改', color: 'error' },
+  missing: { label: '缺失', color: 'error' },
+  extra: { label: '清单外文件', color: 'warning' }
+};
+
+const MAC_MESSAGES = {
+  valid: { severity: 'success', text: '清单 MAC 有效：清单由持有批次密码的人生成，未被改动' },
+  invalid: { severity: 'error', text: '清单 MAC 无效：密码错误，或清单已被改动' },
+  skipped: { severity: 'info', text: '清单带有 MAC，填写批次密码后可校验清单本身是否被改动' },
+  unsigned: { severity: 'warning', text: '清单没有 MAC，只能发现文件损坏，无法防止有人同时改动文件与清单' }
+};
+
+// 只有 MAC 有效时才算确认完整；未校验 MAC 时只能说明文件与清单一致
+const getSummary = (result) => {
+  if (!result.valid) {
+    return result.mac === 'unsigned' && result.entries.every((entry) => entry.status === 'ok')
+      ? { severity: 'error', text: '❌ 清单没有 MAC，无法用批次密码确认真实性（MAC 可能已被剥离）' }
+      : { severity: 'error', text: '❌ 压缩包与清单不一致' };
+  }
+  if (result.mac === 'valid') {
+    return { severity: 'success', text: '✅ 压缩包完整' };
+  }
+  return { severity: 'warning', text: '⚠️ 文件与清单一致，但未校验清单真实性' };
+};
+
+const ArchiveVerifyDialog = ({ open, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [password, setPassword] = useState('');
+  const [result, setResult] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = (event) => {
+    const selected = event.target.files?.[0];
+    if (!selected) return;
+    setFile(selected);
+    setResult(null);
+    setError('');
+  };
+
+  const handleVerify = async () => {
+    if (!file) {
+      setError('请选择压缩包');
+      return;
+    }
+    if (!JSZip) {
+      setError('压缩包功能不可用');
+      return;
+    }
+
+    setVerifying(true);
+    setError('');
+    try {
+      const zip = await JSZip.loadAsync(await file.arrayBuffer());
+      setResult(await verifyArchive(zip, password));
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleClose = () => {
+    setPassword('');
+    setResult(null);
+    setError('');
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" justifyContent="space-between">
+          <Box display="flex" alignItems="center">
+            <FactCheck sx={{ mr: 1, color: 'primary.main' }} />
+            <Typography variant="h6">校验压缩包</Typography>
+          </Box>
+          <IconButton onClick={handleClose} size="small">
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="textSecondary" paragraph>
+          按压缩包内的 manifest.json 核对每个文件的 SHA-256、文件数量与地址列表，不会解密任何助记词
+        </Typography>
+
+        <Box sx={{ mb: 2 }}>
+          <input
+            id="archive-verify-upload"
+            type="file"
+            accept=".zip"
+            style={{ display: 'none' }}
+            onChange={handleFileChange}
+          />
+          <label htmlFor="archive-verify-upload">
+            <Button variant="outlined" component="span">
+              选择压缩包
+            </Button>
+          </label>
+          {file && (
+            <Typography variant="body2" component="span" sx={{ ml: 2 }}>
+              {file.name}
+            </Typography>
+          )}
+        </Box>
+
+        <TextField
+          fullWidth
+          label="批次密码（可选，用于校验清单 MAC）"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={verifying}
+          helperText="独立密码模式下填写主密码"
+          sx={{ mb: 2 }}
+        />
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {result && (
+          <Box>
+            <Alert severity={getSummary(result).severity} sx={{ mb: 1 }}>
+              {getSummary(result).text}
+              {` · 清单记录 ${result.count.expected} 个文件，实际找到 ${result.count.actual} 个`}
+              {` · 地址 ${result.manifest.addresses.length} 个`}
+            </Alert>
+            <Alert severity={MAC_MESSAGES[result.mac].severity} sx={{ mb: 2 }}>
+              {MAC_MESSAGES[result.mac].text}
+            </Alert>
+
+            <TableContainer sx={{ maxHeight: 300, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+              <Table stickyHeader size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>文件</TableCell>
+                    <TableCell>状态</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.entries.map((entry) => (
+                    <TableRow key={entry.name}>
+                      <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>{entry.name}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={STATUS_CHIPS[entry.status].label}
+                          color={STATUS_CHIPS[entry.status].color}
+                          size="small"
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            {result.manifest.addresses.length > 0 && (
+              <TextField
+                fullWidth
+                multiline
+                rows={4}
+                label="清单中的地址"
+                value={result.manifest.addresses.join('\n')}
+                InputProps={{ readOnly: true }}
+                sx={{ mt: 2 }}
+              />
+            )}
+          </Box>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={handleClose}>关闭</Button>
+        <Button variant="contained" onClick={handleVerify} disabled={verifying || !file}>
+          {verifying ? '校验中...' : '开始校验'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ArchiveVerifyDialog;
@@ -13,11 +13,19 @@ import {
   TableContainer,
   TableHead,
   TableRow,
-  Chip
+  Chip,
+  Checkbox
 } from '@mui/material';
-import { Search, Refresh } from '@mui/icons-material';
+import { Search, Refresh, AccountTree } from '@mui/icons-material';
 import { ethers } from 'ethers';
-import { isValidEthereumAddress, formatAddress } from '../utils/evmUtils';
+import {
+  ETH_PATH_TEMPLATE,
+  deriveAddressRange,
+  isValidEthereumAddress,
+  formatAddress
+} from '../utils/evmUtils';
+import { createProvider } from '../utils/providerUtils';
+import AddressBookImport from './AddressBookImport';
 
 const BASE_MAINNET_RPC = 'https://mainnet.base.org';
 const DEFAULT_RPC_URL =
@@ -31,13 +39,6 @@ const DEFAULT_ABAU_USDC_ADDRESS =
   process.env.REACT_APP_BASE_ABAU_USDC_ADDRESS ||
   '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB';
 
-const createProvider = (rpcUrl) => {
-  const request = new ethers.FetchRequest(rpcUrl);
-  request.setHeader('Content-Type', 'application/json');
-  request.setHeader('Accept', 'application/json');
-  return new ethers.JsonRpcProvider(request, undefined, { batchMaxCount: 1 });
-};
-
 const TOKEN_DEFS = [
   {
     key: 'usdc',
@@ -148,6 +149,69 @@ const BalanceBatchQuery = () => {
   const [statusMessage, setStatusMessage] = useState('');
   const [error, setError] = useState('');
 
+  const [mnemonic, setMnemonic] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [pathTemplate, setPathTemplate] = useState(ETH_PATH_TEMPLATE);
+  const [accountStart, setAccountStart] = useState(0);
+  const [accountCount, setAccountCount] = useState(1);
+  const [indexStart, setIndexStart] = useState(0);
+  const [indexCount, setIndexCount] = useState(10);
+  const [derivedRows, setDerivedRows] = useState([]);
+  const [selectedPaths, setSelectedPaths] = useState([]);
+
+  const [addressBook, setAddressBook] = useState(null);
+  const [selectedTags, setSelectedTags] = useState([]);
+
+  // Address book entries in scope: all of them, or those carrying any selected tag.
+  const bookEntries = addressBook
+    ? addressBook.entries.filter(
+        (entry) => selectedTags.length === 0 || entry.tags.some((tag) => selectedTags.includes(tag))
+      )
+    : [];
+
+  const handleBookImport = (book) => {
+    setAddressBook(book);
+    setSelectedTags([]);
+  };
+
+  const toggleTag = (tag) => {
+    setSelectedTags((current) =>
+      current.includes(tag) ? current.filter((item) => item !== tag) : [...current, tag]
+    );
+  };
+
+  const handleDerive = () => {
+    setError('');
+    try {
+      const normalized = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+      // Only keep public data; private keys are not needed for balance queries.
+      const rows = deriveAddressRange(normalized, {
+        template: pathTemplate,
+        accountStart,
+        accountCount,
+        indexStart,
+        indexCount,
+        passphrase
+      }).map(({ account, index, path, address }) => ({ account, index, path, address }));
+      setDerivedRows(rows);
+      setSelectedPaths(rows.map((row) => row.path));
+    } catch (deriveError) {
+      setDerivedRows([]);
+      setSelectedPaths([]);
+      setError(deriveError.message);
+    }
+  };
+
+  const toggleDerived = (path) => {
+    setSelectedPaths((current) =>
+      current.includes(path) ? current.filter((item) => item !== path) : [...current, path]
+    );
+  };
+
+  const toggleAllDerived = (checked) => {
+    setSelectedPaths(checked ? derivedRows.map((row) => row.path) : []);
+  };
+
   const handleQuery = async () => {
     const rpc = rpcUrl.trim();
     if (!rpc) {
@@ -155,14 +219,27 @@ const BalanceBatchQuery = () => {
       return;
     }
 
-    const { addresses, invalidLines: invalid } = extractAddresses(addressText);
+    const { addresses: pastedAddresses, invalidLines: invalid } = extractAddresses(addressText);
+    const targets = derivedRows
+      .filter((row) => selectedPaths.includes(row.path))
+      .map(({ address, path }) => ({ address, path, label: '' }));
+    bookEntries.forEach(({ address, derivationPath, label }) => {
+      if (!targets.some((target) => target.address === address)) {
+        targets.push({ address, path: derivationPath, label });
+      }
+    });
+    pastedAddresses.forEach((address) => {
+      if (!targets.some((target) => target.address === address)) {
+        targets.push({ address, path: '', label: '' });
+      }
+    });
     setInvalidLines(invalid);
     setError('');
     setResults([]);
     setProgress(0);
     setStatusMessage('');
 
-    if (addresses.length === 0) {
+    if (targets.length === 0) {
       setError('No valid addresses found.');
       return;
     }
@@ -184,11 +261,11 @@ const BalanceBatchQuery = () => {
       const tokens = await loadTokenMetadata(provider);
       setTokenMeta(tokens);
 
-      setStatusMessage(`Querying ${addresses.length} addresses...`);
+      setStatusMessage(`Querying ${targets.length} addresses...`);
       const rows = [];
 
-      for (let i = 0; i < addresses.length; i += 1) {
-        const address = addresses[i];
+      for (let i = 0; i < targets.length; i += 1) {
+        const { address, path, label } = targets[i];
         const balances = {};
 
         const balanceValues = await Promise.all(
@@ -205,8 +282,8 @@ const BalanceBatchQuery = () => {
           balances[entry.key] = entry.value;
         });
 
-        rows.push({ address, balances });
-        setProgress(((i + 1) / addresses.length) * 100);
+        rows.push({ address, path, label, balances });
+        setProgress(((i + 1) / targets.length) * 100);
       }
 
       setResults(rows);
@@ -275,6 +352,149 @@ const BalanceBatchQuery = () => {
           onChange={(event) => setAddressText(event.target.value)}
           helperText="Optional: prefill with REACT_APP_BATCH_QUERY_ADDRESSES."
         />
+
+        <Box sx={{ mt: 2 }}>
+          <AddressBookImport
+            onImport={handleBookImport}
+            imported={addressBook}
+            disabled={loading}
+            label="Import Address Book"
+          />
+          {addressBook && (
+            <Box sx={{ mt: 1 }}>
+              <Typography variant="body2">
+                Loaded {addressBook.name}: {bookEntries.length} of {addressBook.entries.length} addresses included.
+                <Button size="small" onClick={() => handleBookImport(null)} disabled={loading} sx={{ ml: 1 }}>
+                  Remove
+                </Button>
+              </Typography>
+              {addressBook.tags.length > 0 && (
+                <Box sx={{ mt: 1 }}>
+                  <Typography variant="caption" color="textSecondary" sx={{ mr: 1 }}>
+                    Filter by tag:
+                  </Typography>
+                  {addressBook.tags.map((tag) => (
+                    <Chip
+                      key={tag}
+                      label={tag}
+                      size="small"
+                      color={selectedTags.includes(tag) ? 'primary' : 'default'}
+                      onClick={() => toggleTag(tag)}
+                      sx={{ mr: 0.5 }}
+                    />
+                  ))}
+                </Box>
+              )}
+            </Box>
+          )}
+        </Box>
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          Derive from mnemonic (optional)
+        </Typography>
+        <TextField
+          fullWidth
+          type="password"
+          label="Mnemonic"
+          value={mnemonic}
+          onChange={(event) => setMnemonic(event.target.value)}
+          helperText="Used only to derive addresses locally; it is not stored or sent anywhere."
+          sx={{ mb: 2 }}
+        />
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 2, mb: 2 }}>
+          <TextField
+            type="password"
+            label="BIP39 passphrase"
+            value={passphrase}
+            onChange={(event) => setPassphrase(event.target.value)}
+          />
+          <TextField
+            label="Path template"
+            value={pathTemplate}
+            onChange={(event) => setPathTemplate(event.target.value)}
+          />
+        </Box>
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: 2, mb: 2 }}>
+          <TextField
+            label="First account"
+            type="number"
+            value={accountStart}
+            onChange={(event) => setAccountStart(Math.max(0, parseInt(event.target.value, 10) || 0))}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+          <TextField
+            label="Accounts"
+            type="number"
+            value={accountCount}
+            onChange={(event) => setAccountCount(Math.max(1, parseInt(event.target.value, 10) || 1))}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+          <TextField
+            label="First index"
+            type="number"
+            value={indexStart}
+            onChange={(event) => setIndexStart(Math.max(0, parseInt(event.target.value, 10) || 0))}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+          <TextField
+            label="Indexes per account"
+            type="number"
+            value={indexCount}
+            onChange={(event) => setIndexCount(Math.max(1, parseInt(event.target.value, 10) || 1))}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Box>
+        <Button
+          variant="outlined"
+          startIcon={<AccountTree />}
+          onClick={handleDerive}
+          disabled={loading || !mnemonic.trim()}
+        >
+          Derive Addresses
+        </Button>
+
+        {derivedRows.length > 0 && (
+          <TableContainer sx={{ mt: 2, maxHeight: 300, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+            <Table stickyHeader size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={selectedPaths.length === derivedRows.length}
+                      indeterminate={selectedPaths.length > 0 && selectedPaths.length < derivedRows.length}
+                      onChange={(event) => toggleAllDerived(event.target.checked)}
+                    />
+                  </TableCell>
+                  <TableCell>Path</TableCell>
+                  <TableCell>Address</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {derivedRows.map((row) => (
+                  <TableRow key={row.path} hover>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={selectedPaths.includes(row.path)}
+                        onChange={() => toggleDerived(row.path)}
+                      />
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>{row.path}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }} title={row.address}>
+                      {formatAddress(row.address, 6, 4)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+        {derivedRows.length > 0 && (
+          <Typography variant="caption" color="textSecondary">
+            {selectedPaths.length} of {derivedRows.length} derived addresses selected for the query.
+          </Typography>
+        )}
       </Box>
 
       <Box display="flex" gap={2} sx={{ mb: 2 }}>
@@ -332,6 +552,8 @@ const BalanceBatchQuery = () => {
               <TableHead>
                 <TableRow>
                   <TableCell>#</TableCell>
+                  <TableCell>Label</TableCell>
+                  <TableCell>Path</TableCell>
                   <TableCell>Address</TableCell>
                   {headerTokens.map((token) => (
                     <TableCell key={token.key}>{token.symbol || token.label}</TableCell>
@@ -342,6 +564,10 @@ const BalanceBatchQuery = () => {
                 {results.map((row, index) => (
                   <TableRow key={row.address} hover>
                     <TableCell>{index + 1}</TableCell>
+                    <TableCell>{row.label || '-'}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                      {row.path || '-'}
+                    </TableCell>
                     <TableCell
                       sx={{ fontFamily: 'monospace', fontSize: '12px' }}
                       title={row.address}
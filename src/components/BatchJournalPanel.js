@@ -0,0 +1,155 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Alert,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { PlayArrow, Delete, Download } from '@mui/icons-material';
+import { fileExporter } from '../utils/fileExportUtils';
+import { PLAN_KIND_LABELS } from '../utils/txPlanUtils';
+import {
+  JOURNAL_ROW_STATUS,
+  JOURNAL_ROW_STATUS_LABELS,
+  JOURNAL_STATUS,
+  getJournalLease,
+  summarizeJournal
+} from '../utils/batchJournalUtils';
+
+const NO_JOURNALS = [];
+
+const COUNT_COLORS = {
+  [JOURNAL_ROW_STATUS.CONFIRMED]: 'success',
+  [JOURNAL_ROW_STATUS.SUBMITTED]: 'info',
+  [JOURNAL_ROW_STATUS.SIGNED]: 'warning',
+  [JOURNAL_ROW_STATUS.PENDING]: 'default',
+  [JOURNAL_ROW_STATUS.FAILED]: 'error',
+  [JOURNAL_ROW_STATUS.UNKNOWN]: 'error',
+  [JOURNAL_ROW_STATUS.SKIPPED]: 'default'
+};
+
+/**
+ * 未完成的批量任务
+ * 列出中断（页面关闭、RPC 中断）或有失败行的任务日志，可核对链上状态后继续、导出或删除
+ */
+const BatchJournalPanel = ({
+  journals = NO_JOURNALS,
+  onResume = () => {},
+  onDiscard = () => {},
+  disabled = false
+}) => {
+  if (journals.length === 0) return null;
+
+  const handleExport = async (journal) => {
+    try {
+      await fileExporter.exportTxJournal(journal, `${journal.id}.json`);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDiscard = (journal) => {
+    if (window.confirm(`删除任务 ${journal.id} 的日志？删除后无法再核对或继续该任务`)) {
+      onDiscard(journal);
+    }
+  };
+
+  return (
+    <Box sx={{ mb: 4 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        未完成的批量任务
+      </Typography>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        继续前会按日志中的交易哈希核对链上状态：已上链或仍在交易池中的行不会重复发送。
+        发送与分发任务需填写同一资金账户，回收与归集任务需先解密包含对应地址的文件
+      </Alert>
+      <TableContainer sx={{ border: '1px solid #e0e0e0', borderRadius: 1 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>任务</TableCell>
+              <TableCell>类型</TableCell>
+              <TableCell>开始时间</TableCell>
+              <TableCell>进度</TableCell>
+              <TableCell align="right">操作</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {journals.map((journal) => {
+              const counts = summarizeJournal(journal);
+              // 其他标签页持有租约的任务正在执行，不能继续或删除
+              const lease = getJournalLease(journal.id);
+              const runningElsewhere = Boolean(lease && !lease.own);
+              return (
+                <TableRow key={journal.id} hover>
+                  <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                    {journal.id}
+                    {runningElsewhere && <Chip size="small" color="info" label="其他页面执行中" sx={{ ml: 1 }} />}
+                    {!runningElsewhere && journal.status === JOURNAL_STATUS.RUNNING && (
+                      <Chip size="small" color="warning" label="已中断" sx={{ ml: 1 }} />
+                    )}
+                    {journal.backend && <Chip size="small" label="后端" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{PLAN_KIND_LABELS[journal.kind]}</TableCell>
+                  <TableCell>{new Date(journal.createdAt).toLocaleString('zh-CN')}</TableCell>
+                  <TableCell>
+                    <Box display="flex" flexWrap="wrap" gap={0.5}>
+                      {Object.keys(counts).map((status) => (
+                        <Chip
+                          key={status}
+                          size="small"
+                          variant="outlined"
+                          color={COUNT_COLORS[status]}
+                          label={`${JOURNAL_ROW_STATUS_LABELS[status]} ${counts[status]}`}
+                        />
+                      ))}
+                      {journal.approval && (
+                        <Chip
+                          size="small"
+                          variant="outlined"
+                          color={COUNT_COLORS[journal.approval.status]}
+                          label={`授权 ${JOURNAL_ROW_STATUS_LABELS[journal.approval.status]}`}
+                        />
+                      )}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Button
+                      size="small"
+                      startIcon={<PlayArrow />}
+                      onClick={() => onResume(journal)}
+                      disabled={disabled || runningElsewhere}
+                    >
+                      核对并继续
+                    </Button>
+                    <Button size="small" startIcon={<Download />} onClick={() => handleExport(journal)}>
+                      导出
+                    </Button>
+                    <Button
+                      size="small"
+                      color="error"
+                      startIcon={<Delete />}
+                      onClick={() => handleDiscard(journal)}
+                      disabled={disabled || runningElsewhere}
+                    >
+                      删除
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default BatchJournalPanel;
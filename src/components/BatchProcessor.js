@@ -33,22 +33,54 @@ import {
   Preview,
   Delete,
   Archive,
-  QrCode
+  QrCode,
+  VpnKey,
+  CallSplit,
+  FactCheck,
+  Contacts,
+  Print
 } from '@mui/icons-material';
-import { generateMnemonic, encryptMnemonic } from '../utils/cryptoUtilsGUI';
-import { generateEthereumAddress, formatAddress } from '../utils/evmUtils';
+import { generateMnemonic, encryptMnemonic, CRYPTO_CONSTANTS } from '../utils/cryptoUtilsGUI';
+import { KDFS, getCipherLabel, getKdfLabel } from '../utils/cryptoEnvelope';
+import { getDefaultKdfParams, formatKdfParams } from '../utils/kdfUtils';
+import { DEFAULT_ETH_PATH, generateEthereumAddress, formatAddress } from '../utils/evmUtils';
 import { fileExporter } from '../utils/fileExportUtils';
+import { createBatchId } from '../utils/addressBookUtils';
+import {
+  ITEM_PASSWORD_MODES,
+  generateItemPassword,
+  generateItemSalt,
+  deriveItemPassword,
+  sealPasswordManifest
+} from '../utils/passwordUtils';
 import OfflineQRGenerator from './OfflineQRGenerator';
+import KdfSelector from './KdfSelector';
+import PasswordManifestDialog from './PasswordManifestDialog';
+import ArchiveVerifyDialog from './ArchiveVerifyDialog';
+import AddressBookExportDialog from './AddressBookExportDialog';
+import PaperWalletDialog from './PaperWalletDialog';
+import ShamirDialog from './ShamirDialog';
+import PassphraseInput from './PassphraseInput';
+import DerivationPathSelector from './DerivationPathSelector';
+import MnemonicLanguageSelect from './MnemonicLanguageSelect';
+import { DEFAULT_MNEMONIC_LANGUAGE } from '../utils/wordlistUtils';
 
 const BatchProcessor = ({ onBatchComplete }) => {
   const [batchSize, setBatchSize] = useState(10);
   const [wordCount, setWordCount] = useState('12');
+  const [language, setLanguage] = useState(DEFAULT_MNEMONIC_LANGUAGE);
   const [encryptionMode, setEncryptionMode] = useState('unified'); // unified | individual
+  const [itemPasswordMode, setItemPasswordMode] = useState(ITEM_PASSWORD_MODES.RANDOM); // random | hkdf
   const [saveMode, setSaveMode] = useState('single'); // single | multiple | archive
   const [saveFormat, setSaveFormat] = useState('json'); // json | csv | txt
   const [filePrefix, setFilePrefix] = useState('mnemonic_batch_');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [derivationPath, setDerivationPath] = useState(DEFAULT_ETH_PATH);
+  const [kdf, setKdf] = useState(KDFS.ARGON2ID);
+  const [kdfParams, setKdfParams] = useState(getDefaultKdfParams(KDFS.ARGON2ID));
   
   const [processing, setProcessing] = useState(false);
   const processingRef = useRef(false);
@@ -62,6 +94,12 @@ const BatchProcessor = ({ onBatchComplete }) => {
   const [qrData, setQrData] = useState('');
   const [addressQrOpen, setAddressQrOpen] = useState(false);
   const [addressQrData, setAddressQrData] = useState('');
+  const [passwordManifest, setPasswordManifest] = useState(null);
+  const [manifestDialogOpen, setManifestDialogOpen] = useState(false);
+  const [verifyDialogOpen, setVerifyDialogOpen] = useState(false);
+  const [addressBookOpen, setAddressBookOpen] = useState(false);
+  const [paperWalletOpen, setPaperWalletOpen] = useState(false);
+  const [shamirMnemonic, setShamirMnemonic] = useState('');
   
   const workerRef = useRef(null);
   const pausedRef = useRef(false);
@@ -84,6 +122,7 @@ const BatchProcessor = ({ onBatchComplete }) => {
       if (batchSize < 1 || batchSize > 1000) throw new Error('批量数量必须在 1-1000 之间');
       if (!password) throw new Error('请输入加密密码');
       if (password !== confirmPassword) throw new Error('两次输入的密码不一致');
+      if (passphrase !== confirmPassphrase) throw new Error('两次输入的 BIP39 密码短语不一致');
     } catch (e) {
       // 将错误以可见的方式展示，而不是静默失败
       console.error('输入校验失败:', e.message);
@@ -96,6 +135,7 @@ const BatchProcessor = ({ onBatchComplete }) => {
     setPaused(false);
     setProgress(0);
     setResults([]);
+    setPasswordManifest(null);
     setStartTime(Date.now());
     pausedRef.current = false;
 
@@ -107,9 +147,24 @@ const BatchProcessor = ({ onBatchComplete }) => {
       console.log('✅ processBatch 完成，返回结果:', batchResults);
       console.log('📊 结果数量:', batchResults ? batchResults.length : 0);
       
+      // 独立密码模式：生成用主密码加密的密码清单
+      let manifest = null;
+      if (encryptionMode === 'individual' && batchResults.length > 0) {
+        setCurrentStep('正在生成密码清单...');
+        manifest = await sealPasswordManifest(batchResults, password, {
+          mode: itemPasswordMode,
+          kdf,
+          kdfParams
+        });
+        setPasswordManifest(manifest);
+      }
+
       // 自动导出：使用本轮批量结果，避免异步state未及时更新
       console.log('🔄 开始调用 handleExportBatch...');
       await handleExportBatch(batchResults);
+      if (manifest) {
+        await handleExportManifest(manifest);
+      }
     } catch (error) {
       console.error('❌ 批量处理失败:', error);
       alert('批量处理失败：' + error.message);
@@ -127,6 +182,7 @@ const BatchProcessor = ({ onBatchComplete }) => {
     const totalSteps = batchSize * 2; // 生成 + 加密
     let completedSteps = 0;
     const startTime = Date.now(); // 记录开始时间
+    const batchId = createBatchId(); // 地址簿据此关联来源批次
     
     console.log('📊 批量参数:', { batchSize, wordCount, totalSteps });
     console.log('🔍 循环前状态检查:', { 
@@ -150,7 +206,7 @@ const BatchProcessor = ({ onBatchComplete }) => {
         // 生成助记词
         setCurrentStep(`正在生成第 ${i + 1} 个助记词...`);
         console.log(`🔄 开始生成第 ${i + 1} 个助记词`);
-        const mnemonic = await generateMnemonic(parseInt(wordCount));
+        const mnemonic = await generateMnemonic(parseInt(wordCount), language);
         console.log(`✅ 第 ${i + 1} 个助记词生成成功:`, mnemonic.substring(0, 20) + '...');
         completedSteps++;
         setProgress((completedSteps / totalSteps) * 100);
@@ -158,11 +214,19 @@ const BatchProcessor = ({ onBatchComplete }) => {
         // 加密助记词
         setCurrentStep(`正在加密第 ${i + 1} 个助记词...`);
         console.log(`🔐 开始加密第 ${i + 1} 个助记词`);
-        const currentPassword = encryptionMode === 'unified' 
-          ? password 
-          : `${password}_${i + 1}`; // 简单的独立密码变体
+        // 独立密码：随机生成，或由主密码经 HKDF 与逐项盐值派生
+        let currentPassword = password;
+        let passwordSalt;
+        if (encryptionMode === 'individual') {
+          if (itemPasswordMode === ITEM_PASSWORD_MODES.HKDF) {
+            passwordSalt = generateItemSalt();
+            currentPassword = await deriveItemPassword(password, passwordSalt);
+          } else {
+            currentPassword = generateItemPassword();
+          }
+        }
           
-        const encrypted = await encryptMnemonic(mnemonic, currentPassword);
+        const encrypted = await encryptMnemonic(mnemonic, currentPassword, { kdf, kdfParams });
         console.log(`✅ 第 ${i + 1} 个助记词加密成功:`, encrypted.substring(0, 20) + '...');
         completedSteps++;
 
@@ -170,7 +234,7 @@ const BatchProcessor = ({ onBatchComplete }) => {
         let addressInfo = null;
         try {
           setCurrentStep(`正在生成第 ${i + 1} 个地址...`);
-          addressInfo = generateEthereumAddress(mnemonic);
+          addressInfo = generateEthereumAddress(mnemonic, derivationPath, passphrase);
           console.log(`✅ 第 ${i + 1} 个地址生成成功:`, addressInfo.address);
         } catch (addressError) {
           console.warn(`第 ${i + 1} 个地址生成失败:`, addressError);
@@ -178,16 +242,23 @@ const BatchProcessor = ({ onBatchComplete }) => {
 
         const result = {
           id: i + 1,
+          batchId,
           mnemonic: mnemonic,
           encryptedData: encrypted,
           wordCount: parseInt(wordCount),
-          password: encryptionMode === 'individual' ? currentPassword : password,
+          language,
+          password: currentPassword,
+          passwordMode: encryptionMode === 'individual' ? itemPasswordMode : 'unified',
+          passwordSalt,
           createdAt: new Date().toISOString(),
-          algorithm: 'AES-256-CTR',
-          keyDerivation: 'PBKDF2-SHA256',
-          iterations: 10000,
+          algorithm: getCipherLabel(CRYPTO_CONSTANTS.ALGORITHM),
+          keyDerivation: getKdfLabel(kdf),
+          kdf,
+          kdfParams,
           address: addressInfo?.address,
-          privateKey: addressInfo?.privateKey
+          privateKey: addressInfo?.privateKey,
+          hasPassphrase: Boolean(passphrase),
+          derivationPath
         };
         
         batchResults.push(result);
@@ -284,7 +355,17 @@ const BatchProcessor = ({ onBatchComplete }) => {
           result = await fileExporter.exportBatchMultiple(data, saveFormat, filePrefix);
           break;
         case 'archive':
-          result = await fileExporter.exportBatchArchive(data, saveFormat, null, filePrefix);
+          result = await fileExporter.exportBatchArchive(data, saveFormat, null, filePrefix, {
+            manifestPassword: password
+          });
+          break;
+        case 'sealed':
+          result = await fileExporter.exportBatchSealed(data, saveFormat, password, { kdf, kdfParams });
+          if (data.some((r) => r.address)) {
+            // 只读地址簿单独保存，供余额查询等工具使用
+            await new Promise(resolve => setTimeout(resolve, 300));
+            await fileExporter.exportAddressBook(data, 'csv');
+          }
           break;
         default:
           throw new Error(`不支持的保存模式: ${saveMode}`);
@@ -294,7 +375,7 @@ const BatchProcessor = ({ onBatchComplete }) => {
         const message = saveMode === 'multiple' 
           ? `批量导出成功！\n保存了 ${result.count} 个文件`
           : `批量导出成功！\n文件: ${result.filename}\n包含 ${result.count} 个加密助记词`;
-        alert(message);
+        alert(saveMode === 'sealed' && data.some((r) => r.address) ? `${message}\n只读地址簿已单独保存` : message);
         return;
       }
       // 未返回成功时，走兜底 JSON 单文件下载
@@ -302,13 +383,14 @@ const BatchProcessor = ({ onBatchComplete }) => {
         batchInfo: {
           createdTime: new Date().toISOString(),
           totalCount: data.length,
-          encryptionParams: 'AES-256-GCM/PBKDF2-SHA256/10000'
+          encryptionParams: `AES-256-GCM/${formatKdfParams(kdf, kdfParams)}`
         },
         mnemonics: data.map((r, i) => ({
           id: r.id ?? i + 1,
           encryptedData: r.encryptedData,
           createdTime: r.createdAt,
           wordCount: r.wordCount,
+          language: r.language,
           algorithm: r.algorithm || 'AES-256-GCM'
         }))
       }, null, 2);
@@ -322,9 +404,26 @@ const BatchProcessor = ({ onBatchComplete }) => {
     }
   };
 
+  const handleExportManifest = async (manifestOverride) => {
+    const manifest = manifestOverride?.encryptedData ? manifestOverride : passwordManifest;
+    if (!manifest) {
+      alert('没有可导出的密码清单');
+      return;
+    }
+
+    try {
+      const result = await fileExporter.exportPasswordManifest(manifest);
+      alert(`密码清单导出成功！\n文件: ${result.filename}\n请与加密数据分开保存`);
+    } catch (error) {
+      console.error('密码清单导出失败:', error);
+      alert('密码清单导出失败：' + error.message);
+    }
+  };
+
   const clearResults = () => {
     if (window.confirm('确定要清空所有结果吗？')) {
       setResults([]);
+      setPasswordManifest(null);
       setProgress(0);
       setCurrentStep('');
     }
@@ -362,6 +461,8 @@ const BatchProcessor = ({ onBatchComplete }) => {
               <MenuItem value="24">24 词</MenuItem>
             </Select>
           </FormControl>
+
+          <MnemonicLanguageSelect value={language} onChange={setLanguage} disabled={processing} />
           
           <TextField
             label="文件前缀"
@@ -392,6 +493,28 @@ const BatchProcessor = ({ onBatchComplete }) => {
             </RadioGroup>
           </FormControl>
 
+          {encryptionMode === 'individual' && (
+            <FormControl component="fieldset" sx={{ mb: 2, ml: { sm: 4 } }}>
+              <FormLabel component="legend">独立密码来源</FormLabel>
+              <RadioGroup
+                row
+                value={itemPasswordMode}
+                onChange={(e) => setItemPasswordMode(e.target.value)}
+              >
+                <FormControlLabel
+                  value={ITEM_PASSWORD_MODES.RANDOM}
+                  control={<Radio />}
+                  label="随机生成"
+                />
+                <FormControlLabel
+                  value={ITEM_PASSWORD_MODES.HKDF}
+                  control={<Radio />}
+                  label="主密码 HKDF 派生"
+                />
+              </RadioGroup>
+            </FormControl>
+          )}
+
           <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 2 }}>
             <FormControl>
               <InputLabel>保存模式</InputLabel>
@@ -399,6 +522,7 @@ const BatchProcessor = ({ onBatchComplete }) => {
                 <MenuItem value="single">单文件模式</MenuItem>
                 <MenuItem value="multiple">多文件模式</MenuItem>
                 <MenuItem value="archive">压缩包模式</MenuItem>
+                <MenuItem value="sealed">整体加密模式</MenuItem>
               </Select>
             </FormControl>
             
@@ -416,12 +540,18 @@ const BatchProcessor = ({ onBatchComplete }) => {
         <Box sx={{ mb: 3 }}>
           <TextField
             fullWidth
-            label="加密密码"
+            label={encryptionMode === 'individual' ? '主密码' : '加密密码'}
             type="password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
             margin="normal"
-            helperText={encryptionMode === 'individual' ? '将用作密码基础，每个助记词会有独立变体' : '所有助记词使用相同密码'}
+            helperText={
+              encryptionMode === 'unified'
+                ? '所有助记词使用相同密码'
+                : itemPasswordMode === ITEM_PASSWORD_MODES.HKDF
+                  ? '用于派生每个助记词的独立密码，并加密密码清单'
+                  : '仅用于加密密码清单，每个助记词使用随机生成的独立密码'
+            }
           />
           
           <TextField
@@ -435,6 +565,46 @@ const BatchProcessor = ({ onBatchComplete }) => {
             helperText={confirmPassword && password !== confirmPassword ? '密码不一致' : ''}
           />
         </Box>
+
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: 2, mb: 3 }}>
+          <PassphraseInput
+            value={passphrase}
+            onChange={setPassphrase}
+            disabled={processing}
+            helperText="所有助记词共用；短语不会被保存或导出，导出文件只记录是否使用"
+          />
+          <TextField
+            fullWidth
+            label="确认密码短语"
+            type="password"
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+            disabled={processing}
+            error={passphrase !== confirmPassphrase}
+            helperText={passphrase !== confirmPassphrase ? '密码短语不一致' : ''}
+          />
+        </Box>
+
+        <Box sx={{ mb: 3 }}>
+          <DerivationPathSelector
+            label="地址派生路径"
+            value={derivationPath}
+            onChange={setDerivationPath}
+            disabled={processing}
+          />
+        </Box>
+
+        <Box sx={{ mb: 3 }}>
+          <KdfSelector
+            kdf={kdf}
+            kdfParams={kdfParams}
+            onChange={(nextKdf, nextParams) => {
+              setKdf(nextKdf);
+              setKdfParams(nextParams);
+            }}
+            disabled={processing}
+          />
+        </Box>
       </Box>
 
       {/* 控制按钮 */}
@@ -469,10 +639,26 @@ const BatchProcessor = ({ onBatchComplete }) => {
           </>
         )}
         
+        <Button
+          variant="outlined"
+          startIcon={<VpnKey />}
+          onClick={() => setManifestDialogOpen(true)}
+        >
+          打开密码清单
+        </Button>
+
+        <Button
+          variant="outlined"
+          startIcon={<FactCheck />}
+          onClick={() => setVerifyDialogOpen(true)}
+        >
+          校验压缩包
+        </Button>
+
         <Button
           variant="outlined"
           startIcon={<Preview />}
-          onClick={() => console.log('预览设置:', { batchSize, wordCount, encryptionMode, saveMode, saveFormat })}
+          onClick={() => console.log('预览设置:', { batchSize, wordCount, encryptionMode, saveMode, saveFormat, kdf, kdfParams })}
         >
           预览设置
         </Button>
@@ -548,6 +734,11 @@ const BatchProcessor = ({ onBatchComplete }) => {
                               <QrCode fontSize="small" />
                             </IconButton>
                           </Tooltip>
+                          <Tooltip title="分片备份 (M-of-N)">
+                            <IconButton size="small" color="primary" onClick={() => setShamirMnemonic(acc.mnemonic)}>
+                              <CallSplit fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
                           {acc.address && (
                             <Tooltip title="导出地址二维码">
                               <IconButton size="small" color="secondary" onClick={() => handleShowAddressQR(acc.address)}>
@@ -584,6 +775,30 @@ const BatchProcessor = ({ onBatchComplete }) => {
               >
                 批量导出
               </Button>
+              <Button
+                startIcon={<Print />}
+                onClick={() => setPaperWalletOpen(true)}
+                sx={{ mr: 1 }}
+              >
+                打印纸质备份
+              </Button>
+              <Button
+                startIcon={<Contacts />}
+                onClick={() => setAddressBookOpen(true)}
+                disabled={!results.some((r) => r.address)}
+                sx={{ mr: 1 }}
+              >
+                导出地址簿
+              </Button>
+              {passwordManifest && (
+                <Button
+                  startIcon={<VpnKey />}
+                  onClick={() => handleExportManifest()}
+                  sx={{ mr: 1 }}
+                >
+                  导出密码清单
+                </Button>
+              )}
               <Button
                 startIcon={<Delete />}
                 color="error"
@@ -637,13 +852,46 @@ const BatchProcessor = ({ onBatchComplete }) => {
         <Typography variant="subtitle2">批量生成说明:</Typography>
         <Typography variant="body2">
           • 统一密码: 所有助记词使用相同密码加密，便于管理<br/>
-          • 独立密码: 每个助记词使用不同密码，安全性更高<br/>
+          • 独立密码: 每个助记词使用随机或 HKDF 派生的独立密码，另存为用主密码加密的密码清单<br/>
+          • Argon2id / scrypt 每次派生需要数十MB内存，批量较大时耗时更长<br/>
+          • 压缩包内附 manifest.json（逐个文件的 SHA-256 与地址列表，由批次密码签名），可随时校验是否完整<br/>
+          • 整体加密模式: 整份文档连同地址与元数据用批次密码加密，地址另存为不含密文的只读地址簿<br/>
+          • 地址簿: 只含地址、名称、派生路径、批次ID与标签，可直接导入余额查询与 Gas 批量页面<br/>
+          • 纸质备份: 每项一页 A4 / Letter，含加密数据与地址二维码、KDF 参数和逐行校验码，整批一次打印<br/>
           • 生成过程中可以暂停和恢复，确保数据不丢失<br/>
           • 自动生成EVM地址，支持二维码导出<br/>
           • 建议单次处理不超过100个助记词以保证稳定性
         </Typography>
       </Alert>
 
+      <PasswordManifestDialog
+        open={manifestDialogOpen}
+        onClose={() => setManifestDialogOpen(false)}
+      />
+
+      <ArchiveVerifyDialog
+        open={verifyDialogOpen}
+        onClose={() => setVerifyDialogOpen(false)}
+      />
+
+      <AddressBookExportDialog
+        open={addressBookOpen}
+        onClose={() => setAddressBookOpen(false)}
+        results={results}
+      />
+
+      <PaperWalletDialog
+        open={paperWalletOpen}
+        onClose={() => setPaperWalletOpen(false)}
+        results={results}
+      />
+
+      <ShamirDialog
+        open={Boolean(shamirMnemonic)}
+        onClose={() => setShamirMnemonic('')}
+        mnemonic={shamirMnemonic}
+      />
+
       {/* 离线二维码生成器 */}
       <OfflineQRGenerator
         open={qrOpen}
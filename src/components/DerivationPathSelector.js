@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  DERIVATION_PRESETS,
+  detectDerivationPreset,
+  getPresetPath
+} from '../utils/evmUtils';
+
+/**
+ * 派生路径选择器
+ * 选择预设并填写序号 x，或切换到自定义输入完整路径；对外只输出最终路径
+ */
+
+const DerivationPathSelector = ({ value, onChange, disabled = false, label = '派生路径' }) => {
+  const [initial] = useState(() => detectDerivationPreset(value));
+  const [presetId, setPresetId] = useState(initial.presetId);
+  const [x, setX] = useState(initial.x);
+  const [customPath, setCustomPath] = useState(value);
+  const [error, setError] = useState('');
+
+  const preset = DERIVATION_PRESETS[presetId];
+
+  const emit = (nextPresetId, nextX, nextCustomPath) => {
+    try {
+      onChange(getPresetPath(nextPresetId, nextX, nextCustomPath));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePresetChange = (event) => {
+    const nextPresetId = event.target.value;
+    setPresetId(nextPresetId);
+    emit(nextPresetId, x, customPath);
+  };
+
+  const handleXChange = (event) => {
+    const nextX = Math.max(0, parseInt(event.target.value, 10) || 0);
+    setX(nextX);
+    emit(presetId, nextX, customPath);
+  };
+
+  const handleCustomChange = (event) => {
+    setCustomPath(event.target.value);
+    emit(presetId, x, event.target.value);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 2 }}>
+        <FormControl disabled={disabled}>
+          <InputLabel>{label}</InputLabel>
+          <Select value={presetId} label={label} onChange={handlePresetChange}>
+            {Object.values(DERIVATION_PRESETS).map((option) => (
+              <MenuItem key={option.id} value={option.id}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {presetId === 'custom' ? (
+          <TextField
+            label="完整路径"
+            value={customPath}
+            onChange={handleCustomChange}
+            error={Boolean(error)}
+            helperText={error || "例如 m/44'/60'/0'/0/0"}
+            disabled={disabled}
+          />
+        ) : (
+          <TextField
+            label={preset.iterate === 'account' ? '账户序号 x' : '地址序号 x'}
+            type="number"
+            value={x}
+            onChange={handleXChange}
+            InputProps={{ inputProps: { min: 0 } }}
+            disabled={disabled}
+          />
+        )}
+      </Box>
+      <Typography variant="caption" color="textSecondary" sx={{ display: 'block', mt: 1 }}>
+        {preset.description} · 当前路径: <span style={{ fontFamily: 'monospace' }}>{value}</span>
+      </Typography>
+    </Box>
+  );
+};
+
+export default DerivationPathSelector;
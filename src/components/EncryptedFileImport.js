@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Box, Button, Typography, Alert, TextField } from '@mui/material';
+import { UploadFile, LockOpen } from '@mui/icons-material';
+import { IMPORT_ACCEPT, importEncryptedFile } from '../utils/importUtils';
+
+/**
+ * 加密文件导入按钮
+ * 接受 FileExportUtils 导出的 JSON / CSV / TXT / ZIP，解析后通过 onImport 交给页面；
+ * 整体加密的文件先输入批次密码解密
+ */
+
+let inputCounter = 0;
+
+const EncryptedFileImport = ({
+  onImport = () => {},
+  imported = null,
+  disabled = false,
+  label = '选择加密文件'
+}) => {
+  const [inputId] = useState(() => `encrypted-import-${++inputCounter}`);
+  const [error, setError] = useState('');
+  const [sealedPassword, setSealedPassword] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+
+  const locked = Boolean(imported?.sealed && imported.unlock);
+
+  const handleUnlock = async () => {
+    setUnlocking(true);
+    setError('');
+    try {
+      onImport(await imported.unlock(sealedPassword));
+      setSealedPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      onImport(await importEncryptedFile(file.name, file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Box>
+      <Box className="file-drop-zone" sx={{ mb: 2 }}>
+        <input
+          id={inputId}
+          type="file"
+          accept={IMPORT_ACCEPT}
+          style={{ display: 'none' }}
+          onChange={handleFileChange}
+          disabled={disabled}
+        />
+        <label htmlFor={inputId}>
+          <Button variant="outlined" component="span" startIcon={<UploadFile />} disabled={disabled}>
+            {label}
+          </Button>
+        </label>
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          {locked
+            ? `已载入: ${imported.name} (整体加密，需输入批次密码)`
+            : imported
+              ? `已载入: ${imported.name} (${imported.format.toUpperCase()}${imported.sealed ? ' 整体加密' : ''}, ${imported.items.length} 项)`
+              : '支持导出的单个/批量 JSON、CSV、TXT、批量压缩包 (ZIP) 与整体加密文件'}
+        </Typography>
+      </Box>
+      {locked && (
+        <Box display="flex" alignItems="center" gap={2} sx={{ mb: 2 }}>
+          <TextField
+            label="批次密码"
+            type="password"
+            value={sealedPassword}
+            onChange={(e) => setSealedPassword(e.target.value)}
+            disabled={disabled || unlocking}
+            size="small"
+            sx={{ flex: 1 }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<LockOpen />}
+            onClick={handleUnlock}
+            disabled={disabled || unlocking || !sealedPassword}
+          >
+            {unlocking ? '解密中...' : '解密文件'}
+          </Button>
+        </Box>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {error}
+        </Alert>
+      )}
+      {imported?.warnings.map((warning) => (
+        <Alert key={warning} severity="warning" sx={{ mb: 1 }}>
+          {warning}
+        </Alert>
+      ))}
+    </Box>
+  );
+};
+
+export default EncryptedFileImport;
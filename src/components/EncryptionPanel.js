@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Paper,
   Typography,
@@ -9,7 +9,14 @@ import {
   IconButton,
   Tooltip,
   Chip,
-  Divider
+  Divider,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  LinearProgress
 } from '@mui/material';
 import {
   Lock,
@@ -19,13 +26,25 @@ import {
   Visibility,
   VisibilityOff,
   Security,
-  QrCode
+  QrCode,
+  Print,
+  QrCodeScanner,
+  Input as FillIcon
 } from '@mui/icons-material';
 import { encryptMnemonic, decryptMnemonic } from '../utils/cryptoUtilsGUI';
+import { KDFS, getKdfLabel } from '../utils/cryptoEnvelope';
+import { getDefaultKdfParams, formatKdfParams } from '../utils/kdfUtils';
 import { fileExporter } from '../utils/fileExportUtils';
 import OfflineQRGenerator from './OfflineQRGenerator';
+import PaperWalletDialog from './PaperWalletDialog';
+import QRScannerDialog from './QRScannerDialog';
+import { SCAN_TYPES } from '../utils/qrScanUtils';
+import KdfSelector from './KdfSelector';
+import { detectMnemonicLanguage, expandMnemonic, getLanguageLabel } from '../utils/wordlistUtils';
+import MnemonicInput from './MnemonicInput';
+import EncryptedFileImport from './EncryptedFileImport';
 
-const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mode = "encrypt" }) => {
+const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mode = "encrypt", importedFile = null }) => {
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [decryptPassword, setDecryptPassword] = useState('');
@@ -36,8 +55,26 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
   const [decryptResult, setDecryptResult] = useState('');
   const [qrOpen, setQrOpen] = useState(false);
   const [qrData, setQrData] = useState(null);
+  const [paperResults, setPaperResults] = useState(null);
+  const [scanOpen, setScanOpen] = useState(false);
   const [inputMnemonic, setInputMnemonic] = useState('');
   const [inputEncryptedData, setInputEncryptedData] = useState('');
+  const [kdf, setKdf] = useState(KDFS.ARGON2ID);
+  const [kdfParams, setKdfParams] = useState(getDefaultKdfParams(KDFS.ARGON2ID));
+  const [imported, setImported] = useState(null);
+  const [batchDecryptResults, setBatchDecryptResults] = useState([]);
+  const [batchProgress, setBatchProgress] = useState(0);
+
+  // Electron "导入" 菜单载入的文件
+  useEffect(() => {
+    if (importedFile) {
+      setImported(importedFile);
+      setBatchDecryptResults([]);
+      if (importedFile.items.length === 1) {
+        setInputEncryptedData(importedFile.items[0].encryptedData);
+      }
+    }
+  }, [importedFile]);
 
   // 密码强度检测
   const checkPasswordStrength = (pwd) => {
@@ -98,7 +135,14 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
     const targetMnemonics = [];
     
     if (inputMnemonic.trim()) {
-      const words = inputMnemonic.trim().split(/\s+/);
+      // 前 4 个字母的缩写展开为完整单词
+      const expansion = expandMnemonic(inputMnemonic);
+      if (!expansion.complete) {
+        const unresolved = expansion.words.filter((item) => !item.word).map((item) => item.input);
+        alert(`以下单词无法识别: ${unresolved.join(' ')}`);
+        return;
+      }
+      const words = expansion.mnemonic.split(' ');
       targetMnemonics.push({
         id: Date.now(),
         words: words,
@@ -120,7 +164,7 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
         const mnemonicText = Array.isArray(mnemonic.words) 
           ? mnemonic.words.join(' ') 
           : mnemonic.words;
-        const encrypted = await encryptMnemonic(mnemonicText, password);
+        const encrypted = await encryptMnemonic(mnemonicText, password, { kdf, kdfParams });
         
         results.push({
           id: Date.now() + Math.random(),
@@ -129,8 +173,12 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
           wordCount: mnemonic.wordCount,
           createdAt: new Date().toISOString(),
           algorithm: 'AES-256-GCM',
-          keyDerivation: 'PBKDF2-SHA256',
-          iterations: 10000
+          keyDerivation: getKdfLabel(kdf),
+          kdf,
+          kdfParams,
+          address: mnemonic.address,
+          hasPassphrase: Boolean(mnemonic.hasPassphrase),
+          language: mnemonic.language || detectMnemonicLanguage(mnemonicText)
         });
       }
       
@@ -180,6 +228,40 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
     }
   };
 
+  const handleImport = (result) => {
+    setImported(result);
+    setBatchDecryptResults([]);
+    if (result.items.length === 1) {
+      setInputEncryptedData(result.items[0].encryptedData);
+    }
+  };
+
+  // 用同一密码解密导入文件中的全部条目
+  const handleDecryptAll = async () => {
+    if (!decryptPassword) {
+      alert('请输入解密密码');
+      return;
+    }
+
+    const items = imported.items.filter((item) => item.encryptedData);
+    setDecrypting(true);
+    setBatchProgress(0);
+    const results = [];
+    for (let i = 0; i < items.length; i += 1) {
+      const item = items[i];
+      try {
+        const mnemonic = await decryptMnemonic(item.encryptedData, decryptPassword);
+        results.push({ id: item.id, mnemonic, language: detectMnemonicLanguage(mnemonic), error: '' });
+      } catch (error) {
+        results.push({ id: item.id, mnemonic: '', language: null, error: '密码错误或数据损坏' });
+      }
+      setBatchProgress(Math.round(((i + 1) / items.length) * 100));
+    }
+    setBatchDecryptResults(results);
+    setDecrypting(false);
+    console.log('🔓 批量解密完成:', results.filter((item) => !item.error).length, '/', results.length);
+  };
+
   const handleCopyEncrypted = async (data) => {
     try {
       await navigator.clipboard.writeText(data);
@@ -216,7 +298,7 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
       
       <Typography variant="body2" color="textSecondary" paragraph>
         {isEncryptMode 
-          ? "使用 AES-256-GCM 算法和 PBKDF2 密钥派生对助记词进行加密保护" 
+          ? "使用 AES-256-GCM 算法和 Argon2id / scrypt / PBKDF2 密钥派生对助记词进行加密保护" 
           : "输入加密数据和密码来解密助记词"
         }
       </Typography>
@@ -239,6 +321,57 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
             placeholder="粘贴要解密的加密数据"
             required
           />
+          <Button size="small" startIcon={<QrCodeScanner />} onClick={() => setScanOpen(true)}>
+            扫描二维码
+          </Button>
+
+          <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>
+            或导入加密文件
+          </Typography>
+          <EncryptedFileImport onImport={handleImport} imported={imported} disabled={decrypting} />
+
+          {imported && imported.items.length > 0 && (
+            <TableContainer sx={{ maxHeight: 280, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+              <Table stickyHeader size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>#</TableCell>
+                    <TableCell>词数</TableCell>
+                    <TableCell>语言</TableCell>
+                    <TableCell>派生路径</TableCell>
+                    <TableCell>密码短语</TableCell>
+                    <TableCell>来源</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {imported.items.map((item) => (
+                    <TableRow key={item.id} hover selected={item.encryptedData === inputEncryptedData}>
+                      <TableCell>{item.id}</TableCell>
+                      <TableCell>{item.wordCount || '-'}</TableCell>
+                      <TableCell>{item.language ? getLanguageLabel(item.language) : '-'}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{item.derivationPath || '-'}</TableCell>
+                      <TableCell>{item.passphraseUsed ? '已使用' : '未使用'}</TableCell>
+                      <TableCell>{item.sourceFile || imported.name}</TableCell>
+                      <TableCell>
+                        <Tooltip title="填入上方输入框">
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={() => setInputEncryptedData(item.encryptedData)}
+                              disabled={!item.encryptedData}
+                            >
+                              <FillIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
         </Box>
       )}
 
@@ -255,16 +388,16 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
             </Alert>
           )}
           
-          <TextField
-            fullWidth
+          <MnemonicInput
             label="要加密的助记词（可选）"
-            multiline
-            rows={3}
             value={inputMnemonic}
-            onChange={(e) => setInputMnemonic(e.target.value)}
-            margin="normal"
-            placeholder="输入要加密的助记词，或使用上面生成的助记词"
+            onChange={setInputMnemonic}
+            placeholder="输入要加密的助记词，或使用上面生成的助记词；可只输入每个单词的前 4 个字母"
+            sx={{ mt: 2, mb: 1 }}
           />
+          <Button size="small" startIcon={<QrCodeScanner />} onClick={() => setScanOpen(true)}>
+            扫描助记词二维码
+          </Button>
         </Box>
       )}
         
@@ -303,6 +436,21 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
         )}
       </Box>
 
+      {/* 密钥派生设置 */}
+      {isEncryptMode && (
+        <Box sx={{ mb: 3 }}>
+          <KdfSelector
+            kdf={kdf}
+            kdfParams={kdfParams}
+            onChange={(nextKdf, nextParams) => {
+              setKdf(nextKdf);
+              setKdfParams(nextParams);
+            }}
+            disabled={encrypting}
+          />
+        </Box>
+      )}
+
       {/* 密码强度显示 */}
       {isEncryptMode && password && (
         <Box className="password-strength" sx={{ mb: 2 }}>
@@ -341,6 +489,22 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
             {decrypting ? '解密中...' : '解密助记词'}
           </Button>
         )}
+
+        {isDecryptMode && imported && imported.items.length > 1 && (
+          <Button
+            variant="outlined"
+            startIcon={<LockOpen />}
+            onClick={handleDecryptAll}
+            disabled={decrypting || !decryptPassword}
+            size="large"
+            sx={{ ml: 2 }}
+          >
+            全部解密 ({imported.items.length})
+          </Button>
+        )}
+        {isDecryptMode && decrypting && batchProgress > 0 && (
+          <LinearProgress variant="determinate" value={batchProgress} sx={{ mt: 2 }} />
+        )}
       </Box>
 
       <Divider sx={{ my: 3 }} />
@@ -348,9 +512,16 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
       {/* 加密结果显示 */}
       {encryptedResults.length > 0 && isEncryptMode && (
         <Box sx={{ mb: 4 }}>
-          <Typography variant="h6" gutterBottom>
-            加密结果
-          </Typography>
+          <Box display="flex" justifyContent="space-between" alignItems="center">
+            <Typography variant="h6" gutterBottom>
+              加密结果
+            </Typography>
+            {encryptedResults.length > 1 && (
+              <Button size="small" startIcon={<Print />} onClick={() => setPaperResults(encryptedResults)}>
+                全部打印 ({encryptedResults.length})
+              </Button>
+            )}
+          </Box>
           
           {encryptedResults.map((result) => (
             <Box key={result.id} sx={{ mb: 3, p: 2, border: '1px solid #e0e0e0', borderRadius: 2 }}>
@@ -392,6 +563,14 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
                       <QrCode />
                     </IconButton>
                   </Tooltip>
+                  <Tooltip title="打印纸质备份">
+                    <IconButton
+                      onClick={() => setPaperResults([result])}
+                      size="small"
+                    >
+                      <Print />
+                    </IconButton>
+                  </Tooltip>
                 </Box>
               </Box>
               
@@ -401,7 +580,7 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
               
               <Typography variant="caption" color="textSecondary">
                 加密时间: {new Date(result.createdAt).toLocaleString('zh-CN')}
-                | 迭代次数: {result.iterations.toLocaleString()}
+                | 密钥派生: {formatKdfParams(result.kdf, result.kdfParams)}
               </Typography>
             </Box>
           ))}
@@ -414,7 +593,7 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
           <Alert severity="success">
             <Typography variant="subtitle2">✅ 解密成功！</Typography>
             <Typography variant="body2" sx={{ mt: 1 }}>
-              解密的助记词:
+              解密的助记词 (语言: {getLanguageLabel(detectMnemonicLanguage(decryptResult))}):
             </Typography>
             <div className="encrypted-result" style={{ marginTop: 10, backgroundColor: '#e8f5e8' }}>
               {decryptResult}
@@ -440,6 +619,50 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
         </Box>
       )}
 
+      {/* 批量解密结果 */}
+      {batchDecryptResults.length > 0 && isDecryptMode && (
+        <Box sx={{ mb: 4 }}>
+          <Alert
+            severity={batchDecryptResults.some((item) => item.error) ? 'warning' : 'success'}
+            sx={{ mb: 2 }}
+          >
+            批量解密完成: 成功 {batchDecryptResults.filter((item) => !item.error).length} / {batchDecryptResults.length}
+          </Alert>
+          <TableContainer sx={{ maxHeight: 400, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+            <Table stickyHeader size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>#</TableCell>
+                  <TableCell>助记词</TableCell>
+                  <TableCell>语言</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {batchDecryptResults.map((item) => (
+                  <TableRow key={item.id}>
+                    <TableCell>{item.id}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }} data-sensitive>
+                      {item.error ? <Typography color="error" variant="body2">{item.error}</Typography> : item.mnemonic}
+                    </TableCell>
+                    <TableCell>{item.language ? getLanguageLabel(item.language) : '-'}</TableCell>
+                    <TableCell>
+                      {!item.error && (
+                        <Tooltip title="复制助记词">
+                          <IconButton size="small" onClick={() => navigator.clipboard.writeText(item.mnemonic)}>
+                            <ContentCopy fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+
       {/* 二维码生成器 */}
       <OfflineQRGenerator
         open={qrOpen}
@@ -447,6 +670,20 @@ const EncryptionPanel = ({ mnemonics, encryptedResults, setEncryptedResults, mod
         data={qrData}
         title={isEncryptMode ? "加密数据二维码" : "助记词二维码"}
       />
+
+      <QRScannerDialog
+        open={scanOpen}
+        onClose={() => setScanOpen(false)}
+        accept={isEncryptMode ? [SCAN_TYPES.MNEMONIC] : [SCAN_TYPES.ENCRYPTED]}
+        onScan={({ value }) => (isEncryptMode ? setInputMnemonic(value) : setInputEncryptedData(value))}
+        title={isEncryptMode ? '扫描助记词二维码' : '扫描加密数据二维码'}
+      />
+
+      <PaperWalletDialog
+        open={Boolean(paperResults)}
+        onClose={() => setPaperResults(null)}
+        results={paperResults || undefined}
+      />
     </Paper>
   );
 };
@@ -0,0 +1,77 @@
+import React from 'react';
+import {
+  Box,
+  TextField,
+  Typography,
+  LinearProgress,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import {
+  ENTROPY_SOURCES,
+  getRequiredBits,
+  getRequiredSymbols,
+  parseEntropyInput
+} from '../utils/entropyUtils';
+
+/**
+ * 掷骰 / 抛硬币记录输入框
+ * 实时显示已收集的熵位数与所选助记词长度需要的位数
+ */
+
+const EntropyInput = ({
+  source = ENTROPY_SOURCES.DICE,
+  wordCount = 12,
+  value = '',
+  onChange,
+  mixWithCsprng = false,
+  onMixChange,
+  disabled = false
+}) => {
+  const isDice = source === ENTROPY_SOURCES.DICE;
+  const { symbols, invalid, bits } = parseEntropyInput(value, source);
+  const bitsRequired = getRequiredBits(wordCount);
+  const enough = bits >= bitsRequired;
+
+  return (
+    <Box>
+      <TextField
+        fullWidth
+        multiline
+        rows={3}
+        label={isDice ? '掷骰记录 (1-6)' : '抛硬币记录 (H/T 或 1/0)'}
+        placeholder={isDice ? '例如 3162 5541 ...' : '例如 HTTH HHTT ... 或 1001 1100 ...'}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        error={invalid.length > 0}
+        helperText={invalid.length > 0
+          ? `包含 ${invalid.length} 个无效字符: ${Array.from(new Set(invalid)).join(' ')}`
+          : `至少需要 ${getRequiredSymbols(source, wordCount)} 次${isDice ? '掷骰' : '抛硬币'}，空格与逗号会被忽略`}
+        inputProps={{ autoComplete: 'off', spellCheck: false }}
+        sx={{ mb: 1 }}
+      />
+      <LinearProgress
+        variant="determinate"
+        value={Math.min(100, (bits / bitsRequired) * 100)}
+        color={enough ? 'success' : 'primary'}
+      />
+      <Typography variant="caption" color={enough ? 'success.main' : 'textSecondary'}>
+        已收集 {bits} / {bitsRequired} 位熵（{symbols.length} 次）
+      </Typography>
+      <FormControlLabel
+        control={
+          <Checkbox
+            checked={mixWithCsprng}
+            onChange={(e) => onMixChange(e.target.checked)}
+            disabled={disabled}
+          />
+        }
+        label="与系统随机数混合（XOR；任一来源足够随机即可保证结果随机，但无法仅凭记录复现）"
+        sx={{ display: 'flex', mt: 1 }}
+      />
+    </Box>
+  );
+};
+
+export default EntropyInput;
@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
   Paper,
   Typography,
@@ -22,14 +22,66 @@ import {
   MenuItem,
   FormControlLabel,
   Switch,
-  Tooltip
+  Tooltip,
+  InputAdornment
 } from '@mui/material';
-import { QrCode } from '@mui/icons-material';
+import { QrCode, QrCodeScanner } from '@mui/icons-material';
 import { ethers } from 'ethers';
 import { decryptMnemonic } from '../utils/cryptoUtilsGUI';
 import OfflineQRGenerator from './OfflineQRGenerator';
+import PassphraseInput from './PassphraseInput';
+import DerivationPathSelector from './DerivationPathSelector';
+import MnemonicInput from './MnemonicInput';
+import EncryptedFileImport from './EncryptedFileImport';
+import AddressBookImport from './AddressBookImport';
+import QRScannerDialog from './QRScannerDialog';
+import TxPreviewDialog from './TxPreviewDialog';
+import BatchJournalPanel from './BatchJournalPanel';
+import { SCAN_TYPES } from '../utils/qrScanUtils';
+import { PAYOUT_CSV_ACCEPT, isNativeToken, parsePayoutAmount, parsePayoutCsv } from '../utils/payoutUtils';
+import {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_DISPERSE_ADDRESS,
+  DISPERSE_ABI,
+  MAX_CHUNK_GAS,
+  getDisperseCall,
+  isContractDeployed,
+  parseChunkSize,
+  splitIntoChunks
+} from '../utils/disperseUtils';
+import {
+  PLAN_STATUS,
+  checkNonce,
+  formatPlanAmount,
+  getMaxFee,
+  isExecutableRow,
+  summarizePlan
+} from '../utils/txPlanUtils';
+import {
+  JOURNAL_ROW_STATUS,
+  JOURNAL_STATUS,
+  acquireJournalLease,
+  broadcastWithJournal,
+  createApprovalStep,
+  createJournal,
+  createJournalWriter,
+  findJournalOverlaps,
+  finishJournal,
+  getJournal,
+  getJournalLease,
+  loadJournals,
+  reconcileJournal,
+  releaseJournalLease,
+  removeJournal,
+  saveJournal,
+  summarizeJournal,
+  updateJournalRow
+} from '../utils/batchJournalUtils';
+import { detectMnemonicLanguage, expandMnemonic, getLanguageLabel } from '../utils/wordlistUtils';
 import {
   DEFAULT_ETH_PATH,
+  ETH_PATH_TEMPLATE,
+  deriveAddressRange,
   generateEthereumAddress,
   getSupportedNetworks,
   isValidEthereumAddress,
@@ -46,142 +98,12 @@ const DEFAULT_USDC_ADDRESS =
 const ERC20_ABI = [
   'function balanceOf(address owner) view returns (uint256)',
   'function transfer(address to, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
   'function decimals() view returns (uint8)',
   'function symbol() view returns (string)'
 ];
 
-const normalizeHeader = (value) => {
-  if (!value) return '';
-  return value.toString().replace(/^"|"$/g, '').trim().toLowerCase();
-};
-
-const parseCsv = (text) => {
-  const rows = [];
-  let current = '';
-  let row = [];
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i += 1) {
-    const char = text[i];
-    const next = text[i + 1];
-
-    if (char === '"') {
-      if (inQuotes && next === '"') {
-        current += '"';
-        i += 1;
-        continue;
-      }
-      inQuotes = !inQuotes;
-      continue;
-    }
-
-    if (char === ',' && !inQuotes) {
-      row.push(current);
-      current = '';
-      continue;
-    }
-
-    if ((char === '\n' || char === '\r') && !inQuotes) {
-      if (char === '\r' && next === '\n') {
-        i += 1;
-      }
-      row.push(current);
-      const hasContent = row.some((cell) => cell.trim() !== '');
-      if (hasContent) {
-        rows.push(row);
-      }
-      row = [];
-      current = '';
-      continue;
-    }
-
-    current += char;
-  }
-
-  if (current.length > 0 || row.length > 0) {
-    row.push(current);
-    const hasContent = row.some((cell) => cell.trim() !== '');
-    if (hasContent) {
-      rows.push(row);
-    }
-  }
-
-  return rows;
-};
-
-const detectHeaderMap = (headerRow) => {
-  const map = {};
-  headerRow.forEach((cell, index) => {
-    const key = normalizeHeader(cell);
-    if (!key) return;
-    map[key] = index;
-  });
-  return map;
-};
-
-const getColumnIndex = (headerMap, candidates, fallbackIndex) => {
-  for (const key of candidates) {
-    if (headerMap[key] !== undefined) {
-      return headerMap[key];
-    }
-  }
-  return fallbackIndex;
-};
-
-const parseEncryptedCsv = (text) => {
-  const rows = parseCsv(text);
-  if (rows.length === 0) {
-    return { items: [], warnings: ['CSV 文件为空'] };
-  }
-
-  const headerMap = detectHeaderMap(rows[0]);
-  const headerKeys = Object.keys(headerMap);
-  const hasHeader = headerKeys.some((key) =>
-    key.includes('加密') || key.includes('encrypted') || key.includes('evm') || key.includes('地址')
-  );
-
-  const startIndex = hasHeader ? 1 : 0;
-  const encryptedIndex = hasHeader
-    ? getColumnIndex(headerMap, ['加密数据', 'encrypteddata', 'encrypted', 'ciphertext'], 0)
-    : 0;
-  const addressIndex = hasHeader
-    ? getColumnIndex(headerMap, ['evm地址', 'address', '钱包地址', 'addr'], 1)
-    : 1;
-  const privateKeyIndex = hasHeader
-    ? getColumnIndex(headerMap, ['私钥', 'privatekey', 'private key'], -1)
-    : -1;
-
-  const items = [];
-  const warnings = [];
-
-  for (let i = startIndex; i < rows.length; i += 1) {
-    const row = rows[i];
-    const encryptedDataRaw = row[encryptedIndex] || '';
-    const encryptedData = encryptedDataRaw.trim().replace(/^"|"$/g, '');
-    const addressRaw = row[addressIndex] || '';
-    const address = addressRaw.trim().replace(/^"|"$/g, '');
-    const privateKeyRaw = privateKeyIndex >= 0 ? row[privateKeyIndex] : '';
-    const privateKey = privateKeyRaw ? privateKeyRaw.trim().replace(/^"|"$/g, '') : '';
-
-    if (!encryptedData && !privateKey) {
-      continue;
-    }
-
-    items.push({
-      id: i + 1 - startIndex,
-      encryptedData,
-      address,
-      privateKey
-    });
-  }
-
-  if (items.length === 0) {
-    warnings.push('未能从CSV解析出加密数据');
-  }
-
-  return { items, warnings };
-};
-
 const guessSecretType = (value) => {
   const trimmed = value.trim();
   const words = trimmed.split(/\s+/).filter(Boolean);
@@ -215,14 +137,60 @@ const estimateGasLimit = async (provider, tx, fallback = GAS_LIMIT_FALLBACK) =>
 
 const estimateTokenTransferGas = async (contract, to, amount, fallback = TOKEN_GAS_FALLBACK) => {
   try {
-    const estimate = await contract.estimateGas.transfer(to, amount);
+    const estimate = await contract.transfer.estimateGas(to, amount);
     return addGasBuffer(estimate);
   } catch (error) {
     return fallback;
   }
 };
 
-const GasBatchManager = () => {
+// 读取代币精度与符号；未提供默认值时读不到精度即报错，避免按错误的精度换算数量
+const readTokenMeta = async (contract, fallback = null) => {
+  let decimals = fallback?.decimals;
+  let symbol = fallback?.symbol || 'TOKEN';
+
+  try {
+    const parsed = Number(await contract.decimals());
+    if (!Number.isNaN(parsed)) {
+      decimals = parsed;
+    }
+  } catch (error) {
+    // Keep default decimals.
+  }
+  if (decimals === undefined) {
+    throw new Error('无法读取代币精度 (decimals)，请确认合约地址与网络');
+  }
+
+  try {
+    const symbolValue = await contract.symbol();
+    if (symbolValue) {
+      symbol = symbolValue;
+    }
+  } catch (error) {
+    // Keep default symbol.
+  }
+  return { decimals, symbol };
+};
+
+// 由资金账户逐个打款的任务：继续时需填写同一资金账户
+const FUNDING_KINDS = ['send', 'distribute'];
+
+// 收款地址与资金账户相同或重复时的提示，seen 记录已出现的地址；
+// 重复的行标记 duplicate，预览中需单独确认后才能执行
+const getRecipientCheck = (to, from, seen) => {
+  const key = to.toLowerCase();
+  const duplicate = seen.has(key);
+  let note = '';
+  if (key === from.toLowerCase()) {
+    note = '收款地址与资金账户相同';
+  } else if (duplicate) {
+    note = '重复的收款地址';
+  }
+  seen.add(key);
+  return { note, duplicate };
+};
+
+const GasBatchManager = ({ importedFile = null }) => {
   const networks = useMemo(
     () => getSupportedNetworks().filter((network) => network.name.includes('Base')),
     []
@@ -251,11 +219,20 @@ const GasBatchManager = () => {
   const [proxyUrl, setProxyUrl] = useState(defaultProxyUrl);
   const [useBackendSender, setUseBackendSender] = useState(defaultUseBackend);
   const [backendUrl, setBackendUrl] = useState(defaultBackendUrl);
+  const [planning, setPlanning] = useState(null); // send | distribute | reclaim | collect
+  const [pendingPlan, setPendingPlan] = useState(null);
+  const [journals, setJournals] = useState(() => loadJournals());
+  const [activeJournalId, setActiveJournalId] = useState(null);
 
-  const [csvName, setCsvName] = useState('');
-  const [csvWarnings, setCsvWarnings] = useState([]);
+  const [imported, setImported] = useState(null);
   const [encryptedItems, setEncryptedItems] = useState([]);
   const [decryptPassword, setDecryptPassword] = useState('');
+  const [decryptPassphrase, setDecryptPassphrase] = useState('');
+  const [pathTemplate, setPathTemplate] = useState(ETH_PATH_TEMPLATE);
+  const [accountStart, setAccountStart] = useState(0);
+  const [accountCount, setAccountCount] = useState(1);
+  const [indexStart, setIndexStart] = useState(0);
+  const [indexCount, setIndexCount] = useState(1);
   const [decrypting, setDecrypting] = useState(false);
   const [decryptProgress, setDecryptProgress] = useState(0);
   const [decryptedItems, setDecryptedItems] = useState([]);
@@ -267,6 +244,10 @@ const GasBatchManager = () => {
 
   const [selectedIds, setSelectedIds] = useState([]);
   const [manualRecipients, setManualRecipients] = useState('');
+  const [recipientBook, setRecipientBook] = useState(null);
+  const [payoutList, setPayoutList] = useState(null);
+  const [customAmounts, setCustomAmounts] = useState({});
+  const [scanTarget, setScanTarget] = useState(null); // funding | recipients | reclaim | collect
 
   const [fundingSecret, setFundingSecret] = useState('');
   const [fundingPath, setFundingPath] = useState(DEFAULT_ETH_PATH);
@@ -283,6 +264,16 @@ const GasBatchManager = () => {
   const [reclaimLogs, setReclaimLogs] = useState([]);
   const [reclaimWaitConfirm, setReclaimWaitConfirm] = useState(false);
 
+  const [distributeTokenAddress, setDistributeTokenAddress] = useState(DEFAULT_USDC_ADDRESS);
+  const [distributeAmount, setDistributeAmount] = useState('1');
+  const [distributeDelayMs, setDistributeDelayMs] = useState(400);
+  const [distributing, setDistributing] = useState(false);
+  const [distributeLogs, setDistributeLogs] = useState([]);
+  const [distributeWaitConfirm, setDistributeWaitConfirm] = useState(false);
+  const [useDisperse, setUseDisperse] = useState(false);
+  const [disperseAddress, setDisperseAddress] = useState(DEFAULT_DISPERSE_ADDRESS);
+  const [chunkSize, setChunkSize] = useState(DEFAULT_CHUNK_SIZE);
+
   const [collectTokenAddress, setCollectTokenAddress] = useState(DEFAULT_USDC_ADDRESS);
   const [collectAddress, setCollectAddress] = useState('');
   const [collectReserve, setCollectReserve] = useState('0');
@@ -300,28 +291,126 @@ const GasBatchManager = () => {
       .filter(Boolean);
   }, [manualRecipients]);
 
+  // 扫码目标：可接受的内容类型与填入方式
+  const scanTargets = {
+    funding: {
+      title: '扫描资金账户私钥或助记词',
+      accept: [SCAN_TYPES.MNEMONIC, SCAN_TYPES.PRIVATE_KEY],
+      apply: setFundingSecret
+    },
+    recipients: {
+      title: '扫描收款地址',
+      accept: [SCAN_TYPES.ADDRESS],
+      apply: (address) =>
+        setManualRecipients((current) => (current.trim() ? `${current.trim()}\n${address}` : address))
+    },
+    reclaim: { title: '扫描回收地址', accept: [SCAN_TYPES.ADDRESS], apply: setReclaimAddress },
+    collect: { title: '扫描归集地址', accept: [SCAN_TYPES.ADDRESS], apply: setCollectAddress }
+  };
+  const activeScan = scanTarget ? scanTargets[scanTarget] : null;
+
+  const scanAdornment = (target) => (
+    <InputAdornment position="end">
+      <Tooltip title="扫描二维码">
+        <IconButton size="small" onClick={() => setScanTarget(target)}>
+          <QrCodeScanner fontSize="small" />
+        </IconButton>
+      </Tooltip>
+    </InputAdornment>
+  );
+
+  // 地址簿只需要地址，合并到附加收款地址中，无需解密
+  const handleRecipientBookImport = (book) => {
+    setRecipientBook(book);
+    setManualRecipients((current) => {
+      const existing = current.split(/\n|,|;/).map((addr) => addr.trim()).filter(Boolean);
+      const known = new Set(existing.map((addr) => addr.toLowerCase()));
+      const added = book.entries
+        .map((entry) => entry.address)
+        .filter((address) => !known.has(address.toLowerCase()));
+      return [...existing, ...added].join('\n');
+    });
+  };
+
   const validManualRecipients = parsedRecipients.filter(isValidEthereumAddress);
   const invalidManualRecipients = parsedRecipients.filter(
     (addr) => addr && !isValidEthereumAddress(addr)
   );
 
   const selectedAccounts = decryptedItems.filter((item) => selectedIds.includes(item.id));
+  const payoutEntries = payoutList ? payoutList.entries.filter((entry) => isNativeToken(entry.token)) : [];
+  const payoutTokenCount = payoutList ? payoutList.entries.length - payoutEntries.length : 0;
+  const distributePayoutEntries = payoutList
+    ? payoutList.entries.filter(
+        (entry) => entry.token && entry.token.toLowerCase() === distributeTokenAddress.trim().toLowerCase()
+      )
+    : [];
+  const busy = sending || distributing || reclaiming || collecting;
+  const unfinishedJournals = journals.filter(
+    (journal) => journal.status !== JOURNAL_STATUS.COMPLETED && journal.id !== activeJournalId
+  );
 
-  const handleFileChange = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-    const text = await file.text();
-    const { items, warnings } = parseEncryptedCsv(text);
+  const handleCustomAmountChange = (id, value) => {
+    setCustomAmounts((prev) => ({ ...prev, [id]: value }));
+  };
 
-    setCsvName(file.name);
-    setEncryptedItems(items);
-    setCsvWarnings(warnings);
+  // 收款行的数量：overrides (解密表中填写的数量) 优先，其次为金额清单中的数量，否则使用统一数量；
+  // 清单中未被选中或填写的地址追加在末尾
+  const buildRecipients = ({ entries, defaultAmount, decimals = 18, overrides = {} }) => {
+    const listed = new Map(entries.map((entry) => [entry.address.toLowerCase(), entry.amount]));
+    const recipients = [
+      ...selectedAccounts
+        .filter((item) => isValidEthereumAddress(item.address))
+        .map((item) => ({
+          to: item.address,
+          amount: (overrides[item.id] || '').trim() || listed.get(item.address.toLowerCase()) || defaultAmount
+        })),
+      ...validManualRecipients.map((to) => ({ to, amount: listed.get(to.toLowerCase()) || defaultAmount }))
+    ];
+    const included = new Set(recipients.map((recipient) => recipient.to.toLowerCase()));
+    entries
+      .filter((entry) => !included.has(entry.address.toLowerCase()))
+      .forEach((entry) => recipients.push({ to: entry.address, amount: entry.amount }));
+
+    return recipients.map((recipient) => {
+      try {
+        return { ...recipient, value: parsePayoutAmount(recipient.amount, decimals) };
+      } catch (error) {
+        throw new Error(`${formatAddress(recipient.to, 6, 4)} 的发送数量无效 (${error.message})`);
+      }
+    });
+  };
+
+  const handleImport = (result) => {
+    setImported(result);
+    setEncryptedItems(result.items);
     setDecryptErrors([]);
     setDecryptedItems([]);
     setSelectedIds([]);
+    setCustomAmounts({});
     setDecryptProgress(0);
   };
 
+  // Electron "导入" 菜单载入的文件
+  useEffect(() => {
+    if (importedFile) {
+      setImported(importedFile);
+      setEncryptedItems(importedFile.items);
+      setDecryptErrors([]);
+      setDecryptedItems([]);
+      setSelectedIds([]);
+      setCustomAmounts({});
+      setDecryptProgress(0);
+    }
+  }, [importedFile]);
+
+  // 其他标签页执行或结束任务时刷新未完成任务列表
+  useEffect(() => {
+    const handleStorage = () => setJournals(loadJournals());
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
   const handleShowMnemonicQR = (mnemonic) => {
     if (!mnemonic) return;
     setQrTitle('助记词二维码');
@@ -342,7 +431,7 @@ const GasBatchManager = () => {
       return;
     }
     if (encryptedItems.length === 0) {
-      setDecryptErrors(['请先上传CSV文件']);
+      setDecryptErrors(['请先导入加密文件']);
       return;
     }
 
@@ -363,26 +452,56 @@ const GasBatchManager = () => {
           mnemonic = '';
         }
 
-        let addressInfo = null;
+        if (item.passphraseUsed && !decryptPassphrase) {
+          errors.push(`第 ${item.id} 行导出时使用了 BIP39 密码短语，但未填写密码短语`);
+        }
+
+        // 语言由助记词自动识别，与导出记录不一致时提示
+        const language = mnemonic ? detectMnemonicLanguage(mnemonic) : null;
+        if (language && item.language && item.language !== language) {
+          errors.push(`第 ${item.id} 行记录的语言为 ${getLanguageLabel(item.language)}，识别结果为 ${getLanguageLabel(language)}`);
+        }
+
         if (mnemonic) {
-          addressInfo = generateEthereumAddress(mnemonic, DEFAULT_ETH_PATH);
+          // 每个派生地址都是一行独立账户
+          const derived = deriveAddressRange(mnemonic, {
+            template: pathTemplate,
+            accountStart,
+            accountCount,
+            indexStart,
+            indexCount,
+            passphrase: decryptPassphrase
+          });
+          derived.forEach((entry) => {
+            // 导出文件记录了派生路径时，以该路径的地址核对
+            const isExportedPath = entry.path === (item.derivationPath || DEFAULT_ETH_PATH);
+            results.push({
+              id: `${item.id}:${entry.account}:${entry.index}`,
+              sourceId: item.id,
+              encryptedData: item.encryptedData,
+              address: entry.address,
+              sourceAddress: isExportedPath ? item.address : '',
+              path: entry.path,
+              language,
+              mnemonic,
+              privateKey: entry.privateKey,
+              mismatch: Boolean(isExportedPath && item.address && item.address !== entry.address)
+            });
+          });
         } else if (item.privateKey) {
           const wallet = new ethers.Wallet(item.privateKey);
-          addressInfo = {
+          results.push({
+            id: String(item.id),
+            sourceId: item.id,
+            encryptedData: item.encryptedData,
             address: wallet.address,
-            privateKey: wallet.privateKey
-          };
+            sourceAddress: item.address,
+            path: '',
+            mnemonic,
+            privateKey: wallet.privateKey,
+            mismatch: Boolean(item.address && item.address !== wallet.address)
+          });
         }
-
-        results.push({
-          id: item.id,
-          encryptedData: item.encryptedData,
-          address: addressInfo?.address || item.address,
-          sourceAddress: item.address,
-          mnemonic,
-          privateKey: addressInfo?.privateKey || item.privateKey,
-          mismatch: item.address && addressInfo?.address && item.address !== addressInfo.address
-        });
       } catch (error) {
         errors.push(`第 ${item.id} 行解密失败: ${error.message}`);
       }
@@ -461,7 +580,8 @@ const GasBatchManager = () => {
     const trimmed = fundingSecret.trim();
     const type = guessSecretType(trimmed);
     if (type === 'mnemonic') {
-      return ethers.Wallet.fromPhrase(trimmed, undefined, fundingPath);
+      // 经 evmUtils 派生，支持非英文词表的助记词
+      return new ethers.Wallet(generateEthereumAddress(expandMnemonic(trimmed).mnemonic, fundingPath).privateKey);
     }
     if (type === 'privateKey') {
       const key = trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`;
@@ -479,6 +599,702 @@ const GasBatchManager = () => {
     };
   };
 
+  // 后端任务日志：行号与提交给后端的顺序一致，后端返回逐行结果后同步
+  const openBackendJournal = (kind, params, rows, { symbol = 'ETH', decimals = 18 } = {}) =>
+    createJournal({
+      kind,
+      backend: true,
+      symbol,
+      decimals,
+      params,
+      rows: rows.map((row, i) => ({ ...row, index: i + 1, nonce: null, status: PLAN_STATUS.READY }))
+    });
+
+  // 合约批量只有 tx-server 支持；Vercel API 没有 /api/capabilities，收到合约参数也会逐个地址发送
+  const backendSupportsDisperse = async () => {
+    try {
+      const capabilities = await fetchJson(`${backendUrl}/api/capabilities`, {});
+      return Boolean(capabilities.disperse);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // 开启合约批量时随发送与分发请求提交，后端同样会在合约未部署时改为逐个地址发送
+  const getDisperseOptions = async (setLogs) => {
+    if (!useDisperse) return {};
+    if (!(await backendSupportsDisperse())) {
+      setLogs((prev) => [...prev, '⚠️ 后端不支持合约批量（如 Vercel API），将逐个地址发送']);
+      return {};
+    }
+    return { disperseAddress: disperseAddress.trim(), chunkSize: parseChunkSize(chunkSize) };
+  };
+
+  // 不支持任务日志的后端 (如 Vercel API) 不返回 rows，此时不保留本地记录
+  const syncBackendJournal = (journal, result) => {
+    if (!Array.isArray(result.rows)) {
+      removeJournal(journal.id);
+      return;
+    }
+    saveJournal({ ...journal, status: result.status || JOURNAL_STATUS.INCOMPLETE, rows: result.rows });
+  };
+
+  // 后端拒绝请求 (如余额不足) 时不会建立任务，本地日志随之删除；网络中断时保留以便之后核对
+  const discardRejectedBackendJournal = async (journal) => {
+    try {
+      await fetchJson(`${backendUrl}/api/journal`, { jobId: journal.id });
+    } catch (error) {
+      if (/not found/i.test(error.message)) {
+        removeJournal(journal.id);
+      }
+    }
+  };
+
+  // recipients: [{ to, value }]，逐行数量以 ETH 字符串提交
+  const submitBackendSend = async (recipients) => {
+    const journal = openBackendJournal('send', {}, recipients);
+    try {
+      const payload = {
+        jobId: journal.id,
+        rpcUrl,
+        recipients: recipients.map(({ to, value }) => ({ address: to, amountEth: ethers.formatEther(value) })),
+        fundingSecret: guessSecretType(fundingSecret) === 'mnemonic'
+          ? expandMnemonic(fundingSecret).mnemonic
+          : fundingSecret,
+        fundingPath,
+        waitConfirm,
+        delayMs: sendDelayMs,
+        ...(await getDisperseOptions(setSendLogs))
+      };
+      const result = await fetchJson(`${backendUrl}/api/send-batch`, payload);
+      result.logs.forEach((log) => setSendLogs((prev) => [...prev, log]));
+      syncBackendJournal(journal, result);
+    } catch (error) {
+      await discardRejectedBackendJournal(journal);
+      throw error;
+    } finally {
+      setJournals(loadJournals());
+    }
+  };
+
+  // token: { tokenAddress, symbol, decimals }；recipients: [{ to, value }]，数量按代币精度提交
+  const submitBackendDistribute = async (token, recipients) => {
+    const journal = openBackendJournal('distribute', { tokenAddress: token.tokenAddress }, recipients, token);
+    try {
+      const payload = {
+        jobId: journal.id,
+        rpcUrl,
+        tokenAddress: token.tokenAddress,
+        recipients: recipients.map(({ to, value }) => ({
+          address: to,
+          amount: ethers.formatUnits(value, token.decimals)
+        })),
+        fundingSecret: guessSecretType(fundingSecret) === 'mnemonic'
+          ? expandMnemonic(fundingSecret).mnemonic
+          : fundingSecret,
+        fundingPath,
+        waitConfirm: distributeWaitConfirm,
+        delayMs: distributeDelayMs,
+        ...(await getDisperseOptions(setDistributeLogs))
+      };
+      const result = await fetchJson(`${backendUrl}/api/distribute-batch`, payload);
+      result.logs.forEach((log) => setDistributeLogs((prev) => [...prev, log]));
+      syncBackendJournal(journal, result);
+    } catch (error) {
+      await discardRejectedBackendJournal(journal);
+      throw error;
+    } finally {
+      setJournals(loadJournals());
+    }
+  };
+
+  const submitBackendReclaim = async (accounts) => {
+    const journal = openBackendJournal(
+      'reclaim',
+      { reclaimAddress, reserveWei: ethers.parseEther(reclaimReserve).toString() },
+      accounts.map((account) => ({ from: account.address, to: reclaimAddress, value: null }))
+    );
+    try {
+      const payload = {
+        jobId: journal.id,
+        rpcUrl,
+        reclaimAddress,
+        reserveEth: reclaimReserve,
+        waitConfirm: reclaimWaitConfirm,
+        delayMs: reclaimDelayMs,
+        entries: accounts.map((account) => ({
+          address: account.address,
+          privateKey: account.privateKey || ''
+        }))
+      };
+      const result = await fetchJson(`${backendUrl}/api/reclaim-batch`, payload);
+      result.logs.forEach((log) => setReclaimLogs((prev) => [...prev, log]));
+      syncBackendJournal(journal, result);
+    } catch (error) {
+      await discardRejectedBackendJournal(journal);
+      throw error;
+    } finally {
+      setJournals(loadJournals());
+    }
+  };
+
+  // 模拟发送：逐行估算 gas 与手续费上限，按 pending nonce 顺序分配，不签名
+  // targets: [{ index, to, value }]，每行数量可以不同；余额不足以支付合计数量时计划不可执行
+  const planBatchSend = async (targets) => {
+    const provider = getProvider();
+    const wallet = resolveFundingWallet();
+    const feeOptions = await getFeeOptions(provider);
+    const balance = await provider.getBalance(wallet.address);
+    const { nonce, queued } = await checkNonce(provider, wallet.address);
+    const warnings = [];
+    const errors = [];
+    const seen = new Set();
+    const rows = [];
+
+    if (queued > 0) {
+      warnings.push(`资金账户有 ${queued} 笔待确认交易，本次 nonce 从 ${nonce} 开始`);
+    }
+
+    for (let i = 0; i < targets.length; i += 1) {
+      const { index, to, value } = targets[i];
+      const gasLimit = await estimateGasLimit(provider, {
+        to,
+        from: wallet.address,
+        value
+      });
+      const { note, duplicate } = getRecipientCheck(to, wallet.address, seen);
+      rows.push({
+        key: `${index}-${to}`,
+        index,
+        from: wallet.address,
+        to,
+        value,
+        gasLimit,
+        fee: getMaxFee(gasLimit, feeOptions),
+        nonce: nonce + i,
+        status: note ? PLAN_STATUS.WARNING : PLAN_STATUS.READY,
+        duplicate,
+        note
+      });
+    }
+
+    const plan = {
+      kind: 'send',
+      symbol: 'ETH',
+      decimals: 18,
+      from: wallet.address,
+      startNonce: nonce,
+      feeOptions,
+      params: {},
+      rows,
+      warnings,
+      errors,
+      backend: useBackendSender
+    };
+    const { totalValue, totalFee } = summarizePlan(plan);
+    if (balance < totalValue) {
+      errors.push(
+        `资金账户余额 ${formatPlanAmount(balance)} ETH，不足以支付发送合计 ${formatPlanAmount(totalValue)} ETH`
+      );
+    } else if (balance < totalValue + totalFee) {
+      warnings.push(
+        `资金账户余额 ${formatPlanAmount(balance)} ETH，不足以支付合计 ${formatPlanAmount(totalValue + totalFee)} ETH（含手续费上限）`
+      );
+    }
+    return plan;
+  };
+
+  // 模拟代币分发：与发送相同按 pending nonce 顺序分配；代币余额不足以支付合计数量时计划不可执行，
+  // ETH 余额只需覆盖手续费
+  const planBatchDistribute = async (targets, { tokenAddress }) => {
+    const provider = getProvider();
+    const wallet = resolveFundingWallet().connect(provider);
+    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+    const { decimals, symbol } = await readTokenMeta(contract);
+    const feeOptions = await getFeeOptions(provider);
+    const tokenBalance = await contract.balanceOf(wallet.address);
+    const ethBalance = await provider.getBalance(wallet.address);
+    const { nonce, queued } = await checkNonce(provider, wallet.address);
+    const warnings = [];
+    const errors = [];
+    const seen = new Set();
+    const rows = [];
+
+    if (queued > 0) {
+      warnings.push(`资金账户有 ${queued} 笔待确认交易，本次 nonce 从 ${nonce} 开始`);
+    }
+
+    for (let i = 0; i < targets.length; i += 1) {
+      const { index, to, value } = targets[i];
+      const gasLimit = await estimateTokenTransferGas(contract, to, value);
+      const { note, duplicate } = getRecipientCheck(to, wallet.address, seen);
+      rows.push({
+        key: `${index}-${to}`,
+        index,
+        from: wallet.address,
+        to,
+        value,
+        gasLimit,
+        fee: getMaxFee(gasLimit, feeOptions),
+        nonce: nonce + i,
+        status: note ? PLAN_STATUS.WARNING : PLAN_STATUS.READY,
+        duplicate,
+        note
+      });
+    }
+
+    const plan = {
+      kind: 'distribute',
+      symbol,
+      decimals,
+      tokenAddress,
+      from: wallet.address,
+      startNonce: nonce,
+      feeOptions,
+      params: { tokenAddress },
+      rows,
+      warnings,
+      errors,
+      backend: useBackendSender
+    };
+    const { totalValue, totalFee } = summarizePlan(plan);
+    if (tokenBalance < totalValue) {
+      errors.push(
+        `资金账户 ${symbol} 余额 ${formatPlanAmount(tokenBalance, decimals)}，不足以支付分发合计 ${formatPlanAmount(totalValue, decimals)} ${symbol}`
+      );
+    }
+    if (ethBalance < totalFee) {
+      warnings.push(
+        `资金账户 ETH 余额 ${formatPlanAmount(ethBalance)}，可能不足以支付手续费上限 ${formatPlanAmount(totalFee)} ETH`
+      );
+    }
+    return plan;
+  };
+
+  // 模拟合约批量：按每笔地址数切分并逐批估算 gas，nonce 按批次分配；代币需先授权合约，授权交易占用第一个 nonce。
+  // 合约未部署在当前网络时改为逐个地址发送
+  const planBatchDisperse = async (kind, targets, { tokenAddress } = {}) => {
+    const provider = getProvider();
+    const address = disperseAddress.trim();
+    if (!isValidEthereumAddress(address) || !(await isContractDeployed(provider, address))) {
+      const plan = kind === 'send' ? await planBatchSend(targets) : await planBatchDistribute(targets, { tokenAddress });
+      plan.warnings.push(`批量转账合约 ${address || '(未填写)'} 未部署在当前网络，已改为逐个地址发送`);
+      return plan;
+    }
+
+    const requestedSize = parseChunkSize(chunkSize);
+    const wallet = resolveFundingWallet().connect(provider);
+    const disperse = new ethers.Contract(address, DISPERSE_ABI, wallet);
+    const token = tokenAddress ? new ethers.Contract(tokenAddress, ERC20_ABI, wallet) : null;
+    const { decimals, symbol } = token ? await readTokenMeta(token) : { decimals: 18, symbol: 'ETH' };
+    const feeOptions = await getFeeOptions(provider);
+    const ethBalance = await provider.getBalance(wallet.address);
+    const { nonce, queued } = await checkNonce(provider, wallet.address);
+    const totalValue = targets.reduce((sum, target) => sum + target.value, 0n);
+    const warnings = [];
+    const errors = [];
+
+    if (queued > 0) {
+      warnings.push(`资金账户有 ${queued} 笔待确认交易，本次 nonce 从 ${nonce} 开始`);
+    }
+
+    let approval = null;
+    if (token && (await token.allowance(wallet.address, address)) < totalValue) {
+      const gasLimit = await estimateGasLimit(
+        provider,
+        {
+          from: wallet.address,
+          to: tokenAddress,
+          data: token.interface.encodeFunctionData('approve', [address, totalValue])
+        },
+        TOKEN_GAS_FALLBACK
+      );
+      approval = { amount: totalValue, gasLimit, fee: getMaxFee(gasLimit, feeOptions), nonce };
+    }
+
+    // 授权尚未上链时 disperseToken 无法估算，预览按经验值计算，执行时授权确认后重新估算
+    const split = await splitIntoChunks(
+      targets,
+      requestedSize,
+      async (slice) => {
+        const { fn, args } = getDisperseCall(disperse, slice, tokenAddress);
+        return addGasBuffer(await fn.estimateGas(...args));
+      },
+      { fallback: Boolean(approval) }
+    );
+    if (split.chunkSize < requestedSize) {
+      warnings.push(
+        `单笔交易 gas 超过 ${MAX_CHUNK_GAS.toString()}，每笔地址数已由 ${requestedSize} 调整为 ${split.chunkSize}`
+      );
+    }
+    if (split.chunks.some((chunk) => !chunk.estimated && !chunk.error)) {
+      warnings.push('代币尚未授权，批次 gas 按经验值计算，授权确认后会重新估算，超过预览上限的批次不会发送');
+    }
+    split.chunks.forEach((chunk, i) => {
+      if (chunk.error) {
+        errors.push(`第 ${i + 1} 批 gas 估算失败，交易会回滚（请检查收款地址、余额与合约地址）: ${chunk.error}`);
+      }
+    });
+
+    const firstChunkNonce = approval ? nonce + 1 : nonce;
+    const seen = new Set();
+    const rows = [];
+    const chunks = split.chunks.map((chunk, i) => {
+      const chunkNonce = firstChunkNonce + i;
+      chunk.targets.forEach(({ index, to, value }) => {
+        const { note, duplicate } = getRecipientCheck(to, wallet.address, seen);
+        rows.push({
+          key: `${index}-${to}`,
+          index,
+          from: wallet.address,
+          to,
+          value,
+          gasLimit: null,
+          fee: null,
+          nonce: chunkNonce,
+          status: note ? PLAN_STATUS.WARNING : PLAN_STATUS.READY,
+          duplicate,
+          note: note || `第 ${i + 1} 批`
+        });
+      });
+      return {
+        index: i + 1,
+        rowIndexes: chunk.targets.map((target) => target.index),
+        value: chunk.targets.reduce((sum, target) => sum + target.value, 0n),
+        gasLimit: chunk.gasLimit,
+        fee: chunk.error ? 0n : getMaxFee(chunk.gasLimit, feeOptions),
+        nonce: chunkNonce,
+        estimated: chunk.estimated,
+        note: chunk.error ? 'gas 估算失败' : chunk.estimated ? '' : '按经验值估算'
+      };
+    });
+
+    const plan = {
+      kind,
+      symbol,
+      decimals,
+      ...(token ? { tokenAddress } : {}),
+      from: wallet.address,
+      startNonce: nonce,
+      feeOptions,
+      params: token ? { tokenAddress } : {},
+      rows,
+      chunks,
+      approval,
+      disperseAddress: address,
+      warnings,
+      errors,
+      backend: useBackendSender
+    };
+    const { totalFee } = summarizePlan(plan);
+    if (token) {
+      const tokenBalance = await token.balanceOf(wallet.address);
+      if (tokenBalance < totalValue) {
+        errors.push(
+          `资金账户 ${symbol} 余额 ${formatPlanAmount(tokenBalance, decimals)}，不足以支付分发合计 ${formatPlanAmount(totalValue, decimals)} ${symbol}`
+        );
+      }
+      if (ethBalance < totalFee) {
+        warnings.push(
+          `资金账户 ETH 余额 ${formatPlanAmount(ethBalance)}，可能不足以支付手续费上限 ${formatPlanAmount(totalFee)} ETH`
+        );
+      }
+    } else if (ethBalance < totalValue) {
+      errors.push(
+        `资金账户余额 ${formatPlanAmount(ethBalance)} ETH，不足以支付发送合计 ${formatPlanAmount(totalValue)} ETH`
+      );
+    } else if (ethBalance < totalValue + totalFee) {
+      warnings.push(
+        `资金账户余额 ${formatPlanAmount(ethBalance)} ETH，不足以支付合计 ${formatPlanAmount(totalValue + totalFee)} ETH（含手续费上限）`
+      );
+    }
+    return plan;
+  };
+
+  // 发送与分发的模拟入口：开启合约批量时按批次，否则逐个地址。
+  // 由不支持合约批量的后端执行时按逐个地址模拟，预览与实际发送的交易一致
+  const planFunding = async (kind, targets, params = {}, backend = useBackendSender) => {
+    const planPerAddress = () => (kind === 'send' ? planBatchSend(targets) : planBatchDistribute(targets, params));
+    if (!useDisperse) {
+      return planPerAddress();
+    }
+    if (backend && !(await backendSupportsDisperse())) {
+      const plan = await planPerAddress();
+      plan.warnings.push('后端不支持合约批量（如 Vercel API），已按逐个地址模拟与发送');
+      return plan;
+    }
+    return planBatchDisperse(kind, targets, params);
+  };
+
+  // 打开本次执行的任务日志：继续的任务沿用原日志，模拟中跳过的行同步标记 (暂无私钥的行除外)，
+  // 计划中的代币授权记为单独一步。执行期间持有租约，其他标签页不能同时继续同一任务
+  const openJournal = (plan) => {
+    if (plan.journalId) {
+      acquireJournalLease(plan.journalId);
+    }
+    let journal = plan.journalId ? getJournal(plan.journalId) : createJournal(plan);
+    if (!journal) {
+      throw new Error('任务日志不存在或已被删除');
+    }
+    acquireJournalLease(journal.id);
+    plan.rows
+      .filter((row) => !isExecutableRow(row) && !row.deferred)
+      .forEach((row) => {
+        journal = updateJournalRow(journal, row.index, { status: JOURNAL_ROW_STATUS.SKIPPED, note: row.note });
+      });
+    journal = saveJournal({
+      ...journal,
+      status: JOURNAL_STATUS.RUNNING,
+      ...(plan.approval ? { approval: createApprovalStep(plan) } : {})
+    });
+    setActiveJournalId(journal.id);
+    return journal;
+  };
+
+  const closeJournal = (journal) => {
+    finishJournal(journal);
+    releaseJournalLease(journal.id);
+    setActiveJournalId(null);
+    setJournals(loadJournals());
+  };
+
+  // 执行前确认资金账户与 nonce 仍与模拟时一致
+  const connectPlannedFundingWallet = async (plan, provider) => {
+    const wallet = resolveFundingWallet().connect(provider);
+    if (wallet.address !== plan.from) {
+      throw new Error('资金账户已变更，请重新模拟');
+    }
+    const nonce = await provider.getTransactionCount(wallet.address, 'pending');
+    if (nonce !== plan.startNonce) {
+      throw new Error(`资金账户 nonce 已从 ${plan.startNonce} 变为 ${nonce}，请重新模拟`);
+    }
+    return wallet;
+  };
+
+  // 资金账户逐行打款，ETH 发送与代币分发共用：按计划的 nonce 顺序签名，nonce 冲突或节点限制时重试
+  const runFundingPlan = async (plan, { setLogs, waitForConfirm, delayMs }) => {
+    const rows = plan.rows.filter(isExecutableRow);
+    const provider = getProvider();
+    const wallet = await connectPlannedFundingWallet(plan, provider);
+    const { feeOptions } = plan;
+    let nextNonce = plan.startNonce;
+    let lastSubmittedHash = null;
+    const contract = plan.tokenAddress ? new ethers.Contract(plan.tokenAddress, ERC20_ABI, wallet) : null;
+    const writer = createJournalWriter(openJournal(plan));
+    const total = writer.current().rows.length;
+
+    try {
+      for (let i = 0; i < rows.length; i += 1) {
+        const { index, to, value, gasLimit } = rows[i];
+        const label = `${index}/${total} ${formatAddress(to, 6, 4)} ${formatPlanAmount(value, plan.decimals)} ${plan.symbol}`;
+        const record = (patch) => writer.update(index, patch);
+        const submit = async (nonce) => {
+          const request = contract ? await contract.transfer.populateTransaction(to, value) : { to, value };
+          return broadcastWithJournal(wallet, { ...request, gasLimit, ...feeOptions, nonce }, record);
+        };
+
+        try {
+          const tx = await submit(nextNonce);
+          nextNonce += 1;
+          lastSubmittedHash = tx.hash;
+          setLogs((prev) => [...prev, `✅ 已提交 ${label} → ${tx.hash}`]);
+          if (waitForConfirm) {
+            await tx.wait(1);
+            record({ status: JOURNAL_ROW_STATUS.CONFIRMED });
+            setLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
+          }
+        } catch (error) {
+          if (isNonceError(error)) {
+            try {
+              nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+              const retryTx = await submit(nextNonce);
+              nextNonce += 1;
+              lastSubmittedHash = retryTx.hash;
+              setLogs((prev) => [...prev, `✅ 已重试提交 ${label} → ${retryTx.hash}`]);
+              if (waitForConfirm) {
+                await retryTx.wait(1);
+                record({ status: JOURNAL_ROW_STATUS.CONFIRMED });
+                setLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
+              }
+            } catch (retryError) {
+              record({ status: JOURNAL_ROW_STATUS.FAILED, note: retryError.message });
+              setLogs((prev) => [
+                ...prev,
+                `❌ 发送失败 ${label}: ${retryError.message}`
+              ]);
+            }
+          } else if (isInFlightLimitError(error)) {
+            try {
+              setLogs((prev) => [
+                ...prev,
+                `⏳ 节点限制未确认交易数量，等待确认后重试 ${label}`
+              ]);
+              if (lastSubmittedHash) {
+                await provider.waitForTransaction(lastSubmittedHash, 1);
+              } else {
+                await delay(Math.max(delayMs, 2000));
+              }
+              nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+              const retryTx = await submit(nextNonce);
+              nextNonce += 1;
+              lastSubmittedHash = retryTx.hash;
+              setLogs((prev) => [...prev, `✅ 已重试提交 ${label} → ${retryTx.hash}`]);
+              if (waitForConfirm) {
+                await retryTx.wait(1);
+                record({ status: JOURNAL_ROW_STATUS.CONFIRMED });
+                setLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
+              }
+            } catch (retryError) {
+              record({ status: JOURNAL_ROW_STATUS.FAILED, note: retryError.message });
+              setLogs((prev) => [
+                ...prev,
+                `❌ 发送失败 ${label}: ${retryError.message}`
+              ]);
+            }
+          } else {
+            record({ status: JOURNAL_ROW_STATUS.FAILED, note: error.message });
+            setLogs((prev) => [...prev, `❌ 发送失败 ${label}: ${error.message}`]);
+          }
+        }
+
+        if (i < rows.length - 1) {
+          await delay(delayMs);
+        }
+      }
+    } finally {
+      closeJournal(writer.current());
+    }
+  };
+
+  // 合约批量打款：需要授权时先授权 (日志中单独一步) 并等待确认，再按批次签名；一批的所有行共用同一交易哈希，同时写入日志。
+  // 某批失败后按 pending nonce 继续下一批，避免 nonce 空缺卡住后续交易
+  const runDispersePlan = async (plan, { setLogs, waitForConfirm, delayMs }) => {
+    const provider = getProvider();
+    const wallet = await connectPlannedFundingWallet(plan, provider);
+    const { feeOptions } = plan;
+    const disperse = new ethers.Contract(plan.disperseAddress, DISPERSE_ABI, wallet);
+    const rowsByIndex = new Map(plan.rows.map((row) => [row.index, row]));
+    let nextNonce = plan.startNonce;
+
+    const writer = createJournalWriter(openJournal(plan));
+    try {
+      if (plan.approval) {
+        const token = new ethers.Contract(plan.tokenAddress, ERC20_ABI, wallet);
+        const request = await token.approve.populateTransaction(plan.disperseAddress, plan.approval.amount);
+        // 授权签名后先写日志再广播，继续任务时按哈希核对，不会重复授权
+        try {
+          const tx = await broadcastWithJournal(
+            wallet,
+            { ...request, gasLimit: plan.approval.gasLimit, ...feeOptions, nonce: nextNonce },
+            writer.updateApproval
+          );
+          nextNonce += 1;
+          setLogs((prev) => [
+            ...prev,
+            `🔓 已提交授权 ${formatPlanAmount(plan.approval.amount, plan.decimals)} ${plan.symbol} → ${tx.hash}，等待确认`
+          ]);
+          await tx.wait(1);
+          writer.updateApproval({ status: JOURNAL_ROW_STATUS.CONFIRMED });
+          setLogs((prev) => [...prev, '✅ 授权已确认']);
+        } catch (error) {
+          writer.updateApproval({ status: JOURNAL_ROW_STATUS.FAILED, note: error.message });
+          throw new Error(`授权失败: ${error.message}`);
+        }
+      }
+
+      for (let i = 0; i < plan.chunks.length; i += 1) {
+        const chunk = plan.chunks[i];
+        const rows = chunk.rowIndexes.map((index) => rowsByIndex.get(index));
+        const label = `第 ${chunk.index}/${plan.chunks.length} 批 ${rows.length} 个地址 ${formatPlanAmount(
+          chunk.value,
+          plan.decimals
+        )} ${plan.symbol}`;
+        const record = (patch) => writer.updateRows(chunk.rowIndexes, patch);
+
+        try {
+          const { fn, args } = getDisperseCall(disperse, rows, plan.tokenAddress);
+          // 预览时代币尚未授权、按经验值计算的批次，授权确认后重新估算；估算失败 (会回滚) 或超过预览上限时不发送
+          let { gasLimit } = chunk;
+          if (!chunk.estimated) {
+            gasLimit = addGasBuffer(await fn.estimateGas(...args));
+            if (gasLimit > chunk.gasLimit) {
+              throw new Error(`gas 估算 ${gasLimit} 超过预览中的上限 ${chunk.gasLimit}，未发送`);
+            }
+          }
+          const request = await fn.populateTransaction(...args);
+          const tx = await broadcastWithJournal(
+            wallet,
+            { ...request, gasLimit, ...feeOptions, nonce: nextNonce },
+            record
+          );
+          nextNonce += 1;
+          setLogs((prev) => [...prev, `✅ 已提交 ${label} → ${tx.hash}`]);
+          if (waitForConfirm) {
+            await tx.wait(1);
+            record({ status: JOURNAL_ROW_STATUS.CONFIRMED });
+            setLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
+          }
+        } catch (error) {
+          record({ status: JOURNAL_ROW_STATUS.FAILED, note: error.message });
+          setLogs((prev) => [...prev, `❌ 发送失败 ${label}: ${error.message}`]);
+          nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
+        }
+
+        if (i < plan.chunks.length - 1) {
+          await delay(delayMs);
+        }
+      }
+    } finally {
+      closeJournal(writer.current());
+    }
+  };
+
+  const executeSendPlan = async (plan) => {
+    if (plan.errors.length > 0) {
+      throw new Error(plan.errors.join('；'));
+    }
+    if (plan.backend) {
+      await submitBackendSend(plan.rows.filter(isExecutableRow));
+      return;
+    }
+    const options = { setLogs: setSendLogs, waitForConfirm: waitConfirm, delayMs: sendDelayMs };
+    await (plan.chunks ? runDispersePlan(plan, options) : runFundingPlan(plan, options));
+  };
+
+  const executeDistributePlan = async (plan) => {
+    if (plan.errors.length > 0) {
+      throw new Error(plan.errors.join('；'));
+    }
+    if (plan.backend) {
+      await submitBackendDistribute(plan, plan.rows.filter(isExecutableRow));
+      return;
+    }
+    const options = {
+      setLogs: setDistributeLogs,
+      waitForConfirm: distributeWaitConfirm,
+      delayMs: distributeDelayMs
+    };
+    await (plan.chunks ? runDispersePlan(plan, options) : runFundingPlan(plan, options));
+  };
+
+  // 模拟结果交给预览对话框，确认后由 handleConfirmPlan 执行；不预览时把提示写入日志
+  const showPlan = (plan, setLogs) => {
+    const { readyCount, skipCount } = summarizePlan(plan);
+    setLogs((prev) => [
+      ...prev,
+      `🧪 模拟完成：可执行 ${readyCount} 笔，跳过 ${skipCount} 笔，请在预览中核对并确认`
+    ]);
+    setPendingPlan(plan);
+  };
+
+  // 新任务与未完成任务的地址重叠时提示，避免重复打款
+  const addOverlapWarnings = (plan) => {
+    findJournalOverlaps(plan).forEach(({ id, count }) => {
+      plan.warnings.push(`有 ${count} 个地址出现在未完成的任务 ${id} 中，请先在“未完成的批量任务”中核对或继续该任务`);
+    });
+    return plan;
+  };
+
   const handleBatchSend = async () => {
     if (sending) return;
     if (!fundingSecret.trim()) {
@@ -489,139 +1305,238 @@ const GasBatchManager = () => {
       setSendLogs((prev) => [...prev, '❌ 请输入 RPC 地址']);
       return;
     }
-    if (selectedAccounts.length === 0 && validManualRecipients.length === 0) {
+    if (selectedAccounts.length === 0 && validManualRecipients.length === 0 && payoutEntries.length === 0) {
       setSendLogs((prev) => [...prev, '❌ 请至少选择一个收款地址']);
       return;
     }
 
-    let amountWei;
-    try {
-      amountWei = ethers.parseEther(sendAmount);
-    } catch (error) {
-      setSendLogs((prev) => [...prev, '❌ 转账数量无效']);
+    let recipients;
+    try {
+      recipients = buildRecipients({ entries: payoutEntries, defaultAmount: sendAmount, overrides: customAmounts });
+    } catch (error) {
+      setSendLogs((prev) => [...prev, `❌ ${error.message}`]);
+      return;
+    }
+
+    setSending(true);
+    setSendLogs([
+      `📋 共 ${recipients.length} 个收款地址，合计 ${formatPlanAmount(
+        recipients.reduce((sum, recipient) => sum + recipient.value, 0n)
+      )} ETH`
+    ]);
+
+    try {
+      setPlanning('send');
+      const targets = recipients.map(({ to, value }, i) => ({ index: i + 1, to, value }));
+      showPlan(addOverlapWarnings(await planFunding('send', targets)), setSendLogs);
+    } catch (error) {
+      setSendLogs((prev) => [...prev, `❌ 发送流程失败: ${describeRpcError(error)}`]);
+    } finally {
+      setPlanning(null);
+      setSending(false);
+    }
+  };
+
+  const handleBatchDistribute = async () => {
+    if (distributing) return;
+    if (!fundingSecret.trim()) {
+      setDistributeLogs((prev) => [...prev, '❌ 请在“4. 批量发送 Gas”中输入资金账户私钥或助记词']);
+      return;
+    }
+    if (!rpcUrl.trim()) {
+      setDistributeLogs((prev) => [...prev, '❌ 请输入 RPC 地址']);
+      return;
+    }
+    const tokenAddress = distributeTokenAddress.trim();
+    if (!isValidEthereumAddress(tokenAddress)) {
+      setDistributeLogs((prev) => [...prev, '❌ 请输入有效的代币合约地址']);
+      return;
+    }
+    if (selectedAccounts.length === 0 && validManualRecipients.length === 0 && distributePayoutEntries.length === 0) {
+      setDistributeLogs((prev) => [...prev, '❌ 请至少选择一个收款地址']);
+      return;
+    }
+
+    setDistributing(true);
+    setDistributeLogs([]);
+
+    try {
+      // 先读取精度再换算统一数量与清单中的数量
+      const { decimals, symbol } = await readTokenMeta(new ethers.Contract(tokenAddress, ERC20_ABI, getProvider()));
+      const recipients = buildRecipients({
+        entries: distributePayoutEntries,
+        defaultAmount: distributeAmount,
+        decimals
+      });
+      setDistributeLogs((prev) => [
+        ...prev,
+        `📋 共 ${recipients.length} 个收款地址，合计 ${formatPlanAmount(
+          recipients.reduce((sum, recipient) => sum + recipient.value, 0n),
+          decimals
+        )} ${symbol}（精度 ${decimals}）`
+      ]);
+
+      setPlanning('distribute');
+      const targets = recipients.map(({ to, value }, i) => ({ index: i + 1, to, value }));
+      showPlan(addOverlapWarnings(await planFunding('distribute', targets, { tokenAddress })), setDistributeLogs);
+    } catch (error) {
+      setDistributeLogs((prev) => [...prev, `❌ 分发流程失败: ${describeRpcError(error)}`]);
+    } finally {
+      setPlanning(null);
+      setDistributing(false);
+    }
+  };
+
+  // 模拟回收：按余额 - 预留 - 手续费上限计算可回收数量，与实际回收的算法一致
+  const planBatchReclaim = async (targets, { reclaimAddress: to, reserveWei }) => {
+    const provider = getProvider();
+    const feeOptions = await getFeeOptions(provider);
+    const rows = [];
+
+    for (let i = 0; i < targets.length; i += 1) {
+      const { index, account } = targets[i];
+      const base = {
+        key: account.id,
+        index,
+        from: account.address,
+        to,
+        account,
+        value: null,
+        gasLimit: null,
+        fee: null,
+        nonce: null,
+        balance: null,
+        status: PLAN_STATUS.SKIP
+      };
+
+      if (!account.privateKey) {
+        rows.push({ ...base, note: '无私钥', deferred: true });
+        continue;
+      }
+
+      try {
+        const wallet = new ethers.Wallet(account.privateKey);
+        const { nonce, queued } = await checkNonce(provider, wallet.address);
+        const balance = await provider.getBalance(wallet.address);
+        const estimatedGasLimit = await estimateGasLimit(provider, {
+          to,
+          from: wallet.address,
+          value: 1n
+        });
+        const sendable = balance - reserveWei - getMaxFee(estimatedGasLimit, feeOptions);
+
+        if (sendable <= 0n) {
+          rows.push({ ...base, nonce, balance, note: '余额不足' });
+          continue;
+        }
+
+        const finalGasLimit = await estimateGasLimit(
+          provider,
+          {
+            to,
+            from: wallet.address,
+            value: sendable
+          },
+          estimatedGasLimit
+        );
+        const finalGasCost = getMaxFee(finalGasLimit, feeOptions);
+        const finalSendable = balance - reserveWei - finalGasCost;
+
+        if (finalSendable <= 0n) {
+          rows.push({ ...base, nonce, balance, note: '余额不足' });
+          continue;
+        }
+
+        rows.push({
+          ...base,
+          from: wallet.address,
+          value: finalSendable,
+          gasLimit: finalGasLimit,
+          fee: finalGasCost,
+          nonce,
+          balance,
+          status: queued > 0 ? PLAN_STATUS.WARNING : PLAN_STATUS.READY,
+          note: queued > 0 ? `有 ${queued} 笔待确认交易` : ''
+        });
+      } catch (error) {
+        rows.push({ ...base, note: `查询失败: ${describeRpcError(error)}` });
+      }
+    }
+
+    return {
+      kind: 'reclaim',
+      symbol: 'ETH',
+      decimals: 18,
+      feeOptions,
+      params: { reclaimAddress: to, reserveWei: reserveWei.toString() },
+      rows,
+      warnings: [],
+      errors: [],
+      backend: useBackendSender
+    };
+  };
+
+  const executeReclaimPlan = async (plan) => {
+    const rows = plan.rows.filter(isExecutableRow);
+    if (plan.backend) {
+      await submitBackendReclaim(rows.map((row) => row.account));
       return;
     }
 
-    setSending(true);
-    setSendLogs([]);
+    const provider = getProvider();
+    const writer = createJournalWriter(openJournal(plan));
+    const total = writer.current().rows.length;
+    const labelOf = (row) => `${row.index}/${total} ${formatAddress(row.from, 6, 4)}`;
+    plan.rows
+      .filter((row) => !isExecutableRow(row))
+      .forEach((row) => {
+        setReclaimLogs((prev) => [...prev, `⚠️ ${row.note}，跳过 ${labelOf(row)}`]);
+      });
 
     try {
-      const recipients = [
-        ...selectedAccounts.map((item) => item.address).filter(isValidEthereumAddress),
-        ...validManualRecipients
-      ];
-      if (useBackendSender) {
-        const payload = {
-          rpcUrl,
-          recipients,
-          amountEth: sendAmount,
-          fundingSecret,
-          fundingPath,
-          waitConfirm,
-          delayMs: sendDelayMs
-        };
-        const result = await fetchJson(`${backendUrl}/api/send-batch`, payload);
-        result.logs.forEach((log) => setSendLogs((prev) => [...prev, log]));
-      } else {
-        const provider = getProvider();
-        const wallet = resolveFundingWallet().connect(provider);
-        const feeOptions = await getFeeOptions(provider);
-        let nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
-        let lastSubmittedHash = null;
-
-        for (let i = 0; i < recipients.length; i += 1) {
-          const to = recipients[i];
-          const label = `${i + 1}/${recipients.length} ${formatAddress(to, 6, 4)}`;
-          const gasLimit = await estimateGasLimit(provider, {
-            to,
-            from: wallet.address,
-            value: amountWei
-          });
-          try {
-            const tx = await wallet.sendTransaction({
-              to,
-              value: amountWei,
-              gasLimit,
-              ...feeOptions,
-              nonce: nextNonce
-            });
-            nextNonce += 1;
-            lastSubmittedHash = tx.hash;
-            setSendLogs((prev) => [...prev, `✅ 已提交 ${label} → ${tx.hash}`]);
-            if (waitConfirm) {
-              await tx.wait(1);
-              setSendLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
-            }
-          } catch (error) {
-            if (isNonceError(error)) {
-              try {
-                nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
-                const retryTx = await wallet.sendTransaction({
-                  to,
-                  value: amountWei,
-                  gasLimit,
-                  ...feeOptions,
-                  nonce: nextNonce
-                });
-                nextNonce += 1;
-                lastSubmittedHash = retryTx.hash;
-                setSendLogs((prev) => [...prev, `✅ 已重试提交 ${label} → ${retryTx.hash}`]);
-                if (waitConfirm) {
-                  await retryTx.wait(1);
-                  setSendLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
-                }
-              } catch (retryError) {
-                setSendLogs((prev) => [
-                  ...prev,
-                  `❌ 发送失败 ${label}: ${retryError.message}`
-                ]);
-              }
-            } else if (isInFlightLimitError(error)) {
-              try {
-                setSendLogs((prev) => [
-                  ...prev,
-                  `⏳ 节点限制未确认交易数量，等待确认后重试 ${label}`
-                ]);
-                if (lastSubmittedHash) {
-                  await provider.waitForTransaction(lastSubmittedHash, 1);
-                } else {
-                  await delay(Math.max(sendDelayMs, 2000));
-                }
-                nextNonce = await provider.getTransactionCount(wallet.address, 'pending');
-                const retryTx = await wallet.sendTransaction({
-                  to,
-                  value: amountWei,
-                  gasLimit,
-                  ...feeOptions,
-                  nonce: nextNonce
-                });
-                nextNonce += 1;
-                lastSubmittedHash = retryTx.hash;
-                setSendLogs((prev) => [...prev, `✅ 已重试提交 ${label} → ${retryTx.hash}`]);
-                if (waitConfirm) {
-                  await retryTx.wait(1);
-                  setSendLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
-                }
-              } catch (retryError) {
-                setSendLogs((prev) => [
-                  ...prev,
-                  `❌ 发送失败 ${label}: ${retryError.message}`
-                ]);
-              }
-            } else {
-              setSendLogs((prev) => [...prev, `❌ 发送失败 ${label}: ${error.message}`]);
-            }
+      for (let i = 0; i < rows.length; i += 1) {
+        const row = rows[i];
+        const label = labelOf(row);
+        const record = (patch) => writer.update(row.index, patch);
+
+        try {
+          const wallet = new ethers.Wallet(row.account.privateKey).connect(provider);
+          const nonce = await provider.getTransactionCount(wallet.address, 'pending');
+          if (nonce !== row.nonce) {
+            record({ status: JOURNAL_ROW_STATUS.FAILED, note: `nonce 已从 ${row.nonce} 变为 ${nonce}` });
+            setReclaimLogs((prev) => [...prev, `⚠️ nonce 已从 ${row.nonce} 变为 ${nonce}，跳过 ${label}`]);
+            continue;
           }
 
-          if (i < recipients.length - 1) {
-            await delay(sendDelayMs);
+          record({ value: row.value });
+          const tx = await broadcastWithJournal(
+            wallet,
+            {
+              to: row.to,
+              value: row.value,
+              gasLimit: row.gasLimit,
+              ...plan.feeOptions,
+              nonce
+            },
+            record
+          );
+          setReclaimLogs((prev) => [...prev, `✅ 已提交 ${label} → ${tx.hash}`]);
+          if (reclaimWaitConfirm) {
+            await tx.wait(1);
+            record({ status: JOURNAL_ROW_STATUS.CONFIRMED });
+            setReclaimLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
           }
+        } catch (error) {
+          record({ status: JOURNAL_ROW_STATUS.FAILED, note: error.message });
+          setReclaimLogs((prev) => [...prev, `❌ 回收失败 ${label}: ${error.message}`]);
+        }
+
+        if (i < rows.length - 1) {
+          await delay(reclaimDelayMs);
         }
       }
-    } catch (error) {
-      setSendLogs((prev) => [...prev, `❌ 发送流程失败: ${describeRpcError(error)}`]);
     } finally {
-      setSending(false);
+      closeJournal(writer.current());
     }
   };
 
@@ -652,92 +1567,168 @@ const GasBatchManager = () => {
     setReclaimLogs([]);
 
     try {
-      if (useBackendSender) {
-        const payload = {
-          rpcUrl,
-          reclaimAddress,
-          reserveEth: reclaimReserve,
-          waitConfirm: reclaimWaitConfirm,
-          delayMs: reclaimDelayMs,
-          entries: selectedAccounts.map((account) => ({
-            address: account.address,
-            privateKey: account.privateKey || ''
-          }))
-        };
-        const result = await fetchJson(`${backendUrl}/api/reclaim-batch`, payload);
-        result.logs.forEach((log) => setReclaimLogs((prev) => [...prev, log]));
-      } else {
-        const provider = getProvider();
-        const feeOptions = await getFeeOptions(provider);
-
-        for (let i = 0; i < selectedAccounts.length; i += 1) {
-          const account = selectedAccounts[i];
-          const label = `${i + 1}/${selectedAccounts.length} ${formatAddress(account.address, 6, 4)}`;
-
-          if (!account.privateKey) {
-            setReclaimLogs((prev) => [...prev, `⚠️ 无私钥，跳过 ${label}`]);
-            continue;
-          }
+      setPlanning('reclaim');
+      const targets = selectedAccounts.map((account, i) => ({ index: i + 1, account }));
+      showPlan(addOverlapWarnings(await planBatchReclaim(targets, { reclaimAddress, reserveWei })), setReclaimLogs);
+    } catch (error) {
+      setReclaimLogs((prev) => [...prev, `❌ 回收流程失败: ${describeRpcError(error)}`]);
+    } finally {
+      setPlanning(null);
+      setReclaiming(false);
+    }
+  };
 
-          try {
-            const wallet = new ethers.Wallet(account.privateKey).connect(provider);
-            const nonce = await provider.getTransactionCount(wallet.address, 'pending');
-            const balance = await provider.getBalance(wallet.address);
-            const estimatedGasLimit = await estimateGasLimit(provider, {
-              to: reclaimAddress,
-              from: wallet.address,
-              value: 1n
-            });
-            const gasCost = estimatedGasLimit * feeOptions.maxFeePerGas;
-            const sendable = balance - reserveWei - gasCost;
+  // 模拟归集：代币数量扣除预留，手续费由各账户的 ETH 支付，ETH 不足的行直接跳过
+  const planBatchCollect = async (targets, { tokenAddress, collectAddress: to, reserve }) => {
+    const provider = getProvider();
+    const readContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const { decimals, symbol } = await readTokenMeta(readContract, { decimals: 6, symbol: 'USDC' });
 
-            if (sendable <= 0n) {
-              setReclaimLogs((prev) => [...prev, `⚠️ 余额不足，跳过 ${label}`]);
-              continue;
-            }
+    let reserveAmount = 0n;
+    try {
+      reserveAmount = ethers.parseUnits(reserve || '0', decimals);
+    } catch (error) {
+      throw new Error('预留数量无效');
+    }
 
-            const finalGasLimit = await estimateGasLimit(
-              provider,
-              {
-                to: reclaimAddress,
-                from: wallet.address,
-                value: sendable
-              },
-              estimatedGasLimit
-            );
-            const finalGasCost = finalGasLimit * feeOptions.maxFeePerGas;
-            const finalSendable = balance - reserveWei - finalGasCost;
-
-            if (finalSendable <= 0n) {
-              setReclaimLogs((prev) => [...prev, `⚠️ 余额不足，跳过 ${label}`]);
-              continue;
-            }
+    const feeOptions = await getFeeOptions(provider);
+    const lowerCollectAddress = to.toLowerCase();
+    const rows = [];
+
+    for (let i = 0; i < targets.length; i += 1) {
+      const { index, account } = targets[i];
+      const base = {
+        key: account.id,
+        index,
+        from: account.address,
+        to,
+        account,
+        value: null,
+        gasLimit: null,
+        fee: null,
+        nonce: null,
+        balance: null,
+        status: PLAN_STATUS.SKIP
+      };
+
+      if (!account.address || !isValidEthereumAddress(account.address)) {
+        rows.push({ ...base, note: '地址无效' });
+        continue;
+      }
+      if (!account.privateKey) {
+        rows.push({ ...base, note: '无私钥', deferred: true });
+        continue;
+      }
+      if (account.address.toLowerCase() === lowerCollectAddress) {
+        rows.push({ ...base, note: '地址与归集地址相同' });
+        continue;
+      }
 
-            const tx = await wallet.sendTransaction({
-              to: reclaimAddress,
-              value: finalSendable,
-              gasLimit: finalGasLimit,
-              ...feeOptions,
-              nonce
-            });
-            setReclaimLogs((prev) => [...prev, `✅ 已提交 ${label} → ${tx.hash}`]);
-            if (reclaimWaitConfirm) {
-              await tx.wait(1);
-              setReclaimLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
-            }
-          } catch (error) {
-            setReclaimLogs((prev) => [...prev, `❌ 回收失败 ${label}: ${error.message}`]);
+      try {
+        const wallet = new ethers.Wallet(account.privateKey).connect(provider);
+        const contract = readContract.connect(wallet);
+        const balance = await contract.balanceOf(wallet.address);
+        const sendable = balance - reserveAmount;
+
+        if (sendable <= 0n) {
+          rows.push({ ...base, balance, note: `${symbol} 余额不足` });
+          continue;
+        }
+
+        const gasLimit = await estimateTokenTransferGas(contract, to, sendable);
+        const fee = getMaxFee(gasLimit, feeOptions);
+        const ethBalance = await provider.getBalance(wallet.address);
+        const { nonce, queued } = await checkNonce(provider, wallet.address);
+        const planned = { ...base, value: sendable, gasLimit, fee, nonce, balance };
+
+        if (ethBalance < fee) {
+          rows.push({
+            ...planned,
+            note: `ETH 余额 ${formatPlanAmount(ethBalance)} 不足以支付手续费`
+          });
+          continue;
+        }
+
+        rows.push({
+          ...planned,
+          status: queued > 0 ? PLAN_STATUS.WARNING : PLAN_STATUS.READY,
+          note: queued > 0 ? `有 ${queued} 笔待确认交易` : ''
+        });
+      } catch (error) {
+        rows.push({ ...base, note: `查询失败: ${describeRpcError(error)}` });
+      }
+    }
+
+    return {
+      kind: 'collect',
+      symbol,
+      decimals,
+      tokenAddress,
+      feeOptions,
+      params: { tokenAddress, collectAddress: to, reserve },
+      rows,
+      warnings: [],
+      errors: [],
+      backend: false
+    };
+  };
+
+  const executeCollectPlan = async (plan) => {
+    const provider = getProvider();
+    const rows = plan.rows.filter(isExecutableRow);
+    const writer = createJournalWriter(openJournal(plan));
+    const total = writer.current().rows.length;
+    const labelOf = (row) => `${row.index}/${total} ${formatAddress(row.from, 6, 4)}`;
+    plan.rows
+      .filter((row) => !isExecutableRow(row))
+      .forEach((row) => {
+        setCollectLogs((prev) => [...prev, `⚠️ ${row.note}，跳过 ${labelOf(row)}`]);
+      });
+
+    try {
+      for (let i = 0; i < rows.length; i += 1) {
+        const row = rows[i];
+        const label = labelOf(row);
+        const record = (patch) => writer.update(row.index, patch);
+
+        try {
+          const wallet = new ethers.Wallet(row.account.privateKey).connect(provider);
+          const contract = new ethers.Contract(plan.tokenAddress, ERC20_ABI, wallet);
+          const nonce = await provider.getTransactionCount(wallet.address, 'pending');
+          if (nonce !== row.nonce) {
+            record({ status: JOURNAL_ROW_STATUS.FAILED, note: `nonce 已从 ${row.nonce} 变为 ${nonce}` });
+            setCollectLogs((prev) => [...prev, `⚠️ nonce 已从 ${row.nonce} 变为 ${nonce}，跳过 ${label}`]);
+            continue;
           }
 
-          if (i < selectedAccounts.length - 1) {
-            await delay(reclaimDelayMs);
+          const request = await contract.transfer.populateTransaction(row.to, row.value);
+          const tx = await broadcastWithJournal(
+            wallet,
+            {
+              ...request,
+              gasLimit: row.gasLimit,
+              ...plan.feeOptions,
+              nonce
+            },
+            record
+          );
+          setCollectLogs((prev) => [...prev, `✅ 已提交 ${label} → ${tx.hash}`]);
+          if (collectWaitConfirm) {
+            await tx.wait(1);
+            record({ status: JOURNAL_ROW_STATUS.CONFIRMED });
+            setCollectLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
           }
+        } catch (error) {
+          record({ status: JOURNAL_ROW_STATUS.FAILED, note: error.message });
+          setCollectLogs((prev) => [...prev, `❌ 归集失败 ${label}: ${error.message}`]);
+        }
+
+        if (i < rows.length - 1) {
+          await delay(collectDelayMs);
         }
       }
-    } catch (error) {
-      setReclaimLogs((prev) => [...prev, `❌ 回收流程失败: ${describeRpcError(error)}`]);
     } finally {
-      setReclaiming(false);
+      closeJournal(writer.current());
     }
   };
 
@@ -771,91 +1762,183 @@ const GasBatchManager = () => {
     setCollectLogs([]);
 
     try {
-      const provider = getProvider();
-      const readContract = new ethers.Contract(collectTokenAddress, ERC20_ABI, provider);
-      let decimals = 6;
-      let symbol = 'USDC';
+      setPlanning('collect');
+      const targets = selectedAccounts.map((account, i) => ({ index: i + 1, account }));
+      const plan = addOverlapWarnings(
+        await planBatchCollect(targets, {
+          tokenAddress: collectTokenAddress,
+          collectAddress,
+          reserve: collectReserve
+        })
+      );
+      showPlan(plan, setCollectLogs);
+    } catch (error) {
+      setCollectLogs((prev) => [...prev, `❌ 归集流程失败: ${describeRpcError(error)}`]);
+    } finally {
+      setPlanning(null);
+      setCollecting(false);
+    }
+  };
 
-      try {
-        const decimalsValue = await readContract.decimals();
-        const parsed = Number(decimalsValue);
-        if (!Number.isNaN(parsed)) {
-          decimals = parsed;
-        }
-      } catch (error) {
-        // Keep default decimals.
-      }
+  const planRunners = {
+    send: { execute: executeSendPlan, setBusy: setSending, setLogs: setSendLogs, failure: '发送流程失败' },
+    distribute: {
+      execute: executeDistributePlan,
+      setBusy: setDistributing,
+      setLogs: setDistributeLogs,
+      failure: '分发流程失败'
+    },
+    reclaim: { execute: executeReclaimPlan, setBusy: setReclaiming, setLogs: setReclaimLogs, failure: '回收流程失败' },
+    collect: { execute: executeCollectPlan, setBusy: setCollecting, setLogs: setCollectLogs, failure: '归集流程失败' }
+  };
 
-      try {
-        const symbolValue = await readContract.symbol();
-        if (symbolValue) {
-          symbol = symbolValue;
-        }
-      } catch (error) {
-        // Keep default symbol.
+  // 操作者确认预览表后才签名；执行使用预览中的数量、gasLimit、手续费与 nonce
+  const handleConfirmPlan = async (plan) => {
+    const runner = planRunners[plan.kind];
+    setPendingPlan(null);
+    runner.setBusy(true);
+    runner.setLogs((prev) => [...prev, `✅ 已确认模拟结果，开始执行 ${summarizePlan(plan).txCount} 笔交易`]);
+    try {
+      await runner.execute(plan);
+    } catch (error) {
+      runner.setLogs((prev) => [...prev, `❌ ${runner.failure}: ${describeRpcError(error)}`]);
+    } finally {
+      runner.setBusy(false);
+    }
+  };
+
+  const handleCancelPlan = () => {
+    if (pendingPlan) {
+      planRunners[pendingPlan.kind].setLogs((prev) => [...prev, '🛑 已取消执行，未签名任何交易']);
+    }
+    setPendingPlan(null);
+  };
+
+  // 按日志中的地址重新模拟剩余的行；回收与归集的私钥取自当前解密结果
+  const planJournalRemainder = async (journal, rows) => {
+    if (FUNDING_KINDS.includes(journal.kind)) {
+      if (resolveFundingWallet().address !== journal.from) {
+        throw new Error(`资金账户与任务不一致，请填写地址为 ${journal.from} 的资金账户`);
       }
+      const targets = rows.map((row) => ({ index: row.index, to: row.to, value: ethers.getBigInt(row.value) }));
+      return planFunding(journal.kind, targets, journal.params, false);
+    }
 
-      let reserveAmount = 0n;
-      try {
-        reserveAmount = ethers.parseUnits(collectReserve || '0', decimals);
-      } catch (error) {
-        throw new Error('预留数量无效');
+    const targets = rows.map((row) => ({
+      index: row.index,
+      account: decryptedItems.find((item) => item.address.toLowerCase() === row.from.toLowerCase()) || {
+        id: row.from,
+        address: row.from,
+        privateKey: ''
       }
+    }));
+    if (journal.kind === 'reclaim') {
+      return planBatchReclaim(targets, {
+        reclaimAddress: journal.params.reclaimAddress,
+        reserveWei: ethers.getBigInt(journal.params.reserveWei)
+      });
+    }
+    return planBatchCollect(targets, journal.params);
+  };
 
-      const feeOptions = await getFeeOptions(provider);
-      const lowerCollectAddress = collectAddress.toLowerCase();
+  // 后端任务由后端按自己的日志核对并继续，签名所需的私钥/助记词重新提交
+  const resumeBackendJournal = async (journal, setLogs) => {
+    const payload = { jobId: journal.id, rpcUrl };
+    if (FUNDING_KINDS.includes(journal.kind)) {
+      Object.assign(payload, {
+        fundingSecret: guessSecretType(fundingSecret) === 'mnemonic'
+          ? expandMnemonic(fundingSecret).mnemonic
+          : fundingSecret,
+        fundingPath,
+        waitConfirm: journal.kind === 'send' ? waitConfirm : distributeWaitConfirm,
+        delayMs: journal.kind === 'send' ? sendDelayMs : distributeDelayMs
+      });
+    } else {
+      const addresses = new Set(journal.rows.map((row) => row.from.toLowerCase()));
+      Object.assign(payload, {
+        entries: decryptedItems
+          .filter((item) => addresses.has(item.address.toLowerCase()))
+          .map((item) => ({ address: item.address, privateKey: item.privateKey || '' })),
+        waitConfirm: reclaimWaitConfirm,
+        delayMs: reclaimDelayMs
+      });
+    }
+    const result = await fetchJson(`${backendUrl}/api/resume-batch`, payload);
+    result.logs.forEach((log) => setLogs((prev) => [...prev, log]));
+    syncBackendJournal(journal, result);
+  };
 
-      for (let i = 0; i < selectedAccounts.length; i += 1) {
-        const account = selectedAccounts[i];
-        const label = `${i + 1}/${selectedAccounts.length} ${formatAddress(account.address, 6, 4)}`;
+  const handleResumeJournal = async (journal) => {
+    if (busy) return;
+    const runner = planRunners[journal.kind];
+    runner.setBusy(true);
+    runner.setLogs([`🔁 继续任务 ${journal.id}`]);
 
-        if (!account.address || !isValidEthereumAddress(account.address)) {
-          setCollectLogs((prev) => [...prev, `⚠️ 地址无效，跳过 ${label}`]);
-          continue;
-        }
-        if (!account.privateKey) {
-          setCollectLogs((prev) => [...prev, `⚠️ 无私钥，跳过 ${label}`]);
-          continue;
-        }
-        if (account.address.toLowerCase() === lowerCollectAddress) {
-          setCollectLogs((prev) => [...prev, `⚠️ 地址与归集地址相同，跳过 ${label}`]);
-          continue;
-        }
+    try {
+      if (journal.backend) {
+        await resumeBackendJournal(journal, runner.setLogs);
+        return;
+      }
 
-        try {
-          const wallet = new ethers.Wallet(account.privateKey).connect(provider);
-          const contract = readContract.connect(wallet);
-          const balance = await contract.balanceOf(wallet.address);
-          const sendable = balance - reserveAmount;
+      // 核对会改写日志，先占用租约；确认执行时 openJournal 再次检查
+      acquireJournalLease(journal.id);
 
-          if (sendable <= 0n) {
-            setCollectLogs((prev) => [...prev, `⚠️ ${symbol} 余额不足，跳过 ${label}`]);
-            continue;
-          }
+      let checked = await reconcileJournal(journal, getProvider());
+      const counts = summarizeJournal(checked);
+      runner.setLogs((prev) => [
+        ...prev,
+        `🔍 链上核对：已确认 ${counts.confirmed || 0} 笔，交易池中 ${counts.submitted || 0} 笔，` +
+          `待发送 ${counts.pending || 0} 笔，需人工核对 ${counts.unknown || 0} 笔`
+      ]);
 
-          const gasLimit = await estimateTokenTransferGas(contract, collectAddress, sendable);
-          const tx = await contract.transfer(collectAddress, sendable, {
-            gasLimit,
-            ...feeOptions
-          });
-          setCollectLogs((prev) => [...prev, `✅ 已提交 ${label} → ${tx.hash}`]);
-          if (collectWaitConfirm) {
-            await tx.wait(1);
-            setCollectLogs((prev) => [...prev, `✅ 已确认 ${label}`]);
-          }
-        } catch (error) {
-          setCollectLogs((prev) => [...prev, `❌ 归集失败 ${label}: ${error.message}`]);
-        }
+      const remaining = checked.rows.filter((row) => row.status === JOURNAL_ROW_STATUS.PENDING);
+      if (remaining.length === 0) {
+        finishJournal(checked);
+        runner.setLogs((prev) => [
+          ...prev,
+          counts.unknown ? '⚠️ 没有可继续发送的行，请人工核对标记的交易' : '✅ 任务已全部完成'
+        ]);
+        return;
+      }
 
-        if (i < selectedAccounts.length - 1) {
-          await delay(collectDelayMs);
-        }
+      // 授权仍在交易池中时等它上链，再按链上额度重新模拟，避免重复授权占用后续 nonce
+      if (checked.approval?.status === JOURNAL_ROW_STATUS.SUBMITTED) {
+        runner.setLogs((prev) => [...prev, `⏳ 授权交易 ${checked.approval.hash} 仍在交易池中，等待确认`]);
+        const receipt = await getProvider().waitForTransaction(checked.approval.hash, 1);
+        checked = saveJournal({
+          ...checked,
+          approval: receipt.status === 1
+            ? { ...checked.approval, status: JOURNAL_ROW_STATUS.CONFIRMED, note: '' }
+            : { ...checked.approval, status: JOURNAL_ROW_STATUS.UNKNOWN, note: '交易已打包但执行失败' }
+        });
       }
+
+      // 本地任务始终在本地继续，与当前是否开启后端发送无关
+      const plan = {
+        ...(await planJournalRemainder(checked, remaining)),
+        journalId: checked.id,
+        backend: false
+      };
+      showPlan(plan, runner.setLogs);
     } catch (error) {
-      setCollectLogs((prev) => [...prev, `❌ 归集流程失败: ${describeRpcError(error)}`]);
+      runner.setLogs((prev) => [...prev, `❌ ${runner.failure}: ${describeRpcError(error)}`]);
     } finally {
-      setCollecting(false);
+      if (!journal.backend) {
+        releaseJournalLease(journal.id);
+      }
+      runner.setBusy(false);
+      setJournals(loadJournals());
+    }
+  };
+
+  const handleDiscardJournal = (journal) => {
+    const lease = getJournalLease(journal.id);
+    if (lease && !lease.own) {
+      alert(`任务 ${journal.id} 正在其他页面中执行，不能删除`);
+      return;
     }
+    removeJournal(journal.id);
+    setJournals(loadJournals());
   };
 
   return (
@@ -864,35 +1947,14 @@ const GasBatchManager = () => {
         ⛽ Base 批量 Gas 工具
       </Typography>
       <Typography variant="body2" color="textSecondary" paragraph>
-        上传加密CSV并输入密码进行批量解密，随后在 Base 链上批量发送或回收 ETH。解密结果仅保存在内存中。
+        导入加密文件并输入密码进行批量解密，随后在 Base 链上批量发送或回收 ETH。解密结果仅保存在内存中。
       </Typography>
 
       <Box sx={{ mb: 4 }}>
         <Typography variant="subtitle1" gutterBottom>
-          1. 上传加密 CSV
+          1. 导入加密文件
         </Typography>
-        <Box className="file-drop-zone" sx={{ mb: 2 }}>
-          <input
-            id="csv-upload"
-            type="file"
-            accept=".csv"
-            style={{ display: 'none' }}
-            onChange={handleFileChange}
-          />
-          <label htmlFor="csv-upload">
-            <Button variant="outlined" component="span">
-              选择 CSV 文件
-            </Button>
-          </label>
-          <Typography variant="body2" sx={{ mt: 1 }}>
-            {csvName ? `已载入: ${csvName}` : '支持加密数据导出的 CSV 格式'}
-          </Typography>
-        </Box>
-        {csvWarnings.map((warning) => (
-          <Alert key={warning} severity="warning" sx={{ mb: 1 }}>
-            {warning}
-          </Alert>
-        ))}
+        <EncryptedFileImport onImport={handleImport} imported={imported} disabled={decrypting} />
       </Box>
 
       <Box sx={{ mb: 4 }}>
@@ -907,6 +1969,56 @@ const GasBatchManager = () => {
           onChange={(event) => setDecryptPassword(event.target.value)}
           sx={{ mb: 2 }}
         />
+        <PassphraseInput
+          value={decryptPassphrase}
+          onChange={setDecryptPassphrase}
+          disabled={decrypting}
+          helperText="导出时使用了密码短语的批次必须填写，否则派生出的地址不同"
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          label="派生路径模板"
+          value={pathTemplate}
+          onChange={(event) => setPathTemplate(event.target.value)}
+          disabled={decrypting}
+          helperText="{account} 与 {index} 会按下方范围展开，每个派生地址作为一行独立账户"
+          sx={{ mb: 2 }}
+        />
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: 2, mb: 2 }}>
+          <TextField
+            label="起始账户"
+            type="number"
+            value={accountStart}
+            onChange={(event) => setAccountStart(Math.max(0, parseInt(event.target.value, 10) || 0))}
+            disabled={decrypting}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+          <TextField
+            label="账户数量"
+            type="number"
+            value={accountCount}
+            onChange={(event) => setAccountCount(Math.max(1, parseInt(event.target.value, 10) || 1))}
+            disabled={decrypting}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+          <TextField
+            label="起始索引"
+            type="number"
+            value={indexStart}
+            onChange={(event) => setIndexStart(Math.max(0, parseInt(event.target.value, 10) || 0))}
+            disabled={decrypting}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+          <TextField
+            label="索引数量"
+            type="number"
+            value={indexCount}
+            onChange={(event) => setIndexCount(Math.max(1, parseInt(event.target.value, 10) || 1))}
+            disabled={decrypting}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Box>
         <Button variant="contained" onClick={handleDecrypt} disabled={decrypting}>
           {decrypting ? '解密中...' : '开始解密'}
         </Button>
@@ -928,7 +2040,9 @@ const GasBatchManager = () => {
       {decryptedItems.length > 0 && (
         <Box sx={{ mb: 4 }}>
           <Box display="flex" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
-            <Typography variant="subtitle1">解密结果 ({decryptedItems.length} 条)</Typography>
+            <Typography variant="subtitle1">
+              解密结果 ({decryptedItems.length} 个地址，已选 {selectedIds.length} 个)
+            </Typography>
             <FormControlLabel
               control={
                 <Switch
@@ -949,7 +2063,10 @@ const GasBatchManager = () => {
                       onChange={(event) => toggleAllSelection(event.target.checked)}
                     />
                   </TableCell>
+                  <TableCell>行</TableCell>
+                  <TableCell>路径</TableCell>
                   <TableCell>地址</TableCell>
+                  <TableCell>发送数量 (ETH)</TableCell>
                   <TableCell>助记词</TableCell>
                   <TableCell>状态</TableCell>
                   <TableCell>二维码</TableCell>
@@ -964,9 +2081,23 @@ const GasBatchManager = () => {
                         onChange={() => toggleSelection(item.id)}
                       />
                     </TableCell>
+                    <TableCell>{item.sourceId}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                      {item.path || '私钥'}
+                    </TableCell>
                     <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>
                       {item.address ? formatAddress(item.address, 6, 4) : '未知'}
                     </TableCell>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        value={customAmounts[item.id] || ''}
+                        onChange={(event) => handleCustomAmountChange(item.id, event.target.value)}
+                        placeholder={sendAmount}
+                        inputProps={{ 'aria-label': '发送数量', style: { fontFamily: 'monospace', fontSize: '12px' } }}
+                        sx={{ width: 120 }}
+                      />
+                    </TableCell>
                     <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>
                       {showMnemonic
                         ? item.mnemonic || '—'
@@ -980,6 +2111,9 @@ const GasBatchManager = () => {
                       ) : (
                         <Chip size="small" label="已解密" color="success" />
                       )}
+                      {item.language && item.language !== 'english' && (
+                        <Chip size="small" label={getLanguageLabel(item.language)} sx={{ ml: 0.5 }} />
+                      )}
                     </TableCell>
                     <TableCell>
                       <Box display="flex" alignItems="center">
@@ -1054,8 +2188,11 @@ const GasBatchManager = () => {
             label="本地代理地址"
             value={proxyUrl}
             onChange={(event) => setProxyUrl(event.target.value)}
-            helperText={useBackendSender ? '后端模式下无需代理' : '开启代理时生效，例如 http://localhost:8787'}
-            disabled={useBackendSender}
+            helperText={
+              useBackendSender
+                ? '后端模式下仅模拟预览的只读查询经过代理'
+                : '开启代理时生效，例如 http://localhost:8787'
+            }
           />
           <TextField
             fullWidth
@@ -1071,7 +2208,6 @@ const GasBatchManager = () => {
             <Switch
               checked={useProxy}
               onChange={(event) => setUseProxy(event.target.checked)}
-              disabled={useBackendSender}
             />
           }
           label="启用本地 RPC 代理（解决浏览器 CORS）"
@@ -1098,29 +2234,50 @@ const GasBatchManager = () => {
         )}
       </Box>
 
+      <BatchJournalPanel
+        journals={unfinishedJournals}
+        onResume={handleResumeJournal}
+        onDiscard={handleDiscardJournal}
+        disabled={busy}
+      />
+
       <Box sx={{ mb: 4 }}>
         <Typography variant="subtitle1" gutterBottom>
           4. 批量发送 Gas
         </Typography>
-        <TextField
-          fullWidth
+        <MnemonicInput
           label="资金账户私钥或助记词"
-          placeholder="用于统一转账的主钱包"
+          placeholder="用于统一转账的主钱包；助记词可只输入每个单词的前 4 个字母"
           value={fundingSecret}
-          onChange={(event) => setFundingSecret(event.target.value)}
+          onChange={setFundingSecret}
+          rows={2}
+          allowPrivateKey
           helperText={useBackendSender ? '将发送到后端用于签名' : ''}
-          sx={{ mb: 2 }}
+          sx={{ mb: 1 }}
         />
-        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 2, mb: 2 }}>
-          <TextField
+        <Button
+          size="small"
+          startIcon={<QrCodeScanner />}
+          onClick={() => setScanTarget('funding')}
+          disabled={sending}
+          sx={{ mb: 2 }}
+        >
+          扫描二维码
+        </Button>
+        <Box sx={{ mb: 2 }}>
+          <DerivationPathSelector
             label="助记词派生路径"
             value={fundingPath}
-            onChange={(event) => setFundingPath(event.target.value)}
+            onChange={setFundingPath}
+            disabled={sending}
           />
+        </Box>
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 2, mb: 2 }}>
           <TextField
             label="每个地址发送数量 (ETH)"
             value={sendAmount}
             onChange={(event) => setSendAmount(event.target.value)}
+            helperText="解密表或金额清单中未单独指定数量的地址使用此数量"
           />
           <TextField
             label="发送间隔 (ms)"
@@ -1130,16 +2287,81 @@ const GasBatchManager = () => {
         </Box>
         <TextField
           fullWidth
+          multiline
+          maxRows={6}
           label="附加收款地址（可选，多行/逗号分隔）"
           value={manualRecipients}
           onChange={(event) => setManualRecipients(event.target.value)}
-          sx={{ mb: 2 }}
+          sx={{ mb: 1 }}
         />
+        <Box sx={{ mb: 2 }}>
+          <Box display="flex" alignItems="flex-start" gap={2}>
+            <AddressBookImport
+              onImport={handleRecipientBookImport}
+              imported={recipientBook}
+              disabled={sending}
+            />
+            <AddressBookImport
+              onImport={setPayoutList}
+              imported={payoutList}
+              disabled={sending}
+              label="导入金额清单"
+              parse={parsePayoutCsv}
+              accept={PAYOUT_CSV_ACCEPT}
+            />
+            <Button
+              variant="outlined"
+              startIcon={<QrCodeScanner />}
+              onClick={() => setScanTarget('recipients')}
+              disabled={sending}
+            >
+              扫描地址
+            </Button>
+          </Box>
+          {recipientBook && (
+            <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+              已从 {recipientBook.name} 导入 {recipientBook.entries.length} 个地址
+            </Typography>
+          )}
+          {payoutList && (
+            <Box display="flex" alignItems="center" gap={1} sx={{ mt: 1 }}>
+              <Typography variant="body2" color="textSecondary">
+                已从 {payoutList.name} 导入 {payoutEntries.length} 个地址的发送数量（CSV 格式 address,amount[,token]）
+                {payoutTokenCount > 0 && `，另有 ${payoutTokenCount} 行代币数量用于“4.1 批量分发代币”`}
+              </Typography>
+              <Button size="small" onClick={() => setPayoutList(null)} disabled={sending}>
+                清除
+              </Button>
+            </Box>
+          )}
+        </Box>
         {invalidManualRecipients.length > 0 && (
           <Alert severity="warning" sx={{ mb: 2 }}>
             无效地址: {invalidManualRecipients.join(', ')}
           </Alert>
         )}
+        <FormControlLabel
+          control={
+            <Switch checked={useDisperse} onChange={(event) => setUseDisperse(event.target.checked)} />
+          }
+          label="通过批量转账合约发送（一笔交易包含多个地址，同时用于 4.1 批量分发代币）"
+        />
+        {useDisperse && (
+          <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 2, my: 2 }}>
+            <TextField
+              label="批量转账合约地址"
+              value={disperseAddress}
+              onChange={(event) => setDisperseAddress(event.target.value)}
+              helperText="Disperse 兼容合约 (disperseEther / disperseToken)；当前网络未部署时改为逐个地址发送"
+            />
+            <TextField
+              label="每笔交易地址数"
+              value={chunkSize}
+              onChange={(event) => setChunkSize(event.target.value)}
+              helperText={`单笔 gas 估算超过 ${MAX_CHUNK_GAS.toString()} 时自动减半；代币分发需先授权合约`}
+            />
+          </Box>
+        )}
         <FormControlLabel
           control={
             <Switch checked={waitConfirm} onChange={(event) => setWaitConfirm(event.target.checked)} />
@@ -1148,7 +2370,7 @@ const GasBatchManager = () => {
         />
         <Box sx={{ mt: 1 }}>
           <Button variant="contained" onClick={handleBatchSend} disabled={sending}>
-            {sending ? '发送中...' : '开始批量发送'}
+            {planning === 'send' ? '模拟中...' : sending ? '发送中...' : '模拟批量发送'}
           </Button>
         </Box>
         {sendLogs.length > 0 && (
@@ -1162,6 +2384,66 @@ const GasBatchManager = () => {
         )}
       </Box>
 
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          4.1 批量分发代币
+        </Typography>
+        <Typography variant="body2" color="textSecondary" paragraph>
+          由“4. 批量发送 Gas”中的资金账户向同一批收款地址转出 ERC-20 代币，精度从合约读取。
+          金额清单中 token 列为该合约地址的行按清单数量发送，其余地址使用统一数量
+        </Typography>
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 2, mb: 2 }}>
+          <TextField
+            label="代币合约地址"
+            value={distributeTokenAddress}
+            onChange={(event) => setDistributeTokenAddress(event.target.value)}
+            helperText="任意 ERC-20，默认 Base USDC"
+          />
+          <TextField
+            label="每个地址发送数量"
+            value={distributeAmount}
+            onChange={(event) => setDistributeAmount(event.target.value)}
+            helperText={
+              distributePayoutEntries.length > 0
+                ? `金额清单中有 ${distributePayoutEntries.length} 个地址单独指定了数量`
+                : '按代币单位填写，例如 1.5'
+            }
+          />
+          <TextField
+            label="分发间隔 (ms)"
+            value={distributeDelayMs}
+            onChange={(event) => setDistributeDelayMs(Number(event.target.value) || 0)}
+          />
+        </Box>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={distributeWaitConfirm}
+              onChange={(event) => setDistributeWaitConfirm(event.target.checked)}
+            />
+          }
+          label="等待确认"
+        />
+        <Box sx={{ mt: 1 }}>
+          <Button variant="contained" onClick={handleBatchDistribute} disabled={distributing}>
+            {planning === 'distribute'
+              ? '模拟中...'
+              : distributing
+              ? '分发中...'
+              : '模拟批量分发'}
+          </Button>
+        </Box>
+        {distributeLogs.length > 0 && (
+          <Box sx={{ mt: 2 }}>
+            {distributeLogs.map((log, index) => (
+              <Typography key={`${log}-${index}`} variant="body2">
+                {log}
+              </Typography>
+            ))}
+          </Box>
+        )}
+      </Box>
+
       <Box sx={{ mb: 2 }}>
         <Typography variant="subtitle1" gutterBottom>
           5. 批量回收 Gas
@@ -1172,6 +2454,7 @@ const GasBatchManager = () => {
             value={reclaimAddress}
             onChange={(event) => setReclaimAddress(event.target.value)}
             helperText={useBackendSender ? '后端模式下仍需填写' : ''}
+            InputProps={{ endAdornment: scanAdornment('reclaim') }}
           />
           <TextField
             label="预留手续费 (ETH)"
@@ -1195,7 +2478,7 @@ const GasBatchManager = () => {
         />
         <Box sx={{ mt: 1 }}>
           <Button variant="contained" onClick={handleBatchReclaim} disabled={reclaiming}>
-            {reclaiming ? '回收中...' : '开始批量回收'}
+            {planning === 'reclaim' ? '模拟中...' : reclaiming ? '回收中...' : '模拟批量回收'}
           </Button>
         </Box>
         {reclaimLogs.length > 0 && (
@@ -1219,6 +2502,7 @@ const GasBatchManager = () => {
             value={collectAddress}
             onChange={(event) => setCollectAddress(event.target.value)}
             helperText="USDC 将归集到此地址"
+            InputProps={{ endAdornment: scanAdornment('collect') }}
           />
           <TextField
             label="USDC 合约地址"
@@ -1257,7 +2541,7 @@ const GasBatchManager = () => {
             onClick={handleBatchCollectUsdc}
             disabled={collecting || useBackendSender}
           >
-            {collecting ? '归集中...' : '开始批量归集'}
+            {planning === 'collect' ? '模拟中...' : collecting ? '归集中...' : '模拟批量归集'}
           </Button>
         </Box>
         {collectLogs.length > 0 && (
@@ -1272,7 +2556,7 @@ const GasBatchManager = () => {
       </Box>
 
       <Alert severity="info">
-        发送与回收操作会直接调用 Base RPC；请确保 RPC 可用并在发送前核对地址与金额。
+        发送与回收操作会直接调用 Base RPC；请确保 RPC 可用并在发送前核对地址与金额。开启模拟运行时，需在预览表中确认后才会签名。
       </Alert>
 
       <OfflineQRGenerator
@@ -1281,6 +2565,21 @@ const GasBatchManager = () => {
         data={qrData}
         title={qrTitle}
       />
+
+      <TxPreviewDialog
+        open={Boolean(pendingPlan)}
+        plan={pendingPlan}
+        onCancel={handleCancelPlan}
+        onConfirm={handleConfirmPlan}
+      />
+
+      <QRScannerDialog
+        open={Boolean(activeScan)}
+        onClose={() => setScanTarget(null)}
+        accept={activeScan?.accept}
+        onScan={({ value }) => activeScan?.apply(value)}
+        title={activeScan?.title}
+      />
     </Paper>
   );
 };
@@ -0,0 +1,72 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  KDF_PARAM_LIMITS,
+  getKdfOptions,
+  getDefaultKdfParams,
+  formatKdfParams
+} from '../utils/kdfUtils';
+
+/**
+ * 密钥派生函数选择器
+ * 选择 KDF 并调整成本参数，参数会写入密文信封，解密时无需再次选择
+ */
+
+const KdfSelector = ({ kdf, kdfParams, onChange, disabled = false }) => {
+  const options = getKdfOptions();
+  const current = options.find((option) => option.value === kdf);
+  const limits = KDF_PARAM_LIMITS[kdf] || {};
+
+  const handleKdfChange = (event) => {
+    const nextKdf = event.target.value;
+    onChange(nextKdf, getDefaultKdfParams(nextKdf));
+  };
+
+  const handleParamChange = (name, value) => {
+    onChange(kdf, { ...kdfParams, [name]: parseInt(value, 10) || 0 });
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 2 }}>
+        <FormControl disabled={disabled}>
+          <InputLabel>密钥派生函数</InputLabel>
+          <Select value={kdf} label="密钥派生函数" onChange={handleKdfChange}>
+            {options.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {Object.keys(limits).map((name) => (
+          <TextField
+            key={name}
+            label={limits[name].label}
+            type="number"
+            value={kdfParams[name] ?? ''}
+            onChange={(e) => handleParamChange(name, e.target.value)}
+            helperText={`${limits[name].min} - ${limits[name].max}`}
+            InputProps={{ inputProps: { min: limits[name].min, max: limits[name].max } }}
+            disabled={disabled}
+          />
+        ))}
+      </Box>
+
+      <Typography variant="caption" color="textSecondary" display="block" sx={{ mt: 1 }}>
+        {current?.description} | 当前参数: {formatKdfParams(kdf, kdfParams)}
+      </Typography>
+    </Box>
+  );
+};
+
+export default KdfSelector;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Paper,
   Typography,
@@ -19,29 +19,77 @@ import {
   ContentCopy,
   QrCode,
   Refresh,
-  CheckCircle
+  CheckCircle,
+  CallSplit,
+  Download,
+  Print
 } from '@mui/icons-material';
 import { generateMnemonic, validateMnemonic } from '../utils/cryptoUtilsGUI';
-import { generateEthereumAddress, formatAddress } from '../utils/evmUtils';
+import { ENTROPY_SOURCES, generateMnemonicFromUserEntropy } from '../utils/entropyUtils';
+import { fileExporter } from '../utils/fileExportUtils';
+import EntropyInput from './EntropyInput';
+import { DEFAULT_ETH_PATH, generateEthereumAddress, formatAddress } from '../utils/evmUtils';
 import OfflineQRGenerator from './OfflineQRGenerator';
+import ShamirDialog from './ShamirDialog';
+import PassphraseInput from './PassphraseInput';
+import MnemonicLanguageSelect from './MnemonicLanguageSelect';
+import { DEFAULT_MNEMONIC_LANGUAGE, getLanguageLabel } from '../utils/wordlistUtils';
 
 const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
   const [wordCount, setWordCount] = useState('12');
+  const [language, setLanguage] = useState(DEFAULT_MNEMONIC_LANGUAGE);
+  const [entropySource, setEntropySource] = useState(ENTROPY_SOURCES.CSPRNG);
+  const [entropyInput, setEntropyInput] = useState('');
+  const [mixWithCsprng, setMixWithCsprng] = useState(false);
+  const [auditTrail, setAuditTrail] = useState([]);
   const [generating, setGenerating] = useState(false);
   const [copySuccess, setCopySuccess] = useState(false);
   const [qrOpen, setQrOpen] = useState(false);
   const [qrData, setQrData] = useState('');
   const [addressQrOpen, setAddressQrOpen] = useState(false);
   const [addressQrData, setAddressQrData] = useState('');
+  const [shamirMnemonic, setShamirMnemonic] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+
+  // 密码短语变化时重新派生已生成助记词的地址
+  useEffect(() => {
+    setMnemonics((current) => current.map((item) => {
+      try {
+        const addressInfo = generateEthereumAddress(item.words.join(' '), DEFAULT_ETH_PATH, passphrase);
+        return {
+          ...item,
+          address: addressInfo.address,
+          privateKey: addressInfo.privateKey,
+          hasPassphrase: addressInfo.hasPassphrase
+        };
+      } catch (addressError) {
+        return item;
+      }
+    }));
+  }, [passphrase, setMnemonics]);
 
   const handleGenerate = async () => {
     setGenerating(true);
     try {
       const count = parseInt(wordCount);
-      const mnemonic = await generateMnemonic(count);
+      let mnemonic;
+      if (entropySource === ENTROPY_SOURCES.CSPRNG) {
+        mnemonic = await generateMnemonic(count, language);
+        setAuditTrail([]);
+      } else {
+        const result = await generateMnemonicFromUserEntropy({
+          input: entropyInput,
+          source: entropySource,
+          wordCount: count,
+          language,
+          mixWithCsprng
+        });
+        mnemonic = result.mnemonic;
+        setAuditTrail(result.auditTrail);
+      }
       
       // 验证生成的助记词
-      const isValid = validateMnemonic(mnemonic);
+      const isValid = validateMnemonic(mnemonic, language);
       if (!isValid) {
         throw new Error('生成的助记词验证失败');
       }
@@ -49,19 +97,22 @@ const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
       // 生成对应的EVM地址
       let addressInfo = null;
       try {
-        addressInfo = generateEthereumAddress(mnemonic);
+        addressInfo = generateEthereumAddress(mnemonic, DEFAULT_ETH_PATH, passphrase);
       } catch (addressError) {
         console.warn('生成EVM地址失败:', addressError);
       }
 
       const newMnemonic = {
         id: Date.now(),
-        words: mnemonic.split(' '),
+        words: mnemonic.split(/\s+/),
         wordCount: count,
+        language,
+        entropySource,
         createdAt: new Date().toISOString(),
         isValid: true,
         address: addressInfo?.address,
-        privateKey: addressInfo?.privateKey
+        privateKey: addressInfo?.privateKey,
+        hasPassphrase: Boolean(passphrase)
       };
       
       setMnemonics([newMnemonic]);
@@ -75,6 +126,30 @@ const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
     }
   };
 
+  const handleExportAudit = async () => {
+    try {
+      await fileExporter.exportAuditTrail(auditTrail);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // 在新窗口中打印审计记录，便于离线设备直接输出纸质存档
+  const handlePrintAudit = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('浏览器拦截了打印窗口，请改用导出');
+      return;
+    }
+    const pre = printWindow.document.createElement('pre');
+    pre.style.fontFamily = 'monospace';
+    pre.style.whiteSpace = 'pre-wrap';
+    pre.textContent = auditTrail.join('\n');
+    printWindow.document.title = '助记词熵审计记录';
+    printWindow.document.body.appendChild(pre);
+    printWindow.print();
+  };
+
   const handleCopy = async (mnemonic) => {
     try {
       const text = mnemonic.words.join(' ');
@@ -143,6 +218,45 @@ const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
         </FormControl>
       </Box>
 
+      <Box sx={{ mb: 3 }}>
+        <FormControl component="fieldset">
+          <FormLabel component="legend">熵来源</FormLabel>
+          <RadioGroup
+            row
+            value={entropySource}
+            onChange={(e) => {
+              setEntropySource(e.target.value);
+              setEntropyInput('');
+            }}
+          >
+            <FormControlLabel value={ENTROPY_SOURCES.CSPRNG} control={<Radio />} label="系统随机数" />
+            <FormControlLabel value={ENTROPY_SOURCES.DICE} control={<Radio />} label="掷骰子" />
+            <FormControlLabel value={ENTROPY_SOURCES.COIN} control={<Radio />} label="抛硬币" />
+          </RadioGroup>
+        </FormControl>
+        {entropySource !== ENTROPY_SOURCES.CSPRNG && (
+          <Box sx={{ mt: 1, maxWidth: 640 }}>
+            <EntropyInput
+              source={entropySource}
+              wordCount={parseInt(wordCount, 10)}
+              value={entropyInput}
+              onChange={setEntropyInput}
+              mixWithCsprng={mixWithCsprng}
+              onMixChange={setMixWithCsprng}
+              disabled={generating}
+            />
+          </Box>
+        )}
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <MnemonicLanguageSelect value={language} onChange={setLanguage} disabled={generating} />
+      </Box>
+
+      <Box sx={{ mb: 3, maxWidth: 480 }}>
+        <PassphraseInput value={passphrase} onChange={setPassphrase} disabled={generating} />
+      </Box>
+
       <Box className="button-group" sx={{ mb: 3 }}>
         <Button
           variant="contained"
@@ -161,7 +275,7 @@ const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
             <Box key={mnemonic.id} className="slide-in" sx={{ mb: 2 }}>
               <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
                 <Typography variant="h6">
-                  生成的助记词 ({mnemonic.wordCount} 词)
+                  生成的助记词 ({mnemonic.wordCount} 词 · {getLanguageLabel(mnemonic.language || DEFAULT_MNEMONIC_LANGUAGE)})
                 </Typography>
                 <Box>
                   {mnemonic.isValid && (
@@ -191,6 +305,15 @@ const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
                       <QrCode />
                     </IconButton>
                   </Tooltip>
+                  <Tooltip title="分片备份 (M-of-N)">
+                    <IconButton
+                      color="primary"
+                      onClick={() => setShamirMnemonic(mnemonic.words.join(' '))}
+                      size="small"
+                    >
+                      <CallSplit />
+                    </IconButton>
+                  </Tooltip>
                 </Box>
               </Box>
               
@@ -244,6 +367,7 @@ const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
                     </Box>
                     <Typography variant="caption" color="textSecondary">
                       路径: m/44'/60'/0'/0/0 (以太坊标准)
+                      {mnemonic.hasPassphrase && ' · 已使用 BIP39 密码短语'}
                     </Typography>
                   </Box>
                 )}
@@ -263,6 +387,40 @@ const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
         </Box>
       )}
 
+      {auditTrail.length > 0 && mnemonics.length > 0 && (
+        <Box sx={{ mb: 2 }}>
+          <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+            <Typography variant="subtitle1">🎲 熵审计记录</Typography>
+            <Box>
+              <Button size="small" startIcon={<Download />} onClick={handleExportAudit}>
+                导出
+              </Button>
+              <Button size="small" startIcon={<Print />} onClick={handlePrintAudit} sx={{ ml: 1 }}>
+                打印
+              </Button>
+            </Box>
+          </Box>
+          <Box
+            component="pre"
+            data-sensitive
+            sx={{
+              p: 2,
+              m: 0,
+              bgcolor: 'grey.50',
+              borderRadius: 1,
+              fontFamily: 'monospace',
+              fontSize: '12px',
+              whiteSpace: 'pre-wrap',
+              wordBreak: 'break-all',
+              maxHeight: 360,
+              overflow: 'auto'
+            }}
+          >
+            {auditTrail.join('\n')}
+          </Box>
+        </Box>
+      )}
+
       <Alert severity="warning" sx={{ mt: 2 }}>
         <strong>安全提醒：</strong>
         <br />
@@ -290,6 +448,13 @@ const MnemonicGenerator = ({ mnemonics, setMnemonics }) => {
         data={addressQrData}
         title="EVM地址二维码"
       />
+
+      {/* 助记词分片 */}
+      <ShamirDialog
+        open={Boolean(shamirMnemonic)}
+        onClose={() => setShamirMnemonic('')}
+        mnemonic={shamirMnemonic}
+      />
     </Paper>
   );
 };
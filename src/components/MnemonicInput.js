@@ -0,0 +1,159 @@
+import React, { useRef, useState } from 'react';
+import { Box, TextField, Chip, Tooltip, Typography, Button } from '@mui/material';
+import { UnfoldMore } from '@mui/icons-material';
+import { completeMnemonicWord, expandMnemonic, resolveMnemonicWord } from '../utils/wordlistUtils';
+
+/**
+ * 助记词输入框
+ * 支持前 4 个字母缩写 (钢板备份)，按当前词表自动补全光标处的单词 (Tab 采用第一个候选)，
+ * 并在整句校验之前逐词标出无法识别的单词
+ */
+
+// 私钥 (含输入中的 0x 前缀或较长的十六进制串) 不做单词检查
+const looksLikePrivateKey = (text) => /^(0x[0-9a-fA-F]*|[0-9a-fA-F]{9,})$/.test(text);
+
+const findTokens = (text) => {
+  const tokens = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+const MnemonicInput = ({
+  value = '',
+  onChange = () => {},
+  language,
+  label = '助记词',
+  placeholder,
+  rows = 3,
+  disabled = false,
+  helperText,
+  allowPrivateKey = false,
+  sx
+}) => {
+  const inputRef = useRef(null);
+  const [caret, setCaret] = useState(null);
+  const [focused, setFocused] = useState(false);
+
+  const isPrivateKey = allowPrivateKey && looksLikePrivateKey(value.trim());
+  const expansion = expandMnemonic(value, language);
+  const activeLanguage = language || expansion.language;
+
+  const tokens = isPrivateKey ? [] : findTokens(value);
+  // 光标所在、正在输入的单词不参与标记
+  const editing = focused && caret !== null
+    ? tokens.find((token) => caret >= token.start && caret <= token.end)
+    : null;
+  const suggestions = editing ? completeMnemonicWord(editing.text, activeLanguage) : [];
+  const showSuggestions = suggestions.length > 0 &&
+    !(suggestions.length === 1 && suggestions[0] === editing.text.normalize('NFKD').toLowerCase());
+
+  const flagged = tokens
+    .map((token, index) => ({ ...resolveMnemonicWord(token.text, activeLanguage), index, token }))
+    .filter((item) => item.status !== 'ok' && item.token !== editing);
+  const hasExpandable = flagged.some((item) => item.status === 'expanded');
+
+  const trackCaret = (event) => setCaret(event.target.selectionStart);
+
+  const acceptSuggestion = (word) => {
+    const before = value.slice(0, editing.start);
+    const after = value.slice(editing.end).replace(/^\s+/, '');
+    const next = `${before}${word} ${after}`;
+    const position = before.length + word.length + 1;
+    onChange(next);
+    setCaret(position);
+    setTimeout(() => {
+      if (inputRef.current) {
+        inputRef.current.focus();
+        inputRef.current.setSelectionRange(position, position);
+      }
+    }, 0);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Tab' && showSuggestions) {
+      event.preventDefault();
+      acceptSuggestion(suggestions[0]);
+    }
+  };
+
+  const chipProps = {
+    expanded: { color: 'info', label: (item) => `${item.input} → ${item.word}`, title: '前缀缩写，将按完整单词处理' },
+    ambiguous: { color: 'warning', label: (item) => `${item.input} ?`, title: (item) => `前缀不唯一: ${item.matches.slice(0, 6).join(', ')}` },
+    unknown: { color: 'error', label: (item) => item.input, title: '不在当前词表中' }
+  };
+
+  return (
+    <Box sx={sx}>
+      <TextField
+        fullWidth
+        multiline
+        rows={rows}
+        label={label}
+        placeholder={placeholder}
+        value={value}
+        onChange={(event) => {
+          onChange(event.target.value);
+          trackCaret(event);
+        }}
+        onSelect={trackCaret}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        disabled={disabled}
+        error={flagged.some((item) => item.status !== 'expanded')}
+        helperText={helperText}
+        inputRef={inputRef}
+        inputProps={{ autoComplete: 'off', spellCheck: false, autoCapitalize: 'none' }}
+      />
+
+      {showSuggestions && (
+        <Box display="flex" flexWrap="wrap" alignItems="center" gap={0.5} sx={{ mt: 1 }}>
+          <Typography variant="caption" color="textSecondary">
+            补全 (Tab):
+          </Typography>
+          {suggestions.map((word) => (
+            <Chip
+              key={word}
+              label={word}
+              size="small"
+              variant="outlined"
+              clickable
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => acceptSuggestion(word)}
+            />
+          ))}
+        </Box>
+      )}
+
+      {flagged.length > 0 && (
+        <Box display="flex" flexWrap="wrap" alignItems="center" gap={0.5} sx={{ mt: 1 }}>
+          {flagged.map((item) => {
+            const props = chipProps[item.status];
+            const title = typeof props.title === 'function' ? props.title(item) : props.title;
+            return (
+              <Tooltip key={item.index} title={`第 ${item.index + 1} 个单词: ${title}`}>
+                <Chip label={props.label(item)} color={props.color} size="small" variant="outlined" />
+              </Tooltip>
+            );
+          })}
+          {hasExpandable && (
+            <Button
+              size="small"
+              startIcon={<UnfoldMore />}
+              onClick={() => onChange(expansion.mnemonic)}
+              disabled={disabled}
+            >
+              展开缩写
+            </Button>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default MnemonicInput;
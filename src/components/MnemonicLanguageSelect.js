@@ -0,0 +1,23 @@
+import React from 'react';
+import { FormControl, InputLabel, Select, MenuItem } from '@mui/material';
+import { MNEMONIC_LANGUAGES } from '../utils/wordlistUtils';
+
+/**
+ * 助记词语言 (BIP39 词表) 选择框
+ * 不同词表生成的助记词派生出不同地址，恢复时须使用同一语言
+ */
+
+const MnemonicLanguageSelect = ({ value, onChange, disabled = false, sx }) => (
+  <FormControl sx={{ minWidth: 200, ...sx }} disabled={disabled}>
+    <InputLabel>助记词语言</InputLabel>
+    <Select value={value} label="助记词语言" onChange={(e) => onChange(e.target.value)}>
+      {MNEMONIC_LANGUAGES.map((language) => (
+        <MenuItem key={language.value} value={language.value}>
+          {language.label}
+        </MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+export default MnemonicLanguageSelect;
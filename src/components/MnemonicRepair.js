@@ -0,0 +1,248 @@
+/**
+ * 助记词修复组件
+ * 手抄备份中有难以辨认的单词或拼写错误时，枚举候选并用校验和与目标地址筛选
+ */
+
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Alert,
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { Healing, ContentCopy, CheckCircle } from '@mui/icons-material';
+import { DEFAULT_ETH_PATH, isValidEthereumAddress } from '../utils/evmUtils';
+import { MNEMONIC_LANGUAGES, getLanguageLabel } from '../utils/wordlistUtils';
+import { repairMnemonic } from '../utils/repairUtils';
+import DerivationPathSelector from './DerivationPathSelector';
+import PassphraseInput from './PassphraseInput';
+
+const MAX_DISPLAY = 100;
+
+const MnemonicRepair = () => {
+  const [input, setInput] = useState('');
+  const [language, setLanguage] = useState('auto');
+  const [maxDistance, setMaxDistance] = useState(2);
+  const [targetAddress, setTargetAddress] = useState('');
+  const [derivationPath, setDerivationPath] = useState(DEFAULT_ETH_PATH);
+  const [passphrase, setPassphrase] = useState('');
+  const [repairing, setRepairing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleRepair = async () => {
+    if (targetAddress && !isValidEthereumAddress(targetAddress.trim())) {
+      setError('目标地址格式不正确');
+      return;
+    }
+
+    setRepairing(true);
+    setProgress(0);
+    setResult(null);
+    setError('');
+    try {
+      const repaired = await repairMnemonic(input, {
+        language: language === 'auto' ? undefined : language,
+        maxDistance,
+        targetAddress: targetAddress.trim(),
+        derivationPath,
+        passphrase,
+        onProgress: (checked, total) => setProgress(total > 0 ? (checked / total) * 100 : 0)
+      });
+      setResult(repaired);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRepairing(false);
+    }
+  };
+
+  const renderMnemonic = (candidate) => {
+    const changed = new Set(candidate.changes.map((change) => change.position));
+    return candidate.mnemonic.split(' ').map((word, index) => (
+      <span key={index} style={changed.has(index) ? { fontWeight: 700, color: '#d32f2f' } : undefined}>
+        {word}{' '}
+      </span>
+    ));
+  };
+
+  const matched = result?.candidates.filter((candidate) => candidate.addressMatch) || [];
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Typography variant="h5" component="h2" gutterBottom>
+        🩹 助记词修复
+      </Typography>
+
+      <Typography variant="body2" color="textSecondary" paragraph>
+        用于手抄备份中有一个单词无法辨认或拼写错误的情况：拼错的单词按编辑距离匹配词表，
+        无法辨认的单词用 ? 代替并枚举全部候选，再用 BIP39 校验和过滤；填写已知地址可直接定位正确结果
+      </Typography>
+
+      <TextField
+        fullWidth
+        multiline
+        rows={3}
+        label="手抄助记词"
+        placeholder="例如: abandon abandon ? abandon ...（缺失单词用 ? 表示，漏抄一个单词时可直接少写）"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        disabled={repairing}
+        inputProps={{ autoComplete: 'off', spellCheck: false }}
+        sx={{ mb: 2 }}
+      />
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 2, mb: 2 }}>
+        <FormControl disabled={repairing}>
+          <InputLabel>助记词语言</InputLabel>
+          <Select value={language} label="助记词语言" onChange={(e) => setLanguage(e.target.value)}>
+            <MenuItem value="auto">自动识别</MenuItem>
+            {MNEMONIC_LANGUAGES.map((item) => (
+              <MenuItem key={item.value} value={item.value}>
+                {item.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl disabled={repairing}>
+          <InputLabel>拼写容错</InputLabel>
+          <Select value={maxDistance} label="拼写容错" onChange={(e) => setMaxDistance(e.target.value)}>
+            <MenuItem value={1}>编辑距离 ≤ 1</MenuItem>
+            <MenuItem value={2}>编辑距离 ≤ 2</MenuItem>
+            <MenuItem value={3}>编辑距离 ≤ 3</MenuItem>
+          </Select>
+        </FormControl>
+        <TextField
+          label="已知地址（可选）"
+          value={targetAddress}
+          onChange={(e) => setTargetAddress(e.target.value)}
+          disabled={repairing}
+          placeholder="0x..."
+        />
+      </Box>
+
+      {targetAddress.trim() && (
+        <Box sx={{ mb: 2 }}>
+          <DerivationPathSelector
+            label="地址派生路径"
+            value={derivationPath}
+            onChange={setDerivationPath}
+            disabled={repairing}
+          />
+          <PassphraseInput
+            value={passphrase}
+            onChange={setPassphrase}
+            disabled={repairing}
+            sx={{ mt: 2 }}
+          />
+        </Box>
+      )}
+
+      <Button
+        variant="contained"
+        startIcon={<Healing />}
+        onClick={handleRepair}
+        disabled={repairing || !input.trim()}
+        sx={{ mb: 2 }}
+      >
+        {repairing ? '修复中...' : '开始修复'}
+      </Button>
+
+      {repairing && <LinearProgress variant="determinate" value={progress} sx={{ mb: 2 }} />}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {result && (
+        <Box>
+          <Alert
+            severity={matched.length > 0 ? 'success' : result.candidates.length > 0 ? 'info' : 'warning'}
+            sx={{ mb: 2 }}
+          >
+            语言: {getLanguageLabel(result.language)} · 尝试 {result.checked} 种组合 ·
+            {' '}{result.candidates.length} 个通过校验和
+            {targetAddress.trim() && ` · ${matched.length > 0 ? '找到与目标地址一致的助记词' : `核对 ${result.addressChecked} 个，未找到目标地址`}`}
+          </Alert>
+
+          {result.candidates.length > 0 && (
+            <TableContainer sx={{ maxHeight: 420, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+              <Table stickyHeader size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>#</TableCell>
+                    <TableCell>候选助记词</TableCell>
+                    <TableCell>修改</TableCell>
+                    {targetAddress.trim() && <TableCell>地址</TableCell>}
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.candidates.slice(0, MAX_DISPLAY).map((candidate, index) => (
+                    <TableRow key={candidate.mnemonic} hover selected={Boolean(candidate.addressMatch)}>
+                      <TableCell>{index + 1}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }} data-sensitive>
+                        {renderMnemonic(candidate)}
+                      </TableCell>
+                      <TableCell sx={{ fontSize: '12px' }}>
+                        {candidate.changes.map((change) => (
+                          <div key={change.position}>
+                            #{change.position + 1}: {change.from} → {change.to}
+                          </div>
+                        ))}
+                      </TableCell>
+                      {targetAddress.trim() && (
+                        <TableCell>
+                          {candidate.addressMatch ? (
+                            <Chip icon={<CheckCircle />} label="地址一致" color="success" size="small" />
+                          ) : (
+                            <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>
+                              {candidate.address ? `${candidate.address.slice(0, 10)}...` : '未核对'}
+                            </Typography>
+                          )}
+                        </TableCell>
+                      )}
+                      <TableCell>
+                        <Tooltip title="复制助记词">
+                          <IconButton size="small" onClick={() => navigator.clipboard.writeText(candidate.mnemonic)}>
+                            <ContentCopy fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+          {result.candidates.length > MAX_DISPLAY && (
+            <Typography variant="caption" color="textSecondary">
+              仅显示前 {MAX_DISPLAY} 个候选，填写已知地址可缩小范围
+            </Typography>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default MnemonicRepair;
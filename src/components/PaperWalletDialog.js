@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  LinearProgress
+} from '@mui/material';
+import { Close, Print } from '@mui/icons-material';
+import { PAPER_SIZES, buildPaperWalletSheet, renderPaperWalletHtml } from '../utils/paperWalletUtils';
+
+const NO_RESULTS = [];
+
+/**
+ * 纸质备份打印
+ * 为一个或多个加密结果生成 A4 / Letter 备份页，每项一页，一次打印
+ */
+const PaperWalletDialog = ({ open, onClose, results = NO_RESULTS }) => {
+  const [paperSize, setPaperSize] = useState('a4');
+  const [sheets, setSheets] = useState([]);
+  const [building, setBuilding] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+
+    const build = async () => {
+      setBuilding(true);
+      setError('');
+      setSheets([]);
+      setProgress(0);
+      try {
+        const items = results.filter((result) => result.encryptedData);
+        const built = [];
+        for (let i = 0; i < items.length; i += 1) {
+          built.push(await buildPaperWalletSheet(items[i], i));
+          if (cancelled) return;
+          setProgress(Math.round(((i + 1) / items.length) * 100));
+        }
+        setSheets(built);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setBuilding(false);
+      }
+    };
+
+    build();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, results]);
+
+  const previewHtml = useMemo(
+    () => (sheets.length > 0 ? renderPaperWalletHtml(sheets.slice(0, 1), { paperSize }) : ''),
+    [sheets, paperSize]
+  );
+
+  // 在新窗口中写入全部备份页，图片加载完成后调起打印
+  const handlePrint = async () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('浏览器拦截了打印窗口，请允许弹出窗口后重试');
+      return;
+    }
+    printWindow.document.open();
+    printWindow.document.write(renderPaperWalletHtml(sheets, { paperSize }));
+    printWindow.document.close();
+
+    await Promise.all(
+      Array.from(printWindow.document.images).map((img) =>
+        img.complete ? null : new Promise((resolve) => {
+          img.onload = resolve;
+          img.onerror = resolve;
+        })
+      )
+    );
+    printWindow.focus();
+    printWindow.print();
+    console.log('🖨️ 纸质备份已发送打印:', sheets.length, '张');
+  };
+
+  const handleClose = () => {
+    setSheets([]);
+    setError('');
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" justifyContent="space-between">
+          <Box display="flex" alignItems="center">
+            <Print sx={{ mr: 1, color: 'primary.main' }} />
+            <Typography variant="h6">打印纸质备份</Typography>
+          </Box>
+          <IconButton onClick={handleClose} size="small">
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="textSecondary" paragraph>
+          每项一页：加密数据二维码与分行文本、地址二维码、词数、创建时间、KDF 参数和逐行校验码。
+          备份页不包含助记词明文与密码
+        </Typography>
+
+        <FormControl sx={{ minWidth: 220, mb: 2 }}>
+          <InputLabel>纸张</InputLabel>
+          <Select value={paperSize} label="纸张" onChange={(e) => setPaperSize(e.target.value)}>
+            {PAPER_SIZES.map((size) => (
+              <MenuItem key={size.value} value={size.value}>
+                {size.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {building && (
+          <Box sx={{ mb: 2 }}>
+            <LinearProgress variant="determinate" value={progress} />
+            <Typography variant="caption" color="textSecondary">
+              正在生成备份页 {progress}%
+            </Typography>
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {previewHtml && (
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>
+              预览 (第 1 页，共 {sheets.length} 页)
+            </Typography>
+            <iframe
+              title="纸质备份预览"
+              srcDoc={previewHtml}
+              sandbox=""
+              style={{ width: '100%', height: 480, border: '1px solid #e0e0e0', borderRadius: 4 }}
+            />
+          </Box>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={handleClose}>关闭</Button>
+        <Button
+          variant="contained"
+          startIcon={<Print />}
+          onClick={handlePrint}
+          disabled={building || sheets.length === 0}
+        >
+          打印 {sheets.length} 页
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PaperWalletDialog;
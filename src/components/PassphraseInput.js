@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+import { TextField, InputAdornment, IconButton } from '@mui/material';
+import { Visibility, VisibilityOff } from '@mui/icons-material';
+
+/**
+ * BIP39 密码短语 ("第25个词") 输入框
+ * 密码短语参与种子计算，不同短语派生出完全不同的地址；留空即标准派生
+ */
+
+const PassphraseInput = ({ value, onChange, disabled = false, helperText, sx }) => {
+  const [visible, setVisible] = useState(false);
+
+  return (
+    <TextField
+      fullWidth
+      label="BIP39 密码短语（可选）"
+      type={visible ? 'text' : 'password'}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      autoComplete="off"
+      helperText={helperText || '留空为标准派生；填写后地址完全不同，短语不会被保存或导出'}
+      sx={sx}
+      InputProps={{
+        endAdornment: (
+          <InputAdornment position="end">
+            <IconButton size="small" onClick={() => setVisible(!visible)} edge="end">
+              {visible ? <VisibilityOff fontSize="small" /> : <Visibility fontSize="small" />}
+            </IconButton>
+          </InputAdornment>
+        )
+      }}
+    />
+  );
+};
+
+export default PassphraseInput;
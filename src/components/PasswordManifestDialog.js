@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  Tooltip,
+  Alert,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Close, ContentCopy, VpnKey } from '@mui/icons-material';
+import { openPasswordManifest } from '../utils/passwordUtils';
+import { formatAddress } from '../utils/evmUtils';
+
+/**
+ * 密码清单查看器
+ * 用主密码解密独立密码清单，可单独复制某个账号的密码交给他人
+ */
+
+const PasswordManifestDialog = ({ open, onClose }) => {
+  const [manifestText, setManifestText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [masterPassword, setMasterPassword] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [opening, setOpening] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    setManifestText(await file.text());
+    setFileName(file.name);
+    setEntries([]);
+    setError('');
+  };
+
+  const handleOpen = async () => {
+    if (!manifestText || !masterPassword) {
+      setError('请选择密码清单文件并输入主密码');
+      return;
+    }
+
+    setOpening(true);
+    setError('');
+    try {
+      const manifest = await openPasswordManifest(manifestText, masterPassword);
+      setEntries(manifest.entries);
+    } catch (err) {
+      setError(`打开失败: ${err.message}`);
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  // 关闭时清空已解密的密码
+  const handleClose = () => {
+    setEntries([]);
+    setMasterPassword('');
+    setError('');
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" justifyContent="space-between">
+          <Box display="flex" alignItems="center">
+            <VpnKey sx={{ mr: 1, color: 'primary.main' }} />
+            <Typography variant="h6">打开密码清单</Typography>
+          </Box>
+          <IconButton onClick={handleClose} size="small">
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Box className="file-drop-zone" sx={{ mb: 2 }}>
+          <input
+            id="manifest-upload"
+            type="file"
+            accept=".json"
+            style={{ display: 'none' }}
+            onChange={handleFileChange}
+          />
+          <label htmlFor="manifest-upload">
+            <Button variant="outlined" component="span">
+              选择密码清单
+            </Button>
+          </label>
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            {fileName ? `已载入: ${fileName}` : '批量生成时导出的 mnemonic_password_manifest_*.json'}
+          </Typography>
+        </Box>
+
+        <Box display="flex" gap={2} alignItems="center" sx={{ mb: 2 }}>
+          <TextField
+            fullWidth
+            label="主密码"
+            type="password"
+            value={masterPassword}
+            onChange={(e) => setMasterPassword(e.target.value)}
+          />
+          <Button variant="contained" onClick={handleOpen} disabled={opening}>
+            {opening ? '解密中...' : '解密'}
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {entries.length > 0 && (
+          <TableContainer sx={{ maxHeight: 400, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+            <Table stickyHeader size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>序号</TableCell>
+                  <TableCell>EVM地址</TableCell>
+                  <TableCell>独立密码</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entries.map((entry) => (
+                  <TableRow key={entry.id} hover>
+                    <TableCell>{entry.id}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                      {entry.address ? formatAddress(entry.address, 6, 4) : '-'}
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                      {entry.password}
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title="复制密码">
+                        <IconButton size="small" onClick={() => navigator.clipboard.writeText(entry.password)}>
+                          <ContentCopy fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={handleClose}>关闭</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PasswordManifestDialog;
@@ -0,0 +1,217 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  Alert,
+  Chip
+} from '@mui/material';
+import { Close, QrCodeScanner, PhotoCamera, Image as ImageIcon } from '@mui/icons-material';
+import {
+  SCAN_TYPES,
+  SCAN_TYPE_LABELS,
+  captureImageData,
+  classifyScannedValue,
+  decodeQrFile,
+  decodeQrImageData
+} from '../utils/qrScanUtils';
+
+/**
+ * 二维码扫描
+ * 识别图片文件或摄像头画面中的二维码，内容类型符合 accept 时通过 onScan 交给页面
+ */
+
+const SCAN_INTERVAL_MS = 400;
+const ALL_TYPES = Object.values(SCAN_TYPES);
+
+let inputCounter = 0;
+
+const stopCamera = (camera) => {
+  clearInterval(camera.timer);
+  camera.timer = null;
+  if (camera.stream) {
+    camera.stream.getTracks().forEach((track) => track.stop());
+    camera.stream = null;
+  }
+};
+
+const QRScannerDialog = ({
+  open,
+  onClose,
+  onScan = () => {},
+  accept = ALL_TYPES,
+  title = '扫描二维码'
+}) => {
+  const [inputId] = useState(() => `qr-scan-upload-${++inputCounter}`);
+  const [cameraActive, setCameraActive] = useState(false);
+  const [error, setError] = useState('');
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const cameraRef = useRef({ stream: null, timer: null, busy: false });
+
+  const cameraSupported = typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+  useEffect(() => {
+    const camera = cameraRef.current;
+    return () => stopCamera(camera);
+  }, []);
+
+  const handleClose = () => {
+    stopCamera(cameraRef.current);
+    setCameraActive(false);
+    setError('');
+    onClose();
+  };
+
+  // 类型不符时保留对话框并提示，摄像头继续扫描
+  const handleDecoded = (text) => {
+    const result = classifyScannedValue(text);
+    if (!accept.includes(result.type)) {
+      setError(`识别到${SCAN_TYPE_LABELS[result.type]}，此处需要${accept.map((type) => SCAN_TYPE_LABELS[type]).join(' / ')}`);
+      return false;
+    }
+    console.log('📷 二维码识别成功:', SCAN_TYPE_LABELS[result.type]);
+    onScan(result);
+    handleClose();
+    return true;
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      handleDecoded(await decodeQrFile(file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const scanFrame = async () => {
+    const camera = cameraRef.current;
+    const video = videoRef.current;
+    if (camera.busy || !video || video.readyState < 2) return;
+
+    camera.busy = true;
+    try {
+      const imageData = captureImageData(video, video.videoWidth, video.videoHeight, canvasRef.current);
+      handleDecoded(await decodeQrImageData(imageData));
+    } catch (err) {
+      // 当前画面没有二维码，等待下一帧
+    } finally {
+      camera.busy = false;
+    }
+  };
+
+  const handleStartCamera = async () => {
+    setError('');
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+      const camera = cameraRef.current;
+      camera.stream = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      camera.timer = setInterval(scanFrame, SCAN_INTERVAL_MS);
+      setCameraActive(true);
+    } catch (err) {
+      stopCamera(cameraRef.current);
+      setError(`无法打开摄像头: ${err.message}`);
+    }
+  };
+
+  const handleStopCamera = () => {
+    stopCamera(cameraRef.current);
+    setCameraActive(false);
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" justifyContent="space-between">
+          <Box display="flex" alignItems="center">
+            <QrCodeScanner sx={{ mr: 1, color: 'primary.main' }} />
+            <Typography variant="h6">{title}</Typography>
+          </Box>
+          <IconButton onClick={handleClose} size="small">
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="body2" color="textSecondary" component="span" sx={{ mr: 1 }}>
+            可识别:
+          </Typography>
+          {accept.map((type) => (
+            <Chip key={type} label={SCAN_TYPE_LABELS[type]} size="small" sx={{ mr: 0.5 }} />
+          ))}
+        </Box>
+
+        <Box display="flex" gap={2} sx={{ mb: 2 }}>
+          <input
+            id={inputId}
+            type="file"
+            accept="image/*"
+            style={{ display: 'none' }}
+            onChange={handleFileChange}
+          />
+          <label htmlFor={inputId}>
+            <Button variant="outlined" component="span" startIcon={<ImageIcon />}>
+              选择图片
+            </Button>
+          </label>
+          <Button
+            variant="outlined"
+            startIcon={<PhotoCamera />}
+            onClick={cameraActive ? handleStopCamera : handleStartCamera}
+            disabled={!cameraSupported}
+          >
+            {cameraActive ? '关闭摄像头' : '使用摄像头'}
+          </Button>
+        </Box>
+
+        {!cameraSupported && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            当前环境不支持摄像头，请选择二维码图片
+          </Alert>
+        )}
+
+        <Box sx={{ display: cameraActive ? 'block' : 'none', mb: 2 }}>
+          <video
+            ref={videoRef}
+            muted
+            playsInline
+            style={{ width: '100%', maxHeight: 360, background: '#000', borderRadius: 4 }}
+          />
+          <Typography variant="caption" color="textSecondary">
+            将二维码对准摄像头，识别成功后自动填入
+          </Typography>
+        </Box>
+        <canvas ref={canvasRef} style={{ display: 'none' }} />
+
+        {error && (
+          <Alert severity="warning" sx={{ mb: 1 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={handleClose}>关闭</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QRScannerDialog;
@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Alert,
+  LinearProgress,
+  FormControlLabel,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip
+} from '@mui/material';
+import { Download, VpnKey } from '@mui/icons-material';
+import { KDFS } from '../utils/cryptoEnvelope';
+import { getDefaultKdfParams } from '../utils/kdfUtils';
+import { rekeyExportFile } from '../utils/rekeyUtils';
+import { fileExporter } from '../utils/fileExportUtils';
+import KdfSelector from './KdfSelector';
+
+/**
+ * 批次密码轮换面板
+ * 上传 FileExportUtils 导出的文件，用旧密码解密后以新密码重新加密并下载新文件
+ */
+
+const RekeyPanel = () => {
+  const [file, setFile] = useState(null);
+  const [oldPassword, setOldPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [changeKdf, setChangeKdf] = useState(false);
+  const [kdf, setKdf] = useState(KDFS.ARGON2ID);
+  const [kdfParams, setKdfParams] = useState(getDefaultKdfParams(KDFS.ARGON2ID));
+  const [processing, setProcessing] = useState(false);
+  const [processed, setProcessed] = useState(0);
+  const [report, setReport] = useState([]);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleFileChange = (event) => {
+    const selected = event.target.files?.[0];
+    if (!selected) return;
+    setFile(selected);
+    setReport([]);
+    setResult(null);
+    setError('');
+  };
+
+  const handleRekey = async () => {
+    if (!file) {
+      setError('请先选择导出文件');
+      return;
+    }
+    if (!oldPassword || !newPassword) {
+      setError('请输入原密码和新密码');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError('两次输入的新密码不一致');
+      return;
+    }
+
+    setProcessing(true);
+    setProcessed(0);
+    setReport([]);
+    setResult(null);
+    setError('');
+
+    try {
+      const rekeyed = await rekeyExportFile(file, {
+        oldPassword,
+        newPassword,
+        kdf: changeKdf ? kdf : null,
+        kdfParams: changeKdf ? kdfParams : null,
+        onProgress: () => setProcessed((count) => count + 1)
+      });
+      setReport(rekeyed.report);
+      setResult(rekeyed);
+      if (rekeyed.failureCount > 0) {
+        setError(`${rekeyed.failureCount} 条记录轮换失败，未生成新文件。请检查原密码或文件内容后重试。`);
+      }
+    } catch (err) {
+      setError(`密码轮换失败: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    if (!result?.blob) return;
+    try {
+      await fileExporter.saveBlob(result.blob, result.filename);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Typography variant="h5" component="h2" gutterBottom>
+        🔑 批次密码轮换
+      </Typography>
+      <Typography variant="body2" color="textSecondary" paragraph>
+        上传导出的 JSON / CSV / TXT / ZIP 文件，用原密码逐条解密并以新密码重新加密，其余字段保持不变。
+        解密出的助记词只在内存中短暂存在，不会显示或写入文件。
+        HKDF 派生的独立密码批次请输入主密码作为原密码，轮换后所有记录统一使用新密码；随机独立密码批次不支持轮换。
+      </Typography>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          1. 选择导出文件
+        </Typography>
+        <Box className="file-drop-zone" sx={{ mb: 2 }}>
+          <input
+            id="rekey-upload"
+            type="file"
+            accept=".json,.csv,.txt,.zip"
+            style={{ display: 'none' }}
+            onChange={handleFileChange}
+          />
+          <label htmlFor="rekey-upload">
+            <Button variant="outlined" component="span">
+              选择文件
+            </Button>
+          </label>
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            {file ? `已选择: ${file.name}` : '支持单个/批量 JSON、CSV、TXT 以及批量压缩包'}
+          </Typography>
+        </Box>
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          2. 设置密码
+        </Typography>
+        <TextField
+          fullWidth
+          label="原密码"
+          type="password"
+          value={oldPassword}
+          onChange={(e) => setOldPassword(e.target.value)}
+          margin="normal"
+        />
+        <TextField
+          fullWidth
+          label="新密码"
+          type="password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          margin="normal"
+        />
+        <TextField
+          fullWidth
+          label="确认新密码"
+          type="password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          margin="normal"
+          error={confirmPassword !== '' && newPassword !== confirmPassword}
+        />
+
+        <FormControlLabel
+          control={<Switch checked={changeKdf} onChange={(e) => setChangeKdf(e.target.checked)} />}
+          label="同时更换密钥派生参数（不勾选则沿用每条记录原有的参数）"
+          sx={{ mt: 1, mb: 1 }}
+        />
+        {changeKdf && (
+          <KdfSelector
+            kdf={kdf}
+            kdfParams={kdfParams}
+            onChange={(nextKdf, nextParams) => {
+              setKdf(nextKdf);
+              setKdfParams(nextParams);
+            }}
+            disabled={processing}
+          />
+        )}
+      </Box>
+
+      <Box display="flex" gap={2} sx={{ mb: 3 }}>
+        <Button
+          variant="contained"
+          startIcon={<VpnKey />}
+          onClick={handleRekey}
+          disabled={processing || !file}
+        >
+          {processing ? `轮换中... (${processed})` : '开始轮换'}
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<Download />}
+          onClick={handleDownload}
+          disabled={!result?.blob}
+        >
+          下载新文件
+        </Button>
+      </Box>
+
+      {processing && <LinearProgress sx={{ mb: 2 }} />}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {result?.blob && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          已成功轮换 {result.successCount} 条记录，点击"下载新文件"保存 {result.filename}。
+          确认新文件可正常解密后再销毁旧文件。
+        </Alert>
+      )}
+
+      {report.length > 0 && (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>#</TableCell>
+                <TableCell>来源</TableCell>
+                <TableCell>状态</TableCell>
+                <TableCell>说明</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.map((entry) => (
+                <TableRow key={entry.index}>
+                  <TableCell>{entry.index}</TableCell>
+                  <TableCell>{entry.source}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={entry.success ? '成功' : '失败'}
+                      color={entry.success ? 'success' : 'error'}
+                    />
+                  </TableCell>
+                  <TableCell>{entry.error}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Paper>
+  );
+};
+
+export default RekeyPanel;
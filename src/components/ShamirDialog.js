@@ -0,0 +1,42 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton
+} from '@mui/material';
+import { Close, CallSplit } from '@mui/icons-material';
+import ShamirPanel from './ShamirPanel';
+
+/**
+ * 助记词分片对话框
+ * 在生成页与批量页中直接拆分当前助记词
+ */
+
+const ShamirDialog = ({ open, onClose, mnemonic }) => (
+  <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+    <DialogTitle>
+      <Box display="flex" alignItems="center" justifyContent="space-between">
+        <Box display="flex" alignItems="center">
+          <CallSplit sx={{ mr: 1, color: 'primary.main' }} />
+          <Typography variant="h6">助记词分片备份</Typography>
+        </Box>
+        <IconButton onClick={onClose} size="small">
+          <Close />
+        </IconButton>
+      </Box>
+    </DialogTitle>
+    <DialogContent>
+      <ShamirPanel initialMnemonic={mnemonic} embedded />
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onClose}>关闭</Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default ShamirDialog;
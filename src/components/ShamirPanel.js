@@ -0,0 +1,331 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Chip
+} from '@mui/material';
+import { CallSplit, MergeType, ContentCopy, Download, QrCode } from '@mui/icons-material';
+import {
+  splitMnemonic,
+  combineShares,
+  formatShare,
+  isShareLine,
+  parseShare,
+  SHARE_PREFIX
+} from '../utils/shamirUtils';
+import { generateEthereumAddress } from '../utils/evmUtils';
+import { fileExporter } from '../utils/fileExportUtils';
+import OfflineQRGenerator from './OfflineQRGenerator';
+
+/**
+ * 助记词分片 (Shamir M-of-N)
+ * 拆分：将助记词拆成 N 个分片分别保管；恢复：输入任意 M 个分片还原助记词
+ */
+
+/**
+ * 从文本中提取单行格式的分片
+ * JSON 导出的分片先转换为单行格式
+ */
+const extractShares = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    return [formatShare(parseShare(trimmed))];
+  }
+  return trimmed
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(isShareLine);
+};
+
+const ShamirPanel = ({ initialMnemonic = '', embedded = false }) => {
+  const [mnemonic, setMnemonic] = useState(initialMnemonic);
+  const [threshold, setThreshold] = useState(2);
+  const [total, setTotal] = useState(3);
+  const [shares, setShares] = useState([]);
+  const [exportFormat, setExportFormat] = useState('txt');
+  const [splitting, setSplitting] = useState(false);
+  const [splitError, setSplitError] = useState('');
+
+  const [shareInput, setShareInput] = useState('');
+  const [combining, setCombining] = useState(false);
+  const [recovered, setRecovered] = useState(null);
+  const [combineError, setCombineError] = useState('');
+
+  const [qrOpen, setQrOpen] = useState(false);
+  const [qrData, setQrData] = useState('');
+  const [qrTitle, setQrTitle] = useState('');
+
+  const handleSplit = async () => {
+    setSplitting(true);
+    setSplitError('');
+    setShares([]);
+    try {
+      const normalized = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+      setShares(await splitMnemonic(normalized, threshold, total));
+    } catch (error) {
+      setSplitError(`拆分失败: ${error.message}`);
+    } finally {
+      setSplitting(false);
+    }
+  };
+
+  const handleExportShares = async (mode) => {
+    try {
+      const result = await fileExporter.exportShares(shares, exportFormat, mode);
+      alert(mode === 'archive'
+        ? `分片导出成功！\n文件: ${result.filename}\n请解压后将各分片分开保管`
+        : `分片导出成功！\n共 ${result.count} 个文件，请分开保管`);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleShowShareQR = (share) => {
+    setQrTitle(`分片 ${share.index}/${share.total} 二维码`);
+    setQrData(formatShare(share));
+    setQrOpen(true);
+  };
+
+  const handleShareFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    const lines = [];
+    try {
+      for (const file of files) {
+        lines.push(...extractShares(await file.text()));
+      }
+    } catch (error) {
+      setCombineError(`分片文件读取失败: ${error.message}`);
+    }
+    setShareInput((current) => [current.trim(), ...lines].filter(Boolean).join('\n'));
+    event.target.value = '';
+  };
+
+  const handleCombine = async () => {
+    setCombining(true);
+    setCombineError('');
+    setRecovered(null);
+    try {
+      const recoveredMnemonic = await combineShares(extractShares(shareInput));
+      let address = '';
+      try {
+        address = generateEthereumAddress(recoveredMnemonic).address;
+      } catch (error) {
+        console.warn('恢复后地址生成失败:', error);
+      }
+      setRecovered({ mnemonic: recoveredMnemonic, address });
+    } catch (error) {
+      setCombineError(`恢复失败: ${error.message}`);
+    } finally {
+      setCombining(false);
+    }
+  };
+
+  const content = (
+    <>
+      {/* 拆分 */}
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          拆分助记词
+        </Typography>
+        <TextField
+          fullWidth
+          label="助记词"
+          multiline
+          rows={2}
+          value={mnemonic}
+          onChange={(e) => setMnemonic(e.target.value)}
+          margin="normal"
+          placeholder="输入要拆分的 BIP39 助记词"
+        />
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: 2, my: 2 }}>
+          <TextField
+            label="恢复门限 M"
+            type="number"
+            value={threshold}
+            onChange={(e) => setThreshold(parseInt(e.target.value, 10) || 2)}
+            InputProps={{ inputProps: { min: 2, max: 16 } }}
+          />
+          <TextField
+            label="分片总数 N"
+            type="number"
+            value={total}
+            onChange={(e) => setTotal(parseInt(e.target.value, 10) || 2)}
+            InputProps={{ inputProps: { min: 2, max: 16 } }}
+          />
+          <FormControl>
+            <InputLabel>导出格式</InputLabel>
+            <Select value={exportFormat} label="导出格式" onChange={(e) => setExportFormat(e.target.value)}>
+              <MenuItem value="txt">TXT 格式</MenuItem>
+              <MenuItem value="json">JSON 格式</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<CallSplit />}
+          onClick={handleSplit}
+          disabled={splitting || !mnemonic.trim()}
+        >
+          {splitting ? '拆分中...' : `拆分为 ${total} 个分片`}
+        </Button>
+
+        {splitError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {splitError}
+          </Alert>
+        )}
+
+        {shares.length > 0 && (
+          <Box sx={{ mt: 2 }}>
+            <Box display="flex" gap={1} sx={{ mb: 2 }}>
+              <Button startIcon={<Download />} onClick={() => handleExportShares('multiple')}>
+                逐个导出
+              </Button>
+              <Button startIcon={<Download />} onClick={() => handleExportShares('archive')}>
+                导出压缩包
+              </Button>
+            </Box>
+            {shares.map((share) => (
+              <Paper key={share.index} variant="outlined" sx={{ p: 1.5, mb: 1 }}>
+                <Box display="flex" justifyContent="space-between" alignItems="center">
+                  <Box display="flex" gap={1} alignItems="center">
+                    <Chip label={`分片 ${share.index}/${share.total}`} size="small" color="primary" />
+                    <Typography variant="caption" color="textSecondary">
+                      组 {share.setId} · 任意 {share.threshold} 个可恢复
+                    </Typography>
+                  </Box>
+                  <Box>
+                    <Tooltip title="复制分片">
+                      <IconButton size="small" onClick={() => navigator.clipboard.writeText(formatShare(share))}>
+                        <ContentCopy fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="分片二维码">
+                      <IconButton size="small" color="primary" onClick={() => handleShowShareQR(share)}>
+                        <QrCode fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                </Box>
+                <Typography variant="body2" sx={{ mt: 1, fontFamily: 'monospace', wordBreak: 'break-all' }} data-sensitive>
+                  {share.words}
+                </Typography>
+              </Paper>
+            ))}
+          </Box>
+        )}
+      </Box>
+
+      {/* 恢复 */}
+      <Box sx={{ mb: 2 }}>
+        <Typography variant="h6" gutterBottom>
+          由分片恢复
+        </Typography>
+        <TextField
+          fullWidth
+          label="分片（每行一个）"
+          multiline
+          rows={4}
+          value={shareInput}
+          onChange={(e) => setShareInput(e.target.value)}
+          margin="normal"
+          placeholder={`${SHARE_PREFIX}:组ID:摘要分片:门限:总数:序号:单词...`}
+        />
+        <Box display="flex" gap={2} alignItems="center" sx={{ mt: 1 }}>
+          <input
+            id={embedded ? 'share-upload-dialog' : 'share-upload'}
+            type="file"
+            accept=".txt,.json"
+            multiple
+            style={{ display: 'none' }}
+            onChange={handleShareFiles}
+          />
+          <label htmlFor={embedded ? 'share-upload-dialog' : 'share-upload'}>
+            <Button variant="outlined" component="span">
+              导入分片文件
+            </Button>
+          </label>
+          <Button
+            variant="contained"
+            startIcon={<MergeType />}
+            onClick={handleCombine}
+            disabled={combining || !shareInput.trim()}
+          >
+            {combining ? '恢复中...' : '恢复助记词'}
+          </Button>
+        </Box>
+
+        {combineError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {combineError}
+          </Alert>
+        )}
+
+        {recovered && (
+          <Alert severity="success" sx={{ mt: 2 }}>
+            <Typography variant="subtitle2">助记词已恢复</Typography>
+            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', my: 1 }} data-sensitive>
+              {recovered.mnemonic}
+            </Typography>
+            {recovered.address && (
+              <Typography variant="caption" display="block" sx={{ fontFamily: 'monospace' }}>
+                地址: {recovered.address}
+              </Typography>
+            )}
+            <Button
+              size="small"
+              startIcon={<ContentCopy />}
+              onClick={() => navigator.clipboard.writeText(recovered.mnemonic)}
+              sx={{ mt: 1 }}
+            >
+              复制助记词
+            </Button>
+          </Alert>
+        )}
+      </Box>
+
+      <Alert severity="info">
+        <Typography variant="body2">
+          • 分片基于 GF(256) 上的 Shamir 秘密分享，对 BIP39 熵逐字节拆分<br/>
+          • 每个分片本身也是一组带校验的 BIP39 单词，抄写错误会被发现<br/>
+          • 校验摘要与熵一起拆分，少于门限数量的分片不泄露任何助记词信息，请将分片分开保管
+        </Typography>
+      </Alert>
+
+      <OfflineQRGenerator
+        open={qrOpen}
+        onClose={() => setQrOpen(false)}
+        data={qrData}
+        title={qrTitle}
+      />
+    </>
+  );
+
+  if (embedded) {
+    return content;
+  }
+
+  return (
+    <Paper elevation={2} sx={{ p: 3 }}>
+      <Typography variant="h5" component="h2" gutterBottom>
+        🧩 助记词分片
+      </Typography>
+      <Typography variant="body2" color="textSecondary" paragraph>
+        将助记词拆分为 N 个分片，任意 M 个分片即可恢复，备份不再依赖单张纸
+      </Typography>
+      {content}
+    </Paper>
+  );
+};
+
+export default ShamirPanel;
@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  Alert,
+  Chip,
+  Checkbox,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Close, FactCheck } from '@mui/icons-material';
+import { formatAddress } from '../utils/evmUtils';
+import {
+  PLAN_KIND_LABELS,
+  PLAN_STATUS,
+  PLAN_STATUS_LABELS,
+  formatPlanAmount,
+  summarizePlan
+} from '../utils/txPlanUtils';
+
+const STATUS_COLORS = {
+  [PLAN_STATUS.READY]: 'success',
+  [PLAN_STATUS.WARNING]: 'warning',
+  [PLAN_STATUS.SKIP]: 'default'
+};
+
+const monoCell = { fontFamily: 'monospace', fontSize: '12px' };
+
+/**
+ * 模拟结果预览
+ * 逐行列出 gas、手续费上限、可发送数量与 nonce，操作者勾选核对后才会签名执行；
+ * 合约批量的计划另列出每笔交易 (批次) 的 gas 与 nonce。计划带有 errors (如余额不足) 时不可确认，
+ * 有重复收款地址时需另外勾选确认
+ */
+const TxPreviewDialog = ({ open, plan = null, onCancel, onConfirm }) => {
+  const [checked, setChecked] = useState(false);
+  const [duplicatesChecked, setDuplicatesChecked] = useState(false);
+
+  useEffect(() => {
+    setChecked(false);
+    setDuplicatesChecked(false);
+  }, [plan]);
+
+  if (!plan) return null;
+
+  const summary = summarizePlan(plan);
+  const isEth = plan.symbol === 'ETH';
+  const hasDuplicates = summary.duplicateCount > 0;
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" justifyContent="space-between">
+          <Box display="flex" alignItems="center">
+            <FactCheck sx={{ mr: 1, color: 'primary.main' }} />
+            <Typography variant="h6">模拟结果：{PLAN_KIND_LABELS[plan.kind]}</Typography>
+          </Box>
+          <IconButton onClick={onCancel} size="small">
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="textSecondary" paragraph>
+          以下数据来自 RPC 只读查询，尚未签名任何交易。手续费按 gasLimit × maxFeePerGas 计算，为上限值；
+          当前 maxFeePerGas {formatPlanAmount(plan.feeOptions.maxFeePerGas, 9)} Gwei
+        </Typography>
+
+        <Box display="flex" flexWrap="wrap" gap={1} sx={{ mb: 2 }}>
+          <Chip color="success" label={`待执行 ${summary.readyCount} 笔`} />
+          {plan.chunks && <Chip color="primary" label={`合约批量 ${summary.txCount} 笔交易`} />}
+          {summary.warningCount > 0 && <Chip color="warning" label={`需注意 ${summary.warningCount} 笔`} />}
+          {summary.skipCount > 0 && <Chip label={`跳过 ${summary.skipCount} 笔`} />}
+          <Chip variant="outlined" label={`合计金额 ${formatPlanAmount(summary.totalValue, plan.decimals)} ${plan.symbol}`} />
+          <Chip variant="outlined" label={`手续费上限 ${formatPlanAmount(summary.totalFee)} ETH`} />
+          {isEth && (
+            <Chip
+              variant="outlined"
+              color="primary"
+              label={`合计支出 ${formatPlanAmount(summary.totalValue + summary.totalFee)} ETH`}
+            />
+          )}
+        </Box>
+
+        {plan.errors.map((error) => (
+          <Alert key={error} severity="error" sx={{ mb: 1 }}>
+            {error}
+          </Alert>
+        ))}
+
+        {hasDuplicates && (
+          <Alert severity="error" sx={{ mb: 1 }}>
+            有 {summary.duplicateCount} 行的收款地址与前面的行重复，确认执行后同一地址会收到多笔转账
+          </Alert>
+        )}
+
+        {plan.warnings.map((warning) => (
+          <Alert key={warning} severity="warning" sx={{ mb: 1 }}>
+            {warning}
+          </Alert>
+        ))}
+
+        {plan.chunks && (
+          <TableContainer sx={{ border: '1px solid #e0e0e0', borderRadius: 1, maxHeight: 240, mb: 2 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>批次</TableCell>
+                  <TableCell>合约</TableCell>
+                  <TableCell align="right">地址数</TableCell>
+                  <TableCell align="right">合计数量 ({plan.symbol})</TableCell>
+                  <TableCell align="right">Gas Limit</TableCell>
+                  <TableCell align="right">手续费上限 (ETH)</TableCell>
+                  <TableCell align="right">Nonce</TableCell>
+                  <TableCell>说明</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {plan.approval && (
+                  <TableRow hover>
+                    <TableCell>授权</TableCell>
+                    <TableCell sx={monoCell}>{formatAddress(plan.tokenAddress, 6, 4)}</TableCell>
+                    <TableCell align="right">—</TableCell>
+                    <TableCell align="right" sx={monoCell}>
+                      {formatPlanAmount(plan.approval.amount, plan.decimals)}
+                    </TableCell>
+                    <TableCell align="right" sx={monoCell}>
+                      {plan.approval.gasLimit.toString()}
+                    </TableCell>
+                    <TableCell align="right" sx={monoCell}>
+                      {formatPlanAmount(plan.approval.fee)}
+                    </TableCell>
+                    <TableCell align="right" sx={monoCell}>
+                      {plan.approval.nonce}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="caption" color="textSecondary">
+                        授权批量转账合约，确认后再发送各批次
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {plan.chunks.map((chunk) => (
+                  <TableRow key={chunk.index} hover>
+                    <TableCell>{chunk.index}</TableCell>
+                    <TableCell sx={monoCell}>{formatAddress(plan.disperseAddress, 6, 4)}</TableCell>
+                    <TableCell align="right">{chunk.rowIndexes.length}</TableCell>
+                    <TableCell align="right" sx={monoCell}>
+                      {formatPlanAmount(chunk.value, plan.decimals)}
+                    </TableCell>
+                    <TableCell align="right" sx={monoCell}>
+                      {chunk.gasLimit === null ? '—' : chunk.gasLimit.toString()}
+                    </TableCell>
+                    <TableCell align="right" sx={monoCell}>
+                      {chunk.gasLimit === null ? '—' : formatPlanAmount(chunk.fee)}
+                    </TableCell>
+                    <TableCell align="right" sx={monoCell}>
+                      {chunk.nonce}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="caption" color="textSecondary">
+                        {chunk.note}
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <TableContainer sx={{ border: '1px solid #e0e0e0', borderRadius: 1, maxHeight: 420 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>#</TableCell>
+                <TableCell>发送方</TableCell>
+                <TableCell>接收方</TableCell>
+                <TableCell align="right">余额</TableCell>
+                <TableCell align="right">发送数量 ({plan.symbol})</TableCell>
+                <TableCell align="right">Gas Limit</TableCell>
+                <TableCell align="right">手续费上限 (ETH)</TableCell>
+                <TableCell align="right">Nonce</TableCell>
+                <TableCell>状态</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {plan.rows.map((row) => (
+                <TableRow key={row.key} hover sx={row.status === PLAN_STATUS.SKIP ? { opacity: 0.6 } : undefined}>
+                  <TableCell>{row.index}</TableCell>
+                  <TableCell sx={monoCell}>{row.from ? formatAddress(row.from, 6, 4) : '—'}</TableCell>
+                  <TableCell sx={monoCell}>{row.to ? formatAddress(row.to, 6, 4) : '—'}</TableCell>
+                  <TableCell align="right" sx={monoCell}>
+                    {formatPlanAmount(row.balance, plan.decimals)}
+                  </TableCell>
+                  <TableCell align="right" sx={monoCell}>
+                    {formatPlanAmount(row.value, plan.decimals)}
+                  </TableCell>
+                  <TableCell align="right" sx={monoCell}>
+                    {row.gasLimit ? row.gasLimit.toString() : '—'}
+                  </TableCell>
+                  <TableCell align="right" sx={monoCell}>
+                    {formatPlanAmount(row.fee)}
+                  </TableCell>
+                  <TableCell align="right" sx={monoCell}>
+                    {row.nonce ?? '—'}
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" color={STATUS_COLORS[row.status]} label={PLAN_STATUS_LABELS[row.status]} />
+                    {row.note && (
+                      <Typography variant="caption" color="textSecondary" sx={{ ml: 1 }}>
+                        {row.note}
+                      </Typography>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {plan.backend && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            后端模式：确认后仅把可执行的行提交给后端，后端会在签名前重新估算 gas 与数量
+          </Alert>
+        )}
+
+        <FormControlLabel
+          sx={{ mt: 2 }}
+          control={<Checkbox checked={checked} onChange={(event) => setChecked(event.target.checked)} />}
+          label="我已核对上表中的地址、数量与手续费"
+        />
+        {hasDuplicates && (
+          <FormControlLabel
+            sx={{ display: 'block' }}
+            control={
+              <Checkbox
+                checked={duplicatesChecked}
+                onChange={(event) => setDuplicatesChecked(event.target.checked)}
+              />
+            }
+            label={`重复的 ${summary.duplicateCount} 个收款地址确实需要多次转账`}
+          />
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onCancel}>取消</Button>
+        <Button
+          variant="contained"
+          color="warning"
+          onClick={() => onConfirm(plan)}
+          disabled={
+            !checked ||
+            (hasDuplicates && !duplicatesChecked) ||
+            summary.readyCount === 0 ||
+            plan.errors.length > 0
+          }
+        >
+          确认执行 {summary.txCount} 笔
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TxPreviewDialog;
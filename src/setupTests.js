@@ -0,0 +1,6 @@
+// jsdom 不提供 WebCrypto 与 TextEncoder / TextDecoder，测试中使用 Node 的实现
+import { webcrypto } from 'crypto';
+import { TextDecoder, TextEncoder } from 'util';
+
+Object.assign(global, { TextDecoder, TextEncoder });
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
@@ -0,0 +1,199 @@
+/**
+ * 只读地址簿
+ * 只记录地址、名称、派生路径、来源批次与标签，不含任何密文或私钥，
+ * 余额查询与 Gas 批量发送等只读操作直接导入，无需输入密码
+ */
+
+import { ethers } from 'ethers';
+import { parseCsv, detectHeaderMap, getColumnIndex, stringifyCsv } from './csvUtils';
+import { isValidEthereumAddress } from './evmUtils';
+
+export const ADDRESS_BOOK_TYPE = 'mnemonic-address-book';
+export const ADDRESS_BOOK_VERSION = 1;
+export const ADDRESS_BOOK_FORMATS = ['json', 'csv'];
+export const ADDRESS_BOOK_ACCEPT = ADDRESS_BOOK_FORMATS.map((format) => `.${format}`).join(',');
+
+const CSV_HEADER = ['ID', 'EVM地址', '名称', '派生路径', '批次ID', '标签'];
+const TAG_SEPARATOR = /[;|,，]/;
+
+/**
+ * 生成批次ID，同一次批量生成的结果共用
+ * @param {Date} date - 生成时间
+ * @returns {string} 例如 batch-20240101-083000-k3f9
+ */
+export const createBatchId = (date = new Date()) => {
+  const stamp = date.toISOString().slice(0, 19).replace(/-/g, '').replace('T', '-').replace(/:/g, '');
+  const suffix = Math.random().toString(36).slice(2, 6);
+  return `batch-${stamp}-${suffix}`;
+};
+
+/**
+ * 将标签输入统一为去重后的数组
+ * @param {string|Array} tags - 逗号/分号分隔的文本或数组
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(TAG_SEPARATOR);
+  return Array.from(new Set(list.map((tag) => String(tag).trim()).filter(Boolean)));
+};
+
+const toChecksumAddress = (address) => {
+  try {
+    return ethers.getAddress(address);
+  } catch {
+    return address;
+  }
+};
+
+/**
+ * 由批量生成结果构建地址簿
+ * @param {Array} results - 批量结果 (只读取 address / derivationPath / batchId / id)
+ * @param {Object} options - { labelPrefix, tags }
+ * @returns {Object} 可直接序列化为 JSON 的地址簿
+ */
+export const buildAddressBook = (results, options = {}) => {
+  const { labelPrefix = '账号 ' } = options;
+  const tags = normalizeTags(options.tags);
+
+  const entries = results
+    .filter((result) => result.address)
+    .map((result, index) => ({
+      id: result.id ?? index + 1,
+      address: toChecksumAddress(result.address),
+      label: `${labelPrefix}${String(result.id ?? index + 1).padStart(3, '0')}`,
+      derivationPath: result.derivationPath || '',
+      batchId: result.batchId || '',
+      tags
+    }));
+
+  return {
+    type: ADDRESS_BOOK_TYPE,
+    version: ADDRESS_BOOK_VERSION,
+    createdAt: new Date().toISOString(),
+    count: entries.length,
+    entries
+  };
+};
+
+/**
+ * 序列化地址簿
+ * @param {Object} book - buildAddressBook 的返回值
+ * @param {string} format - json | csv
+ * @returns {string}
+ */
+export const formatAddressBook = (book, format = 'json') => {
+  switch (format.toLowerCase()) {
+    case 'json':
+      return JSON.stringify(book, null, 2);
+    case 'csv':
+      return `${CSV_HEADER.join(',')}\n${stringifyCsv(book.entries.map((entry) => [
+        entry.id,
+        entry.address,
+        entry.label,
+        entry.derivationPath,
+        entry.batchId,
+        entry.tags.join(';')
+      ]))}`;
+    default:
+      throw new Error(`不支持的格式: ${format}`);
+  }
+};
+
+/**
+ * 解析 JSON 地址簿 (也接受条目数组)
+ */
+const parseJsonBook = (text) => {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && data.type === ADDRESS_BOOK_TYPE && Array.isArray(data.entries)) {
+    return data.entries;
+  }
+  throw new Error('不是有效的地址簿文件');
+};
+
+/**
+ * 解析 CSV 地址簿，列名中英文均可；批量导出的 CSV 也能读出其中的地址
+ */
+const parseCsvBook = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    return [];
+  }
+
+  const headerMap = detectHeaderMap(rows[0]);
+  const column = (candidates) => getColumnIndex(headerMap, candidates, -1);
+  const addressIndex = column(['evm地址', '地址', 'address', 'addr']);
+  if (addressIndex < 0) {
+    throw new Error('CSV 缺少"EVM地址"列');
+  }
+  const idIndex = column(['id']);
+  const labelIndex = column(['名称', 'label', 'name']);
+  const pathIndex = column(['派生路径', 'path', 'derivationpath']);
+  const batchIndex = column(['批次id', 'batchid', 'batch']);
+  const tagsIndex = column(['标签', 'tags']);
+  const cell = (row, index) => (index >= 0 ? (row[index] || '').trim() : '');
+
+  return rows.slice(1).map((row) => ({
+    id: cell(row, idIndex),
+    address: cell(row, addressIndex),
+    label: cell(row, labelIndex),
+    derivationPath: cell(row, pathIndex),
+    batchId: cell(row, batchIndex),
+    tags: cell(row, tagsIndex)
+  }));
+};
+
+/**
+ * 解析地址簿文件
+ * 无效地址跳过并给出提示，重复地址只保留第一条
+ * @param {string} name - 文件名
+ * @param {string} text - 文件内容
+ * @returns {Object} { name, entries, warnings, tags }
+ */
+export const parseAddressBook = (name, text) => {
+  try {
+    const extension = (name || '').split('.').pop().toLowerCase();
+    const isJson = extension === 'json' || (extension !== 'csv' && /^\s*[[{]/.test(text));
+    const rawEntries = isJson ? parseJsonBook(text) : parseCsvBook(text);
+
+    const entries = [];
+    const warnings = [];
+    const seen = new Set();
+    rawEntries.forEach((raw, index) => {
+      const entry = typeof raw === 'string' ? { address: raw } : raw || {};
+      const address = String(entry.address || '').trim();
+      if (!address) return;
+      if (!isValidEthereumAddress(address)) {
+        warnings.push(`第 ${index + 1} 项地址无效: ${address}`);
+        return;
+      }
+      const checksum = toChecksumAddress(address);
+      if (seen.has(checksum.toLowerCase())) {
+        warnings.push(`第 ${index + 1} 项地址重复，已跳过`);
+        return;
+      }
+      seen.add(checksum.toLowerCase());
+      entries.push({
+        id: entry.id || entries.length + 1,
+        address: checksum,
+        label: entry.label || '',
+        derivationPath: entry.derivationPath || '',
+        batchId: entry.batchId || '',
+        tags: normalizeTags(entry.tags)
+      });
+    });
+
+    if (entries.length === 0) {
+      warnings.push('未能从文件中解析出地址');
+    }
+
+    const tags = Array.from(new Set(entries.flatMap((entry) => entry.tags)));
+    console.log(`📒 已导入地址簿 ${name}: ${entries.length} 个地址`);
+    return { name, entries, warnings, tags };
+  } catch (error) {
+    console.error('❌ 地址簿导入失败:', error);
+    throw new Error(`地址簿导入失败: ${error.message}`);
+  }
+};
@@ -0,0 +1,302 @@
+/**
+ * 批量交易日志
+ * 发送、回收与归集的每一行在签名后、广播前写入 localStorage（收款地址、数量、nonce、交易哈希、状态），
+ * 页面关闭或 RPC 中断后先按交易哈希核对链上结果，再继续未完成的行。日志不保存私钥、助记词或 RPC 地址
+ */
+
+import { isExecutableRow } from './txPlanUtils';
+import {
+  JOURNAL_ROW_STATUS,
+  broadcastWithJournal,
+  isJournalSettled,
+  reconcileEntries
+} from './journalCore.mjs';
+
+export { JOURNAL_ROW_STATUS, broadcastWithJournal };
+
+const STORAGE_PREFIX = 'mnemonic-tool.batch-journal:';
+const LEASE_PREFIX = 'mnemonic-tool.batch-journal-lease:';
+const MAX_FINISHED_JOURNALS = 20;
+
+// 执行中的任务持有租约并定时续约；页面崩溃或关闭后租约过期，其他页面才能继续该任务
+const LEASE_MS = 30000;
+const LEASE_RENEW_MS = 10000;
+
+export const JOURNAL_STATUS = {
+  RUNNING: 'running',
+  INCOMPLETE: 'incomplete',
+  COMPLETED: 'completed'
+};
+
+export const JOURNAL_ROW_STATUS_LABELS = {
+  [JOURNAL_ROW_STATUS.PENDING]: '待发送',
+  [JOURNAL_ROW_STATUS.SIGNED]: '已签名',
+  [JOURNAL_ROW_STATUS.SUBMITTED]: '已提交',
+  [JOURNAL_ROW_STATUS.CONFIRMED]: '已确认',
+  [JOURNAL_ROW_STATUS.FAILED]: '失败',
+  [JOURNAL_ROW_STATUS.SKIPPED]: '跳过',
+  [JOURNAL_ROW_STATUS.UNKNOWN]: '需人工核对'
+};
+
+const getStorage = () => (typeof window !== 'undefined' && window.localStorage) || null;
+
+const createJournalId = () =>
+  `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// 当前页面的标识，区分租约属于本页还是其他标签页
+const PAGE_ID = createJournalId();
+const leaseTimers = new Map();
+
+const serializeAmount = (value) => (value === null || value === undefined ? null : value.toString());
+
+/**
+ * 读取全部任务日志，按创建时间倒序
+ * @returns {Array} 任务日志列表
+ */
+export const loadJournals = () => {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  const journals = [];
+  for (let i = 0; i < storage.length; i += 1) {
+    const key = storage.key(i);
+    if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+    try {
+      journals.push(JSON.parse(storage.getItem(key)));
+    } catch (error) {
+      console.warn('⚠️ 任务日志读取失败，已忽略:', key);
+    }
+  }
+  return journals.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * 读取单个任务日志
+ */
+export const getJournal = (id) => loadJournals().find((journal) => journal.id === id) || null;
+
+/**
+ * 写入任务日志；写入失败时抛错，避免在没有记录的情况下广播交易
+ */
+export const saveJournal = (journal) => {
+  const storage = getStorage();
+  const next = { ...journal, updatedAt: new Date().toISOString() };
+  if (!storage) return next;
+
+  try {
+    storage.setItem(`${STORAGE_PREFIX}${journal.id}`, JSON.stringify(next));
+  } catch (error) {
+    console.error('❌ 任务日志写入失败:', error);
+    throw new Error(`任务日志写入失败: ${error.message}`);
+  }
+  return next;
+};
+
+export const removeJournal = (id) => {
+  const storage = getStorage();
+  if (storage) {
+    storage.removeItem(`${STORAGE_PREFIX}${id}`);
+    storage.removeItem(`${LEASE_PREFIX}${id}`);
+  }
+};
+
+/**
+ * 读取未过期的租约
+ * @returns {Object|null} { owner, expiresAt, own }，own 表示租约属于当前页面
+ */
+export const getJournalLease = (id) => {
+  const storage = getStorage();
+  if (!storage) return null;
+  try {
+    const lease = JSON.parse(storage.getItem(`${LEASE_PREFIX}${id}`));
+    return lease && lease.expiresAt > Date.now() ? { ...lease, own: lease.owner === PAGE_ID } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * 占用任务日志并定时续约；其他页面持有未过期的租约时抛错，避免同一任务在两个页面中同时执行而重复发送
+ * @param {string} id - 任务 ID
+ */
+export const acquireJournalLease = (id) => {
+  const storage = getStorage();
+  if (!storage) return;
+  const lease = getJournalLease(id);
+  if (lease && !lease.own) {
+    throw new Error(`任务 ${id} 正在其他页面中执行，请等待其结束（页面关闭后约 ${LEASE_MS / 1000} 秒可继续）`);
+  }
+  const renew = () =>
+    storage.setItem(`${LEASE_PREFIX}${id}`, JSON.stringify({ owner: PAGE_ID, expiresAt: Date.now() + LEASE_MS }));
+  renew();
+  if (!leaseTimers.has(id)) {
+    leaseTimers.set(id, setInterval(renew, LEASE_RENEW_MS));
+  }
+};
+
+/**
+ * 停止续约并释放当前页面持有的租约
+ */
+export const releaseJournalLease = (id) => {
+  clearInterval(leaseTimers.get(id));
+  leaseTimers.delete(id);
+  const storage = getStorage();
+  const lease = getJournalLease(id);
+  if (storage && lease && lease.own) {
+    storage.removeItem(`${LEASE_PREFIX}${id}`);
+  }
+};
+
+// 只保留最近的已完成任务，未完成的任务始终保留
+const pruneJournals = () => {
+  loadJournals()
+    .filter((journal) => journal.status === JOURNAL_STATUS.COMPLETED)
+    .slice(MAX_FINISHED_JOURNALS)
+    .forEach((journal) => removeJournal(journal.id));
+};
+
+/**
+ * 由模拟计划创建任务日志
+ * 计划中标记 deferred 的跳过行 (如暂无私钥) 保持待发送，之后可继续
+ * @param {Object} plan - txPlanUtils 计划 (kind、rows、params 等)
+ * @returns {Object} 已写入的任务日志
+ */
+export const createJournal = (plan) => {
+  pruneJournals();
+  const now = new Date().toISOString();
+  return saveJournal({
+    id: plan.journalId || createJournalId(),
+    kind: plan.kind,
+    status: JOURNAL_STATUS.RUNNING,
+    backend: Boolean(plan.backend),
+    symbol: plan.symbol,
+    decimals: plan.decimals,
+    from: plan.from || '',
+    params: plan.params || {},
+    createdAt: now,
+    updatedAt: now,
+    rows: plan.rows.map((row) => ({
+      index: row.index,
+      from: row.from || '',
+      to: row.to,
+      value: serializeAmount(row.value),
+      nonce: row.nonce ?? null,
+      hash: '',
+      status: isExecutableRow(row) || row.deferred ? JOURNAL_ROW_STATUS.PENDING : JOURNAL_ROW_STATUS.SKIPPED,
+      note: isExecutableRow(row) ? '' : row.note || ''
+    }))
+  });
+};
+
+/**
+ * 合约批量发送代币前的授权交易，作为日志中单独的一步，与收款行一样签名后、广播前写入哈希
+ * @param {Object} plan - 含 approval 的合约批量计划
+ * @returns {Object|null} { from, to: 代币地址, spender, value, nonce, hash, status, note }
+ */
+export const createApprovalStep = (plan) =>
+  plan.approval
+    ? {
+        from: plan.from || '',
+        to: plan.tokenAddress,
+        spender: plan.disperseAddress,
+        value: serializeAmount(plan.approval.amount),
+        nonce: plan.approval.nonce ?? null,
+        hash: '',
+        status: JOURNAL_ROW_STATUS.PENDING,
+        note: ''
+      }
+    : null;
+
+/**
+ * 同时更新多行并一次写入；合约批量的一笔交易对应多行，哈希必须同时落盘
+ * @param {Object} journal - 当前任务日志
+ * @param {Array<number>} indexes - 行号
+ * @param {Object} patch - { status, hash, nonce, value, note }
+ * @returns {Object} 更新后的任务日志
+ */
+export const updateJournalRows = (journal, indexes, patch) =>
+  saveJournal({
+    ...journal,
+    rows: journal.rows.map((row) =>
+      indexes.includes(row.index)
+        ? { ...row, ...patch, value: 'value' in patch ? serializeAmount(patch.value) : row.value }
+        : row
+    )
+  });
+
+/**
+ * 更新一行并立即写入
+ */
+export const updateJournalRow = (journal, index, patch) => updateJournalRows(journal, [index], patch);
+
+/**
+ * 持有当前任务日志，执行循环逐行写入
+ * @param {Object} journal - 任务日志
+ * @returns {Object} { current(), update(index, patch), updateRows(indexes, patch), updateApproval(patch) }
+ */
+export const createJournalWriter = (journal) => {
+  let current = journal;
+  return {
+    current: () => current,
+    update: (index, patch) => {
+      current = updateJournalRow(current, index, patch);
+    },
+    updateRows: (indexes, patch) => {
+      current = updateJournalRows(current, indexes, patch);
+    },
+    updateApproval: (patch) => {
+      current = saveJournal({ ...current, approval: { ...current.approval, ...patch } });
+    }
+  };
+};
+
+/**
+ * 一轮执行结束：全部行已提交、确认或跳过即为完成，否则保留为可继续
+ */
+export const finishJournal = (journal) =>
+  saveJournal({
+    ...journal,
+    status: isJournalSettled(journal) ? JOURNAL_STATUS.COMPLETED : JOURNAL_STATUS.INCOMPLETE
+  });
+
+/**
+ * 统计各状态的行数
+ */
+export const summarizeJournal = (journal) =>
+  journal.rows.reduce((counts, row) => ({ ...counts, [row.status]: (counts[row.status] || 0) + 1 }), {});
+
+/**
+ * 按链上状态核对任务日志 (各行与授权步骤的规则见 journalCore.reconcileEntry) 并写入
+ * @param {Object} journal - 任务日志
+ * @param {ethers.Provider} provider - RPC provider
+ * @returns {Promise<Object>} 核对后的任务日志
+ */
+export const reconcileJournal = async (journal, provider) => {
+  try {
+    return saveJournal(await reconcileEntries(journal, provider));
+  } catch (error) {
+    console.error('❌ 任务日志核对失败:', error);
+    throw new Error(`任务日志核对失败: ${error.message}`);
+  }
+};
+
+/**
+ * 查找与计划地址重叠的未完成任务：发送与分发按收款地址，回收与归集按发送地址
+ * @param {Object} plan - 模拟计划
+ * @returns {Array} [{ id, count }]
+ */
+export const findJournalOverlaps = (plan) => {
+  const field = ['send', 'distribute'].includes(plan.kind) ? 'to' : 'from';
+  const addresses = new Set(
+    plan.rows.filter(isExecutableRow).map((row) => row[field].toLowerCase())
+  );
+  return loadJournals()
+    .filter((journal) => journal.kind === plan.kind && journal.status !== JOURNAL_STATUS.COMPLETED)
+    .map((journal) => ({
+      id: journal.id,
+      count: journal.rows.filter(
+        (row) => row.status !== JOURNAL_ROW_STATUS.SKIPPED && addresses.has(row[field].toLowerCase())
+      ).length
+    }))
+    .filter((overlap) => overlap.count > 0);
+};
@@ -0,0 +1,378 @@
+/**
+ * 加密数据信封（版本化密文格式）
+ * cryptoUtils 与 cryptoUtilsGUI 共用的自描述密文格式，同时兼容两种旧版无头格式
+ *
+ * 信封布局 (Base64 编码前):
+ * [4B 魔数 "MNEM"] [1B 版本] [1B 加密算法ID] [1B KDF ID]
+ * [1B KDF参数长度] [KDF参数] [1B 盐值长度] [盐值] [1B IV长度] [IV] [密文]
+ *
+ * AES-256-GCM 的认证标签 (16字节) 附在密文末尾，与 WebCrypto 输出一致
+ */
+
+export const ENVELOPE_MAGIC = [0x4d, 0x4e, 0x45, 0x4d]; // "MNEM"
+export const ENVELOPE_VERSION = 1;
+
+export const CIPHERS = {
+  AES_256_CTR: 'aes-256-ctr',
+  AES_256_GCM: 'aes-256-gcm'
+};
+
+export const KDFS = {
+  PBKDF2_SHA256: 'pbkdf2-sha256',
+  SCRYPT: 'scrypt',
+  ARGON2ID: 'argon2id'
+};
+
+export const GCM_TAG_LENGTH = 16;
+
+const CIPHER_IDS = {
+  [CIPHERS.AES_256_CTR]: 0x01,
+  [CIPHERS.AES_256_GCM]: 0x02
+};
+
+const CIPHER_LABELS = {
+  [CIPHERS.AES_256_CTR]: 'AES-256-CTR',
+  [CIPHERS.AES_256_GCM]: 'AES-256-GCM'
+};
+
+const KDF_IDS = {
+  [KDFS.PBKDF2_SHA256]: 0x01,
+  [KDFS.SCRYPT]: 0x02,
+  [KDFS.ARGON2ID]: 0x03
+};
+
+const KDF_LABELS = {
+  [KDFS.PBKDF2_SHA256]: 'PBKDF2-SHA256',
+  [KDFS.SCRYPT]: 'scrypt',
+  [KDFS.ARGON2ID]: 'Argon2id'
+};
+
+const readParams = (bytes, expectedLength, label) => {
+  if (bytes.length !== expectedLength) {
+    throw new Error(`${label} 参数长度错误`);
+  }
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+};
+
+/**
+ * 各KDF参数的二进制编解码 (多字节整数均为大端)
+ * PBKDF2:   [4B 迭代次数]
+ * scrypt:   [1B log2(N)] [4B r] [4B p]
+ * Argon2id: [4B 内存KiB] [4B 迭代次数] [1B 并行度]
+ */
+const KDF_PARAM_CODECS = {
+  [KDFS.PBKDF2_SHA256]: {
+    encode: ({ iterations }) => {
+      const bytes = new Uint8Array(4);
+      new DataView(bytes.buffer).setUint32(0, iterations);
+      return bytes;
+    },
+    decode: (bytes) => {
+      const view = readParams(bytes, 4, 'PBKDF2');
+      return { iterations: view.getUint32(0) };
+    }
+  },
+  [KDFS.SCRYPT]: {
+    encode: ({ logN, r, p }) => {
+      const bytes = new Uint8Array(9);
+      const view = new DataView(bytes.buffer);
+      view.setUint8(0, logN);
+      view.setUint32(1, r);
+      view.setUint32(5, p);
+      return bytes;
+    },
+    decode: (bytes) => {
+      const view = readParams(bytes, 9, 'scrypt');
+      return { logN: view.getUint8(0), r: view.getUint32(1), p: view.getUint32(5) };
+    }
+  },
+  [KDFS.ARGON2ID]: {
+    encode: ({ memoryKiB, iterations, parallelism }) => {
+      const bytes = new Uint8Array(9);
+      const view = new DataView(bytes.buffer);
+      view.setUint32(0, memoryKiB);
+      view.setUint32(4, iterations);
+      view.setUint8(8, parallelism);
+      return bytes;
+    },
+    decode: (bytes) => {
+      const view = readParams(bytes, 9, 'Argon2id');
+      return {
+        memoryKiB: view.getUint32(0),
+        iterations: view.getUint32(4),
+        parallelism: view.getUint8(8)
+      };
+    }
+  }
+};
+
+/**
+ * 旧版无头格式，按尝试顺序排列
+ * GCM 有认证标签，可以可靠地判断是否匹配，因此优先尝试
+ * - cryptoUtilsGUI: [16B盐][12B IV][AES-GCM密文+标签]
+ * - cryptoUtils:    [16B盐][16B IV][AES-CTR密文]
+ */
+export const LEGACY_LAYOUTS = [
+  {
+    name: 'legacy-gcm',
+    cipher: CIPHERS.AES_256_GCM,
+    kdf: KDFS.PBKDF2_SHA256,
+    kdfParams: { iterations: 10000 },
+    saltLength: 16,
+    nonceLength: 12,
+    minCiphertextLength: GCM_TAG_LENGTH + 1
+  },
+  {
+    name: 'legacy-ctr',
+    cipher: CIPHERS.AES_256_CTR,
+    kdf: KDFS.PBKDF2_SHA256,
+    kdfParams: { iterations: 10000 },
+    saltLength: 16,
+    nonceLength: 16,
+    minCiphertextLength: 1
+  }
+];
+
+const lookupKey = (table, id) =>
+  Object.keys(table).find((key) => table[key] === id);
+
+/**
+ * 字节数组转Base64
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} Base64字符串
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+/**
+ * Base64转字节数组
+ * @param {string} base64 - Base64字符串
+ * @returns {Uint8Array} 字节数组
+ */
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64.trim());
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * 获取加密算法的显示名称
+ * @param {string} cipher - 算法标识
+ * @returns {string} 显示名称
+ */
+export const getCipherLabel = (cipher) => CIPHER_LABELS[cipher] || cipher;
+
+/**
+ * 获取KDF的显示名称
+ * @param {string} kdf - KDF标识
+ * @returns {string} 显示名称
+ */
+export const getKdfLabel = (kdf) => KDF_LABELS[kdf] || kdf;
+
+/**
+ * 是否带有信封魔数
+ * @param {Uint8Array} bytes - 原始字节
+ * @returns {boolean}
+ */
+const hasMagic = (bytes) =>
+  bytes.length > ENVELOPE_MAGIC.length &&
+  ENVELOPE_MAGIC.every((value, index) => bytes[index] === value);
+
+/**
+ * 将加密结果封装为信封
+ * @param {object} header - 加密参数
+ * @param {string} header.cipher - 加密算法 (CIPHERS)
+ * @param {string} header.kdf - 密钥派生函数 (KDFS)
+ * @param {object} header.kdfParams - KDF参数
+ * @param {Uint8Array} header.salt - 盐值
+ * @param {Uint8Array} header.nonce - IV / nonce
+ * @param {Uint8Array} header.ciphertext - 密文 (GCM包含认证标签)
+ * @returns {string} Base64编码的信封
+ */
+export const encodeEnvelope = ({ cipher, kdf, kdfParams, salt, nonce, ciphertext }) => {
+  const cipherId = CIPHER_IDS[cipher];
+  const kdfId = KDF_IDS[kdf];
+  if (!cipherId) {
+    throw new Error(`不支持的加密算法: ${cipher}`);
+  }
+  if (!kdfId) {
+    throw new Error(`不支持的密钥派生函数: ${kdf}`);
+  }
+
+  const params = KDF_PARAM_CODECS[kdf].encode(kdfParams);
+  const total = ENVELOPE_MAGIC.length + 4 + params.length +
+    1 + salt.length + 1 + nonce.length + ciphertext.length;
+  const result = new Uint8Array(total);
+
+  let offset = 0;
+  result.set(ENVELOPE_MAGIC, offset);
+  offset += ENVELOPE_MAGIC.length;
+  result[offset++] = ENVELOPE_VERSION;
+  result[offset++] = cipherId;
+  result[offset++] = kdfId;
+  result[offset++] = params.length;
+  result.set(params, offset);
+  offset += params.length;
+  result[offset++] = salt.length;
+  result.set(salt, offset);
+  offset += salt.length;
+  result[offset++] = nonce.length;
+  result.set(nonce, offset);
+  offset += nonce.length;
+  result.set(ciphertext, offset);
+
+  return bytesToBase64(result);
+};
+
+/**
+ * 解析信封头
+ * @param {Uint8Array} bytes - 原始字节
+ * @returns {object|null} 解析结果，无魔数时返回 null
+ */
+const decodeEnvelopeBytes = (bytes) => {
+  if (!hasMagic(bytes)) {
+    return null;
+  }
+
+  let offset = ENVELOPE_MAGIC.length;
+  const readByte = () => {
+    if (offset >= bytes.length) {
+      throw new Error('加密数据头部不完整');
+    }
+    return bytes[offset++];
+  };
+  const readBytes = (length) => {
+    if (offset + length > bytes.length) {
+      throw new Error('加密数据头部不完整');
+    }
+    const slice = bytes.slice(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+
+  const version = readByte();
+  if (version !== ENVELOPE_VERSION) {
+    throw new Error(`不支持的加密数据版本: ${version}`);
+  }
+
+  const cipher = lookupKey(CIPHER_IDS, readByte());
+  if (!cipher) {
+    throw new Error('未知的加密算法');
+  }
+
+  const kdf = lookupKey(KDF_IDS, readByte());
+  if (!kdf) {
+    throw new Error('未知的密钥派生函数');
+  }
+
+  const kdfParams = KDF_PARAM_CODECS[kdf].decode(readBytes(readByte()));
+  const salt = readBytes(readByte());
+  const nonce = readBytes(readByte());
+  const ciphertext = bytes.slice(offset);
+
+  if (ciphertext.length === 0) {
+    throw new Error('加密数据缺少密文');
+  }
+
+  return {
+    format: 'envelope',
+    version,
+    cipher,
+    kdf,
+    kdfParams,
+    salt,
+    nonce,
+    ciphertext
+  };
+};
+
+/**
+ * 解析信封
+ * @param {string} encryptedData - Base64编码的加密数据
+ * @returns {object|null} 信封内容，旧版无头数据返回 null
+ */
+export const decodeEnvelope = (encryptedData) => decodeEnvelopeBytes(base64ToBytes(encryptedData));
+
+/**
+ * 按旧版布局切分数据
+ * @param {Uint8Array} bytes - 原始字节
+ * @returns {Array} 可能的解析结果（按尝试顺序）
+ */
+const getLegacyCandidates = (bytes) =>
+  LEGACY_LAYOUTS
+    .filter((layout) =>
+      bytes.length >= layout.saltLength + layout.nonceLength + layout.minCiphertextLength
+    )
+    .map((layout) => ({
+      format: layout.name,
+      version: 0,
+      cipher: layout.cipher,
+      kdf: layout.kdf,
+      kdfParams: { ...layout.kdfParams },
+      salt: bytes.slice(0, layout.saltLength),
+      nonce: bytes.slice(layout.saltLength, layout.saltLength + layout.nonceLength),
+      ciphertext: bytes.slice(layout.saltLength + layout.nonceLength)
+    }));
+
+/**
+ * 解析加密数据，返回需要依次尝试解密的候选结果
+ * 带信封的数据只有一个候选；旧版无头数据按 LEGACY_LAYOUTS 顺序逐个尝试
+ * @param {string} encryptedData - Base64编码的加密数据
+ * @returns {Array} 候选解析结果
+ */
+export const parseEncryptedData = (encryptedData) => {
+  if (!encryptedData || typeof encryptedData !== 'string') {
+    throw new Error('加密数据不能为空');
+  }
+
+  let bytes;
+  try {
+    bytes = base64ToBytes(encryptedData);
+  } catch (error) {
+    throw new Error('不是有效的Base64数据');
+  }
+
+  const envelope = decodeEnvelopeBytes(bytes);
+  if (envelope) {
+    return [envelope];
+  }
+
+  const candidates = getLegacyCandidates(bytes);
+  if (candidates.length === 0) {
+    throw new Error('加密数据格式错误');
+  }
+  return candidates;
+};
+
+/**
+ * 描述加密数据格式（不解密）
+ * @param {string} encryptedData - Base64编码的加密数据
+ * @returns {object} 格式信息
+ */
+export const describeEncryptedData = (encryptedData) => {
+  const candidates = parseEncryptedData(encryptedData);
+  const [first] = candidates;
+
+  return {
+    format: first.format,
+    version: first.version,
+    legacy: first.format !== 'envelope',
+    cipher: first.cipher,
+    kdf: first.kdf,
+    kdfParams: first.kdfParams,
+    saltLength: first.salt.length,
+    ivLength: first.nonce.length,
+    encryptedLength: first.ciphertext.length,
+    label: candidates
+      .map((c) => `${getCipherLabel(c.cipher)}/${getKdfLabel(c.kdf)}`)
+      .join(' 或 ')
+  };
+};
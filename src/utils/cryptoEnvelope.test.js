@@ -0,0 +1,118 @@
+import { createCipheriv, pbkdf2Sync, randomBytes } from 'crypto';
+import {
+  CIPHERS,
+  KDFS,
+  base64ToBytes,
+  bytesToBase64,
+  decodeEnvelope,
+  describeEncryptedData,
+  encodeEnvelope
+} from './cryptoEnvelope';
+import { INTEGRITY_ERROR_CODE, decryptMnemonic, encryptMnemonic, migrateToAuthenticated } from './cryptoUtils';
+import * as webCrypto from './cryptoUtilsGUI';
+
+const MNEMONIC = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+const PASSWORD = 'correct horse battery staple';
+const FAST_KDF = { kdf: KDFS.PBKDF2_SHA256, kdfParams: { iterations: 1000 } };
+
+// 旧版无头密文：[16B盐][IV][密文]，PBKDF2-SHA256 10,000 次
+const encryptLegacy = (cipher) => {
+  const salt = randomBytes(16);
+  const iv = randomBytes(cipher === 'aes-256-gcm' ? 12 : 16);
+  const key = pbkdf2Sync(PASSWORD, salt, 10000, 32, 'sha256');
+  const encryptor = createCipheriv(cipher, key, iv);
+  const parts = [salt, iv, encryptor.update(MNEMONIC, 'utf8'), encryptor.final()];
+  if (cipher === 'aes-256-gcm') {
+    parts.push(encryptor.getAuthTag());
+  }
+  return Buffer.concat(parts).toString('base64');
+};
+
+describe('信封格式', () => {
+  test('各 KDF 的参数写入头部并可原样解析', () => {
+    const salt = new Uint8Array(16).fill(1);
+    const nonce = new Uint8Array(12).fill(2);
+    const ciphertext = new Uint8Array(40).fill(3);
+    const cases = [
+      [KDFS.PBKDF2_SHA256, { iterations: 10000 }],
+      [KDFS.SCRYPT, { logN: 15, r: 8, p: 1 }],
+      [KDFS.ARGON2ID, { memoryKiB: 65536, iterations: 3, parallelism: 1 }]
+    ];
+    for (const [kdf, kdfParams] of cases) {
+      const encoded = encodeEnvelope({ cipher: CIPHERS.AES_256_GCM, kdf, kdfParams, salt, nonce, ciphertext });
+      expect(Array.from(base64ToBytes(encoded).slice(0, 4))).toEqual([0x4d, 0x4e, 0x45, 0x4d]);
+      expect(decodeEnvelope(encoded)).toEqual({
+        format: 'envelope',
+        version: 1,
+        cipher: CIPHERS.AES_256_GCM,
+        kdf,
+        kdfParams,
+        salt,
+        nonce,
+        ciphertext
+      });
+    }
+  });
+
+  test('拒绝未知版本与不完整的头部', () => {
+    const bytes = base64ToBytes(
+      encodeEnvelope({
+        cipher: CIPHERS.AES_256_GCM,
+        ...FAST_KDF,
+        salt: new Uint8Array(16),
+        nonce: new Uint8Array(12),
+        ciphertext: new Uint8Array(20)
+      })
+    );
+    const future = bytes.slice();
+    future[4] = 9;
+    expect(() => decodeEnvelope(bytesToBase64(future))).toThrow('不支持的加密数据版本: 9');
+    expect(() => decodeEnvelope(bytesToBase64(bytes.slice(0, 12)))).toThrow('加密数据头部不完整');
+  });
+
+  test('加密结果为带参数的 GCM 信封，篡改后完整性校验失败', async () => {
+    const encrypted = await encryptMnemonic(MNEMONIC, PASSWORD, FAST_KDF);
+    expect(describeEncryptedData(encrypted)).toMatchObject({
+      format: 'envelope',
+      legacy: false,
+      cipher: CIPHERS.AES_256_GCM,
+      kdf: KDFS.PBKDF2_SHA256,
+      kdfParams: { iterations: 1000 },
+      saltLength: 16,
+      ivLength: 12
+    });
+    expect(await webCrypto.decryptMnemonic(encrypted, PASSWORD)).toBe(MNEMONIC);
+
+    const tampered = base64ToBytes(encrypted);
+    tampered[tampered.length - 1] ^= 1;
+    await expect(decryptMnemonic(bytesToBase64(tampered), PASSWORD)).rejects.toMatchObject({
+      code: INTEGRITY_ERROR_CODE
+    });
+  });
+});
+
+describe('旧版无头密文', () => {
+  test('旧版 CTR 与 GCM 密文在两个模块中均可解密', async () => {
+    for (const cipher of ['aes-256-ctr', 'aes-256-gcm']) {
+      const legacy = encryptLegacy(cipher);
+      expect(describeEncryptedData(legacy).legacy).toBe(true);
+      expect(await decryptMnemonic(legacy, PASSWORD)).toBe(MNEMONIC);
+      expect(await webCrypto.decryptMnemonic(legacy, PASSWORD)).toBe(MNEMONIC);
+    }
+  });
+
+  test('旧版 CTR 密文迁移为 GCM 信封，已认证的数据保持不变', async () => {
+    const legacy = encryptLegacy('aes-256-ctr');
+    const result = await migrateToAuthenticated(legacy, PASSWORD, FAST_KDF);
+    expect(result).toMatchObject({ migrated: true, from: describeEncryptedData(legacy).label });
+    expect(describeEncryptedData(result.encryptedData)).toMatchObject({ format: 'envelope', cipher: CIPHERS.AES_256_GCM });
+    expect(await decryptMnemonic(result.encryptedData, PASSWORD)).toBe(MNEMONIC);
+
+    const again = await migrateToAuthenticated(result.encryptedData, PASSWORD);
+    expect(again).toEqual({ encryptedData: result.encryptedData, migrated: false, from: 'AES-256-GCM/PBKDF2-SHA256' });
+  });
+
+  test('密码错误时解密失败', async () => {
+    await expect(decryptMnemonic(encryptLegacy('aes-256-ctr'), 'wrong password')).rejects.toThrow('解密失败');
+  });
+});
@@ -1,4 +1,19 @@
 import * as bip39 from 'bip39';
+import {
+  CIPHERS,
+  KDFS,
+  GCM_TAG_LENGTH,
+  encodeEnvelope,
+  parseEncryptedData,
+  describeEncryptedData
+} from './cryptoEnvelope';
+import {
+  deriveMemoryHardKey,
+  formatKdfParams,
+  getDefaultKdfParams,
+  validateKdfParams
+} from './kdfUtils';
+import { detectMnemonicLanguage, getWordlist, isValidMnemonic } from './wordlistUtils';
 
 // 使用浏览器兼容的crypto实现
 const crypto = require('crypto-browserify');
@@ -47,12 +62,15 @@ export const generateMnemonic = async (wordCount = 12) => {
 
 /**
  * 验证助记词是否符合 BIP39 标准
+ * 未指定语言时先识别词表，再按该词表核对校验和 (与 cryptoUtilsGUI 接受相同的助记词)
  * @param {string} mnemonic - 助记词字符串
+ * @param {string} language - 词表语言，留空则自动识别
  * @returns {boolean} 验证结果
  */
-export const validateMnemonic = (mnemonic) => {
+export const validateMnemonic = (mnemonic, language) => {
   try {
-    return bip39.validateMnemonic(mnemonic);
+    const detected = language || detectMnemonicLanguage(mnemonic);
+    return Boolean(detected) && isValidMnemonic(mnemonic, detected);
   } catch (error) {
     console.error('助记词验证失败:', error);
     return false;
@@ -60,19 +78,93 @@ export const validateMnemonic = (mnemonic) => {
 };
 
 /**
- * 使用 AES-256-CTR 加密助记词
+ * 派生 256 位密钥
+ * PBKDF2 使用 crypto-browserify；scrypt / Argon2id 由 kdfUtils 计算
+ * @param {string} password - 密码
+ * @param {object} header - 包含 salt / kdf / kdfParams 的加密参数
+ * @returns {Buffer} 32字节密钥
+ */
+const deriveKey = async (password, { salt, kdf, kdfParams }) => {
+  if (kdf !== KDFS.PBKDF2_SHA256) {
+    return Buffer.from(await deriveMemoryHardKey(password, salt, kdf, kdfParams));
+  }
+
+  const { iterations } = validateKdfParams(kdf, kdfParams);
+  return new Promise((resolve, reject) => {
+    pbkdf2(password, Buffer.from(salt), iterations, 32, 'sha256', (err, derivedKey) => {
+      if (err) reject(err);
+      else resolve(derivedKey);
+    });
+  });
+};
+
+/**
+ * 完整性校验失败的错误码 (AES-GCM 认证标签不匹配)
+ * 密码错误或密文被篡改都会触发，解密失败时可通过 error.code 区分
+ */
+export const INTEGRITY_ERROR_CODE = 'INTEGRITY_CHECK_FAILED';
+
+/**
+ * 创建带错误码的错误对象
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @returns {Error}
+ */
+const createCodedError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * 按解析出的信封头解密
+ * @param {object} header - parseEncryptedData 返回的候选结果
+ * @param {string} password - 解密密码
+ * @returns {string} 解密后的明文
+ */
+const decryptWithHeader = async (header, password) => {
+  const key = await deriveKey(password, header);
+  const nonce = Buffer.from(header.nonce);
+  const ciphertext = Buffer.from(header.ciphertext);
+
+  let decipher;
+  let encrypted = ciphertext;
+  if (header.cipher === CIPHERS.AES_256_GCM) {
+    encrypted = ciphertext.subarray(0, ciphertext.length - GCM_TAG_LENGTH);
+    decipher = createDecipheriv('aes-256-gcm', key, nonce);
+    decipher.setAuthTag(ciphertext.subarray(ciphertext.length - GCM_TAG_LENGTH));
+  } else {
+    decipher = createDecipheriv('aes-256-ctr', key, nonce);
+  }
+
+  let decrypted;
+  try {
+    decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  } catch (error) {
+    if (header.cipher === CIPHERS.AES_256_GCM) {
+      throw createCodedError('完整性校验失败：密码错误或数据已被篡改', INTEGRITY_ERROR_CODE);
+    }
+    throw error;
+  }
+  return decrypted.toString('utf8');
+};
+
+/**
+ * 使用 AES-256-GCM 加密助记词
  * 加密参数:
- * - 算法: AES-256-CTR
- * - 密钥派生: PBKDF2 + SHA-256
- * - 迭代次数: 10,000
+ * - 算法: AES-256-GCM (16字节认证标签附在密文末尾)
+ * - 密钥派生: PBKDF2-SHA256 (默认 10,000 次迭代) / scrypt / Argon2id
  * - 盐值长度: 16 字节
- * - IV长度: 16 字节
+ * - IV长度: 12 字节
  * 
  * @param {string} mnemonic - 要加密的助记词
  * @param {string} password - 加密密码
- * @returns {string} Base64编码的加密结果 [盐值16字节] + [IV16字节] + [密文]
+ * @param {object} options - 可选参数
+ * @param {string} options.kdf - 密钥派生函数 (KDFS)，默认 PBKDF2-SHA256
+ * @param {object} options.kdfParams - KDF参数，默认取 DEFAULT_KDF_PARAMS
+ * @returns {string} Base64编码的加密信封 (格式见 cryptoEnvelope.js)
  */
-export const encryptMnemonic = async (mnemonic, password) => {
+export const encryptMnemonic = async (mnemonic, password, options = {}) => {
   try {
     if (!mnemonic || !password) {
       throw new Error('助记词和密码不能为空');
@@ -84,42 +176,40 @@ export const encryptMnemonic = async (mnemonic, password) => {
     }
 
     // 生成随机盐值 (16字节)
-    const salt = randomBytes(16);
+    const salt = randomBytes(CRYPTO_CONSTANTS.SALT_LENGTH);
     
-    // 生成随机IV (16字节)  
-    const iv = randomBytes(16);
+    // 生成随机IV (12字节)  
+    const iv = randomBytes(CRYPTO_CONSTANTS.IV_LENGTH);
     
-    // 使用 PBKDF2 派生密钥 (32字节 = 256位)
-    const iterations = 10000;
-    const key = await new Promise((resolve, reject) => {
-      pbkdf2(password, salt, iterations, 32, 'sha256', (err, derivedKey) => {
-        if (err) reject(err);
-        else resolve(derivedKey);
-      });
-    });
+    // 派生密钥 (32字节 = 256位)，参数写入信封
+    const kdf = options.kdf || KDFS.PBKDF2_SHA256;
+    const kdfParams = validateKdfParams(kdf, options.kdfParams || getDefaultKdfParams(kdf));
+    const key = await deriveKey(password, { salt, kdf, kdfParams });
 
-    // 创建 AES-256-CTR 加密器
-    const cipher = createCipheriv('aes-256-ctr', key, iv);
+    // 创建 AES-256-GCM 加密器
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
     
-    // 加密助记词
+    // 加密助记词，认证标签附在密文末尾
     let encrypted = cipher.update(mnemonic, 'utf8');
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
-    
-    // 组合最终数据: [盐值16字节] + [IV16字节] + [密文]
-    const finalData = Buffer.concat([salt, iv, encrypted]);
-    
-    // 转换为Base64编码
-    const base64Result = finalData.toString('base64');
+    encrypted = Buffer.concat([encrypted, cipher.final(), cipher.getAuthTag()]);
+    
+    // 封装为带版本的信封
+    const base64Result = encodeEnvelope({
+      cipher: CIPHERS.AES_256_GCM,
+      kdf,
+      kdfParams,
+      salt,
+      nonce: iv,
+      ciphertext: encrypted
+    });
     
     console.log('🔒 助记词加密成功');
     console.log('📊 加密信息:', {
-      algorithm: 'AES-256-CTR',
-      keyDerivation: 'PBKDF2-SHA256',
-      iterations: iterations,
+      algorithm: 'AES-256-GCM',
+      keyDerivation: formatKdfParams(kdf, kdfParams),
       saltLength: salt.length,
       ivLength: iv.length,
       encryptedLength: encrypted.length,
-      totalLength: finalData.length,
       base64Length: base64Result.length
     });
     
@@ -133,6 +223,8 @@ export const encryptMnemonic = async (mnemonic, password) => {
 
 /**
  * 解密助记词
+ * 支持带版本的信封，以及 cryptoUtils (CTR) / cryptoUtilsGUI (GCM) 两种旧版无头格式
+ * 带信封的 GCM 数据认证失败时抛出 error.code === INTEGRITY_ERROR_CODE 的错误
  * @param {string} encryptedData - Base64编码的加密数据
  * @param {string} password - 解密密码
  * @returns {string} 解密后的助记词
@@ -143,56 +235,69 @@ export const decryptMnemonic = async (encryptedData, password) => {
       throw new Error('加密数据和密码不能为空');
     }
 
-    // 解析Base64数据
-    const data = Buffer.from(encryptedData, 'base64');
-    
-    // 检查数据长度 (至少需要32字节的盐值和IV)
-    if (data.length < 32) {
-      throw new Error('加密数据格式错误');
-    }
-    
-    // 提取数据: [0-15:盐值] + [16-31:IV] + [32+:密文]
-    const salt = data.subarray(0, 16);
-    const iv = data.subarray(16, 32);
-    const encrypted = data.subarray(32);
-    
-    console.log('🔍 解密信息:', {
-      totalLength: data.length,
-      saltLength: salt.length,
-      ivLength: iv.length,
-      encryptedLength: encrypted.length
-    });
-    
-    // 使用相同参数派生密钥
-    const iterations = 10000;
-    const key = await new Promise((resolve, reject) => {
-      pbkdf2(password, salt, iterations, 32, 'sha256', (err, derivedKey) => {
-        if (err) reject(err);
-        else resolve(derivedKey);
+    // 解析信封；旧版数据会返回多个候选布局
+    const candidates = parseEncryptedData(encryptedData);
+    candidates.forEach((header) => validateKdfParams(header.kdf, header.kdfParams));
+
+    for (const header of candidates) {
+      console.log('🔍 解密信息:', {
+        format: header.format,
+        algorithm: header.cipher,
+        saltLength: header.salt.length,
+        ivLength: header.nonce.length,
+        encryptedLength: header.ciphertext.length
       });
-    });
-    
-    // 创建 AES-256-CTR 解密器
-    const decipher = createDecipheriv('aes-256-ctr', key, iv);
-    
-    // 解密数据
-    let decrypted = decipher.update(encrypted);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-    
-    // 转换为字符串
-    const mnemonicText = decrypted.toString('utf8');
-    
-    // 验证解密结果
-    if (!validateMnemonic(mnemonicText)) {
-      throw new Error('解密结果不是有效的助记词，可能密码错误或数据损坏');
+
+      let mnemonicText;
+      try {
+        mnemonicText = await decryptWithHeader(header, password);
+      } catch (error) {
+        // 信封格式无需再尝试其他布局；旧版数据继续尝试下一个候选布局
+        if (header.format === 'envelope') {
+          throw error;
+        }
+        continue;
+      }
+
+      if (validateMnemonic(mnemonicText)) {
+        console.log('🔓 助记词解密成功');
+        return mnemonicText;
+      }
     }
-    
-    console.log('🔓 助记词解密成功');
-    return mnemonicText;
+
+    throw new Error('解密结果不是有效的助记词，可能密码错误或数据损坏');
     
   } catch (error) {
     console.error('❌ 解密失败:', error);
-    throw new Error(`解密失败: ${error.message}`);
+    throw createCodedError(`解密失败: ${error.message}`, error.code);
+  }
+};
+
+/**
+ * 将未认证的 AES-CTR 密文 (旧版无头格式或 CTR 信封) 重新加密为 AES-256-GCM 信封
+ * 已是 GCM 信封的数据原样返回
+ * @param {string} encryptedData - Base64编码的加密数据
+ * @param {string} password - 解密密码 (同时用于重新加密)
+ * @param {object} options - 重新加密的可选参数，同 encryptMnemonic
+ * @returns {object} { encryptedData, migrated, from }
+ */
+export const migrateToAuthenticated = async (encryptedData, password, options = {}) => {
+  const info = validateEncryptedData(encryptedData);
+  if (!info.valid) {
+    throw new Error(`迁移失败: ${info.error}`);
+  }
+
+  if (info.authenticated) {
+    return { encryptedData, migrated: false, from: info.format };
+  }
+
+  const mnemonic = await decryptMnemonic(encryptedData, password);
+  try {
+    const migrated = await encryptMnemonic(mnemonic, password, options);
+    console.log('🔁 密文已迁移为 AES-256-GCM:', info.format);
+    return { encryptedData: migrated, migrated: true, from: info.format };
+  } finally {
+    secureClear(mnemonic);
   }
 };
 
@@ -249,7 +354,7 @@ export const mnemonicToEntropy = (mnemonic) => {
       throw new Error('无效的助记词');
     }
     
-    const entropy = bip39.mnemonicToEntropy(mnemonic);
+    const entropy = bip39.mnemonicToEntropy(mnemonic, getWordlist(detectMnemonicLanguage(mnemonic)));
     return entropy;
   } catch (error) {
     console.error('❌ 助记词转换为熵失败:', error);
@@ -313,26 +418,21 @@ export const validateEncryptedData = (encryptedData) => {
       return { valid: false, error: '加密数据不能为空' };
     }
     
-    // 尝试解析Base64
-    let data;
-    try {
-      data = Buffer.from(encryptedData, 'base64');
-    } catch (error) {
-      return { valid: false, error: '不是有效的Base64数据' };
-    }
-    
-    // 检查最小长度 (盐值16 + IV16 + 至少1字节密文)
-    if (data.length < 33) {
-      return { valid: false, error: '数据长度不足' };
-    }
+    // 解析信封头；旧版无头数据只能给出可能的格式
+    const info = describeEncryptedData(encryptedData);
     
     return {
       valid: true,
-      totalLength: data.length,
-      saltLength: 16,
-      ivLength: 16,
-      encryptedLength: data.length - 32,
-      format: 'AES-256-CTR/PBKDF2-SHA256'
+      format: info.label,
+      legacy: info.legacy,
+      authenticated: !info.legacy && info.cipher === CIPHERS.AES_256_GCM,
+      version: info.version,
+      cipher: info.cipher,
+      kdf: info.kdf,
+      kdfParams: info.kdfParams,
+      saltLength: info.saltLength,
+      ivLength: info.ivLength,
+      encryptedLength: info.encryptedLength
     };
     
   } catch (error) {
@@ -342,13 +442,15 @@ export const validateEncryptedData = (encryptedData) => {
 
 // 导出常量
 export const CRYPTO_CONSTANTS = {
-  ALGORITHM: 'aes-256-ctr',
+  ALGORITHM: 'aes-256-gcm',
   KEY_DERIVATION: 'pbkdf2',
   HASH_ALGORITHM: 'sha256',
   KEY_LENGTH: 32,        // 256 bits
   SALT_LENGTH: 16,       // 128 bits  
-  IV_LENGTH: 16,         // 128 bits
+  IV_LENGTH: 12,         // 96 bits (GCM)
+  TAG_LENGTH: 16,        // 128 bits
   ITERATIONS: 10000,
+  SUPPORTED_KDFS: ['pbkdf2-sha256', 'scrypt', 'argon2id'],
   SUPPORTED_WORD_COUNTS: [12, 15, 18, 21, 24]
 };
 
@@ -358,6 +460,7 @@ console.log('📋 支持的功能:', Object.keys({
   validateMnemonic, 
   encryptMnemonic,
   decryptMnemonic,
+  migrateToAuthenticated,
   mnemonicToSeed,
   entropyToMnemonic,
   mnemonicToEntropy
@@ -0,0 +1,31 @@
+import * as bip39 from 'bip39';
+import { decryptMnemonic, encryptMnemonic, mnemonicToEntropy, validateMnemonic } from './cryptoUtils';
+import * as webCrypto from './cryptoUtilsGUI';
+
+const ENTROPY = '00112233445566778899aabbccddeeff';
+const JAPANESE = bip39.entropyToMnemonic(ENTROPY, bip39.wordlists.japanese);
+const SPANISH = bip39.entropyToMnemonic(ENTROPY, bip39.wordlists.spanish);
+const PASSWORD = 'correct horse battery staple';
+
+describe('cryptoUtils 与 cryptoUtilsGUI 互通', () => {
+  test('识别非英文助记词并按识别出的词表核对校验和', () => {
+    expect(validateMnemonic(JAPANESE)).toBe(true);
+    expect(validateMnemonic(SPANISH)).toBe(true);
+    expect(validateMnemonic(JAPANESE, 'english')).toBe(false);
+    expect(mnemonicToEntropy(JAPANESE)).toBe(ENTROPY);
+
+    const words = SPANISH.split(' ');
+    words[11] = words[11] === words[0] ? words[1] : words[0];
+    expect(validateMnemonic(words.join(' '))).toBe(false);
+  });
+
+  test('WebCrypto 加密的日语助记词可由 cryptoUtils 解密', async () => {
+    const encrypted = await webCrypto.encryptMnemonic(JAPANESE, PASSWORD);
+    await expect(decryptMnemonic(encrypted, PASSWORD)).resolves.toBe(JAPANESE);
+  });
+
+  test('cryptoUtils 加密的西班牙语助记词可由 WebCrypto 解密', async () => {
+    const encrypted = await encryptMnemonic(SPANISH, PASSWORD);
+    await expect(webCrypto.decryptMnemonic(encrypted, PASSWORD)).resolves.toBe(SPANISH);
+  });
+});
@@ -1,4 +1,7 @@
 import * as bip39 from 'bip39';
+import { CIPHERS, KDFS, encodeEnvelope, parseEncryptedData } from './cryptoEnvelope';
+import { deriveMemoryHardKey, getDefaultKdfParams, validateKdfParams } from './kdfUtils';
+import { DEFAULT_MNEMONIC_LANGUAGE, getWordlist, isValidMnemonic } from './wordlistUtils';
 
 /**
  * GUI兼容版本的crypto工具
@@ -8,9 +11,10 @@ import * as bip39 from 'bip39';
 /**
  * 生成符合 BIP39 标准的助记词
  * @param {number} wordCount - 助记词数量 (12, 15, 18, 21, 24)
+ * @param {string} language - 词表语言，默认英语
  * @returns {string} 生成的助记词字符串
  */
-export const generateMnemonic = async (wordCount = 12) => {
+export const generateMnemonic = async (wordCount = 12, language = DEFAULT_MNEMONIC_LANGUAGE) => {
   try {
     const entropyBits = {
       12: 128, 15: 160, 18: 192, 21: 224, 24: 256
@@ -22,13 +26,14 @@ export const generateMnemonic = async (wordCount = 12) => {
     }
 
     // 使用bip39内置方法生成
-    const mnemonic = bip39.generateMnemonic(bits);
+    const wordlist = getWordlist(language);
+    const mnemonic = bip39.generateMnemonic(bits, undefined, wordlist);
     
-    if (!bip39.validateMnemonic(mnemonic)) {
+    if (!bip39.validateMnemonic(mnemonic, wordlist)) {
       throw new Error('生成的助记词验证失败');
     }
     
-    console.log(`✅ 成功生成 ${wordCount} 个单词的助记词`);
+    console.log(`✅ 成功生成 ${wordCount} 个单词的助记词 (${language})`);
     return mnemonic;
     
   } catch (error) {
@@ -37,28 +42,172 @@ export const generateMnemonic = async (wordCount = 12) => {
   }
 };
 
+/**
+ * 由熵生成助记词
+ * @param {string} entropyHex - 十六进制熵 (16/20/24/28/32 字节)
+ * @param {string} language - 词表语言，默认英语
+ * @returns {string} 助记词字符串
+ */
+export const entropyToMnemonic = (entropyHex, language = DEFAULT_MNEMONIC_LANGUAGE) => {
+  try {
+    return bip39.entropyToMnemonic(entropyHex, getWordlist(language));
+  } catch (error) {
+    console.error('❌ 熵转换为助记词失败:', error);
+    throw new Error(`熵转换为助记词失败: ${error.message}`);
+  }
+};
+
 /**
  * 验证助记词是否符合 BIP39 标准
  * @param {string} mnemonic - 助记词字符串
+ * @param {string} language - 词表语言，留空则接受任意支持的语言
  * @returns {boolean} 验证结果
  */
-export const validateMnemonic = (mnemonic) => {
+export const validateMnemonic = (mnemonic, language) => {
   try {
-    return bip39.validateMnemonic(mnemonic);
+    return isValidMnemonic(mnemonic, language);
   } catch (error) {
     console.error('助记词验证失败:', error);
     return false;
   }
 };
 
+const WEBCRYPTO_ALGORITHMS = {
+  [CIPHERS.AES_256_GCM]: 'AES-GCM',
+  [CIPHERS.AES_256_CTR]: 'AES-CTR'
+};
+
+/**
+ * 派生 AES 密钥
+ * PBKDF2 使用 WebCrypto 原生实现；scrypt / Argon2id 由 kdfUtils 计算后导入
+ * @param {string} password - 密码
+ * @param {object} header - 包含 salt / kdf / kdfParams / cipher 的加密参数
+ * @param {Array} usages - 密钥用途
+ * @returns {CryptoKey} AES 密钥
+ */
+const deriveKey = async (password, { salt, kdf, kdfParams, cipher }, usages) => {
+  const algorithm = { name: WEBCRYPTO_ALGORITHMS[cipher], length: 256 };
+
+  if (kdf !== KDFS.PBKDF2_SHA256) {
+    const keyBytes = await deriveMemoryHardKey(password, salt, kdf, kdfParams);
+    return crypto.subtle.importKey('raw', keyBytes, algorithm, false, usages);
+  }
+
+  const { iterations } = validateKdfParams(kdf, kdfParams);
+  const encoder = new TextEncoder();
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(password),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: salt,
+      iterations: iterations,
+      hash: 'SHA-256'
+    },
+    keyMaterial,
+    algorithm,
+    false,
+    usages
+  );
+};
+
+/**
+ * 构造 WebCrypto 加解密参数
+ * AES-CTR 使用整个16字节块作为计数器，与 Node 的 aes-256-ctr 保持一致
+ * @param {string} cipher - 加密算法 (CIPHERS)
+ * @param {Uint8Array} nonce - IV / nonce
+ * @returns {object} WebCrypto 算法参数
+ */
+const getCipherParams = (cipher, nonce) => {
+  if (cipher === CIPHERS.AES_256_CTR) {
+    return { name: 'AES-CTR', counter: nonce, length: 128 };
+  }
+  return { name: 'AES-GCM', iv: nonce };
+};
+
+/**
+ * 使用 AES-256-GCM 加密任意文本并封装为信封
+ * 供助记词以外的敏感文档 (如密码清单) 使用
+ * @param {string} text - 明文
+ * @param {string} password - 加密密码
+ * @param {object} options - 可选参数，同 encryptMnemonic
+ * @returns {string} Base64编码的加密信封
+ */
+export const encryptText = async (text, password, options = {}) => {
+  if (!text || !password) {
+    throw new Error('明文和密码不能为空');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(CRYPTO_CONSTANTS.SALT_LENGTH));
+  const kdf = options.kdf || CRYPTO_CONSTANTS.KEY_DERIVATION;
+  const kdfParams = validateKdfParams(kdf, options.kdfParams || getDefaultKdfParams(kdf));
+  const header = { salt, kdf, kdfParams, cipher: CIPHERS.AES_256_GCM };
+  const key = await deriveKey(password, header, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(CRYPTO_CONSTANTS.IV_LENGTH));
+
+  const encrypted = await crypto.subtle.encrypt(
+    getCipherParams(CIPHERS.AES_256_GCM, iv),
+    key,
+    new TextEncoder().encode(text)
+  );
+
+  return encodeEnvelope({
+    ...header,
+    nonce: iv,
+    ciphertext: new Uint8Array(encrypted)
+  });
+};
+
+/**
+ * 解密 encryptText 生成的信封
+ * 只接受带认证的 GCM 数据，认证失败即视为密码错误或数据被篡改
+ * @param {string} encryptedData - Base64编码的加密信封
+ * @param {string} password - 解密密码
+ * @returns {string} 明文
+ */
+export const decryptText = async (encryptedData, password) => {
+  if (!encryptedData || !password) {
+    throw new Error('加密数据和密码不能为空');
+  }
+
+  const candidates = parseEncryptedData(encryptedData)
+    .filter((header) => header.cipher === CIPHERS.AES_256_GCM);
+  candidates.forEach((header) => validateKdfParams(header.kdf, header.kdfParams));
+
+  for (const header of candidates) {
+    try {
+      const key = await deriveKey(password, header, ['decrypt']);
+      const decrypted = await crypto.subtle.decrypt(
+        getCipherParams(header.cipher, header.nonce),
+        key,
+        header.ciphertext
+      );
+      return new TextDecoder().decode(decrypted);
+    } catch (error) {
+      // 认证失败，尝试下一个候选布局
+      continue;
+    }
+  }
+
+  throw new Error('完整性校验失败：密码错误或数据已被篡改');
+};
+
 /**
  * 使用浏览器原生 WebCrypto API 进行AES-256-GCM加密
- * 注意：这是简化版本，用于GUI演示
  * @param {string} mnemonic - 要加密的助记词
  * @param {string} password - 加密密码
- * @returns {string} Base64编码的加密结果
+ * @param {object} options - 可选参数
+ * @param {string} options.kdf - 密钥派生函数 (KDFS)，默认 PBKDF2-SHA256
+ * @param {object} options.kdfParams - KDF参数，默认取 DEFAULT_KDF_PARAMS
+ * @returns {string} Base64编码的加密信封 (格式见 cryptoEnvelope.js)
  */
-export const encryptMnemonic = async (mnemonic, password) => {
+export const encryptMnemonic = async (mnemonic, password, options = {}) => {
   try {
     if (!mnemonic || !password) {
       throw new Error('助记词和密码不能为空');
@@ -68,57 +217,8 @@ export const encryptMnemonic = async (mnemonic, password) => {
       throw new Error('助记词格式不正确');
     }
 
-    // 使用WebCrypto API
-    const encoder = new TextEncoder();
-    const data = encoder.encode(mnemonic);
-    const passwordData = encoder.encode(password);
-    
-    // 生成盐值
-    const salt = crypto.getRandomValues(new Uint8Array(16));
-    
-    // 派生密钥
-    const keyMaterial = await crypto.subtle.importKey(
-      'raw', 
-      passwordData, 
-      'PBKDF2', 
-      false, 
-      ['deriveKey']
-    );
-    
-    const key = await crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: salt,
-        iterations: 10000,
-        hash: 'SHA-256'
-      },
-      keyMaterial,
-      { name: 'AES-GCM', length: 256 },
-      false,
-      ['encrypt']
-    );
-    
-    // 生成IV
-    const iv = crypto.getRandomValues(new Uint8Array(12));
-    
-    // 加密
-    const encrypted = await crypto.subtle.encrypt(
-      {
-        name: 'AES-GCM',
-        iv: iv
-      },
-      key,
-      data
-    );
-    
-    // 组合数据: [盐值16字节] + [IV12字节] + [密文]
-    const result = new Uint8Array(salt.length + iv.length + encrypted.byteLength);
-    result.set(salt, 0);
-    result.set(iv, salt.length);
-    result.set(new Uint8Array(encrypted), salt.length + iv.length);
-    
-    // 转换为Base64
-    const base64Result = btoa(String.fromCharCode(...result));
+    // 派生密钥、加密并封装为带版本的信封 (参数写入信封，解密时读取)
+    const base64Result = await encryptText(mnemonic, password, options);
     
     console.log('🔒 助记词加密成功 (WebCrypto版本)');
     return base64Result;
@@ -131,6 +231,7 @@ export const encryptMnemonic = async (mnemonic, password) => {
 
 /**
  * 解密助记词
+ * 支持带版本的信封，以及 cryptoUtils (CTR) / cryptoUtilsGUI (GCM) 两种旧版无头格式
  * @param {string} encryptedData - Base64编码的加密数据
  * @param {string} password - 解密密码
  * @returns {string} 解密后的助记词
@@ -141,68 +242,33 @@ export const decryptMnemonic = async (encryptedData, password) => {
       throw new Error('加密数据和密码不能为空');
     }
 
-    // 解析Base64数据
-    const data = new Uint8Array(
-      atob(encryptedData)
-        .split('')
-        .map(char => char.charCodeAt(0))
-    );
-    
-    if (data.length < 28) { // 16 + 12 最小长度
-      throw new Error('加密数据格式错误');
-    }
-    
-    // 提取数据部分
-    const salt = data.slice(0, 16);
-    const iv = data.slice(16, 28);
-    const encrypted = data.slice(28);
-    
-    // 派生密钥
-    const encoder = new TextEncoder();
-    const passwordData = encoder.encode(password);
-    
-    const keyMaterial = await crypto.subtle.importKey(
-      'raw',
-      passwordData,
-      'PBKDF2',
-      false,
-      ['deriveKey']
-    );
-    
-    const key = await crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: salt,
-        iterations: 10000,
-        hash: 'SHA-256'
-      },
-      keyMaterial,
-      { name: 'AES-GCM', length: 256 },
-      false,
-      ['decrypt']
-    );
-    
-    // 解密
-    const decrypted = await crypto.subtle.decrypt(
-      {
-        name: 'AES-GCM',
-        iv: iv
-      },
-      key,
-      encrypted
-    );
-    
-    // 转换为文本
+    // 解析信封；旧版数据会返回多个候选布局
+    const candidates = parseEncryptedData(encryptedData);
+    candidates.forEach((header) => validateKdfParams(header.kdf, header.kdfParams));
     const decoder = new TextDecoder();
-    const mnemonicText = decoder.decode(decrypted);
-    
-    // 验证解密结果
-    if (!validateMnemonic(mnemonicText)) {
-      throw new Error('解密结果不是有效的助记词，可能密码错误');
+
+    for (const header of candidates) {
+      let mnemonicText;
+      try {
+        const key = await deriveKey(password, header, ['decrypt']);
+        const decrypted = await crypto.subtle.decrypt(
+          getCipherParams(header.cipher, header.nonce),
+          key,
+          header.ciphertext
+        );
+        mnemonicText = decoder.decode(decrypted);
+      } catch (error) {
+        // GCM 认证失败，尝试下一个候选布局
+        continue;
+      }
+
+      if (validateMnemonic(mnemonicText)) {
+        console.log('🔓 助记词解密成功 (WebCrypto版本)');
+        return mnemonicText;
+      }
     }
-    
-    console.log('🔓 助记词解密成功 (WebCrypto版本)');
-    return mnemonicText;
+
+    throw new Error('解密结果不是有效的助记词，可能密码错误');
     
   } catch (error) {
     console.error('❌ 解密失败:', error);
@@ -219,6 +285,7 @@ export const CRYPTO_CONSTANTS = {
   SALT_LENGTH: 16,
   IV_LENGTH: 12,
   ITERATIONS: 10000,
+  SUPPORTED_KDFS: ['pbkdf2-sha256', 'scrypt', 'argon2id'],
   SUPPORTED_WORD_COUNTS: [12, 15, 18, 21, 24]
 };
 
@@ -0,0 +1,170 @@
+/**
+ * CSV 工具
+ * 解析 FileExportUtils 导出的加密 CSV，以及将二维数组序列化为 CSV
+ */
+
+export const normalizeHeader = (value) => {
+  if (!value) return '';
+  return value.toString().replace(/^"|"$/g, '').trim().toLowerCase();
+};
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let current = '';
+  let row = [];
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (char === '"') {
+      if (inQuotes && next === '"') {
+        current += '"';
+        i += 1;
+        continue;
+      }
+      inQuotes = !inQuotes;
+      continue;
+    }
+
+    if (char === ',' && !inQuotes) {
+      row.push(current);
+      current = '';
+      continue;
+    }
+
+    if ((char === '\n' || char === '\r') && !inQuotes) {
+      if (char === '\r' && next === '\n') {
+        i += 1;
+      }
+      row.push(current);
+      const hasContent = row.some((cell) => cell.trim() !== '');
+      if (hasContent) {
+        rows.push(row);
+      }
+      row = [];
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (current.length > 0 || row.length > 0) {
+    row.push(current);
+    const hasContent = row.some((cell) => cell.trim() !== '');
+    if (hasContent) {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+};
+
+export const detectHeaderMap = (headerRow) => {
+  const map = {};
+  headerRow.forEach((cell, index) => {
+    const key = normalizeHeader(cell);
+    if (!key) return;
+    map[key] = index;
+  });
+  return map;
+};
+
+export const getColumnIndex = (headerMap, candidates, fallbackIndex) => {
+  for (const key of candidates) {
+    if (headerMap[key] !== undefined) {
+      return headerMap[key];
+    }
+  }
+  return fallbackIndex;
+};
+
+export const parseEncryptedCsv = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { items: [], warnings: ['CSV 文件为空'] };
+  }
+
+  const headerMap = detectHeaderMap(rows[0]);
+  const headerKeys = Object.keys(headerMap);
+  const hasHeader = headerKeys.some((key) =>
+    key.includes('加密') || key.includes('encrypted') || key.includes('evm') || key.includes('地址')
+  );
+
+  const startIndex = hasHeader ? 1 : 0;
+  const encryptedIndex = hasHeader
+    ? getColumnIndex(headerMap, ['加密数据', 'encrypteddata', 'encrypted', 'ciphertext'], 0)
+    : 0;
+  const addressIndex = hasHeader
+    ? getColumnIndex(headerMap, ['evm地址', 'address', '钱包地址', 'addr'], 1)
+    : 1;
+  const privateKeyIndex = hasHeader
+    ? getColumnIndex(headerMap, ['私钥', 'privatekey', 'private key'], -1)
+    : -1;
+  const passphraseIndex = hasHeader
+    ? getColumnIndex(headerMap, ['密码短语', 'passphrase', 'bip39passphrase'], -1)
+    : -1;
+  const languageIndex = hasHeader
+    ? getColumnIndex(headerMap, ['语言', 'language', 'wordlist'], -1)
+    : -1;
+  const pathIndex = hasHeader
+    ? getColumnIndex(headerMap, ['派生路径', 'path', 'derivationpath'], -1)
+    : -1;
+
+  const items = [];
+  const warnings = [];
+
+  for (let i = startIndex; i < rows.length; i += 1) {
+    const row = rows[i];
+    const encryptedDataRaw = row[encryptedIndex] || '';
+    const encryptedData = encryptedDataRaw.trim().replace(/^"|"$/g, '');
+    const addressRaw = row[addressIndex] || '';
+    const address = addressRaw.trim().replace(/^"|"$/g, '');
+    const privateKeyRaw = privateKeyIndex >= 0 ? row[privateKeyIndex] : '';
+    const privateKey = privateKeyRaw ? privateKeyRaw.trim().replace(/^"|"$/g, '') : '';
+
+    if (!encryptedData && !privateKey) {
+      continue;
+    }
+
+    items.push({
+      id: i + 1 - startIndex,
+      encryptedData,
+      address,
+      privateKey,
+      language: languageIndex >= 0 ? (row[languageIndex] || '').trim().replace(/^"|"$/g, '') : '',
+      derivationPath: pathIndex >= 0 ? (row[pathIndex] || '').trim().replace(/^"|"$/g, '') : '',
+      passphraseUsed: passphraseIndex >= 0 && ['已使用', 'true', 'yes'].includes(normalizeHeader(row[passphraseIndex]))
+    });
+  }
+
+  if (items.length === 0) {
+    warnings.push('未能从CSV解析出加密数据');
+  }
+
+  return { items, warnings };
+};
+
+/**
+ * 转义单个 CSV 单元格
+ * 纯整数 (ID、词数) 不加引号，其余字段与导出格式一致使用双引号包裹
+ * @param {*} value - 单元格的值
+ * @returns {string} 转义后的单元格
+ */
+export const toCsvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (/^\d+$/.test(text)) {
+    return text;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * 将二维数组序列化为 CSV 文本
+ * @param {Array<Array>} rows - 行数组 (首行通常为表头)
+ * @returns {string} CSV 文本
+ */
+export const stringifyCsv = (rows) =>
+  rows.map((row) => row.map(toCsvCell).join(',')).join('\n');
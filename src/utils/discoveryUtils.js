@@ -0,0 +1,117 @@
+/**
+ * 账户发现 (gap limit 扫描)
+ * 对恢复出的助记词按路径预设逐个派生地址，查询链上 nonce 与余额，
+ * 连续 N 个地址均未使用即停止该预设，汇总所有有余额或有交易记录的地址
+ */
+
+import { ethers } from 'ethers';
+import {
+  DERIVATION_PRESETS,
+  generateEthereumAddress,
+  getPresetPath
+} from './evmUtils';
+
+export const DEFAULT_GAP_LIMIT = 20;
+export const MAX_DISCOVERY_DEPTH = 1000;
+
+/**
+ * 可扫描的预设 (自定义路径没有可递增的序号)
+ * @returns {Array} 预设ID数组
+ */
+export const getScannablePresets = () =>
+  Object.values(DERIVATION_PRESETS)
+    .filter((preset) => preset.template)
+    .map((preset) => preset.id);
+
+/**
+ * 查询单个地址的使用情况
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} address - 地址
+ * @returns {object} { nonce, balance, used }
+ */
+const inspectAddress = async (provider, address) => {
+  const [nonce, balance] = await Promise.all([
+    provider.getTransactionCount(address),
+    provider.getBalance(address)
+  ]);
+  return { nonce, balance, used: nonce > 0 || balance > 0n };
+};
+
+/**
+ * 扫描助记词下已使用的地址
+ * @param {string} mnemonic - BIP39助记词
+ * @param {object} options - 扫描参数
+ * @param {ethers.Provider} options.provider - 查询用 Provider
+ * @param {Array} options.presets - 要扫描的预设ID，默认全部可扫描预设
+ * @param {number} options.gapLimit - 连续未使用地址数量上限，默认 20
+ * @param {string} options.passphrase - 可选的 BIP39 密码短语
+ * @param {Function} options.onProgress - 每查询一个地址回调 ({ presetId, x, path, address, used, gap })
+ * @param {Function} options.shouldStop - 返回 true 时中止扫描
+ * @returns {object} { found, scanned, stopped }
+ */
+export const discoverAccounts = async (mnemonic, options = {}) => {
+  const {
+    provider,
+    presets = getScannablePresets(),
+    gapLimit = DEFAULT_GAP_LIMIT,
+    passphrase = '',
+    onProgress,
+    shouldStop
+  } = options;
+
+  if (!provider) {
+    throw new Error('缺少 RPC Provider');
+  }
+  if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+    throw new Error('间隔上限必须是正整数');
+  }
+
+  const found = [];
+  const seen = new Set();
+  let scanned = 0;
+  let stopped = false;
+
+  for (const presetId of presets) {
+    let gap = 0;
+
+    for (let x = 0; gap < gapLimit && x < MAX_DISCOVERY_DEPTH; x += 1) {
+      if (shouldStop?.()) {
+        stopped = true;
+        break;
+      }
+
+      const path = getPresetPath(presetId, x);
+      const { address } = generateEthereumAddress(mnemonic, path, passphrase);
+
+      // 不同预设的首个路径可能相同，已查询过的地址不重复计入
+      let used = false;
+      if (!seen.has(path)) {
+        seen.add(path);
+        const info = await inspectAddress(provider, address);
+        scanned += 1;
+        used = info.used;
+        if (used) {
+          found.push({
+            presetId,
+            presetLabel: DERIVATION_PRESETS[presetId].label,
+            x,
+            path,
+            address,
+            nonce: info.nonce,
+            balance: ethers.formatEther(info.balance)
+          });
+        }
+      } else {
+        used = found.some((entry) => entry.path === path);
+      }
+
+      gap = used ? 0 : gap + 1;
+      onProgress?.({ presetId, x, path, address, used, gap });
+    }
+
+    if (stopped) break;
+  }
+
+  console.log(`🧭 账户发现完成: 查询 ${scanned} 个地址，发现 ${found.length} 个已使用地址`);
+  return { found, scanned, stopped };
+};
@@ -0,0 +1,99 @@
+/**
+ * 批量转账合约 (Disperse 兼容)
+ * 一笔交易向多个地址转出 ETH 或 ERC-20：disperseEther 随交易附带合计数量，
+ * disperseToken 通过 transferFrom 从资金账户转出，需先授权合约
+ */
+
+import { ethers } from 'ethers';
+
+export const DISPERSE_ABI = [
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)'
+];
+
+export const DEFAULT_DISPERSE_ADDRESS =
+  process.env.REACT_APP_DISPERSE_ADDRESS || '0xD152f549545093347A162Dce210e7293f1452150';
+export const DEFAULT_CHUNK_SIZE = 100;
+
+// 单笔交易的 gas 上限，超过时自动减少每笔地址数
+export const MAX_CHUNK_GAS = 10000000n;
+
+// 代币尚未授权时无法估算，模拟预览按经验值计算：基础开销 + 每个地址一次新账户转账
+const CHUNK_BASE_GAS = 50000n;
+const CHUNK_GAS_PER_RECIPIENT = 40000n;
+
+/**
+ * 合约是否部署在当前网络
+ */
+export const isContractDeployed = async (provider, address) => (await provider.getCode(address)) !== '0x';
+
+/**
+ * 解析每笔交易地址数
+ * @returns {number} 正整数
+ */
+export const parseChunkSize = (value) => {
+  const size = Math.floor(Number(value));
+  if (!Number.isFinite(size) || size < 1) {
+    throw new Error('每笔交易地址数必须为正整数');
+  }
+  return size;
+};
+
+/**
+ * 一批收款行对应的合约调用
+ * @param {ethers.Contract} contract - 批量转账合约
+ * @param {Array} targets - [{ to, value }]
+ * @param {string|null} tokenAddress - 代币地址，为空时转出 ETH
+ * @returns {Object} { fn, args }，用于 fn.estimateGas(...args) / fn.populateTransaction(...args)
+ */
+export const getDisperseCall = (contract, targets, tokenAddress = null) => {
+  const recipients = targets.map((target) => target.to);
+  const values = targets.map((target) => target.value);
+  if (tokenAddress) {
+    return { fn: contract.disperseToken, args: [tokenAddress, recipients, values] };
+  }
+  const total = values.reduce((sum, value) => sum + value, 0n);
+  return { fn: contract.disperseEther, args: [recipients, values, { value: total }] };
+};
+
+/**
+ * 按每笔地址数切分并逐批估算 gas；某批超过 MAX_CHUNK_GAS 时把每笔地址数减半后重新切分余下的行
+ * 估算失败说明交易会回滚 (收款地址、余额或合约地址有误)，该批带 error 返回且不应发送；
+ * 只有代币授权尚未上链时 (模拟预览) 才传 fallback，按经验值计算 gasLimit，授权确认后须重新估算
+ * @param {Array} targets - [{ index, to, value }]
+ * @param {number} chunkSize - 每笔交易地址数
+ * @param {Function} estimate - async (targets) => gasLimit (已含余量)，无法估算时抛错
+ * @param {Object} options - { fallback: 估算失败时是否按经验值计算 }
+ * @returns {Promise<Object>} { chunks: [{ targets, gasLimit, estimated, error }], chunkSize: 实际使用的每笔地址数 }
+ */
+export const splitIntoChunks = async (targets, chunkSize, estimate, { fallback = false } = {}) => {
+  const chunks = [];
+  let size = chunkSize;
+  let start = 0;
+
+  while (start < targets.length) {
+    const slice = targets.slice(start, start + size);
+    let gasLimit;
+    let estimated = true;
+    try {
+      gasLimit = await estimate(slice);
+    } catch (error) {
+      if (!fallback) {
+        chunks.push({ targets: slice, gasLimit: null, estimated: false, error: error.shortMessage || error.message });
+        start += slice.length;
+        continue;
+      }
+      gasLimit = CHUNK_BASE_GAS + CHUNK_GAS_PER_RECIPIENT * ethers.getBigInt(slice.length);
+      estimated = false;
+    }
+
+    if (gasLimit > MAX_CHUNK_GAS && slice.length > 1) {
+      size = Math.ceil(slice.length / 2);
+      continue;
+    }
+    chunks.push({ targets: slice, gasLimit, estimated });
+    start += slice.length;
+  }
+
+  return { chunks, chunkSize: size };
+};
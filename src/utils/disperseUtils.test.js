@@ -0,0 +1,65 @@
+import { ethers } from 'ethers';
+import { MAX_CHUNK_GAS, getDisperseCall, parseChunkSize, splitIntoChunks } from './disperseUtils';
+
+const TO = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const targets = Array.from({ length: 10 }, (_, i) => ({ index: i + 1, to: TO, value: ethers.getBigInt(i + 1) }));
+
+// 每个地址 gasPerTarget，failWhen(slice) 为真时模拟估算失败 (交易会回滚)
+const createEstimate = (gasPerTarget, failWhen = () => false) => async (slice) => {
+  if (failWhen(slice)) {
+    throw Object.assign(new Error('execution reverted (long message)'), { shortMessage: 'execution reverted' });
+  }
+  return ethers.getBigInt(slice.length) * gasPerTarget;
+};
+
+describe('splitIntoChunks', () => {
+  test('按每笔地址数切分并保留顺序', async () => {
+    const { chunks, chunkSize } = await splitIntoChunks(targets, 4, createEstimate(30000n));
+    expect(chunkSize).toBe(4);
+    expect(chunks.map((chunk) => chunk.targets.length)).toEqual([4, 4, 2]);
+    expect(chunks.flatMap((chunk) => chunk.targets.map((target) => target.index))).toEqual(targets.map((t) => t.index));
+    expect(chunks[2]).toMatchObject({ gasLimit: 60000n, estimated: true });
+  });
+
+  test('超过单笔 gas 上限时每笔地址数减半', async () => {
+    const { chunks, chunkSize } = await splitIntoChunks(targets, 10, createEstimate(MAX_CHUNK_GAS / 4n));
+    expect(chunkSize).toBe(3);
+    expect(chunks.map((chunk) => chunk.targets.length)).toEqual([3, 3, 3, 1]);
+    expect(chunks.every((chunk) => chunk.gasLimit <= MAX_CHUNK_GAS)).toBe(true);
+  });
+
+  test('估算失败的批次带错误返回，不按经验值发送', async () => {
+    const { chunks } = await splitIntoChunks(
+      targets,
+      5,
+      createEstimate(30000n, (slice) => slice[0].index === 6)
+    );
+    expect(chunks[0]).toMatchObject({ gasLimit: 150000n, estimated: true });
+    expect(chunks[1]).toMatchObject({ gasLimit: null, estimated: false, error: 'execution reverted' });
+  });
+
+  test('仅在代币授权待上链时按经验值计算', async () => {
+    const { chunks } = await splitIntoChunks(targets, 5, createEstimate(0n, () => true), { fallback: true });
+    expect(chunks).toHaveLength(2);
+    expect(chunks.every((chunk) => !chunk.estimated && !chunk.error && chunk.gasLimit > 0n)).toBe(true);
+  });
+});
+
+describe('getDisperseCall / parseChunkSize', () => {
+  const contract = { disperseEther: 'disperseEther', disperseToken: 'disperseToken' };
+
+  test('ETH 批次附带合计数量，代币批次传入代币地址', () => {
+    const slice = targets.slice(0, 3);
+    expect(getDisperseCall(contract, slice)).toEqual({
+      fn: 'disperseEther',
+      args: [[TO, TO, TO], [1n, 2n, 3n], { value: 6n }]
+    });
+    expect(getDisperseCall(contract, slice, TO).args).toEqual([TO, [TO, TO, TO], [1n, 2n, 3n]]);
+  });
+
+  test('每笔地址数必须为正整数', () => {
+    expect(parseChunkSize('50.7')).toBe(50);
+    expect(() => parseChunkSize('0')).toThrow('每笔交易地址数必须为正整数');
+    expect(() => parseChunkSize('abc')).toThrow();
+  });
+});
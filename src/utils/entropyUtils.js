@@ -0,0 +1,177 @@
+/**
+ * 用户提供的熵 (骰子 / 硬币)
+ * 掷骰或抛硬币的结果经 SHA-256 压缩为所需长度的熵，可选与系统随机数异或混合，
+ * 并记录每一步的中间值，便于在离线设备上独立复核最终助记词
+ */
+
+import { entropyToMnemonic } from './cryptoUtilsGUI';
+import { DEFAULT_MNEMONIC_LANGUAGE, getWordlist } from './wordlistUtils';
+
+export const ENTROPY_SOURCES = {
+  CSPRNG: 'csprng',
+  DICE: 'dice',
+  COIN: 'coin'
+};
+
+// 每个符号提供的熵位数
+const BITS_PER_SYMBOL = {
+  [ENTROPY_SOURCES.DICE]: Math.log2(6),
+  [ENTROPY_SOURCES.COIN]: 1
+};
+
+const ENTROPY_BITS = {
+  12: 128, 15: 160, 18: 192, 21: 224, 24: 256
+};
+
+const bytesToHex = (bytes) =>
+  Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const hexToBits = (hex) =>
+  hex.match(/.{2}/g).map((pair) => parseInt(pair, 16).toString(2).padStart(8, '0')).join('');
+
+/**
+ * 获取助记词长度所需的熵位数
+ * @param {number} wordCount - 助记词数量
+ * @returns {number} 熵位数
+ */
+export const getRequiredBits = (wordCount) => {
+  const bits = ENTROPY_BITS[wordCount];
+  if (!bits) {
+    throw new Error(`不支持的助记词长度: ${wordCount}`);
+  }
+  return bits;
+};
+
+/**
+ * 解析掷骰 / 抛硬币记录
+ * 骰子接受 1-6；硬币接受 H/T (正/反) 或 1/0。空白与分隔符忽略，其他字符计入无效
+ * @param {string} input - 用户输入
+ * @param {string} source - dice | coin
+ * @returns {object} { symbols, invalid, bits }
+ */
+export const parseEntropyInput = (input, source) => {
+  if (!BITS_PER_SYMBOL[source]) {
+    throw new Error(`不支持的熵来源: ${source}`);
+  }
+
+  const symbols = [];
+  const invalid = [];
+
+  Array.from((input || '').replace(/[\s,;，、]/g, '').toUpperCase()).forEach((char) => {
+    if (source === ENTROPY_SOURCES.DICE) {
+      if (/^[1-6]$/.test(char)) {
+        symbols.push(char);
+      } else {
+        invalid.push(char);
+      }
+      return;
+    }
+
+    if (char === 'H' || char === '1' || char === '正') {
+      symbols.push('1');
+    } else if (char === 'T' || char === '0' || char === '反') {
+      symbols.push('0');
+    } else {
+      invalid.push(char);
+    }
+  });
+
+  return {
+    symbols,
+    invalid,
+    bits: Math.floor(symbols.length * BITS_PER_SYMBOL[source])
+  };
+};
+
+/**
+ * 计算达到目标熵位数所需的最少符号数
+ * @param {string} source - dice | coin
+ * @param {number} wordCount - 助记词数量
+ * @returns {number} 最少掷骰 / 抛硬币次数
+ */
+export const getRequiredSymbols = (source, wordCount) =>
+  Math.ceil(getRequiredBits(wordCount) / BITS_PER_SYMBOL[source]);
+
+/**
+ * 由掷骰 / 抛硬币记录生成助记词
+ * @param {object} options - 参数
+ * @param {string} options.input - 掷骰 / 抛硬币记录
+ * @param {string} options.source - dice | coin
+ * @param {number} options.wordCount - 助记词数量
+ * @param {string} options.language - 词表语言
+ * @param {boolean} options.mixWithCsprng - 是否与系统随机数异或混合
+ * @returns {object} { mnemonic, entropyHex, bitsCollected, bitsRequired, auditTrail }
+ */
+export const generateMnemonicFromUserEntropy = async (options = {}) => {
+  const {
+    input,
+    source,
+    wordCount = 12,
+    language = DEFAULT_MNEMONIC_LANGUAGE,
+    mixWithCsprng = false
+  } = options;
+
+  try {
+    const bitsRequired = getRequiredBits(wordCount);
+    const { symbols, invalid, bits } = parseEntropyInput(input, source);
+    if (invalid.length > 0) {
+      throw new Error(`包含无效字符: ${Array.from(new Set(invalid)).join(' ')}`);
+    }
+    if (bits < bitsRequired) {
+      throw new Error(`熵不足: 已收集 ${bits} 位，需要 ${bitsRequired} 位 (至少 ${getRequiredSymbols(source, wordCount)} 次)`);
+    }
+
+    const byteLength = bitsRequired / 8;
+    const record = symbols.join('');
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(record)));
+    const userEntropy = digest.slice(0, byteLength);
+
+    let step = 5;
+    const auditTrail = [
+      `1. 熵来源: ${source === ENTROPY_SOURCES.DICE ? '骰子 (1-6)' : '硬币 (1=正面, 0=反面)'}`,
+      `2. 记录 (${symbols.length} 次，约 ${bits} 位，需要 ${bitsRequired} 位):`,
+      `   ${record}`,
+      `3. SHA-256(记录的 ASCII 文本) = ${bytesToHex(digest)}`,
+      `4. 取前 ${byteLength} 字节作为用户熵: ${bytesToHex(userEntropy)}`
+    ];
+
+    let entropy = userEntropy;
+    if (mixWithCsprng) {
+      const random = crypto.getRandomValues(new Uint8Array(byteLength));
+      entropy = userEntropy.map((byte, i) => byte ^ random[i]);
+      auditTrail.push(
+        `${step++}. 系统随机数 (crypto.getRandomValues): ${bytesToHex(random)}`,
+        `${step++}. 用户熵 XOR 系统随机数 = ${bytesToHex(entropy)}`
+      );
+    }
+
+    const entropyHex = bytesToHex(entropy);
+    const checksumLength = bitsRequired / 32;
+    const entropyDigest = new Uint8Array(await crypto.subtle.digest('SHA-256', entropy));
+    const checksumBits = hexToBits(bytesToHex(entropyDigest)).slice(0, checksumLength);
+    const allBits = hexToBits(entropyHex) + checksumBits;
+    const wordlist = getWordlist(language);
+    const groups = allBits.match(/.{11}/g);
+
+    auditTrail.push(
+      `${step++}. 最终熵: ${entropyHex}`,
+      `${step++}. 校验位: SHA-256(熵) = ${bytesToHex(entropyDigest)}，取前 ${checksumLength} 位 ${checksumBits}`,
+      `${step++}. 熵 + 校验位按 11 位分组 → 词表序号 → 单词 (${language}):`,
+      ...groups.map((group, i) => {
+        const index = parseInt(group, 2);
+        return `   ${String(i + 1).padStart(2, ' ')}. ${group} = ${String(index).padStart(4, ' ')} → ${wordlist[index]}`;
+      })
+    );
+
+    const mnemonic = entropyToMnemonic(entropyHex, language);
+    auditTrail.push(`${step}. 助记词: ${mnemonic}`);
+
+    digest.fill(0);
+    userEntropy.fill(0);
+    console.log(`🎲 已由${source === ENTROPY_SOURCES.DICE ? '骰子' : '硬币'}熵生成 ${wordCount} 个单词的助记词`);
+    return { mnemonic, entropyHex, bitsCollected: bits, bitsRequired, auditTrail };
+  } catch (error) {
+    console.error('❌ 用户熵生成助记词失败:', error);
+    throw new Error(`用户熵生成失败: ${error.message}`);
+  }
+};
@@ -5,6 +5,7 @@
 
 import { ethers } from 'ethers';
 import * as bip39 from 'bip39';
+import { detectMnemonicLanguage, isValidMnemonic, splitMnemonicWords } from './wordlistUtils';
 
 /**
  * 标准的HD钱包路径
@@ -12,30 +13,45 @@ import * as bip39 from 'bip39';
  */
 export const DEFAULT_ETH_PATH = "m/44'/60'/0'/0/0";
 
+/**
+ * 由助记词计算 BIP39 种子
+ * ethers 的浏览器构建只带英文词表，其他语言直接按 BIP39 (NFKD + PBKDF2) 计算种子
+ * @param {string} mnemonic - 任意支持语言的助记词
+ * @param {string} passphrase - 可选的 BIP39 密码短语
+ * @returns {string} 十六进制种子
+ */
+const mnemonicToSeedHex = (mnemonic, passphrase = '') => {
+  if (detectMnemonicLanguage(mnemonic) === 'english') {
+    return ethers.Mnemonic.fromPhrase(mnemonic, passphrase || '').computeSeed();
+  }
+  const normalized = splitMnemonicWords(mnemonic).join(' ');
+  return `0x${bip39.mnemonicToSeedSync(normalized, passphrase || '').toString('hex')}`;
+};
+
 /**
  * 从助记词生成以太坊地址
  * @param {string} mnemonic - BIP39助记词
  * @param {string} derivationPath - HD钱包派生路径，默认为以太坊标准路径
- * @returns {object} 包含地址、私钥和公钥的对象
+ * @param {string} passphrase - 可选的 BIP39 密码短语 ("第25个词")，不同短语派生出完全不同的地址
+ * @returns {object} 包含地址、私钥和公钥的对象 (不包含密码短语本身)
  */
-export const generateEthereumAddress = (mnemonic, derivationPath = DEFAULT_ETH_PATH) => {
+export const generateEthereumAddress = (mnemonic, derivationPath = DEFAULT_ETH_PATH, passphrase = '') => {
   try {
-    // 验证助记词有效性
-    if (!bip39.validateMnemonic(mnemonic)) {
+    // 验证助记词有效性 (支持所有 BIP39 词表)
+    if (!isValidMnemonic(mnemonic)) {
       throw new Error('无效的助记词');
     }
 
-    // 从助记词创建HD钱包
-    const hdWallet = ethers.HDNodeWallet.fromMnemonic(
-      ethers.Mnemonic.fromPhrase(mnemonic),
-      derivationPath
-    );
+    // 从种子创建HD钱包
+    const hdWallet = ethers.HDNodeWallet.fromSeed(mnemonicToSeedHex(mnemonic, passphrase))
+      .derivePath(derivationPath);
 
     return {
       address: hdWallet.address,
       privateKey: hdWallet.privateKey,
       publicKey: hdWallet.publicKey,
       path: derivationPath,
+      hasPassphrase: Boolean(passphrase),
       mnemonic: mnemonic
     };
   } catch (error) {
@@ -44,24 +60,219 @@ export const generateEthereumAddress = (mnemonic, derivationPath = DEFAULT_ETH_P
   }
 };
 
+/**
+ * 多账户/多索引派生的路径模板
+ * {account} 与 {index} 会被替换为具体数字
+ */
+export const ETH_PATH_TEMPLATE = "m/44'/60'/{account}'/0/{index}";
+
+/**
+ * 单次范围派生的地址数量上限
+ */
+export const MAX_DERIVED_ADDRESSES = 1000;
+
+/**
+ * 按模板生成派生路径
+ * @param {string} template - 路径模板，例如 m/44'/60'/{account}'/0/{index}
+ * @param {object} position - { account, index }
+ * @returns {string} 派生路径
+ */
+export const buildDerivationPath = (template = ETH_PATH_TEMPLATE, { account = 0, index = 0 } = {}) => {
+  const path = template
+    .trim()
+    .replace(/\{account\}/g, String(account))
+    .replace(/\{index\}/g, String(index));
+
+  if (!/^m(\/\d+'?)+$/.test(path)) {
+    throw new Error(`无效的派生路径: ${path}`);
+  }
+  return path;
+};
+
+/**
+ * 派生路径预设
+ * template 中的 {account}/{index} 由 iterate 指定的序号 x 填充，另一个占位符固定为 0
+ * custom 预设没有模板，直接使用用户输入的完整路径
+ */
+export const DERIVATION_PRESETS = {
+  bip44: {
+    id: 'bip44',
+    label: 'BIP44 标准',
+    template: "m/44'/60'/0'/0/{index}",
+    iterate: 'index',
+    description: "m/44'/60'/0'/0/x，MetaMask 等多数钱包"
+  },
+  ledgerLive: {
+    id: 'ledgerLive',
+    label: 'Ledger Live',
+    template: "m/44'/60'/{account}'/0/0",
+    iterate: 'account',
+    description: "m/44'/60'/x'/0/0，每个账户一个地址"
+  },
+  ledgerLegacy: {
+    id: 'ledgerLegacy',
+    label: 'Ledger 旧版 / MEW',
+    template: "m/44'/60'/0'/{index}",
+    iterate: 'index',
+    description: "m/44'/60'/0'/x，旧版 Ledger Chrome 应用与 MyEtherWallet"
+  },
+  custom: {
+    id: 'custom',
+    label: '自定义',
+    template: null,
+    iterate: null,
+    description: '输入完整派生路径'
+  }
+};
+
+export const DEFAULT_DERIVATION_PRESET = 'bip44';
+
+/**
+ * 获取预设，未知 ID 回退到 BIP44
+ * @param {string} presetId - 预设ID
+ * @returns {object} 预设
+ */
+export const getDerivationPreset = (presetId) =>
+  DERIVATION_PRESETS[presetId] || DERIVATION_PRESETS[DEFAULT_DERIVATION_PRESET];
+
+/**
+ * 按预设与序号生成派生路径
+ * @param {string} presetId - 预设ID
+ * @param {number} x - 预设中变化的序号，默认 0
+ * @param {string} customPath - 自定义预设使用的完整路径
+ * @returns {string} 派生路径
+ */
+export const getPresetPath = (presetId, x = 0, customPath = '') => {
+  if (presetId === 'custom') {
+    return buildDerivationPath(customPath || DEFAULT_ETH_PATH);
+  }
+
+  if (!Number.isInteger(x) || x < 0) {
+    throw new Error('路径序号必须是非负整数');
+  }
+
+  const preset = getDerivationPreset(presetId);
+  return buildDerivationPath(preset.template, {
+    account: preset.iterate === 'account' ? x : 0,
+    index: preset.iterate === 'index' ? x : 0
+  });
+};
+
+/**
+ * 识别路径所属的预设
+ * 多个预设重合时 (如 m/44'/60'/0'/0/0) 优先返回 BIP44
+ * @param {string} path - 派生路径
+ * @returns {object} { presetId, x }，无法识别时 presetId 为 custom
+ */
+export const detectDerivationPreset = (path = '') => {
+  const normalized = path.trim();
+  const candidates = [
+    { presetId: 'bip44', pattern: /^m\/44'\/60'\/0'\/0\/(\d+)$/ },
+    { presetId: 'ledgerLive', pattern: /^m\/44'\/60'\/(\d+)'\/0\/0$/ },
+    { presetId: 'ledgerLegacy', pattern: /^m\/44'\/60'\/0'\/(\d+)$/ }
+  ];
+
+  for (const candidate of candidates) {
+    const match = normalized.match(candidate.pattern);
+    if (match) {
+      return { presetId: candidate.presetId, x: parseInt(match[1], 10) };
+    }
+  }
+  return { presetId: 'custom', x: 0 };
+};
+
+/**
+ * 从一个助记词派生一组账户与索引的地址
+ * 只计算一次种子，再从根节点逐个派生，适合一次生成数十个地址
+ * @param {string} mnemonic - BIP39助记词
+ * @param {object} options - 派生范围
+ * @param {string} options.template - 路径模板，默认 ETH_PATH_TEMPLATE
+ * @param {number} options.accountStart - 起始账户，默认 0
+ * @param {number} options.accountCount - 账户数量，默认 1
+ * @param {number} options.indexStart - 起始索引，默认 0
+ * @param {number} options.indexCount - 每个账户的索引数量，默认 1
+ * @param {string} options.passphrase - 可选的 BIP39 密码短语
+ * @returns {Array} [{ account, index, path, address, privateKey, publicKey }]
+ */
+export const deriveAddressRange = (mnemonic, options = {}) => {
+  const {
+    template = ETH_PATH_TEMPLATE,
+    accountStart = 0,
+    accountCount = 1,
+    indexStart = 0,
+    indexCount = 1,
+    passphrase = ''
+  } = options;
+
+  try {
+    if (!isValidMnemonic(mnemonic)) {
+      throw new Error('无效的助记词');
+    }
+
+    const values = { accountStart, accountCount, indexStart, indexCount };
+    Object.keys(values).forEach((key) => {
+      if (!Number.isInteger(values[key]) || values[key] < 0) {
+        throw new Error(`${key} 必须是非负整数`);
+      }
+    });
+    if (accountCount < 1 || indexCount < 1) {
+      throw new Error('账户数量和索引数量至少为 1');
+    }
+    if (accountCount * indexCount > MAX_DERIVED_ADDRESSES) {
+      throw new Error(`单次最多派生 ${MAX_DERIVED_ADDRESSES} 个地址`);
+    }
+    if (accountCount > 1 && !template.includes('{account}')) {
+      throw new Error('路径模板缺少 {account}，无法派生多个账户');
+    }
+    if (indexCount > 1 && !template.includes('{index}')) {
+      throw new Error('路径模板缺少 {index}，无法派生多个索引');
+    }
+
+    const root = ethers.HDNodeWallet.fromSeed(mnemonicToSeedHex(mnemonic, passphrase));
+    const addresses = [];
+
+    for (let account = accountStart; account < accountStart + accountCount; account += 1) {
+      for (let index = indexStart; index < indexStart + indexCount; index += 1) {
+        const path = buildDerivationPath(template, { account, index });
+        const wallet = root.derivePath(path);
+        addresses.push({
+          account,
+          index,
+          path,
+          address: wallet.address,
+          privateKey: wallet.privateKey,
+          publicKey: wallet.publicKey
+        });
+      }
+    }
+
+    return addresses;
+  } catch (error) {
+    console.error('范围派生地址失败:', error);
+    throw new Error(`地址派生失败: ${error.message}`);
+  }
+};
+
 /**
  * 验证助记词生成的地址一致性
  * @param {string} mnemonic - BIP39助记词
  * @param {number} testCount - 测试次数，默认5次
+ * @param {string} passphrase - 可选的 BIP39 密码短语
+ * @param {string} derivationPath - 派生路径，默认 DEFAULT_ETH_PATH
  * @returns {object} 验证结果
  */
-export const validateAddressConsistency = (mnemonic, testCount = 5) => {
+export const validateAddressConsistency = (mnemonic, testCount = 5, passphrase = '', derivationPath = DEFAULT_ETH_PATH) => {
   try {
-    if (!bip39.validateMnemonic(mnemonic)) {
+    if (!isValidMnemonic(mnemonic)) {
       throw new Error('无效的助记词');
     }
 
     const results = [];
-    const firstAddress = generateEthereumAddress(mnemonic).address;
+    const firstAddress = generateEthereumAddress(mnemonic, derivationPath, passphrase).address;
 
     // 多次生成同一助记词的地址进行比较
     for (let i = 0; i < testCount; i++) {
-      const result = generateEthereumAddress(mnemonic);
+      const result = generateEthereumAddress(mnemonic, derivationPath, passphrase);
       results.push({
         attempt: i + 1,
         address: result.address,
@@ -90,13 +301,15 @@ export const validateAddressConsistency = (mnemonic, testCount = 5) => {
 /**
  * 批量生成地址信息
  * @param {Array} mnemonics - 助记词数组
+ * @param {string} passphrase - 可选的 BIP39 密码短语 (所有助记词共用)
+ * @param {string} derivationPath - 派生路径，默认 DEFAULT_ETH_PATH
  * @returns {Array} 地址信息数组
  */
-export const batchGenerateAddresses = (mnemonics) => {
+export const batchGenerateAddresses = (mnemonics, passphrase = '', derivationPath = DEFAULT_ETH_PATH) => {
   try {
     return mnemonics.map((mnemonic, index) => {
       try {
-        const addressInfo = generateEthereumAddress(mnemonic);
+        const addressInfo = generateEthereumAddress(mnemonic, derivationPath, passphrase);
         return {
           id: index + 1,
           mnemonic,
@@ -149,16 +362,18 @@ export const formatAddress = (address, prefixLength = 6, suffixLength = 4) => {
 /**
  * 验证多个助记词生成地址的唯一性
  * @param {Array} mnemonics - 助记词数组
+ * @param {string} passphrase - 可选的 BIP39 密码短语 (所有助记词共用)
+ * @param {string} derivationPath - 派生路径，默认 DEFAULT_ETH_PATH
  * @returns {object} 验证结果
  */
-export const validateAddressUniqueness = (mnemonics) => {
+export const validateAddressUniqueness = (mnemonics, passphrase = '', derivationPath = DEFAULT_ETH_PATH) => {
   try {
     const addressMap = new Map();
     const duplicates = [];
 
     mnemonics.forEach((mnemonic, index) => {
       try {
-        const addressInfo = generateEthereumAddress(mnemonic);
+        const addressInfo = generateEthereumAddress(mnemonic, derivationPath, passphrase);
         const address = addressInfo.address;
 
         if (addressMap.has(address)) {
@@ -1,3 +1,13 @@
+import { KDFS } from './cryptoEnvelope';
+import { formatKdfParams } from './kdfUtils';
+import { SHARE_JSON_TYPE, formatShare } from './shamirUtils';
+import { DEFAULT_ETH_PATH } from './evmUtils';
+import { DEFAULT_MNEMONIC_LANGUAGE, getLanguageLabel } from './wordlistUtils';
+import { MANIFEST_FILENAME, buildArchiveManifest } from './manifestUtils';
+import { sealExportDocument } from './sealedExportUtils';
+import { buildAddressBook, formatAddressBook } from './addressBookUtils';
+import { formatPlanAmount } from './txPlanUtils';
+
 // 兼容性导入处理
 let JSZip, saveAs;
 
@@ -15,7 +25,7 @@ try {
 export class FileExportUtils {
   constructor() {
     this.supportedFormats = ['json', 'csv', 'txt'];
-    this.supportedModes = ['single', 'multiple', 'archive'];
+    this.supportedModes = ['single', 'multiple', 'archive', 'sealed'];
   }
 
   /**
@@ -111,8 +121,9 @@ export class FileExportUtils {
    * @param {string} format - 导出格式
    * @param {string} zipFilename - 压缩包文件名
    * @param {string} prefix - 内部文件名前缀
+   * @param {Object} options - { manifestPassword }，提供批次密码时为完整性清单附加 MAC
    */
-  async exportBatchArchive(results, format = 'json', zipFilename = null, prefix = 'mnemonic_') {
+  async exportBatchArchive(results, format = 'json', zipFilename = null, prefix = 'mnemonic_', options = {}) {
     try {
       if (!JSZip) {
         throw new Error('压缩包功能不可用，请使用其他保存模式');
@@ -125,29 +136,41 @@ export class FileExportUtils {
       }
 
       // 创建批量信息文件
+      const encryption = this.getEncryptionInfo(results[0] || {});
       const batchInfo = {
         exportTime: new Date().toISOString(),
+        batchId: results[0]?.batchId,
         totalCount: results.length,
         format: format,
-        encryptionAlgorithm: 'AES-256-CTR',
-        keyDerivation: 'PBKDF2-SHA256',
-        iterations: 10000,
+        encryptionAlgorithm: encryption.algorithm,
+        keyDerivation: encryption.keyDerivation,
+        kdf: encryption.kdf,
+        kdfParams: encryption.kdfParams,
         note: '助记词加密工具批量导出'
       };
       
-      zip.file('batch_info.json', JSON.stringify(batchInfo, null, 2));
+      const files = [{ name: 'batch_info.json', data: JSON.stringify(batchInfo, null, 2) }];
 
       // 添加各个加密文件
       for (let i = 0; i < results.length; i++) {
         const result = results[i];
         const filename = `${prefix}${String(i + 1).padStart(3, '0')}.${format}`;
         const data = this.formatSingleData(result, format);
-        zip.file(filename, data);
+        files.push({ name: filename, data });
       }
 
       // 添加README文件
-      const readme = this.generateReadme(results.length, format);
-      zip.file('README.txt', readme);
+      const readme = this.generateReadme(results.length, format, encryption);
+      files.push({ name: 'README.txt', data: readme });
+
+      // 完整性清单：逐个文件的 SHA-256、数量与地址列表，MAC 密钥由批次密码派生
+      const manifest = await buildArchiveManifest(files, results.map((r) => r.address), {
+        password: options.manifestPassword,
+        kdf: encryption.kdf,
+        kdfParams: encryption.kdfParams
+      });
+      files.forEach((file) => zip.file(file.name, file.data));
+      zip.file(MANIFEST_FILENAME, JSON.stringify(manifest, null, 2));
 
       // 生成压缩包
       const zipBlob = await zip.generateAsync({ 
@@ -157,19 +180,7 @@ export class FileExportUtils {
       });
 
       // 下载压缩包
-      if (saveAs) {
-        saveAs(zipBlob, zipFilename);
-      } else {
-        // 使用浏览器原生下载
-        const url = URL.createObjectURL(zipBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = zipFilename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-      }
+      await this.saveBlob(zipBlob, zipFilename);
       
       console.log('🗜️ 批量压缩包导出成功:', zipFilename, `(${results.length} 项)`);
       return { success: true, filename: zipFilename, count: results.length };
@@ -180,6 +191,217 @@ export class FileExportUtils {
     }
   }
 
+  /**
+   * 批量导出 - 整体加密模式
+   * 整份文档 (含地址与元数据) 用批次密码加密为一个信封，外层不出现任何地址
+   * @param {Array} results - 批量加密结果数组
+   * @param {string} format - 内层格式
+   * @param {string} password - 批次密码 (独立密码模式下为主密码)
+   * @param {Object} options - { kdf, kdfParams }
+   */
+  async exportBatchSealed(results, format = 'json', password, options = {}) {
+    try {
+      if (!password) {
+        throw new Error('整体加密需要批次密码');
+      }
+
+      const data = this.formatBatchData(results, format, { includeAddresses: true });
+      const sealed = await sealExportDocument(data, format.toLowerCase(), password, options);
+      const filename = this.generateFilename('batch_sealed', 'json');
+      await this.saveFile(JSON.stringify(sealed, null, 2), filename);
+
+      console.log('🔒 整体加密导出成功:', filename, `(${results.length} 项)`);
+      return { success: true, filename, count: results.length };
+
+    } catch (error) {
+      console.error('❌ 整体加密导出失败:', error);
+      throw new Error(`导出失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 导出只读地址簿
+   * 只包含地址、名称、派生路径、批次ID与标签，不含任何密文，可单独交给余额查询等只读工具使用
+   * @param {Array} results - 批量加密结果数组
+   * @param {string} format - json | csv
+   * @param {Object} options - { labelPrefix, tags }
+   * @param {string} filename - 文件名
+   */
+  async exportAddressBook(results, format = 'csv', options = {}, filename = null) {
+    try {
+      const book = buildAddressBook(results, options);
+      if (book.count === 0) {
+        throw new Error('没有可导出的地址');
+      }
+      if (!filename) {
+        filename = this.generateFilename('address_book', format);
+      }
+
+      await this.saveFile(formatAddressBook(book, format), filename);
+
+      console.log('📒 地址簿导出成功:', filename, `(${book.count} 个地址)`);
+      return { success: true, filename, count: book.count };
+
+    } catch (error) {
+      console.error('❌ 地址簿导出失败:', error);
+      throw new Error(`导出失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 导出加密的独立密码清单
+   * @param {Object} sealed - passwordUtils.sealPasswordManifest 的返回值
+   * @param {string} filename - 文件名
+   */
+  async exportPasswordManifest(sealed, filename = null) {
+    try {
+      if (!filename) {
+        filename = this.generateFilename('password_manifest', 'json');
+      }
+
+      await this.saveFile(JSON.stringify(sealed, null, 2), filename);
+
+      console.log('🔑 密码清单导出成功:', filename, `(${sealed.count} 项)`);
+      return { success: true, filename, count: sealed.count };
+
+    } catch (error) {
+      console.error('❌ 密码清单导出失败:', error);
+      throw new Error(`导出失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 导出熵审计记录 (骰子 / 硬币生成助记词的全过程)
+   * 记录中包含最终助记词，应与助记词同等保管
+   * @param {Array} auditTrail - 审计记录行
+   * @param {string} filename - 文件名
+   */
+  async exportAuditTrail(auditTrail, filename = null) {
+    try {
+      if (!filename) {
+        filename = this.generateFilename('entropy_audit', 'txt');
+      }
+
+      const data = `=== 助记词熵审计记录 ===\n` +
+                   `生成时间: ${new Date().toLocaleString()}\n\n` +
+                   `${auditTrail.join('\n')}\n\n` +
+                   `⚠️ 此记录包含助记词，请与助记词同等保管，核对完毕后销毁`;
+      await this.saveFile(data, filename);
+
+      console.log('🎲 熵审计记录导出成功:', filename);
+      return { success: true, filename };
+
+    } catch (error) {
+      console.error('❌ 熵审计记录导出失败:', error);
+      throw new Error(`导出失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 导出批量交易日志 (收款地址、数量、nonce、交易哈希与状态，不含私钥)
+   * @param {Object} journal - batchJournalUtils 任务日志
+   * @param {string} filename - 文件名
+   */
+  async exportTxJournal(journal, filename = null) {
+    try {
+      if (!filename) {
+        filename = this.generateFilename('tx_journal', 'json');
+      }
+
+      // 每行附上按精度换算的数量，便于核对逐个地址的金额
+      const rows = journal.rows.map((row) => ({
+        ...row,
+        amount: row.value === null ? null : formatPlanAmount(row.value, journal.decimals)
+      }));
+      await this.saveFile(JSON.stringify({ ...journal, rows }, null, 2), filename);
+
+      console.log('🧾 交易日志导出成功:', filename, `(${journal.rows.length} 行)`);
+      return { success: true, filename };
+
+    } catch (error) {
+      console.error('❌ 交易日志导出失败:', error);
+      throw new Error(`导出失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 导出助记词分片
+   * 分片应分开保管，因此每个分片单独成文件 (多文件或压缩包)
+   * @param {Array} shares - shamirUtils.splitMnemonic 返回的分片
+   * @param {string} format - 导出格式 (json/txt)
+   * @param {string} mode - 保存模式 (multiple/archive)
+   */
+  async exportShares(shares, format = 'txt', mode = 'multiple') {
+    try {
+      if (!['json', 'txt'].includes(format)) {
+        throw new Error(`分片不支持的格式: ${format}`);
+      }
+
+      const files = shares.map((share) => ({
+        filename: `mnemonic_share_${share.setId}_${share.index}of${share.total}.${format}`,
+        data: this.formatShareData(share, format)
+      }));
+
+      if (mode === 'archive') {
+        if (!JSZip) {
+          throw new Error('压缩包功能不可用，请使用其他保存模式');
+        }
+        const zip = new JSZip();
+        files.forEach((file) => zip.file(file.filename, file.data));
+        const zipBlob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        const zipFilename = this.generateFilename('share_archive', 'zip');
+        await this.saveBlob(zipBlob, zipFilename);
+        console.log('🧩 分片压缩包导出成功:', zipFilename);
+        return { success: true, filename: zipFilename, count: files.length };
+      }
+
+      for (const file of files) {
+        await this.saveFile(file.data, file.filename);
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      console.log('🧩 分片导出成功:', files.length, '个文件');
+      return { success: true, count: files.length, files: files.map(f => f.filename) };
+
+    } catch (error) {
+      console.error('❌ 分片导出失败:', error);
+      throw new Error(`导出失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 格式化单个分片
+   * @param {Object} share - 分片
+   * @param {string} format - 格式 (json/txt)
+   * @returns {string} 格式化后的数据
+   */
+  formatShareData(share, format) {
+    if (format === 'json') {
+      return JSON.stringify({
+        type: SHARE_JSON_TYPE,
+        version: share.version,
+        exportTime: new Date().toISOString(),
+        setId: share.setId,
+        digest: share.digest,
+        threshold: share.threshold,
+        total: share.total,
+        index: share.index,
+        words: share.words
+      }, null, 2);
+    }
+
+    return `=== 助记词分片 ${share.index}/${share.total} ===\n` +
+           `导出时间: ${new Date().toLocaleString()}\n` +
+           `分片组: ${share.setId} (摘要分片 ${share.digest})\n` +
+           `恢复门限: 任意 ${share.threshold} 个分片\n\n` +
+           `分片单词:\n` +
+           share.words.split(' ').map((word, i) => `${String(i + 1).padStart(2, ' ')}. ${word}`).join('\n') +
+           `\n\n单行格式:\n${formatShare(share)}\n\n` +
+           `⚠️ 重要提醒:\n` +
+           `• 单个分片无法恢复助记词，但请勿将多个分片存放在同一位置\n` +
+           `• 恢复时在"助记词分片"页面输入任意 ${share.threshold} 个分片`;
+  }
+
   /**
    * 格式化单个数据
    * @param {Object} result - 加密结果
@@ -187,31 +409,40 @@ export class FileExportUtils {
    * @returns {string} 格式化后的数据
    */
   formatSingleData(result, format) {
+    const encryption = this.getEncryptionInfo(result);
+
     switch (format.toLowerCase()) {
       case 'json':
         return JSON.stringify({
           version: '1.0',
           exportTime: new Date().toISOString(),
-          algorithm: result.algorithm || 'AES-256-CTR',
-          keyDerivation: result.keyDerivation || 'PBKDF2-SHA256',
-          iterations: result.iterations || 10000,
+          algorithm: encryption.algorithm,
+          keyDerivation: encryption.keyDerivation,
+          kdf: encryption.kdf,
+          kdfParams: encryption.kdfParams,
           wordCount: result.wordCount,
           createdAt: result.createdAt,
+          bip39Passphrase: Boolean(result.hasPassphrase),
+          derivationPath: this.getDerivationPath(result),
+          language: this.getLanguage(result),
+          ...this.getPasswordInfo(result),
           encryptedData: result.encryptedData,
           note: '助记词加密工具生成'
         }, null, 2);
 
       case 'csv':
-        return `ID,加密数据,EVM地址,创建时间,词数,算法,备注\n` +
-               `${result.id || 1},"${result.encryptedData}","${result.address || ''}","${new Date(result.createdAt).toLocaleString()}",${result.wordCount},"${result.algorithm || 'AES-256-CTR'}","单个导出"`;
+        return `ID,加密数据,EVM地址,创建时间,词数,算法,备注,密码短语,派生路径,语言\n` +
+               `${result.id || 1},"${result.encryptedData}","${result.address || ''}","${new Date(result.createdAt).toLocaleString()}",${result.wordCount},"${encryption.algorithm}/${encryption.description}","单个导出","${this.getPassphraseLabel(result)}","${this.getDerivationPath(result)}","${this.getLanguage(result)}"`;
 
       case 'txt':
         return `=== 助记词加密数据 ===\n` +
                `导出时间: ${new Date().toLocaleString()}\n` +
-               `加密算法: ${result.algorithm || 'AES-256-CTR'}\n` +
-               `密钥派生: ${result.keyDerivation || 'PBKDF2-SHA256'}\n` +
-               `迭代次数: ${(result.iterations || 10000).toLocaleString()}\n` +
+               `加密算法: ${encryption.algorithm}\n` +
+               `密钥派生: ${encryption.description}\n` +
                `助记词长度: ${result.wordCount} 词\n` +
+               `BIP39密码短语: ${this.getPassphraseLabel(result)}\n` +
+               `派生路径: ${this.getDerivationPath(result)}\n` +
+               `助记词语言: ${getLanguageLabel(this.getLanguage(result))} (${this.getLanguage(result)})\n` +
                `创建时间: ${new Date(result.createdAt).toLocaleString()}\n\n` +
                `加密数据:\n${result.encryptedData}\n\n` +
                `⚠️ 重要提醒:\n` +
@@ -228,45 +459,59 @@ export class FileExportUtils {
    * 格式化批量数据
    * @param {Array} results - 批量结果
    * @param {string} format - 格式
+   * @param {Object} options - { includeAddresses }，整体加密时在 JSON / TXT 中附带地址
    * @returns {string} 格式化后的数据
    */
-  formatBatchData(results, format) {
+  formatBatchData(results, format, options = {}) {
+    const encryption = this.getEncryptionInfo(results[0] || {});
+
     switch (format.toLowerCase()) {
       case 'json':
         return JSON.stringify({
           version: '1.0',
           batchInfo: {
+            batchId: results[0]?.batchId,
             exportTime: new Date().toISOString(),
             totalCount: results.length,
-            encryptionParams: 'AES-256-CTR/PBKDF2-SHA256/10000',
+            encryptionParams: `${encryption.algorithm}/${encryption.description}`,
             wordCounts: this.getWordCountStats(results)
           },
-          mnemonics: results.map((r, index) => ({
-            id: index + 1,
-            encryptedData: r.encryptedData,
-            createdTime: r.createdAt,
-            wordCount: r.wordCount,
-            algorithm: r.algorithm || 'AES-256-CTR'
-          }))
+          mnemonics: results.map((r, index) => {
+            const info = this.getEncryptionInfo(r);
+            return {
+              id: index + 1,
+              encryptedData: r.encryptedData,
+              ...(options.includeAddresses && { address: r.address || '' }),
+              bip39Passphrase: Boolean(r.hasPassphrase),
+              derivationPath: this.getDerivationPath(r),
+              language: this.getLanguage(r),
+              createdTime: r.createdAt,
+              wordCount: r.wordCount,
+              algorithm: info.algorithm,
+              kdf: info.kdf,
+              kdfParams: info.kdfParams,
+              ...this.getPasswordInfo(r)
+            };
+          })
         }, null, 2);
 
       case 'csv':
-        const header = 'ID,加密数据,EVM地址,创建时间,词数,算法,备注\n';
-        const rows = results.map((r, index) =>
-          `${index + 1},"${r.encryptedData}","${r.address || ''}","${new Date(r.createdAt).toLocaleString()}",${r.wordCount},"${r.algorithm || 'AES-256-CTR'}","批量生成"`
-        ).join('\n');
+        const header = 'ID,加密数据,EVM地址,创建时间,词数,算法,备注,密码短语,派生路径,语言\n';
+        const rows = results.map((r, index) => {
+          const info = this.getEncryptionInfo(r);
+          return `${index + 1},"${r.encryptedData}","${r.address || ''}","${new Date(r.createdAt).toLocaleString()}",${r.wordCount},"${info.algorithm}/${info.description}","批量生成","${this.getPassphraseLabel(r)}","${this.getDerivationPath(r)}","${this.getLanguage(r)}"`;
+        }).join('\n');
         return header + rows;
 
       case 'txt':
         const header_txt = `=== 助记词加密批次 ===\n` +
                           `导出时间: ${new Date().toLocaleString()}\n` +
                           `总数量: ${results.length}\n` +
-                          `加密算法: AES-256-CTR\n` +
-                          `密钥派生: PBKDF2-SHA256\n` +
-                          `迭代次数: 10,000\n\n`;
+                          `加密算法: ${encryption.algorithm}\n` +
+                          `密钥派生: ${encryption.description}\n\n`;
         
         const items = results.map((r, index) => 
-          `[${String(index + 1).padStart(3, '0')}] ${r.wordCount}词 | ${new Date(r.createdAt).toLocaleString()}\n${r.encryptedData}\n`
+          `[${String(index + 1).padStart(3, '0')}] ${r.wordCount}词 | 密码短语${this.getPassphraseLabel(r)} | ${this.getDerivationPath(r)} | ${this.getLanguage(r)} | ${new Date(r.createdAt).toLocaleString()}${options.includeAddresses && r.address ? ` | ${r.address}` : ''}\n${r.encryptedData}\n`
         ).join('\n');
         
         return header_txt + items + '\n⚠️ 请妥善保管此文件和解密密码！';
@@ -276,6 +521,66 @@ export class FileExportUtils {
     }
   }
 
+  /**
+   * 获取加密参数信息
+   * 未记录KDF的旧结果按 PBKDF2-SHA256 / 10,000 次迭代处理
+   * @param {Object} result - 加密结果
+   * @returns {Object} { algorithm, keyDerivation, kdf, kdfParams, description }
+   */
+  getEncryptionInfo(result) {
+    const kdf = result.kdf || KDFS.PBKDF2_SHA256;
+    const kdfParams = result.kdfParams || { iterations: result.iterations || 10000 };
+    return {
+      algorithm: result.algorithm || 'AES-256-CTR',
+      keyDerivation: result.keyDerivation || 'PBKDF2-SHA256',
+      kdf,
+      kdfParams,
+      description: formatKdfParams(kdf, kdfParams)
+    };
+  }
+
+  /**
+   * 获取 BIP39 密码短语的使用说明 (只记录是否使用，不记录短语本身)
+   * @param {Object} result - 加密结果
+   * @returns {string} 已使用 / 未使用
+   */
+  getPassphraseLabel(result) {
+    return result.hasPassphrase ? '已使用' : '未使用';
+  }
+
+  /**
+   * 获取派生路径，未记录路径的旧结果按标准路径处理
+   * @param {Object} result - 加密结果
+   * @returns {string} 派生路径
+   */
+  getDerivationPath(result) {
+    return result.derivationPath || DEFAULT_ETH_PATH;
+  }
+
+  /**
+   * 获取助记词语言，未记录语言的旧结果按英语处理
+   * @param {Object} result - 加密结果
+   * @returns {string} 语言代码
+   */
+  getLanguage(result) {
+    return result.language || DEFAULT_MNEMONIC_LANGUAGE;
+  }
+
+  /**
+   * 获取独立密码信息 (不含密码本身)
+   * HKDF 派生模式需要逐项盐值才能由主密钥重新派生密码
+   * @param {Object} result - 加密结果
+   * @returns {Object} { passwordMode, passwordSalt } 或空对象
+   */
+  getPasswordInfo(result) {
+    if (!result.passwordMode || result.passwordMode === 'unified') {
+      return {};
+    }
+    return result.passwordSalt
+      ? { passwordMode: result.passwordMode, passwordSalt: result.passwordSalt }
+      : { passwordMode: result.passwordMode };
+  }
+
   /**
    * 获取词数统计
    * @param {Array} results - 结果数组
@@ -303,7 +608,13 @@ export class FileExportUtils {
       'single': 'mnemonic_encrypted',
       'batch_single': 'mnemonic_batch',
       'batch_multiple': 'mnemonic_batch',
-      'batch_archive': 'mnemonic_batch_archive'
+      'batch_archive': 'mnemonic_batch_archive',
+      'batch_sealed': 'mnemonic_batch_sealed',
+      'address_book': 'mnemonic_address_book',
+      'password_manifest': 'mnemonic_password_manifest',
+      'share_archive': 'mnemonic_shares',
+      'entropy_audit': 'mnemonic_entropy_audit',
+      'tx_journal': 'batch_tx_journal'
     };
 
     const prefix = prefixes[type] || 'mnemonic';
@@ -316,9 +627,17 @@ export class FileExportUtils {
    * @param {string} filename - 文件名
    */
   async saveFile(data, filename) {
+    const blob = new Blob([data], { type: 'text/plain;charset=utf-8' });
+    await this.saveBlob(blob, filename);
+  }
+
+  /**
+   * 保存二进制文件 (文本文件与压缩包共用)
+   * @param {Blob} blob - 文件内容
+   * @param {string} filename - 文件名
+   */
+  async saveBlob(blob, filename) {
     try {
-      const blob = new Blob([data], { type: 'text/plain;charset=utf-8' });
-      
       if (saveAs) {
         // 使用file-saver库
         saveAs(blob, filename);
@@ -355,16 +674,17 @@ export class FileExportUtils {
    * 生成README内容
    * @param {number} count - 文件数量
    * @param {string} format - 文件格式
+   * @param {Object} encryption - getEncryptionInfo 返回的加密参数
    * @returns {string} README内容
    */
-  generateReadme(count, format) {
+  generateReadme(count, format, encryption = this.getEncryptionInfo({})) {
     return `助记词加密工具 - 批量导出说明
 
 导出时间: ${new Date().toLocaleString()}
 文件数量: ${count} 个
 文件格式: ${format.toUpperCase()}
-加密算法: AES-256-CTR
-密钥派生: PBKDF2-SHA256 (10,000 次迭代)
+加密算法: ${encryption.algorithm}
+密钥派生: ${encryption.description}
 
 文件列表:
 ${Array.from({length: count}, (_, i) => 
@@ -375,6 +695,7 @@ ${Array.from({length: count}, (_, i) =>
 1. 每个文件包含一个加密的助记词
 2. 使用助记词加密工具可以解密这些文件
 3. 请妥善保管解密密码，丢失后无法恢复
+4. ${MANIFEST_FILENAME} 记录每个文件的 SHA-256 与地址列表，可在"批量生成"页面校验压缩包是否完整
 
 安全提醒:
 ⚠️ 请将此压缩包保存在安全的地方
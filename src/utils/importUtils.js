@@ -0,0 +1,326 @@
+/**
+ * 加密文件导入
+ * 读取 FileExportUtils 写出的全部格式：单个 JSON、批量 JSON、CSV、TXT、带 batch_info.json 的压缩包与整体加密文件，
+ * 统一为 parseEncryptedCsv 的条目结构，供解密、地址验证与 Gas 批量页面使用
+ */
+
+import { parseEncryptedCsv } from './csvUtils';
+import { SHARE_JSON_TYPE } from './shamirUtils';
+import { MNEMONIC_LANGUAGES } from './wordlistUtils';
+import { MANIFEST_FILENAME } from './manifestUtils';
+import { isSealedExport, openSealedExport } from './sealedExportUtils';
+import { ADDRESS_BOOK_TYPE } from './addressBookUtils';
+
+// 兼容性导入处理
+let JSZip;
+
+try {
+  JSZip = require('jszip');
+} catch (error) {
+  console.warn('⚠️ JSZip未安装，压缩包导入将不可用');
+}
+
+export const IMPORT_FORMATS = ['json', 'csv', 'txt', 'zip'];
+export const IMPORT_ACCEPT = IMPORT_FORMATS.map((format) => `.${format}`).join(',');
+
+// 压缩包内的说明文件与完整性清单，不含加密数据
+const ARCHIVE_META_FILES = ['batch_info.json', 'README.txt', MANIFEST_FILENAME];
+
+const BASE64_BLOB_PATTERN = /^[A-Za-z0-9+/]{40,}={0,2}$/;
+
+/**
+ * 将导出记录统一为导入条目
+ * @param {Object} entry - 导出文件中的单条记录
+ * @param {number} index - 序号 (从 0 开始)
+ * @returns {Object} 导入条目
+ */
+const toImportItem = (entry, index) => ({
+  id: entry.id || index + 1,
+  encryptedData: (entry.encryptedData || '').trim(),
+  address: entry.address || '',
+  privateKey: entry.privateKey || '',
+  language: entry.language || '',
+  derivationPath: entry.derivationPath || '',
+  passphraseUsed: Boolean(entry.bip39Passphrase ?? entry.hasPassphrase ?? entry.passphraseUsed),
+  wordCount: entry.wordCount ? Number(entry.wordCount) : undefined,
+  kdf: entry.kdf,
+  kdfParams: entry.kdfParams,
+  createdAt: entry.createdAt || entry.createdTime,
+  passwordMode: entry.passwordMode,
+  passwordSalt: entry.passwordSalt
+});
+
+/**
+ * 解析 JSON 导出 (单个或批量)
+ * @param {string} text - 文件内容
+ * @returns {Array} 导入条目
+ */
+export const parseJsonExport = (text) => {
+  const data = JSON.parse(text);
+
+  if (data && data.type === SHARE_JSON_TYPE) {
+    throw new Error('这是助记词分片文件，请在"助记词分片"页面恢复');
+  }
+  if (data && data.type === ADDRESS_BOOK_TYPE) {
+    throw new Error('这是只读地址簿，不含加密数据，请使用"导入地址簿"');
+  }
+  if (Array.isArray(data)) {
+    return data.map(toImportItem);
+  }
+  if (data && Array.isArray(data.mnemonics)) {
+    return data.mnemonics.map(toImportItem);
+  }
+  if (data && data.encryptedData) {
+    return [toImportItem(data, 0)];
+  }
+  throw new Error('JSON 中没有加密数据');
+};
+
+/**
+ * 从语言显示文本中提取语言代码，例如 "简体中文 (chinese_simplified)"
+ * @param {string} text - 语言文本
+ * @returns {string} 语言代码，无法识别时为空
+ */
+const matchLanguage = (text = '') =>
+  MNEMONIC_LANGUAGES.find(({ value }) => text.includes(value))?.value || '';
+
+/**
+ * 解析 TXT 导出
+ * 单个导出在 "加密数据:" 之后一行；批量导出每条以 "[001] 12词 | ..." 开头，下一行为加密数据；
+ * 都不匹配时，按每行一个 Base64 密文处理
+ * @param {string} text - 文件内容
+ * @returns {Array} 导入条目
+ */
+export const parseTxtExport = (text) => {
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  const nextBlob = (start) => lines.slice(start).find((line) => BASE64_BLOB_PATTERN.test(line)) || '';
+
+  const marker = lines.indexOf('加密数据:');
+  if (marker >= 0) {
+    const field = (label) => {
+      const line = lines.find((item) => item.startsWith(`${label}:`));
+      return line ? line.slice(label.length + 1).trim() : '';
+    };
+    return [toImportItem({
+      encryptedData: nextBlob(marker + 1),
+      wordCount: parseInt(field('助记词长度'), 10) || undefined,
+      hasPassphrase: field('BIP39密码短语') === '已使用',
+      derivationPath: field('派生路径'),
+      language: matchLanguage(field('助记词语言'))
+    }, 0)];
+  }
+
+  const items = [];
+  lines.forEach((line, index) => {
+    const match = line.match(/^\[(\d+)\]\s*(.*)$/);
+    if (!match) return;
+    const parts = match[2].split('|').map((part) => part.trim());
+    items.push(toImportItem({
+      id: parseInt(match[1], 10),
+      encryptedData: lines[index + 1] || '',
+      wordCount: parseInt(parts[0], 10) || undefined,
+      hasPassphrase: parts.includes('密码短语已使用'),
+      derivationPath: parts.find((part) => part.startsWith('m/')) || '',
+      address: parts.find((part) => /^0x[0-9a-fA-F]{40}$/.test(part)) || '',
+      language: parts.find((part) => MNEMONIC_LANGUAGES.some(({ value }) => value === part)) || ''
+    }, items.length));
+  });
+  if (items.length > 0) {
+    return items;
+  }
+
+  return lines
+    .filter((line) => BASE64_BLOB_PATTERN.test(line))
+    .map((encryptedData, index) => toImportItem({ encryptedData }, index));
+};
+
+/**
+ * 解析 CSV 导出
+ * @param {string} text - 文件内容
+ * @returns {Object} { items, warnings }
+ */
+export const parseCsvExport = (text) => {
+  const { items, warnings } = parseEncryptedCsv(text);
+  return { items: items.map((item, index) => toImportItem(item, index)), warnings };
+};
+
+const toBytes = async (data) => {
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  return data;
+};
+
+const getExtension = (name) => (name || '').split('.').pop().toLowerCase();
+
+const toText = (data) =>
+  typeof data === 'string' ? data : new TextDecoder('utf-8').decode(data);
+
+/**
+ * 按扩展名识别格式，扩展名未知时按内容判断
+ * @param {string} name - 文件名
+ * @param {string|Uint8Array} data - 文件内容
+ * @returns {string} json | csv | txt | zip
+ */
+export const detectImportFormat = (name, data) => {
+  const extension = getExtension(name);
+  if (IMPORT_FORMATS.includes(extension)) {
+    return extension;
+  }
+  if (typeof data !== 'string' && data[0] === 0x50 && data[1] === 0x4b) {
+    return 'zip';
+  }
+  const text = toText(data).trim();
+  if (text.startsWith('{') || text.startsWith('[')) {
+    return 'json';
+  }
+  return text.split(/\r?\n/)[0].includes(',') ? 'csv' : 'txt';
+};
+
+/**
+ * 解析单个文本文件
+ * @param {string} format - json | csv | txt
+ * @param {string} text - 文件内容
+ * @returns {Object} { items, warnings }
+ */
+const parseTextFile = (format, text) => {
+  if (format === 'json') {
+    return { items: parseJsonExport(text), warnings: [] };
+  }
+  if (format === 'csv') {
+    return parseCsvExport(text);
+  }
+  return { items: parseTxtExport(text), warnings: [] };
+};
+
+/**
+ * 解析批量压缩包
+ * batch_info.json 记录的 KDF 参数作为缺省值补到各条目上
+ * @param {Uint8Array} data - 压缩包内容
+ * @returns {Object} { items, warnings, batchInfo }
+ */
+const parseArchive = async (data) => {
+  if (!JSZip) {
+    throw new Error('压缩包功能不可用');
+  }
+
+  const zip = await JSZip.loadAsync(data);
+  const infoFile = zip.file('batch_info.json');
+  const batchInfo = infoFile ? JSON.parse(await infoFile.async('string')) : null;
+
+  const warnings = [];
+  if (!batchInfo) {
+    warnings.push('压缩包中没有 batch_info.json，按文件内容逐个解析');
+  }
+
+  const entries = Object.values(zip.files)
+    .filter((entry) => !entry.dir && !ARCHIVE_META_FILES.includes(entry.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const items = [];
+  for (const entry of entries) {
+    const format = getExtension(entry.name);
+    if (!['json', 'csv', 'txt'].includes(format)) {
+      continue;
+    }
+    try {
+      const parsed = parseTextFile(format, await entry.async('string'));
+      parsed.items.forEach((item) => {
+        items.push({
+          ...item,
+          id: items.length + 1,
+          kdf: item.kdf || batchInfo?.kdf,
+          kdfParams: item.kdfParams || batchInfo?.kdfParams,
+          sourceFile: entry.name
+        });
+      });
+      warnings.push(...parsed.warnings.map((warning) => `${entry.name}: ${warning}`));
+    } catch (error) {
+      warnings.push(`${entry.name}: ${error.message}`);
+    }
+  }
+
+  if (batchInfo && batchInfo.totalCount !== undefined && batchInfo.totalCount !== items.length) {
+    warnings.push(`batch_info.json 记录 ${batchInfo.totalCount} 项，实际读取 ${items.length} 项`);
+  }
+
+  return { items, warnings, batchInfo };
+};
+
+/**
+ * 读取整体加密的导出文件
+ * @param {string} text - 文件内容
+ * @param {string} password - 批次密码，未提供时只识别不解密
+ * @returns {Object|null} 不是整体加密文件时返回 null；未提供密码时 items 为空且 sealed 为 true
+ */
+const parseSealedFile = async (text, password) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  if (!isSealedExport(data)) {
+    return null;
+  }
+  if (!password) {
+    return { items: [], warnings: [], sealed: true };
+  }
+
+  let opened;
+  try {
+    opened = await openSealedExport(data, password);
+  } catch (error) {
+    throw new Error('整体加密文件解密失败：密码错误或文件已损坏');
+  }
+  return { ...parseTextFile(opened.format, opened.text), sealed: true };
+};
+
+/**
+ * 导入加密文件
+ * 整体加密的文件需要批次密码：未提供时返回 { sealed: true, items: [], unlock }，
+ * 页面提示输入密码后调用 unlock(password) 得到解密后的导入结果
+ * @param {string} name - 文件名
+ * @param {File|Blob|ArrayBuffer|Uint8Array|string} data - 文件内容
+ * @param {Object} options - { password }
+ * @returns {Object} { name, format, items, warnings, batchInfo, sealed }
+ */
+export const importEncryptedFile = async (name, data, options = {}) => {
+  try {
+    const bytes = await toBytes(data);
+    const format = detectImportFormat(name, bytes);
+
+    const sealed = format === 'json' ? await parseSealedFile(toText(bytes), options.password) : null;
+    if (sealed && !options.password) {
+      console.log(`🔒 ${name} 为整体加密文件，等待输入批次密码`);
+      return {
+        name,
+        format,
+        items: [],
+        warnings: [],
+        batchInfo: null,
+        sealed: true,
+        unlock: (password) => importEncryptedFile(name, bytes, { password })
+      };
+    }
+
+    const parsed = sealed || (format === 'zip'
+      ? await parseArchive(bytes)
+      : parseTextFile(format, toText(bytes)));
+
+    const items = parsed.items.filter((item) => item.encryptedData || item.privateKey);
+    const warnings = [...parsed.warnings];
+    if (items.length === 0) {
+      warnings.push('未能从文件中解析出加密数据');
+    }
+
+    console.log(`📥 已导入 ${name} (${format.toUpperCase()}): ${items.length} 项`);
+    return { name, format, items, warnings, batchInfo: parsed.batchInfo || null, sealed: Boolean(sealed) };
+  } catch (error) {
+    console.error('❌ 文件导入失败:', error);
+    throw new Error(`导入失败: ${error.message}`);
+  }
+};
@@ -0,0 +1,112 @@
+/**
+ * 任务日志核心逻辑，浏览器 (batchJournalUtils) 与 tx-server 共用：行状态、签名后先记录再广播、按链上状态核对
+ * 使用 .mjs，tx-server 通过 import() 加载；日志的存储 (localStorage / 文件) 由调用方负责
+ */
+
+import { ethers } from 'ethers';
+
+export const JOURNAL_ROW_STATUS = {
+  PENDING: 'pending',
+  SIGNED: 'signed',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  UNKNOWN: 'unknown'
+};
+
+// 已提交或已确认的行不会再次发送
+export const SETTLED_STATUSES = [
+  JOURNAL_ROW_STATUS.SUBMITTED,
+  JOURNAL_ROW_STATUS.CONFIRMED,
+  JOURNAL_ROW_STATUS.SKIPPED
+];
+
+/**
+ * 全部行已提交、确认或跳过
+ */
+export const isJournalSettled = (journal) => journal.rows.every((row) => SETTLED_STATUSES.includes(row.status));
+
+// 节点已收到同一交易时也会报错，此时交易在交易池中，不能当作被拒绝
+const KNOWN_TX_PATTERN = /already known|known transaction|already imported/i;
+const REJECTED_CODES = ['INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+
+/**
+ * 广播是否被节点明确拒绝 (返回了 JSON-RPC 错误)；网络中断、超时等无法确定交易是否已送达
+ */
+export const isRejectedBroadcast = (error) => {
+  if (KNOWN_TX_PATTERN.test(error?.message || '')) {
+    return false;
+  }
+  return REJECTED_CODES.includes(error?.code) || (error?.code === 'UNKNOWN_ERROR' && Boolean(error?.error));
+};
+
+/**
+ * 签名后先写日志再广播，广播前后任何时刻中断，都能凭交易哈希核对。
+ * 节点明确拒绝时交易不会上链，清除哈希与 nonce，核对时该行直接重新待发送 (发送方之后会沿用该 nonce)
+ * @param {ethers.Wallet} wallet - 已连接 provider 的钱包
+ * @param {Object} request - 交易请求 (须包含 nonce)
+ * @param {Function} record - (patch) => void，写入当前行
+ * @returns {Promise<TransactionResponse>}
+ */
+export const broadcastWithJournal = async (wallet, request, record) => {
+  const populated = await wallet.populateTransaction(request);
+  const signed = await wallet.signTransaction(populated);
+  record({ status: JOURNAL_ROW_STATUS.SIGNED, hash: ethers.Transaction.from(signed).hash, nonce: populated.nonce });
+  let tx;
+  try {
+    tx = await wallet.provider.broadcastTransaction(signed);
+  } catch (error) {
+    if (isRejectedBroadcast(error)) {
+      record({ hash: '', nonce: null });
+    }
+    throw error;
+  }
+  record({ status: JOURNAL_ROW_STATUS.SUBMITTED });
+  return tx;
+};
+
+/**
+ * 按交易哈希核对一行 (或授权步骤) 的链上状态
+ * 没有哈希 (未签名或广播被拒绝) → 重新待发送；已打包 → 已确认/需人工核对；仍在交易池 → 已提交；
+ * 查不到且 nonce 未被占用 → 重新待发送；nonce 已被其他交易占用 (可能是钱包中的加速替换) → 需人工核对
+ * @param {Object} entry - { from, nonce, hash, status, note }
+ * @param {ethers.Provider} provider - RPC provider
+ * @returns {Promise<Object>} 核对后的行
+ */
+export const reconcileEntry = async (entry, provider) => {
+  if (entry.status === JOURNAL_ROW_STATUS.CONFIRMED || entry.status === JOURNAL_ROW_STATUS.SKIPPED) {
+    return entry;
+  }
+  if (!entry.hash) {
+    return { ...entry, status: JOURNAL_ROW_STATUS.PENDING, note: '' };
+  }
+  const receipt = await provider.getTransactionReceipt(entry.hash);
+  if (receipt) {
+    return receipt.status === 1
+      ? { ...entry, status: JOURNAL_ROW_STATUS.CONFIRMED, note: '' }
+      : { ...entry, status: JOURNAL_ROW_STATUS.UNKNOWN, note: '交易已打包但执行失败' };
+  }
+  if (await provider.getTransaction(entry.hash)) {
+    return { ...entry, status: JOURNAL_ROW_STATUS.SUBMITTED, note: '仍在交易池中' };
+  }
+  const latestNonce = await provider.getTransactionCount(entry.from, 'latest');
+  return latestNonce > entry.nonce
+    ? { ...entry, status: JOURNAL_ROW_STATUS.UNKNOWN, note: `nonce ${entry.nonce} 已被其他交易占用` }
+    : { ...entry, status: JOURNAL_ROW_STATUS.PENDING, hash: '', note: '未上链，将重新发送' };
+};
+
+/**
+ * 核对全部行与授权步骤，返回未写入的任务日志
+ * @param {Object} journal - 任务日志
+ * @param {ethers.Provider} provider - RPC provider
+ * @returns {Promise<Object>} 核对后的任务日志
+ */
+export const reconcileEntries = async (journal, provider) => {
+  const rows = [];
+  for (const row of journal.rows) {
+    rows.push(await reconcileEntry(row, provider));
+  }
+  const approval = journal.approval ? await reconcileEntry(journal.approval, provider) : null;
+  return { ...journal, rows, ...(approval ? { approval } : {}) };
+};
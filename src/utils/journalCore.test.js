@@ -0,0 +1,115 @@
+import { ethers } from 'ethers';
+import { JOURNAL_ROW_STATUS, broadcastWithJournal, reconcileEntries, reconcileEntry } from './journalCore.mjs';
+
+const FROM = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const HASH = `0x${'ab'.repeat(32)}`;
+
+// 链上状态：receipts[hash] = 1 | 0，pool 为交易池中的哈希，latestNonce 为已上链的 nonce 数
+const createProvider = ({ receipts = {}, pool = [], latestNonce = 0 } = {}) => ({
+  getTransactionReceipt: async (hash) => (hash in receipts ? { status: receipts[hash] } : null),
+  getTransaction: async (hash) => (pool.includes(hash) ? { hash } : null),
+  getTransactionCount: async () => latestNonce
+});
+
+const row = (patch) => ({ index: 1, from: FROM, nonce: 3, hash: HASH, status: JOURNAL_ROW_STATUS.SIGNED, note: '', ...patch });
+
+describe('reconcileEntry', () => {
+  test('已确认与跳过的行保持不变', async () => {
+    const provider = createProvider();
+    for (const status of [JOURNAL_ROW_STATUS.CONFIRMED, JOURNAL_ROW_STATUS.SKIPPED]) {
+      expect(await reconcileEntry(row({ status }), provider)).toEqual(row({ status }));
+    }
+  });
+
+  test('没有哈希的行重新待发送', async () => {
+    const result = await reconcileEntry(row({ hash: '', nonce: null, status: JOURNAL_ROW_STATUS.FAILED }), createProvider());
+    expect(result.status).toBe(JOURNAL_ROW_STATUS.PENDING);
+  });
+
+  test('已打包的交易按执行结果标记', async () => {
+    expect((await reconcileEntry(row(), createProvider({ receipts: { [HASH]: 1 } }))).status).toBe(JOURNAL_ROW_STATUS.CONFIRMED);
+    expect((await reconcileEntry(row(), createProvider({ receipts: { [HASH]: 0 } }))).status).toBe(JOURNAL_ROW_STATUS.UNKNOWN);
+  });
+
+  test('仍在交易池中的交易标记为已提交，不会重发', async () => {
+    expect((await reconcileEntry(row(), createProvider({ pool: [HASH] }))).status).toBe(JOURNAL_ROW_STATUS.SUBMITTED);
+  });
+
+  test('查不到的交易按 nonce 是否被占用区分', async () => {
+    const free = await reconcileEntry(row(), createProvider({ latestNonce: 3 }));
+    expect(free).toMatchObject({ status: JOURNAL_ROW_STATUS.PENDING, hash: '' });
+    const used = await reconcileEntry(row(), createProvider({ latestNonce: 4 }));
+    expect(used).toMatchObject({ status: JOURNAL_ROW_STATUS.UNKNOWN, hash: HASH });
+  });
+
+  test('授权步骤与各行一起核对', async () => {
+    const journal = { rows: [row({ index: 1 }), row({ index: 2, hash: '' })], approval: row({ index: undefined }) };
+    const result = await reconcileEntries(journal, createProvider({ pool: [HASH] }));
+    expect(result.rows.map((item) => item.status)).toEqual([JOURNAL_ROW_STATUS.SUBMITTED, JOURNAL_ROW_STATUS.PENDING]);
+    expect(result.approval.status).toBe(JOURNAL_ROW_STATUS.SUBMITTED);
+    expect((await reconcileEntries({ rows: [] }, createProvider())).approval).toBeUndefined();
+  });
+});
+
+describe('broadcastWithJournal', () => {
+  const wallet = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+  const request = { to: FROM, value: 1n, nonce: 5, gasLimit: 21000n, maxFeePerGas: 1n, maxPriorityFeePerGas: 1n, chainId: 1n };
+
+  const run = async (broadcastTransaction) => {
+    const connected = {
+      provider: { broadcastTransaction },
+      populateTransaction: async (tx) => ({ ...tx, type: 2 }),
+      signTransaction: (tx) => wallet.signTransaction(tx)
+    };
+    let entry = row({ hash: '', nonce: null, status: JOURNAL_ROW_STATUS.PENDING });
+    const record = (patch) => {
+      entry = { ...entry, ...patch };
+    };
+    let error = null;
+    try {
+      await broadcastWithJournal(connected, request, record);
+    } catch (caught) {
+      error = caught;
+    }
+    return { entry, error };
+  };
+
+  test('签名后先记录哈希，广播成功后标记已提交', async () => {
+    let recordedBeforeBroadcast = null;
+    const { entry } = await run(async (signed) => {
+      recordedBeforeBroadcast = ethers.Transaction.from(signed).hash;
+      return { hash: recordedBeforeBroadcast };
+    });
+    expect(entry).toMatchObject({ status: JOURNAL_ROW_STATUS.SUBMITTED, hash: recordedBeforeBroadcast, nonce: 5 });
+  });
+
+  test('节点明确拒绝时清除哈希，核对后重新待发送', async () => {
+    const rejected = Object.assign(new Error('could not coalesce error'), {
+      code: 'UNKNOWN_ERROR',
+      error: { code: -32000, message: 'insufficient funds for gas * price + value' }
+    });
+    const { entry, error } = await run(async () => {
+      throw rejected;
+    });
+    expect(error).toBe(rejected);
+    expect(entry).toMatchObject({ hash: '', nonce: null });
+    const failed = { ...entry, status: JOURNAL_ROW_STATUS.FAILED };
+    expect((await reconcileEntry(failed, createProvider({ latestNonce: 9 }))).status).toBe(JOURNAL_ROW_STATUS.PENDING);
+  });
+
+  test('网络中断或节点已收到交易时保留哈希，继续时按哈希核对', async () => {
+    const network = await run(async () => {
+      throw Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+    });
+    expect(network.entry.hash).not.toBe('');
+
+    const known = await run(async () => {
+      throw Object.assign(new Error('could not coalesce error (error={ "message": "already known" })'), {
+        code: 'UNKNOWN_ERROR',
+        error: { code: -32000, message: 'already known' }
+      });
+    });
+    expect(known.entry).toMatchObject({ status: JOURNAL_ROW_STATUS.SIGNED, nonce: 5 });
+    expect(known.entry.hash).not.toBe('');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * 密钥派生函数 (KDF) 工具
+ * 提供 PBKDF2 / scrypt / Argon2id 的默认参数、取值范围校验与显示格式
+ * scrypt 与 Argon2id 使用 hash-wasm 计算，浏览器与 Node 端通用
+ */
+
+import { scrypt, argon2id } from 'hash-wasm';
+import { KDFS, getKdfLabel } from './cryptoEnvelope';
+
+export const KEY_LENGTH = 32; // 256 bits
+
+/**
+ * 各KDF的默认参数
+ * - PBKDF2: 与旧版数据保持一致的 10,000 次迭代
+ * - scrypt: N=2^15, r=8, p=1 (约 32 MiB 内存)
+ * - Argon2id: 64 MiB 内存, 3 次迭代, 并行度 1
+ */
+export const DEFAULT_KDF_PARAMS = {
+  [KDFS.PBKDF2_SHA256]: { iterations: 10000 },
+  [KDFS.SCRYPT]: { logN: 15, r: 8, p: 1 },
+  [KDFS.ARGON2ID]: { memoryKiB: 65536, iterations: 3, parallelism: 1 }
+};
+
+/**
+ * 各KDF参数的取值范围
+ * 解密时同样校验，避免被篡改的密文头部请求过量内存或迭代
+ */
+export const KDF_PARAM_LIMITS = {
+  [KDFS.PBKDF2_SHA256]: {
+    iterations: { min: 1000, max: 10000000, label: '迭代次数' }
+  },
+  [KDFS.SCRYPT]: {
+    logN: { min: 10, max: 20, label: 'log2(N)' },
+    r: { min: 1, max: 32, label: '块大小 r' },
+    p: { min: 1, max: 16, label: '并行度 p' }
+  },
+  [KDFS.ARGON2ID]: {
+    memoryKiB: { min: 8192, max: 1048576, label: '内存 (KiB)' },
+    iterations: { min: 1, max: 20, label: '迭代次数' },
+    parallelism: { min: 1, max: 8, label: '并行度' }
+  }
+};
+
+/**
+ * 获取可选的KDF列表
+ * @returns {Array} [{ value, label, description }]
+ */
+export const getKdfOptions = () => [
+  {
+    value: KDFS.ARGON2ID,
+    label: getKdfLabel(KDFS.ARGON2ID),
+    description: '内存困难型，抗GPU/ASIC暴力破解 (推荐)'
+  },
+  {
+    value: KDFS.SCRYPT,
+    label: getKdfLabel(KDFS.SCRYPT),
+    description: '内存困难型，速度较 Argon2id 快'
+  },
+  {
+    value: KDFS.PBKDF2_SHA256,
+    label: getKdfLabel(KDFS.PBKDF2_SHA256),
+    description: '兼容旧版数据，抗暴力破解能力较弱'
+  }
+];
+
+/**
+ * 获取KDF默认参数的副本
+ * @param {string} kdf - KDF标识
+ * @returns {object} 默认参数
+ */
+export const getDefaultKdfParams = (kdf) => {
+  const defaults = DEFAULT_KDF_PARAMS[kdf];
+  if (!defaults) {
+    throw new Error(`不支持的密钥派生函数: ${kdf}`);
+  }
+  return { ...defaults };
+};
+
+/**
+ * 校验KDF参数
+ * @param {string} kdf - KDF标识
+ * @param {object} kdfParams - KDF参数
+ * @returns {object} 规范化后的参数
+ */
+export const validateKdfParams = (kdf, kdfParams = {}) => {
+  const limits = KDF_PARAM_LIMITS[kdf];
+  if (!limits) {
+    throw new Error(`不支持的密钥派生函数: ${kdf}`);
+  }
+
+  const normalized = {};
+  Object.keys(limits).forEach((name) => {
+    const { min, max, label } = limits[name];
+    const value = Number(kdfParams[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${getKdfLabel(kdf)} ${label} 必须在 ${min} - ${max} 之间`);
+    }
+    normalized[name] = value;
+  });
+
+  if (kdf === KDFS.SCRYPT && 128 * normalized.r * 2 ** normalized.logN > 1024 * 1024 * 1024) {
+    throw new Error('scrypt 参数所需内存超过 1 GiB');
+  }
+
+  return normalized;
+};
+
+/**
+ * 格式化KDF参数用于显示
+ * @param {string} kdf - KDF标识
+ * @param {object} kdfParams - KDF参数
+ * @returns {string} 例如 "scrypt (N=2^15, r=8, p=1)"
+ */
+export const formatKdfParams = (kdf, kdfParams = {}) => {
+  switch (kdf) {
+    case KDFS.PBKDF2_SHA256:
+      return `${getKdfLabel(kdf)} (${Number(kdfParams.iterations || 0).toLocaleString()} 次迭代)`;
+    case KDFS.SCRYPT:
+      return `${getKdfLabel(kdf)} (N=2^${kdfParams.logN}, r=${kdfParams.r}, p=${kdfParams.p})`;
+    case KDFS.ARGON2ID:
+      return `${getKdfLabel(kdf)} (${Math.round((kdfParams.memoryKiB || 0) / 1024)} MiB, ` +
+        `t=${kdfParams.iterations}, p=${kdfParams.parallelism})`;
+    default:
+      return getKdfLabel(kdf);
+  }
+};
+
+/**
+ * 使用内存困难型KDF派生 256 位密钥
+ * PBKDF2 由各加密模块使用平台原生实现，不经过此函数
+ * @param {string} password - 密码
+ * @param {Uint8Array} salt - 盐值
+ * @param {string} kdf - KDF标识 (KDFS.SCRYPT / KDFS.ARGON2ID)
+ * @param {object} kdfParams - KDF参数
+ * @returns {Uint8Array} 32字节密钥
+ */
+export const deriveMemoryHardKey = async (password, salt, kdf, kdfParams) => {
+  const params = validateKdfParams(kdf, kdfParams);
+
+  switch (kdf) {
+    case KDFS.SCRYPT:
+      return scrypt({
+        password,
+        salt,
+        costFactor: 2 ** params.logN,
+        blockSize: params.r,
+        parallelism: params.p,
+        hashLength: KEY_LENGTH,
+        outputType: 'binary'
+      });
+    case KDFS.ARGON2ID:
+      return argon2id({
+        password,
+        salt,
+        memorySize: params.memoryKiB,
+        iterations: params.iterations,
+        parallelism: params.parallelism,
+        hashLength: KEY_LENGTH,
+        outputType: 'binary'
+      });
+    default:
+      throw new Error(`${getKdfLabel(kdf)} 不是内存困难型KDF`);
+  }
+};
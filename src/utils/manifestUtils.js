@@ -0,0 +1,199 @@
+/**
+ * 批量压缩包完整性清单
+ * 压缩包内写入 manifest.json：逐个文件的 SHA-256、文件数量与地址列表，
+ * 并用批次密码派生的密钥对清单计算 HMAC-SHA256，事后可证明文件未被截断、替换或增删。
+ * 校验只读取文件摘要，不解密任何助记词
+ */
+
+import { KDFS, bytesToBase64, base64ToBytes } from './cryptoEnvelope';
+import { KEY_LENGTH, deriveMemoryHardKey, getDefaultKdfParams, validateKdfParams } from './kdfUtils';
+
+export const MANIFEST_FILENAME = 'manifest.json';
+export const ARCHIVE_MANIFEST_TYPE = 'mnemonic-archive-manifest';
+export const ARCHIVE_MANIFEST_VERSION = 1;
+
+const MAC_SALT_BYTES = 16;
+const MAC_INFO = 'mnemonic-archive-manifest/v1';
+
+const toBytes = (data) => (typeof data === 'string' ? new TextEncoder().encode(data) : data);
+
+const bytesToHex = (bytes) =>
+  Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * 计算 SHA-256
+ * @param {string|Uint8Array} data - 文件内容
+ * @returns {string} 十六进制摘要
+ */
+export const sha256Hex = async (data) =>
+  bytesToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', toBytes(data))));
+
+/**
+ * 由批次密码派生清单 MAC 密钥
+ * 沿用批次的 KDF 与参数，避免清单成为比加密数据更容易暴力猜测密码的入口；
+ * 派生结果再经 HKDF 分离用途，与加密密钥互不相同
+ * @param {string} password - 批次密码
+ * @param {Uint8Array} salt - 盐值
+ * @param {string} kdf - KDF标识
+ * @param {object} kdfParams - KDF参数
+ * @returns {CryptoKey} HMAC-SHA256 密钥
+ */
+const deriveMacKey = async (password, salt, kdf, kdfParams) => {
+  let keyBytes;
+  if (kdf === KDFS.PBKDF2_SHA256) {
+    const params = validateKdfParams(kdf, kdfParams);
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    keyBytes = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations: params.iterations, hash: 'SHA-256' },
+      keyMaterial,
+      KEY_LENGTH * 8
+    ));
+  } else {
+    keyBytes = await deriveMemoryHardKey(password, salt, kdf, kdfParams);
+  }
+
+  const hkdfKey = await crypto.subtle.importKey('raw', keyBytes, 'HKDF', false, ['deriveKey']);
+  keyBytes.fill(0);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(MAC_INFO) },
+    hkdfKey,
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+    false,
+    ['sign', 'verify']
+  );
+};
+
+/**
+ * 清单正文的规范序列化 (不含 mac 字段)
+ * @param {object} manifest - 清单
+ * @returns {Uint8Array} 参与 MAC 计算的字节
+ */
+const serializeBody = (manifest) => {
+  const { mac, ...body } = manifest;
+  return new TextEncoder().encode(JSON.stringify(body));
+};
+
+/**
+ * 生成压缩包完整性清单
+ * @param {Array} files - 压缩包内的文件 [{ name, data }]
+ * @param {Array} addresses - 批次的地址列表
+ * @param {object} options - { password, kdf, kdfParams }，未提供密码时不生成 MAC
+ * @returns {object} 可直接序列化为 JSON 的清单
+ */
+export const buildArchiveManifest = async (files, addresses = [], options = {}) => {
+  const { password, kdf = KDFS.PBKDF2_SHA256, kdfParams = getDefaultKdfParams(kdf) } = options;
+
+  try {
+    const entries = [];
+    for (const file of files) {
+      const bytes = toBytes(file.data);
+      entries.push({ name: file.name, size: bytes.length, sha256: await sha256Hex(bytes) });
+    }
+
+    const manifest = {
+      type: ARCHIVE_MANIFEST_TYPE,
+      version: ARCHIVE_MANIFEST_VERSION,
+      createdAt: new Date().toISOString(),
+      hashAlgorithm: 'SHA-256',
+      count: entries.length,
+      entries,
+      addresses: addresses.filter(Boolean)
+    };
+
+    if (password) {
+      const salt = crypto.getRandomValues(new Uint8Array(MAC_SALT_BYTES));
+      const key = await deriveMacKey(password, salt, kdf, kdfParams);
+      const signature = await crypto.subtle.sign('HMAC', key, serializeBody(manifest));
+      manifest.mac = {
+        algorithm: 'HMAC-SHA256',
+        kdf,
+        kdfParams,
+        salt: bytesToBase64(salt),
+        value: bytesToHex(new Uint8Array(signature))
+      };
+    }
+
+    console.log('🧾 压缩包清单已生成:', entries.length, '个文件', password ? '(含 MAC)' : '(无 MAC)');
+    return manifest;
+  } catch (error) {
+    console.error('❌ 压缩包清单生成失败:', error);
+    throw new Error(`清单生成失败: ${error.message}`);
+  }
+};
+
+/**
+ * 校验清单 MAC
+ * @param {object} manifest - 清单
+ * @param {string} password - 批次密码
+ * @returns {boolean} MAC 是否有效
+ */
+export const verifyManifestMac = async (manifest, password) => {
+  const { mac } = manifest;
+  const key = await deriveMacKey(password, base64ToBytes(mac.salt), mac.kdf, mac.kdfParams);
+  const expected = new Uint8Array(mac.value.match(/.{2}/g).map((pair) => parseInt(pair, 16)));
+  return crypto.subtle.verify('HMAC', key, expected, serializeBody(manifest));
+};
+
+/**
+ * 校验压缩包
+ * @param {object} zip - JSZip 实例
+ * @param {string} password - 批次密码 (可选，提供时校验 MAC)
+ * @returns {object} { valid, manifest, entries, count, mac }
+ *   valid: 文件与清单一致且 MAC 未失败；提供了密码而清单没有 MAC 时视为不通过 (MAC 可能被剥离)
+ *   entries: [{ name, status }]，status 为 ok | modified | missing | extra
+ *   mac: valid | invalid | unsigned | skipped
+ */
+export const verifyArchive = async (zip, password = '') => {
+  try {
+    const manifestFile = zip.file(MANIFEST_FILENAME);
+    if (!manifestFile) {
+      throw new Error(`压缩包中没有 ${MANIFEST_FILENAME}`);
+    }
+    const manifest = JSON.parse(await manifestFile.async('string'));
+    if (manifest.type !== ARCHIVE_MANIFEST_TYPE) {
+      throw new Error('不是有效的压缩包清单');
+    }
+
+    const entries = [];
+    const listed = new Set();
+    for (const entry of manifest.entries) {
+      listed.add(entry.name);
+      const file = zip.file(entry.name);
+      if (!file) {
+        entries.push({ name: entry.name, status: 'missing' });
+        continue;
+      }
+      const digest = await sha256Hex(await file.async('uint8array'));
+      entries.push({ name: entry.name, status: digest === entry.sha256 ? 'ok' : 'modified' });
+    }
+    Object.values(zip.files)
+      .filter((file) => !file.dir && file.name !== MANIFEST_FILENAME && !listed.has(file.name))
+      .forEach((file) => entries.push({ name: file.name, status: 'extra' }));
+
+    let mac = 'unsigned';
+    if (manifest.mac) {
+      mac = password ? ((await verifyManifestMac(manifest, password)) ? 'valid' : 'invalid') : 'skipped';
+    }
+
+    const count = {
+      expected: manifest.count,
+      actual: entries.filter((entry) => entry.status !== 'missing').length
+    };
+    const valid = entries.every((entry) => entry.status === 'ok') &&
+      count.expected === manifest.entries.length &&
+      mac !== 'invalid' &&
+      !(password && mac === 'unsigned');
+
+    console.log(`🧾 压缩包校验${valid ? '通过' : '未通过'}: ${entries.length} 个文件, MAC ${mac}`);
+    return { valid, manifest, entries, count, mac };
+  } catch (error) {
+    console.error('❌ 压缩包校验失败:', error);
+    throw new Error(`校验失败: ${error.message}`);
+  }
+};
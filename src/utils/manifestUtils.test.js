@@ -0,0 +1,69 @@
+import JSZip from 'jszip';
+import { KDFS } from './cryptoEnvelope';
+import { MANIFEST_FILENAME, buildArchiveManifest, sha256Hex, verifyArchive, verifyManifestMac } from './manifestUtils';
+
+const PASSWORD = 'batch-password';
+const FAST_KDF = { kdf: KDFS.PBKDF2_SHA256, kdfParams: { iterations: 1000 } };
+const FILES = [
+  { name: 'mnemonic_001.json', data: '{"encryptedData":"AAAA"}' },
+  { name: 'mnemonic_002.json', data: '{"encryptedData":"BBBB"}' }
+];
+const ADDRESSES = ['0x1111111111111111111111111111111111111111', ''];
+
+const createZip = (manifest, files = FILES) => {
+  const zip = new JSZip();
+  files.forEach((file) => zip.file(file.name, file.data));
+  zip.file(MANIFEST_FILENAME, JSON.stringify(manifest));
+  return zip;
+};
+
+describe('buildArchiveManifest / verifyManifestMac', () => {
+  test('逐个文件记录 SHA-256，MAC 随批次密码校验', async () => {
+    const manifest = await buildArchiveManifest(FILES, ADDRESSES, { password: PASSWORD, ...FAST_KDF });
+    expect(manifest.entries[0]).toEqual({
+      name: FILES[0].name,
+      size: FILES[0].data.length,
+      sha256: await sha256Hex(FILES[0].data)
+    });
+    expect(manifest.addresses).toEqual([ADDRESSES[0]]);
+    expect(manifest.mac).toMatchObject({ algorithm: 'HMAC-SHA256', ...FAST_KDF });
+
+    expect(await verifyManifestMac(manifest, PASSWORD)).toBe(true);
+    expect(await verifyManifestMac(manifest, 'wrong-password')).toBe(false);
+    const tampered = { ...manifest, addresses: ['0x2222222222222222222222222222222222222222'] };
+    expect(await verifyManifestMac(tampered, PASSWORD)).toBe(false);
+  });
+
+  test('未提供密码时不生成 MAC', async () => {
+    expect((await buildArchiveManifest(FILES)).mac).toBeUndefined();
+  });
+});
+
+describe('verifyArchive', () => {
+  test('文件与清单一致且 MAC 有效时通过', async () => {
+    const manifest = await buildArchiveManifest(FILES, ADDRESSES, { password: PASSWORD, ...FAST_KDF });
+    const result = await verifyArchive(createZip(manifest), PASSWORD);
+    expect(result).toMatchObject({ valid: true, mac: 'valid', count: { expected: 2, actual: 2 } });
+    expect((await verifyArchive(createZip(manifest))).mac).toBe('skipped');
+  });
+
+  test('文件被替换、删除或新增时不通过', async () => {
+    const manifest = await buildArchiveManifest(FILES, ADDRESSES, { password: PASSWORD, ...FAST_KDF });
+    const files = [{ ...FILES[0], data: '{"encryptedData":"CCCC"}' }, { name: 'extra.txt', data: 'x' }];
+    const result = await verifyArchive(createZip(manifest, files), PASSWORD);
+    expect(result.valid).toBe(false);
+    expect(result.entries).toEqual([
+      { name: FILES[0].name, status: 'modified' },
+      { name: FILES[1].name, status: 'missing' },
+      { name: 'extra.txt', status: 'extra' }
+    ]);
+  });
+
+  test('提供密码但 MAC 被剥离或清单被改写时不通过', async () => {
+    const { mac, ...unsigned } = await buildArchiveManifest(FILES, ADDRESSES, { password: PASSWORD, ...FAST_KDF });
+    expect(await verifyArchive(createZip(unsigned), PASSWORD)).toMatchObject({ valid: false, mac: 'unsigned' });
+
+    const rewritten = { ...unsigned, addresses: [], mac };
+    expect(await verifyArchive(createZip(rewritten), PASSWORD)).toMatchObject({ valid: false, mac: 'invalid' });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * 纸质备份页
+ * 每张 A4 / Letter 纸包含：加密数据二维码与分行文本、地址二维码、词数、创建时间、KDF 参数，
+ * 以及逐行校验码与手工核对格，抄录或扫描恢复时可逐行确认没有抄错
+ */
+
+import QRCode from 'qrcode';
+import { describeEncryptedData, getCipherLabel } from './cryptoEnvelope';
+import { formatKdfParams } from './kdfUtils';
+import { sha256Hex } from './manifestUtils';
+import { getLanguageLabel } from './wordlistUtils';
+
+export const PAPER_SIZES = [
+  { value: 'a4', label: 'A4 (210 × 297 mm)', css: 'A4' },
+  { value: 'letter', label: 'Letter (8.5 × 11 in)', css: 'letter' }
+];
+
+// 每行密文字符数，按 4 个字符一组打印
+export const PAPER_LINE_LENGTH = 32;
+const GROUP_LENGTH = 4;
+const CHECKSUM_LENGTH = 4;
+
+const QR_OPTIONS = {
+  errorCorrectionLevel: 'M',
+  margin: 1,
+  width: 320,
+  color: { dark: '#000000', light: '#FFFFFF' }
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * 计算单行校验码：该行 SHA-256 的前 4 位十六进制
+ * @param {string} line - 一行密文 (不含分组空格)
+ * @returns {string} 大写校验码
+ */
+export const getLineChecksum = async (line) =>
+  (await sha256Hex(line)).slice(0, CHECKSUM_LENGTH).toUpperCase();
+
+/**
+ * 把密文切分为带校验码的行
+ * @param {string} encryptedData - Base64 密文
+ * @returns {Array} [{ index, text, grouped, checksum }]
+ */
+export const splitChecksumLines = async (encryptedData) => {
+  const lines = [];
+  for (let start = 0; start < encryptedData.length; start += PAPER_LINE_LENGTH) {
+    const text = encryptedData.slice(start, start + PAPER_LINE_LENGTH);
+    lines.push({
+      index: lines.length + 1,
+      text,
+      grouped: text.match(new RegExp(`.{1,${GROUP_LENGTH}}`, 'g')).join(' '),
+      checksum: await getLineChecksum(text)
+    });
+  }
+  return lines;
+};
+
+/**
+ * 读取加密参数：优先取密文头部记录的 KDF，旧版无头数据回退到结果中的字段
+ */
+const getEncryptionSummary = (result) => {
+  try {
+    const info = describeEncryptedData(result.encryptedData);
+    if (!info.legacy) {
+      return {
+        algorithm: getCipherLabel(info.cipher),
+        keyDerivation: formatKdfParams(info.kdf, info.kdfParams)
+      };
+    }
+  } catch (error) {
+    // 无法解析头部时使用结果中的记录
+  }
+  return {
+    algorithm: result.algorithm || 'AES-256-GCM',
+    keyDerivation: result.kdf ? formatKdfParams(result.kdf, result.kdfParams) : '未记录'
+  };
+};
+
+/**
+ * 生成一张备份页的数据
+ * @param {Object} result - 加密结果 (encryptedData 必填，address / wordCount / createdAt 等可选)
+ * @param {number} index - 序号 (从 0 开始)
+ * @returns {Object} 备份页数据，含二维码 DataURL
+ */
+export const buildPaperWalletSheet = async (result, index = 0) => {
+  if (!result?.encryptedData) {
+    throw new Error(`第 ${index + 1} 项没有加密数据`);
+  }
+
+  try {
+    const encryptedData = result.encryptedData.trim();
+    return {
+      id: result.id ?? index + 1,
+      encryptedData,
+      encryptedQr: await QRCode.toDataURL(encryptedData, QR_OPTIONS),
+      address: result.address || '',
+      addressQr: result.address ? await QRCode.toDataURL(result.address, QR_OPTIONS) : '',
+      wordCount: result.wordCount,
+      createdAt: result.createdAt,
+      derivationPath: result.derivationPath || '',
+      language: result.language || '',
+      hasPassphrase: Boolean(result.hasPassphrase),
+      batchId: result.batchId || '',
+      fingerprint: (await sha256Hex(encryptedData)).slice(0, 16).toUpperCase(),
+      lines: await splitChecksumLines(encryptedData),
+      ...getEncryptionSummary(result)
+    };
+  } catch (error) {
+    console.error('❌ 备份页生成失败:', error);
+    throw new Error(`备份页生成失败: ${error.message}`);
+  }
+};
+
+const SHEET_STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: "PingFang SC", "Microsoft YaHei", sans-serif; color: #000; }
+  .sheet { page-break-after: always; break-after: page; }
+  .sheet:last-child { page-break-after: auto; break-after: auto; }
+  h1 { font-size: 18px; margin: 0 0 4px; display: flex; justify-content: space-between; }
+  .subtitle { font-size: 11px; color: #444; margin-bottom: 10px; }
+  .qr-row { display: flex; gap: 16px; margin-bottom: 10px; }
+  .qr { flex: 1; border: 1px solid #000; padding: 8px; text-align: center; }
+  .qr img { width: 52mm; height: 52mm; }
+  .qr .caption { font-size: 11px; font-weight: bold; margin-bottom: 4px; }
+  .qr .address { font-family: monospace; font-size: 10px; word-break: break-all; margin-top: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 11px; margin-bottom: 10px; }
+  th, td { border: 1px solid #000; padding: 3px 6px; text-align: left; }
+  th { background: #eee; }
+  .info th { width: 28%; }
+  .mono { font-family: monospace; font-size: 12px; letter-spacing: 1px; }
+  .box { width: 16mm; }
+  .footer { font-size: 10px; color: #333; }
+`;
+
+const renderInfoRow = (label, value) =>
+  value ? `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>` : '';
+
+const renderSheet = (sheet, total) => `
+  <section class="sheet">
+    <h1><span>助记词加密备份</span><span>#${escapeHtml(sheet.id)} / ${total}</span></h1>
+    <div class="subtitle">本页只含加密数据，恢复时需要解密密码${sheet.hasPassphrase ? '与 BIP39 密码短语' : ''}；请与密码分开保管</div>
+    <div class="qr-row">
+      <div class="qr">
+        <div class="caption">加密数据</div>
+        <img src="${sheet.encryptedQr}" alt="加密数据二维码" />
+      </div>
+      ${sheet.addressQr ? `
+      <div class="qr">
+        <div class="caption">EVM 地址 (只读)</div>
+        <img src="${sheet.addressQr}" alt="地址二维码" />
+        <div class="address">${escapeHtml(sheet.address)}</div>
+      </div>` : ''}
+    </div>
+    <table class="info">
+      ${renderInfoRow('词数', sheet.wordCount ? `${sheet.wordCount} 词` : '')}
+      ${renderInfoRow('创建时间', sheet.createdAt ? new Date(sheet.createdAt).toLocaleString('zh-CN') : '')}
+      ${renderInfoRow('加密算法', sheet.algorithm)}
+      ${renderInfoRow('密钥派生', sheet.keyDerivation)}
+      ${renderInfoRow('派生路径', sheet.derivationPath)}
+      ${renderInfoRow('助记词语言', sheet.language ? getLanguageLabel(sheet.language) : '')}
+      ${renderInfoRow('BIP39 密码短语', sheet.hasPassphrase ? '已使用 (未打印)' : '未使用')}
+      ${renderInfoRow('批次ID', sheet.batchId)}
+      ${renderInfoRow('密文指纹 (SHA-256)', sheet.fingerprint.match(/.{4}/g).join(' '))}
+    </table>
+    <table>
+      <thead>
+        <tr><th>行</th><th>加密数据</th><th>校验码</th><th class="box">核对</th></tr>
+      </thead>
+      <tbody>
+        ${sheet.lines.map((line) => `
+        <tr>
+          <td>${line.index}</td>
+          <td class="mono">${escapeHtml(line.grouped)}</td>
+          <td class="mono">${line.checksum}</td>
+          <td class="box"></td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    <div class="footer">
+      校验码为该行 (不含空格) SHA-256 的前 4 位。手工抄录后逐行重新计算并在"核对"格内打勾；
+      恢复时扫描二维码或逐行输入上方文本。
+    </div>
+  </section>`;
+
+/**
+ * 生成可打印的 HTML 文档
+ * @param {Array} sheets - buildPaperWalletSheet 的返回值
+ * @param {Object} options - { paperSize }
+ * @returns {string} 完整的 HTML 文档
+ */
+export const renderPaperWalletHtml = (sheets, options = {}) => {
+  const paper = PAPER_SIZES.find((size) => size.value === options.paperSize) || PAPER_SIZES[0];
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8" />
+<title>助记词加密备份 (${sheets.length} 张)</title>
+<style>
+  @page { size: ${paper.css}; margin: 12mm; }
+  ${SHEET_STYLES}
+</style>
+</head>
+<body>
+${sheets.map((sheet) => renderSheet(sheet, sheets.length)).join('\n')}
+</body>
+</html>`;
+};
@@ -0,0 +1,129 @@
+/**
+ * 批量独立密码工具
+ * 为每个助记词生成互不相关的密码：随机生成，或由主密钥经 HKDF-SHA256 与逐项盐值派生
+ * 所有独立密码汇总为一份用主密码加密的密码清单，与加密数据分开保存
+ */
+
+import { encryptText, decryptText } from './cryptoUtilsGUI';
+import { bytesToBase64, base64ToBytes } from './cryptoEnvelope';
+
+export const ITEM_PASSWORD_MODES = {
+  RANDOM: 'random',
+  HKDF: 'hkdf'
+};
+
+export const PASSWORD_MANIFEST_TYPE = 'mnemonic-password-manifest';
+export const PASSWORD_MANIFEST_VERSION = 1;
+
+const ITEM_PASSWORD_BYTES = 24;   // 192 bits
+const ITEM_SALT_BYTES = 16;
+const HKDF_INFO = 'mnemonic-item-password/v1';
+
+/**
+ * 转换为 URL 安全的 Base64 (无填充)，便于手动抄写与复制
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} Base64url 字符串
+ */
+const toBase64Url = (bytes) =>
+  bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * 生成随机的独立密码
+ * @returns {string} 32 个字符的 Base64url 密码 (192 位熵)
+ */
+export const generateItemPassword = () =>
+  toBase64Url(crypto.getRandomValues(new Uint8Array(ITEM_PASSWORD_BYTES)));
+
+/**
+ * 生成逐项盐值
+ * @returns {string} Base64 编码的 16 字节盐值
+ */
+export const generateItemSalt = () =>
+  bytesToBase64(crypto.getRandomValues(new Uint8Array(ITEM_SALT_BYTES)));
+
+/**
+ * 由主密钥与逐项盐值派生独立密码 (HKDF-SHA256)
+ * 持有主密钥与导出文件中的盐值即可重新派生，单个独立密码无法反推主密钥
+ * @param {string} masterSecret - 主密钥
+ * @param {string} itemSalt - Base64 编码的逐项盐值
+ * @returns {string} 43 个字符的 Base64url 密码 (256 位)
+ */
+export const deriveItemPassword = async (masterSecret, itemSalt) => {
+  if (!masterSecret || !itemSalt) {
+    throw new Error('主密钥和盐值不能为空');
+  }
+
+  const encoder = new TextEncoder();
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(masterSecret),
+    'HKDF',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: base64ToBytes(itemSalt),
+      info: encoder.encode(HKDF_INFO)
+    },
+    keyMaterial,
+    256
+  );
+
+  return toBase64Url(new Uint8Array(bits));
+};
+
+/**
+ * 生成密码清单并用主密码加密
+ * @param {Array} items - [{ id, address, password, passwordSalt }]
+ * @param {string} masterPassword - 主密码
+ * @param {object} options - { mode, kdf, kdfParams }
+ * @returns {object} 可直接序列化为 JSON 的密码清单文件内容
+ */
+export const sealPasswordManifest = async (items, masterPassword, options = {}) => {
+  const createdAt = new Date().toISOString();
+  const manifest = {
+    createdAt,
+    mode: options.mode || ITEM_PASSWORD_MODES.RANDOM,
+    entries: items.map((item) => ({
+      id: item.id,
+      address: item.address || '',
+      password: item.password,
+      passwordSalt: item.passwordSalt || ''
+    }))
+  };
+
+  const encryptedData = await encryptText(JSON.stringify(manifest), masterPassword, {
+    kdf: options.kdf,
+    kdfParams: options.kdfParams
+  });
+
+  return {
+    type: PASSWORD_MANIFEST_TYPE,
+    version: PASSWORD_MANIFEST_VERSION,
+    createdAt,
+    count: manifest.entries.length,
+    mode: manifest.mode,
+    encryptedData,
+    note: '独立密码清单，请与加密数据分开保存'
+  };
+};
+
+/**
+ * 解密密码清单
+ * @param {string|object} sealed - 密码清单文件内容 (JSON 字符串或对象)
+ * @param {string} masterPassword - 主密码
+ * @returns {object} { createdAt, mode, entries }
+ */
+export const openPasswordManifest = async (sealed, masterPassword) => {
+  const manifestFile = typeof sealed === 'string' ? JSON.parse(sealed) : sealed;
+  if (!manifestFile || manifestFile.type !== PASSWORD_MANIFEST_TYPE || !manifestFile.encryptedData) {
+    throw new Error('不是有效的密码清单文件');
+  }
+
+  const manifest = JSON.parse(await decryptText(manifestFile.encryptedData, masterPassword));
+  console.log('🔓 密码清单解密成功:', manifest.entries.length, '项');
+  return manifest;
+};
@@ -0,0 +1,62 @@
+import { hkdfSync } from 'crypto';
+import { base64ToBytes, KDFS } from './cryptoEnvelope';
+import {
+  ITEM_PASSWORD_MODES,
+  PASSWORD_MANIFEST_TYPE,
+  deriveItemPassword,
+  generateItemPassword,
+  generateItemSalt,
+  openPasswordManifest,
+  sealPasswordManifest
+} from './passwordUtils';
+
+const MASTER = 'master-password';
+const FAST_KDF = { kdf: KDFS.PBKDF2_SHA256, kdfParams: { iterations: 1000 } };
+
+describe('deriveItemPassword', () => {
+  test('HKDF-SHA256 派生结果与 Node 实现一致，同一盐值结果固定', async () => {
+    const salt = generateItemSalt();
+    const expected = Buffer.from(
+      hkdfSync('sha256', MASTER, Buffer.from(base64ToBytes(salt)), 'mnemonic-item-password/v1', 32)
+    ).toString('base64url');
+
+    const password = await deriveItemPassword(MASTER, salt);
+    expect(password).toBe(expected);
+    expect(password).toHaveLength(43);
+    expect(await deriveItemPassword(MASTER, salt)).toBe(password);
+  });
+
+  test('不同盐值或主密钥派生出不同密码', async () => {
+    const salt = generateItemSalt();
+    const password = await deriveItemPassword(MASTER, salt);
+    expect(await deriveItemPassword(MASTER, generateItemSalt())).not.toBe(password);
+    expect(await deriveItemPassword('other-master', salt)).not.toBe(password);
+  });
+
+  test('主密钥或盐值为空时抛错', async () => {
+    await expect(deriveItemPassword('', generateItemSalt())).rejects.toThrow('主密钥和盐值不能为空');
+    await expect(deriveItemPassword(MASTER, '')).rejects.toThrow('主密钥和盐值不能为空');
+  });
+
+  test('随机独立密码为 32 个 Base64url 字符', () => {
+    const password = generateItemPassword();
+    expect(password).toMatch(/^[A-Za-z0-9_-]{32}$/);
+    expect(generateItemPassword()).not.toBe(password);
+  });
+});
+
+describe('密码清单', () => {
+  test('用主密码加密后可还原，外层不含密码', async () => {
+    const passwordSalt = generateItemSalt();
+    const items = [{ id: 1, address: '0xabc', password: await deriveItemPassword(MASTER, passwordSalt), passwordSalt }];
+    const sealed = await sealPasswordManifest(items, MASTER, { mode: ITEM_PASSWORD_MODES.HKDF, ...FAST_KDF });
+
+    expect(sealed).toMatchObject({ type: PASSWORD_MANIFEST_TYPE, count: 1, mode: ITEM_PASSWORD_MODES.HKDF });
+    expect(JSON.stringify(sealed)).not.toContain(items[0].password);
+
+    const manifest = await openPasswordManifest(JSON.stringify(sealed), MASTER);
+    expect(manifest.entries).toEqual(items);
+    await expect(openPasswordManifest(sealed, 'wrong-master')).rejects.toThrow();
+    await expect(openPasswordManifest({ type: 'other' }, MASTER)).rejects.toThrow('不是有效的密码清单文件');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * 金额清单
+ * 解析 address,amount[,token] 格式的 CSV，为批量发送提供逐个地址的数量；
+ * token 列为空或为 ETH 时表示原生币
+ */
+
+import { ethers } from 'ethers';
+import { parseCsv, detectHeaderMap, getColumnIndex } from './csvUtils';
+import { isValidEthereumAddress } from './evmUtils';
+
+export const PAYOUT_CSV_ACCEPT = '.csv,.txt';
+
+const ADDRESS_HEADERS = ['address', '地址', 'evm地址', 'addr', 'to', '收款地址'];
+const AMOUNT_HEADERS = ['amount', '数量', '金额', 'value'];
+const TOKEN_HEADERS = ['token', '代币', 'tokenaddress', '代币地址'];
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * token 列是否表示原生币 (空或 ETH)
+ */
+export const isNativeToken = (token) => !token || token.toLowerCase() === 'eth';
+
+/**
+ * 按精度解析清单中的数量，格式错误或为 0 时抛错
+ * @param {string} amount - 十进制数量
+ * @param {number} decimals - 精度
+ * @returns {bigint} 最小单位的数量
+ */
+export const parsePayoutAmount = (amount, decimals = 18) => {
+  const text = String(amount || '').trim();
+  if (!AMOUNT_PATTERN.test(text)) {
+    throw new Error(`数量格式无效: ${text || '空'}`);
+  }
+  const value = ethers.parseUnits(text, decimals);
+  if (value <= 0n) {
+    throw new Error('数量必须大于 0');
+  }
+  return value;
+};
+
+/**
+ * 解析金额清单 CSV
+ * 首行包含地址列名时按列名读取，否则依次为地址、数量、代币；
+ * 无效行跳过并给出提示，同一地址同一代币重复时只保留第一条
+ * @param {string} name - 文件名
+ * @param {string} text - 文件内容
+ * @returns {Object} { name, entries: [{ line, address, amount, token }], warnings }
+ */
+export const parsePayoutCsv = (name, text) => {
+  try {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+      throw new Error('文件为空');
+    }
+
+    const headerMap = detectHeaderMap(rows[0]);
+    const hasHeader = ADDRESS_HEADERS.some((key) => headerMap[key] !== undefined);
+    const column = (candidates, fallbackIndex) =>
+      hasHeader ? getColumnIndex(headerMap, candidates, -1) : fallbackIndex;
+    const addressIndex = column(ADDRESS_HEADERS, 0);
+    const amountIndex = column(AMOUNT_HEADERS, 1);
+    const tokenIndex = column(TOKEN_HEADERS, 2);
+    if (amountIndex < 0) {
+      throw new Error('CSV 缺少"amount"列');
+    }
+    const cell = (row, index) => (index >= 0 ? (row[index] || '').trim() : '');
+
+    const entries = [];
+    const warnings = [];
+    const seen = new Set();
+    rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+      const line = i + (hasHeader ? 2 : 1);
+      const address = cell(row, addressIndex);
+      const amount = cell(row, amountIndex);
+      const token = cell(row, tokenIndex);
+      if (!isValidEthereumAddress(address)) {
+        warnings.push(`第 ${line} 行地址无效: ${address || '空'}`);
+        return;
+      }
+      if (!AMOUNT_PATTERN.test(amount) || Number(amount) === 0) {
+        warnings.push(`第 ${line} 行数量无效: ${amount || '空'}`);
+        return;
+      }
+      if (!isNativeToken(token) && !isValidEthereumAddress(token)) {
+        warnings.push(`第 ${line} 行代币地址无效: ${token}`);
+        return;
+      }
+      const checksum = ethers.getAddress(address);
+      const tokenKey = isNativeToken(token) ? 'eth' : token.toLowerCase();
+      const key = `${checksum.toLowerCase()}:${tokenKey}`;
+      if (seen.has(key)) {
+        warnings.push(`第 ${line} 行地址重复，已跳过`);
+        return;
+      }
+      seen.add(key);
+      entries.push({
+        line,
+        address: checksum,
+        amount,
+        token: isNativeToken(token) ? '' : ethers.getAddress(token)
+      });
+    });
+
+    if (entries.length === 0) {
+      warnings.push('未能从文件中解析出收款地址');
+    }
+
+    console.log(`💸 已导入金额清单 ${name}: ${entries.length} 行`);
+    return { name, entries, warnings };
+  } catch (error) {
+    console.error('❌ 金额清单导入失败:', error);
+    throw new Error(`金额清单导入失败: ${error.message}`);
+  }
+};
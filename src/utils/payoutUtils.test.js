@@ -0,0 +1,71 @@
+import { isNativeToken, parsePayoutAmount, parsePayoutCsv } from './payoutUtils';
+
+const A = '0x1111111111111111111111111111111111111111';
+const B = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+
+describe('parsePayoutCsv', () => {
+  test('按表头读取地址、数量与代币列，列顺序不限', () => {
+    const { entries, warnings } = parsePayoutCsv('payout.csv', `代币,金额,收款地址\nETH,0.5,${A}\n${TOKEN.toLowerCase()},12,${B}`);
+    expect(warnings).toEqual([]);
+    expect(entries).toEqual([
+      { line: 2, address: A, amount: '0.5', token: '' },
+      { line: 3, address: B, amount: '12', token: TOKEN }
+    ]);
+  });
+
+  test('无表头时依次为地址、数量、代币', () => {
+    const { entries } = parsePayoutCsv('payout.txt', `${A},1\n${B},2,${TOKEN}`);
+    expect(entries.map((entry) => [entry.line, entry.amount, entry.token])).toEqual([
+      [1, '1', ''],
+      [2, '2', TOKEN]
+    ]);
+  });
+
+  test('无效行与同一代币的重复地址跳过并提示', () => {
+    const text = [
+      'address,amount,token',
+      `${A},1`,
+      '0x123,1',
+      `${B},0`,
+      `${B},-1`,
+      `${B},abc`,
+      `${B},1,not-a-token`,
+      `${A},2`,
+      `${A},3,${TOKEN}`
+    ].join('\n');
+    const { entries, warnings } = parsePayoutCsv('payout.csv', text);
+    expect(entries.map((entry) => entry.line)).toEqual([2, 9]);
+    expect(warnings).toEqual([
+      '第 3 行地址无效: 0x123',
+      '第 4 行数量无效: 0',
+      '第 5 行数量无效: -1',
+      '第 6 行数量无效: abc',
+      '第 7 行代币地址无效: not-a-token',
+      '第 8 行地址重复，已跳过'
+    ]);
+  });
+
+  test('缺少数量列或没有有效行时给出错误或提示', () => {
+    expect(() => parsePayoutCsv('payout.csv', `address,token\n${A},ETH`)).toThrow('CSV 缺少"amount"列');
+    expect(() => parsePayoutCsv('payout.csv', '')).toThrow('文件为空');
+    expect(parsePayoutCsv('payout.csv', 'address,amount\n0x1,1').warnings).toContain('未能从文件中解析出收款地址');
+  });
+});
+
+describe('parsePayoutAmount / isNativeToken', () => {
+  test('按精度换算，0、负数与格式错误抛错', () => {
+    expect(parsePayoutAmount('1.5')).toBe(1500000000000000000n);
+    expect(parsePayoutAmount(' 2.25 ', 6)).toBe(2250000n);
+    expect(() => parsePayoutAmount('0.0')).toThrow('数量必须大于 0');
+    expect(() => parsePayoutAmount('-1')).toThrow('数量格式无效: -1');
+    expect(() => parsePayoutAmount('')).toThrow('数量格式无效: 空');
+    expect(() => parsePayoutAmount('1.1234567', 6)).toThrow();
+  });
+
+  test('空或 ETH 表示原生币', () => {
+    expect(isNativeToken('')).toBe(true);
+    expect(isNativeToken('eth')).toBe(true);
+    expect(isNativeToken(TOKEN)).toBe(false);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * RPC Provider 工具
+ * 浏览器端查询共用的 JSON-RPC Provider，关闭批量请求以兼容不支持 batch 的公共节点
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * 创建 JSON-RPC Provider
+ * @param {string} rpcUrl - RPC 地址
+ * @returns {ethers.JsonRpcProvider} Provider
+ */
+export const createProvider = (rpcUrl) => {
+  const request = new ethers.FetchRequest(rpcUrl);
+  request.setHeader('Content-Type', 'application/json');
+  request.setHeader('Accept', 'application/json');
+  return new ethers.JsonRpcProvider(request, undefined, { batchMaxCount: 1 });
+};
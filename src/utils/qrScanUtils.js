@@ -0,0 +1,146 @@
+/**
+ * 二维码识别
+ * 用 qrcode-reader 解码图片或摄像头画面，并判断内容是加密数据、地址、助记词还是私钥
+ */
+
+import { parseEncryptedData } from './cryptoEnvelope';
+import { isValidEthereumAddress } from './evmUtils';
+import { expandMnemonic, isValidMnemonic, splitMnemonicWords } from './wordlistUtils';
+
+// 兼容性导入处理
+let QrReader;
+
+try {
+  QrReader = require('qrcode-reader');
+} catch (error) {
+  console.warn('⚠️ qrcode-reader未安装，二维码识别将不可用');
+}
+
+export const SCAN_TYPES = {
+  ENCRYPTED: 'encrypted',
+  ADDRESS: 'address',
+  MNEMONIC: 'mnemonic',
+  PRIVATE_KEY: 'privateKey',
+  UNKNOWN: 'unknown'
+};
+
+export const SCAN_TYPE_LABELS = {
+  [SCAN_TYPES.ENCRYPTED]: '加密数据',
+  [SCAN_TYPES.ADDRESS]: 'EVM 地址',
+  [SCAN_TYPES.MNEMONIC]: '助记词',
+  [SCAN_TYPES.PRIVATE_KEY]: '私钥',
+  [SCAN_TYPES.UNKNOWN]: '未知内容'
+};
+
+// 大图先缩小再识别，识别率基本不变而速度快得多
+const MAX_DECODE_SIZE = 1200;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]{40,}={0,2}$/;
+const PRIVATE_KEY_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+const MNEMONIC_WORD_COUNTS = [12, 15, 18, 21, 24];
+
+/**
+ * 解码 ImageData 中的二维码
+ * @param {ImageData} imageData - canvas.getImageData 的返回值
+ * @returns {Promise<string>} 二维码文本
+ */
+export const decodeQrImageData = (imageData) =>
+  new Promise((resolve, reject) => {
+    if (!QrReader) {
+      reject(new Error('二维码识别功能不可用'));
+      return;
+    }
+    const reader = new QrReader();
+    reader.callback = (error, value) => {
+      if (error || !value?.result) {
+        reject(new Error('未识别到二维码'));
+        return;
+      }
+      resolve(value.result);
+    };
+    try {
+      reader.decode(imageData);
+    } catch (error) {
+      reject(new Error('未识别到二维码'));
+    }
+  });
+
+/**
+ * 把图片源绘制到 canvas 并取出像素
+ * @param {CanvasImageSource} source - 图片或视频帧
+ * @param {number} width - 原始宽度
+ * @param {number} height - 原始高度
+ * @param {HTMLCanvasElement} canvas - 复用的 canvas (可选)
+ * @returns {ImageData}
+ */
+export const captureImageData = (source, width, height, canvas = document.createElement('canvas')) => {
+  const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(width, height));
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * 识别图片文件中的二维码
+ * @param {File|Blob} file - 图片文件
+ * @returns {Promise<string>} 二维码文本
+ */
+export const decodeQrFile = async (file) => {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('无法读取图片'));
+      img.src = url;
+    });
+    return await decodeQrImageData(captureImageData(image, image.naturalWidth, image.naturalHeight));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * 去掉 EIP-681 支付链接的前后缀，例如 ethereum:0xabc...@8453
+ */
+const stripPaymentUri = (text) =>
+  text.replace(/^ethereum:/i, '').replace(/^pay-/i, '').split(/[@?/]/)[0];
+
+/**
+ * 判断二维码内容的类型
+ * @param {string} text - 二维码文本
+ * @returns {Object} { type, value }，value 为可直接填入输入框的值
+ */
+export const classifyScannedValue = (text = '') => {
+  const trimmed = text.trim();
+
+  const address = stripPaymentUri(trimmed);
+  if (isValidEthereumAddress(address)) {
+    return { type: SCAN_TYPES.ADDRESS, value: address };
+  }
+
+  if (PRIVATE_KEY_PATTERN.test(trimmed)) {
+    return { type: SCAN_TYPES.PRIVATE_KEY, value: trimmed };
+  }
+
+  if (MNEMONIC_WORD_COUNTS.includes(splitMnemonicWords(trimmed).length)) {
+    const { mnemonic } = expandMnemonic(trimmed);
+    if (isValidMnemonic(mnemonic)) {
+      return { type: SCAN_TYPES.MNEMONIC, value: mnemonic };
+    }
+  }
+
+  const compact = trimmed.replace(/\s+/g, '');
+  if (BASE64_PATTERN.test(compact)) {
+    try {
+      parseEncryptedData(compact);
+      return { type: SCAN_TYPES.ENCRYPTED, value: compact };
+    } catch (error) {
+      // 不是可识别的加密数据
+    }
+  }
+
+  return { type: SCAN_TYPES.UNKNOWN, value: trimmed };
+};
@@ -0,0 +1,421 @@
+/**
+ * 批次密码轮换 (Re-key) 工具
+ * 读取 FileExportUtils 导出的 JSON / CSV / TXT / ZIP，用旧密码逐条解密后
+ * 以新密码 (可选新的KDF参数) 重新加密，其余字段原样保留
+ * 独立密码批次：HKDF 派生的条目由原主密码与逐项盐值重新派生旧密码，轮换后统一使用新密码；
+ * 随机独立密码无法由原密码推出，不支持轮换
+ * 明文助记词只存在于单条处理的局部变量中，不写入日志、返回值或导出文件
+ */
+
+import { decryptMnemonic, encryptMnemonic, CRYPTO_CONSTANTS } from './cryptoUtilsGUI';
+import { describeEncryptedData, getCipherLabel, getKdfLabel } from './cryptoEnvelope';
+import { formatKdfParams, getDefaultKdfParams, validateKdfParams } from './kdfUtils';
+import { parseCsv, detectHeaderMap, getColumnIndex, stringifyCsv } from './csvUtils';
+import { MANIFEST_FILENAME, buildArchiveManifest } from './manifestUtils';
+import { isSealedExport, openSealedExport, sealExportDocument } from './sealedExportUtils';
+import { ITEM_PASSWORD_MODES, deriveItemPassword } from './passwordUtils';
+
+let JSZip;
+
+try {
+  JSZip = require('jszip');
+} catch (error) {
+  console.warn('⚠️ JSZip未安装，压缩包轮换功能将不可用');
+}
+
+export const REKEY_FORMATS = ['json', 'csv', 'txt', 'zip'];
+
+// 压缩包内不包含加密数据的说明文件
+const ARCHIVE_INFO_FILE = 'batch_info.json';
+const ARCHIVE_README_FILE = 'README.txt';
+
+// TXT 导出中单独成行的 Base64 密文
+const BASE64_LINE = /^[A-Za-z0-9+/]{40,}={0,2}$/;
+
+/**
+ * 根据文件名判断导出格式
+ * @param {string} filename - 文件名
+ * @returns {string} json / csv / txt / zip
+ */
+export const detectExportFormat = (filename = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (!REKEY_FORMATS.includes(extension)) {
+    throw new Error(`不支持的文件格式: ${extension || filename}`);
+  }
+  return extension;
+};
+
+/**
+ * 生成轮换后的文件名
+ * @param {string} filename - 原文件名
+ * @returns {string} 例如 mnemonic_batch_rekeyed.csv
+ */
+export const getRekeyedFilename = (filename) => {
+  const dotIndex = filename.lastIndexOf('.');
+  if (dotIndex <= 0) {
+    return `${filename}_rekeyed`;
+  }
+  return `${filename.slice(0, dotIndex)}_rekeyed${filename.slice(dotIndex)}`;
+};
+
+/**
+ * 创建轮换上下文：负责单条密文的重新加密与结果统计
+ * @param {object} options - { oldPassword, newPassword, kdf, kdfParams, onProgress }
+ * @returns {object} 上下文
+ */
+const createRekeyContext = ({ oldPassword, newPassword, kdf, kdfParams, onProgress }) => {
+  const report = [];
+
+  /**
+   * 单条密文的原密码：统一密码直接使用原密码，HKDF 独立密码由原密码 (主密码) 与逐项盐值派生
+   * @param {object} passwordInfo - 导出记录中的 { passwordMode, passwordSalt }
+   * @returns {Promise<string>} 原密码
+   */
+  const getOldPassword = async ({ passwordMode, passwordSalt } = {}) => {
+    if (!passwordMode || passwordMode === 'unified') {
+      return oldPassword;
+    }
+    if (passwordMode === ITEM_PASSWORD_MODES.HKDF) {
+      if (!passwordSalt) {
+        throw new Error('HKDF 独立密码缺少逐项盐值，无法派生原密码');
+      }
+      return deriveItemPassword(oldPassword, passwordSalt);
+    }
+    if (passwordMode === ITEM_PASSWORD_MODES.RANDOM) {
+      throw new Error('随机独立密码无法由原密码推出，不支持轮换，请用密码清单中的密码逐条解密后重新加密');
+    }
+    throw new Error(`不支持的密码模式: ${passwordMode}`);
+  };
+
+  /**
+   * 重新加密一条密文
+   * 未指定新KDF时沿用原密文的KDF与参数 (旧版无头数据沿用 PBKDF2 默认参数)
+   * @param {string} encryptedData - 原密文
+   * @param {string} source - 来源描述 (文件名/行号)
+   * @param {object} passwordInfo - 独立密码信息 { passwordMode, passwordSalt } (可选)
+   * @returns {object|null} 成功时返回新的密文与加密参数
+   */
+  const rekey = async (encryptedData, source, passwordInfo) => {
+    const entry = { index: report.length + 1, source, success: false, error: '' };
+    report.push(entry);
+
+    try {
+      const info = describeEncryptedData(encryptedData);
+      const targetKdf = kdf || info.kdf;
+      const targetParams = kdf
+        ? validateKdfParams(kdf, kdfParams || getDefaultKdfParams(kdf))
+        : info.kdfParams;
+
+      const mnemonic = await decryptMnemonic(encryptedData, await getOldPassword(passwordInfo));
+      const nextEncryptedData = await encryptMnemonic(mnemonic, newPassword, {
+        kdf: targetKdf,
+        kdfParams: targetParams
+      });
+
+      entry.success = true;
+      return {
+        encryptedData: nextEncryptedData,
+        algorithm: getCipherLabel(CRYPTO_CONSTANTS.ALGORITHM),
+        keyDerivation: getKdfLabel(targetKdf),
+        kdf: targetKdf,
+        kdfParams: targetParams,
+        description: formatKdfParams(targetKdf, targetParams)
+      };
+    } catch (error) {
+      entry.error = error.message;
+      return null;
+    } finally {
+      if (onProgress) {
+        onProgress(entry);
+      }
+    }
+  };
+
+  /**
+   * 重新封装整体加密的导出文件：外层信封与内层逐条密文都换成新密码
+   * @param {object} sealed - 外层文件
+   * @param {function} rekeyDocument - 轮换内层文档，参数为 (text, format)，返回 { data, encryption }
+   * @returns {object} { sealed, encryption }
+   */
+  const reseal = async (sealed, rekeyDocument) => {
+    let opened;
+    try {
+      opened = await openSealedExport(sealed, oldPassword);
+    } catch (error) {
+      throw new Error('整体加密文件解密失败：原密码错误或文件已损坏');
+    }
+
+    const { data, encryption } = await rekeyDocument(opened.text, opened.format);
+    const info = describeEncryptedData(sealed.encryptedData);
+    const targetKdf = kdf || info.kdf;
+    const next = await sealExportDocument(data, opened.format, newPassword, {
+      kdf: targetKdf,
+      kdfParams: kdf ? validateKdfParams(kdf, kdfParams || getDefaultKdfParams(kdf)) : info.kdfParams
+    });
+    return { sealed: next, encryption };
+  };
+
+  return { rekey, reseal, report };
+};
+
+/**
+ * 更新 TXT / README 中的加密参数说明行
+ * @param {string} line - 原始行
+ * @param {object} encryption - rekey 返回的加密参数
+ * @returns {string} 更新后的行
+ */
+const updateEncryptionLine = (line, encryption) => {
+  if (!encryption) return line;
+  if (line.startsWith('加密算法:')) return `加密算法: ${encryption.algorithm}`;
+  if (line.startsWith('密钥派生:')) return `密钥派生: ${encryption.description}`;
+  return line;
+};
+
+/**
+ * 轮换后的记录统一使用新密码，移除独立密码信息
+ * @param {object} item - 导出记录
+ */
+const clearPasswordInfo = (item) => {
+  delete item.passwordMode;
+  delete item.passwordSalt;
+};
+
+/**
+ * 轮换 JSON 导出 (单个、批量或整体加密)
+ */
+const rekeyJson = async (text, source, context) => {
+  const exported = JSON.parse(text);
+  const rekeyedAt = new Date().toISOString();
+  let first = null;
+
+  if (isSealedExport(exported)) {
+    const { sealed, encryption } = await context.reseal(
+      exported,
+      (inner, format) => TEXT_HANDLERS[format](inner, source, context)
+    );
+    return { data: JSON.stringify(sealed, null, 2), encryption };
+  }
+
+  if (Array.isArray(exported.mnemonics)) {
+    for (const item of exported.mnemonics) {
+      const result = await context.rekey(item.encryptedData, `${source} #${item.id}`, item);
+      if (!result) continue;
+      first = first || result;
+      clearPasswordInfo(item);
+      item.encryptedData = result.encryptedData;
+      item.algorithm = result.algorithm;
+      item.kdf = result.kdf;
+      item.kdfParams = result.kdfParams;
+    }
+    if (first && exported.batchInfo) {
+      exported.batchInfo.encryptionParams = `${first.algorithm}/${first.description}`;
+      exported.batchInfo.rekeyedAt = rekeyedAt;
+    }
+  } else if (exported.encryptedData) {
+    const result = await context.rekey(exported.encryptedData, source, exported);
+    if (result) {
+      first = result;
+      clearPasswordInfo(exported);
+      exported.encryptedData = result.encryptedData;
+      exported.algorithm = result.algorithm;
+      exported.keyDerivation = result.keyDerivation;
+      exported.kdf = result.kdf;
+      exported.kdfParams = result.kdfParams;
+      exported.rekeyedAt = rekeyedAt;
+    }
+  } else {
+    throw new Error(`${source} 中未找到加密数据`);
+  }
+
+  return { data: JSON.stringify(exported, null, 2), encryption: first };
+};
+
+/**
+ * 轮换 CSV 导出
+ */
+const rekeyCsv = async (text, source, context) => {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    throw new Error(`${source} 中未找到加密数据`);
+  }
+
+  const headerMap = detectHeaderMap(rows[0]);
+  const encryptedIndex = getColumnIndex(headerMap, ['加密数据', 'encrypteddata', 'encrypted', 'ciphertext'], -1);
+  const algorithmIndex = getColumnIndex(headerMap, ['算法', 'algorithm'], -1);
+  const idIndex = getColumnIndex(headerMap, ['id'], -1);
+  if (encryptedIndex < 0) {
+    throw new Error(`${source} 缺少"加密数据"列`);
+  }
+
+  let first = null;
+  for (let i = 1; i < rows.length; i += 1) {
+    const row = rows[i];
+    const rowId = idIndex >= 0 ? row[idIndex] : i;
+    const result = await context.rekey((row[encryptedIndex] || '').trim(), `${source} #${rowId}`);
+    if (!result) continue;
+    first = first || result;
+    row[encryptedIndex] = result.encryptedData;
+    if (algorithmIndex >= 0) {
+      row[algorithmIndex] = `${result.algorithm}/${result.description}`;
+    }
+  }
+
+  // 表头保持导出时的原样 (不加引号)
+  const data = `${rows[0].join(',')}\n${stringifyCsv(rows.slice(1))}`;
+  return { data, encryption: first };
+};
+
+/**
+ * 轮换 TXT 导出：替换单独成行的密文，并更新头部的加密参数
+ */
+const rekeyTxt = async (text, source, context) => {
+  const lines = text.split('\n');
+  let first = null;
+  let count = 0;
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i].trim();
+    if (!BASE64_LINE.test(line)) continue;
+    count += 1;
+    const result = await context.rekey(line, `${source} #${count}`);
+    if (!result) continue;
+    first = first || result;
+    lines[i] = result.encryptedData;
+  }
+
+  if (count === 0) {
+    throw new Error(`${source} 中未找到加密数据`);
+  }
+
+  return {
+    data: lines.map((line) => updateEncryptionLine(line, first)).join('\n'),
+    encryption: first
+  };
+};
+
+const TEXT_HANDLERS = {
+  json: rekeyJson,
+  csv: rekeyCsv,
+  txt: rekeyTxt
+};
+
+/**
+ * 轮换 ZIP 压缩包 (exportBatchArchive 的输出)
+ * 文件内容变化后原完整性清单失效，按新文件与新密码重新生成
+ */
+const rekeyArchive = async (buffer, context, newPassword) => {
+  if (!JSZip) {
+    throw new Error('压缩包功能不可用');
+  }
+
+  const zip = await JSZip.loadAsync(buffer);
+  const output = new JSZip();
+  let first = null;
+
+  const names = Object.keys(zip.files)
+    .filter((name) => !zip.files[name].dir)
+    .sort();
+
+  for (const name of names) {
+    if (name === ARCHIVE_INFO_FILE || name === ARCHIVE_README_FILE || name === MANIFEST_FILENAME) continue;
+    const content = await zip.file(name).async('string');
+    const handler = TEXT_HANDLERS[name.split('.').pop().toLowerCase()];
+    if (!handler) {
+      output.file(name, content);
+      continue;
+    }
+    const { data, encryption } = await handler(content, name, context);
+    first = first || encryption;
+    output.file(name, data);
+  }
+
+  if (context.report.length === 0) {
+    throw new Error('压缩包中未找到加密数据');
+  }
+
+  // 更新批次信息与说明文件中的加密参数
+  if (zip.files[ARCHIVE_INFO_FILE]) {
+    const batchInfo = JSON.parse(await zip.file(ARCHIVE_INFO_FILE).async('string'));
+    if (first) {
+      batchInfo.encryptionAlgorithm = first.algorithm;
+      batchInfo.keyDerivation = first.keyDerivation;
+      batchInfo.kdf = first.kdf;
+      batchInfo.kdfParams = first.kdfParams;
+      batchInfo.rekeyedAt = new Date().toISOString();
+    }
+    output.file(ARCHIVE_INFO_FILE, JSON.stringify(batchInfo, null, 2));
+  }
+  if (zip.files[ARCHIVE_README_FILE]) {
+    const readme = await zip.file(ARCHIVE_README_FILE).async('string');
+    output.file(
+      ARCHIVE_README_FILE,
+      readme.split('\n').map((line) => updateEncryptionLine(line, first)).join('\n')
+    );
+  }
+
+  if (zip.files[MANIFEST_FILENAME]) {
+    const previous = JSON.parse(await zip.file(MANIFEST_FILENAME).async('string'));
+    const files = [];
+    for (const name of Object.keys(output.files).filter((item) => !output.files[item].dir)) {
+      files.push({ name, data: await output.file(name).async('uint8array') });
+    }
+    const manifest = await buildArchiveManifest(files, previous.addresses || [], {
+      password: previous.mac ? newPassword : undefined,
+      kdf: first?.kdf,
+      kdfParams: first?.kdfParams
+    });
+    output.file(MANIFEST_FILENAME, JSON.stringify(manifest, null, 2));
+  }
+
+  return output.generateAsync({
+    type: 'blob',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 }
+  });
+};
+
+/**
+ * 用新密码重新加密一个导出文件
+ * 任意一行失败时不生成输出文件，避免新旧密码混用的批次
+ * @param {File} file - 导出的 JSON / CSV / TXT / ZIP 文件
+ * @param {object} options - 轮换参数
+ * @param {string} options.oldPassword - 原密码 (HKDF 独立密码批次为主密码)
+ * @param {string} options.newPassword - 新密码
+ * @param {string} options.kdf - 新的KDF (可选，默认沿用原密文的KDF)
+ * @param {object} options.kdfParams - 新的KDF参数 (可选)
+ * @param {function} options.onProgress - 每处理一行回调一次，参数为报告条目
+ * @returns {object} { filename, format, blob, report, successCount, failureCount }
+ */
+export const rekeyExportFile = async (file, options = {}) => {
+  const { oldPassword, newPassword } = options;
+  if (!oldPassword || !newPassword) {
+    throw new Error('原密码和新密码不能为空');
+  }
+  if (oldPassword === newPassword && !options.kdf) {
+    throw new Error('新密码与原密码相同');
+  }
+
+  const format = detectExportFormat(file.name);
+  const context = createRekeyContext(options);
+
+  let blob;
+  if (format === 'zip') {
+    blob = await rekeyArchive(await file.arrayBuffer(), context, newPassword);
+  } else {
+    const { data } = await TEXT_HANDLERS[format](await file.text(), file.name, context);
+    blob = new Blob([data], { type: 'text/plain;charset=utf-8' });
+  }
+
+  const successCount = context.report.filter((entry) => entry.success).length;
+  const failureCount = context.report.length - successCount;
+  console.log('🔑 密码轮换完成:', file.name, `(成功 ${successCount} / 失败 ${failureCount})`);
+
+  return {
+    filename: getRekeyedFilename(file.name),
+    format,
+    blob: failureCount === 0 ? blob : null,
+    report: context.report,
+    successCount,
+    failureCount
+  };
+};
@@ -0,0 +1,62 @@
+import { decryptMnemonic, encryptMnemonic } from './cryptoUtilsGUI';
+import { KDFS } from './cryptoEnvelope';
+import { ITEM_PASSWORD_MODES, deriveItemPassword, generateItemSalt } from './passwordUtils';
+import { rekeyExportFile } from './rekeyUtils';
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const MASTER = 'master-password';
+const NEW_PASSWORD = 'new-password';
+const FAST_KDF = { kdf: KDFS.PBKDF2_SHA256, kdfParams: { iterations: 1000 } };
+
+const toFile = (name, data) => ({ name, text: async () => JSON.stringify(data) });
+
+const readBlob = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+
+describe('rekeyExportFile 独立密码批次', () => {
+  test('HKDF 派生的条目用主密码轮换，输出统一使用新密码并移除独立密码信息', async () => {
+    const passwordSalt = generateItemSalt();
+    const itemPassword = await deriveItemPassword(MASTER, passwordSalt);
+    const exported = {
+      batchInfo: { totalCount: 1 },
+      mnemonics: [
+        {
+          id: 1,
+          encryptedData: await encryptMnemonic(MNEMONIC, itemPassword, FAST_KDF),
+          passwordMode: ITEM_PASSWORD_MODES.HKDF,
+          passwordSalt
+        }
+      ]
+    };
+
+    const result = await rekeyExportFile(toFile('batch.json', exported), {
+      oldPassword: MASTER,
+      newPassword: NEW_PASSWORD
+    });
+    expect(result.failureCount).toBe(0);
+
+    const [item] = JSON.parse(await readBlob(result.blob)).mnemonics;
+    expect(item).not.toHaveProperty('passwordMode');
+    expect(item).not.toHaveProperty('passwordSalt');
+    expect(await decryptMnemonic(item.encryptedData, NEW_PASSWORD)).toBe(MNEMONIC);
+  });
+
+  test('随机独立密码批次被拒绝，不生成输出文件', async () => {
+    const exported = {
+      encryptedData: await encryptMnemonic(MNEMONIC, 'random-item-password', FAST_KDF),
+      passwordMode: ITEM_PASSWORD_MODES.RANDOM
+    };
+
+    const result = await rekeyExportFile(toFile('single.json', exported), {
+      oldPassword: MASTER,
+      newPassword: NEW_PASSWORD
+    });
+    expect(result.blob).toBeNull();
+    expect(result.report[0].error).toMatch('随机独立密码无法由原密码推出');
+  });
+});
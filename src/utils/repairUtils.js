@@ -0,0 +1,251 @@
+/**
+ * 助记词修复
+ * 针对手抄备份中单个难以辨认的单词或拼写错误：
+ * 1. 按编辑距离查找词表中最接近的单词
+ * 2. 对缺失位置枚举全部候选词，并用 BIP39 校验和过滤
+ * 3. 给出目标地址时，按能否派生出该地址对候选结果排序
+ */
+
+import * as bip39 from 'bip39';
+import { DEFAULT_ETH_PATH, generateEthereumAddress } from './evmUtils';
+import { MNEMONIC_LANGUAGES, getWordlist, splitMnemonicWords } from './wordlistUtils';
+
+export const MISSING_WORD_MARKERS = ['?', '_', '*'];
+export const MAX_REPAIR_COMBINATIONS = 200000;
+export const MAX_ADDRESS_CHECKS = 1000;
+
+const VALID_WORD_COUNTS = [12, 15, 18, 21, 24];
+
+/**
+ * 计算两个字符串的编辑距离 (Levenshtein)
+ * @param {string} a - 字符串 A
+ * @param {string} b - 字符串 B
+ * @returns {number} 编辑距离
+ */
+export const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+/**
+ * 查找词表中最接近的单词
+ * 编辑距离相同时，前缀相同的单词优先 (BIP39 英文词表前 4 个字母唯一)
+ * @param {string} word - 输入单词
+ * @param {string} language - 词表语言
+ * @param {number} maxDistance - 最大编辑距离
+ * @returns {Array} [{ word, distance }]，按距离升序
+ */
+export const suggestWords = (word, language = 'english', maxDistance = 2) => {
+  const target = word.normalize('NFKD').toLowerCase();
+  const sharedPrefix = (candidate) => {
+    let length = 0;
+    while (length < candidate.length && candidate[length] === target[length]) length += 1;
+    return length;
+  };
+
+  return getWordlist(language)
+    .map((candidate) => ({ word: candidate, distance: editDistance(target, candidate) }))
+    .filter((item) => item.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || sharedPrefix(b.word) - sharedPrefix(a.word));
+};
+
+/**
+ * 按命中单词数量猜测手抄助记词的语言
+ * @param {Array} words - 单词数组
+ * @returns {string} 语言代码
+ */
+export const guessLanguage = (words) => {
+  const scored = MNEMONIC_LANGUAGES.map(({ value }) => ({
+    value,
+    hits: words.filter((word) => bip39.wordlists[value].includes(word)).length
+  }));
+  scored.sort((a, b) => b.hits - a.hits);
+  return scored[0].hits > 0 ? scored[0].value : 'english';
+};
+
+/**
+ * 解析手抄助记词，标出缺失与拼写错误的位置
+ * @param {string} input - 输入文本，缺失单词用 ? 表示
+ * @param {string} language - 词表语言，留空则自动猜测
+ * @returns {object} { language, words, slots }，slots 为 [{ position, original, status }]
+ */
+export const analyzeMnemonic = (input, language) => {
+  const words = splitMnemonicWords(input).map((word) => word.toLowerCase());
+  const resolvedLanguage = language || guessLanguage(words);
+  const wordlist = getWordlist(resolvedLanguage);
+
+  const slots = words.map((word, position) => {
+    if (MISSING_WORD_MARKERS.includes(word)) {
+      return { position, original: word, status: 'missing' };
+    }
+    return { position, original: word, status: wordlist.includes(word) ? 'ok' : 'misspelled' };
+  });
+
+  return { language: resolvedLanguage, words, slots };
+};
+
+/**
+ * 生成每个位置的候选单词列表
+ * @param {object} analysis - analyzeMnemonic 的结果
+ * @param {number} maxDistance - 拼写错误的最大编辑距离
+ * @returns {Array} 每个位置的候选 [{ word, distance }]
+ */
+const buildCandidateLists = (analysis, maxDistance) => {
+  const wordlist = getWordlist(analysis.language);
+  return analysis.slots.map((slot) => {
+    if (slot.status === 'ok') {
+      return [{ word: slot.original, distance: 0 }];
+    }
+    if (slot.status === 'missing') {
+      return wordlist.map((word) => ({ word, distance: 0 }));
+    }
+    const suggestions = suggestWords(slot.original, analysis.language, maxDistance);
+    if (suggestions.length === 0) {
+      throw new Error(`第 ${slot.position + 1} 个单词 "${slot.original}" 找不到相近的单词，请改为 ? 按缺失处理`);
+    }
+    return suggestions;
+  });
+};
+
+/**
+ * 修复助记词
+ * 单词数比标准长度少 1 时，视为漏抄一个单词，在每个位置尝试插入
+ * @param {string} input - 手抄助记词，缺失单词用 ? 表示
+ * @param {object} options - 参数
+ * @param {string} options.language - 词表语言，留空则自动猜测
+ * @param {number} options.maxDistance - 拼写错误的最大编辑距离，默认 2
+ * @param {string} options.targetAddress - 已知的目标地址 (可选)
+ * @param {string} options.derivationPath - 派生路径
+ * @param {string} options.passphrase - BIP39 密码短语
+ * @param {Function} options.onProgress - 进度回调 (已尝试组合数, 总组合数)
+ * @returns {object} { language, candidates, combinations, checked, addressChecked }
+ */
+export const repairMnemonic = async (input, options = {}) => {
+  const {
+    language,
+    maxDistance = 2,
+    targetAddress = '',
+    derivationPath = DEFAULT_ETH_PATH,
+    passphrase = '',
+    onProgress
+  } = options;
+
+  try {
+    const analysis = analyzeMnemonic(input, language);
+    const wordlist = getWordlist(analysis.language);
+
+    // 漏抄一个单词：逐个位置插入缺失标记，分别枚举
+    let variants = [analysis];
+    if (VALID_WORD_COUNTS.includes(analysis.words.length + 1)) {
+      variants = Array.from({ length: analysis.words.length + 1 }, (_, position) => {
+        const words = [...analysis.words];
+        words.splice(position, 0, '?');
+        return analyzeMnemonic(words.join(' '), analysis.language);
+      });
+    } else if (!VALID_WORD_COUNTS.includes(analysis.words.length)) {
+      throw new Error(`单词数量 ${analysis.words.length} 不正确，应为 12/15/18/21/24 个`);
+    } else if (
+      analysis.slots.every((slot) => slot.status === 'ok') &&
+      !bip39.validateMnemonic(analysis.words.join(' '), wordlist)
+    ) {
+      // 单词都在词表中但校验和错误：某个单词被抄成了另一个有效单词，逐个位置尝试相近单词
+      variants = analysis.slots.map((_, position) => ({
+        ...analysis,
+        slots: analysis.slots.map((slot) =>
+          slot.position === position ? { ...slot, status: 'misspelled' } : slot
+        )
+      }));
+    }
+
+    const candidateSets = variants.map((variant) => buildCandidateLists(variant, maxDistance));
+    const combinations = candidateSets.reduce(
+      (sum, lists) => sum + lists.reduce((product, list) => product * list.length, 1),
+      0
+    );
+    if (combinations > MAX_REPAIR_COMBINATIONS) {
+      throw new Error(`需要尝试 ${combinations} 种组合，超过上限 ${MAX_REPAIR_COMBINATIONS}，请减少缺失单词或降低编辑距离`);
+    }
+
+    const found = new Map();
+    let checked = 0;
+
+    for (let v = 0; v < variants.length; v += 1) {
+      const variant = variants[v];
+      const lists = candidateSets[v];
+      const indexes = lists.map(() => 0);
+
+      // 逐个枚举笛卡尔积
+      for (;;) {
+        const words = indexes.map((index, position) => lists[position][index].word);
+        const phrase = words.join(' ');
+        checked += 1;
+
+        if (!found.has(phrase) && bip39.validateMnemonic(phrase, wordlist)) {
+          const changes = variant.slots
+            .filter((slot) => slot.status !== 'ok' && words[slot.position] !== slot.original)
+            .map((slot) => ({
+              position: slot.position,
+              from: slot.original,
+              to: words[slot.position],
+              distance: lists[slot.position][indexes[slot.position]].distance
+            }));
+          found.set(phrase, {
+            mnemonic: phrase,
+            changes,
+            distance: changes.reduce((sum, change) => sum + change.distance, 0)
+          });
+        }
+
+        if (checked % 2000 === 0) {
+          onProgress?.(checked, combinations);
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        let position = indexes.length - 1;
+        while (position >= 0 && indexes[position] === lists[position].length - 1) {
+          indexes[position] = 0;
+          position -= 1;
+        }
+        if (position < 0) break;
+        indexes[position] += 1;
+      }
+    }
+
+    // 编辑距离小的优先核对地址
+    let candidates = Array.from(found.values()).sort((a, b) => a.distance - b.distance);
+    let addressChecked = 0;
+
+    if (targetAddress) {
+      const target = targetAddress.toLowerCase();
+      candidates.slice(0, MAX_ADDRESS_CHECKS).forEach((candidate) => {
+        candidate.address = generateEthereumAddress(candidate.mnemonic, derivationPath, passphrase).address;
+        candidate.addressMatch = candidate.address.toLowerCase() === target;
+        addressChecked += 1;
+      });
+    }
+
+    candidates = candidates.sort((a, b) =>
+      Number(Boolean(b.addressMatch)) - Number(Boolean(a.addressMatch)) || a.distance - b.distance
+    );
+
+    onProgress?.(combinations, combinations);
+    console.log(`🩹 助记词修复: 尝试 ${checked} 种组合，${candidates.length} 个通过校验和`);
+    return { language: analysis.language, candidates, combinations, checked, addressChecked };
+  } catch (error) {
+    console.error('❌ 助记词修复失败:', error);
+    throw new Error(`助记词修复失败: ${error.message}`);
+  }
+};
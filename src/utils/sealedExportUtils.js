@@ -0,0 +1,64 @@
+/**
+ * 整体加密导出
+ * 把整份批量导出文档 (含地址、派生路径、语言等元数据) 用批次密码封装为一个信封，
+ * 文件外层只保留类型、版本与内层格式，不暴露任何地址或数量信息
+ */
+
+import { encryptText, decryptText } from './cryptoUtilsGUI';
+
+export const SEALED_EXPORT_TYPE = 'mnemonic-sealed-export';
+export const SEALED_EXPORT_VERSION = 1;
+
+const SEALED_FORMATS = ['json', 'csv', 'txt'];
+
+/**
+ * 判断是否为整体加密的导出文件
+ * @param {Object} data - 已解析的 JSON
+ * @returns {boolean}
+ */
+export const isSealedExport = (data) =>
+  Boolean(data && data.type === SEALED_EXPORT_TYPE && data.encryptedData);
+
+/**
+ * 封装导出文档
+ * @param {string} text - 内层文档 (formatBatchData 的输出)
+ * @param {string} format - 内层格式 json | csv | txt
+ * @param {string} password - 批次密码
+ * @param {Object} options - { kdf, kdfParams }
+ * @returns {Object} 可直接序列化为 JSON 的外层文件
+ */
+export const sealExportDocument = async (text, format, password, options = {}) => {
+  if (!SEALED_FORMATS.includes(format)) {
+    throw new Error(`不支持的格式: ${format}`);
+  }
+
+  const encryptedData = await encryptText(text, password, {
+    kdf: options.kdf,
+    kdfParams: options.kdfParams
+  });
+
+  return {
+    type: SEALED_EXPORT_TYPE,
+    version: SEALED_EXPORT_VERSION,
+    format,
+    encryptedData,
+    note: '整份文档已加密，地址等信息需用批次密码解密后查看'
+  };
+};
+
+/**
+ * 解密整体加密的导出文件
+ * @param {string|Object} sealed - 外层文件内容或已解析的 JSON
+ * @param {string} password - 批次密码
+ * @returns {Object} { format, text }
+ */
+export const openSealedExport = async (sealed, password) => {
+  const sealedFile = typeof sealed === 'string' ? JSON.parse(sealed) : sealed;
+  if (!isSealedExport(sealedFile) || !SEALED_FORMATS.includes(sealedFile.format)) {
+    throw new Error('不是有效的整体加密导出文件');
+  }
+
+  const text = await decryptText(sealedFile.encryptedData, password);
+  console.log('🔓 整体加密文件解密成功:', sealedFile.format.toUpperCase());
+  return { format: sealedFile.format, text };
+};
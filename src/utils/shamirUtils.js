@@ -0,0 +1,275 @@
+/**
+ * 助记词 Shamir 秘密分享 (M-of-N)
+ * 在 GF(256) 上对 BIP39 熵逐字节分享，每个分片本身也编码为一组 BIP39 单词便于抄写
+ * 任意 M 个分片可恢复原助记词。熵的 2 字节 SHA-256 摘要与熵一起分享 (类似 SLIP-39 的摘要分片)，
+ * 每个分片只附带摘要的分片值，少于 M 个分片不泄露任何关于熵或摘要的信息
+ * 旧版 (MNSHARE1) 分片明文附带摘要，仍可恢复
+ */
+
+import * as bip39 from 'bip39';
+import { detectMnemonicLanguage } from './wordlistUtils';
+
+export const SHARE_PREFIX = 'MNSHARE2';
+export const LEGACY_SHARE_PREFIX = 'MNSHARE1';
+export const SHARE_VERSION = 2;
+export const SHARE_JSON_TYPE = 'bip39-shamir-share';
+export const MAX_SHARES = 16;
+
+// GF(256) 对数/指数表 (AES 多项式 x^8 + x^4 + x^3 + x + 1，生成元 3)
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i += 1) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+    x &= 0xff;
+  }
+  for (let i = 255; i < 510; i += 1) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+const gfMul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+const gfDiv = (a, b) => (a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]]);
+
+const bytesToHex = (bytes) =>
+  Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const hexToBytes = (hex) =>
+  new Uint8Array(hex.match(/.{2}/g).map((pair) => parseInt(pair, 16)));
+
+const DIGEST_BYTES = 2;
+
+/**
+ * 计算熵的短摘要，用于确认恢复结果是否正确
+ * @param {Uint8Array} entropy - 熵
+ * @returns {string} SHA-256 前 2 字节的十六进制
+ */
+const entropyDigest = async (entropy) => {
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', entropy));
+  return bytesToHex(hash.slice(0, DIGEST_BYTES));
+};
+
+/**
+ * 是否为单行格式的分片 (含旧版)
+ * @param {string} line - 文本行
+ * @returns {boolean}
+ */
+export const isShareLine = (line) =>
+  [SHARE_PREFIX, LEGACY_SHARE_PREFIX].some((prefix) => line.startsWith(`${prefix}:`));
+
+/**
+ * 校验门限参数
+ * @param {number} threshold - 恢复所需分片数 M
+ * @param {number} total - 分片总数 N
+ */
+export const validateShareParams = (threshold, total) => {
+  if (!Number.isInteger(threshold) || !Number.isInteger(total)) {
+    throw new Error('分片数量必须是整数');
+  }
+  if (threshold < 2) {
+    throw new Error('门限至少为 2');
+  }
+  if (total < threshold) {
+    throw new Error('分片总数不能小于门限');
+  }
+  if (total > MAX_SHARES) {
+    throw new Error(`分片总数不能超过 ${MAX_SHARES}`);
+  }
+};
+
+/**
+ * 将助记词拆分为 N 个分片，任意 M 个可恢复
+ * @param {string} mnemonic - BIP39 助记词
+ * @param {number} threshold - 门限 M
+ * @param {number} total - 分片总数 N
+ * @returns {Array} 分片数组 [{ version, setId, digest, threshold, total, index, words }]，digest 为摘要的分片值
+ */
+export const splitMnemonic = async (mnemonic, threshold, total) => {
+  validateShareParams(threshold, total);
+  // 分片以英文单词编码，恢复结果也是英文，其他语言的助记词恢复后种子会不同
+  const language = detectMnemonicLanguage(mnemonic);
+  if (language && language !== 'english') {
+    throw new Error('分片目前只支持英文助记词');
+  }
+  if (!bip39.validateMnemonic(mnemonic)) {
+    throw new Error('助记词格式不正确');
+  }
+
+  const entropy = hexToBytes(bip39.mnemonicToEntropy(mnemonic));
+  const setId = bytesToHex(crypto.getRandomValues(new Uint8Array(2)));
+
+  // 秘密为 熵 || 摘要，摘要随熵一起分享，不以明文出现在分片中
+  const secret = new Uint8Array(entropy.length + DIGEST_BYTES);
+  secret.set(entropy);
+  secret.set(hexToBytes(await entropyDigest(entropy)), entropy.length);
+
+  // 每个字节一个 M-1 次随机多项式，常数项为秘密字节
+  const coefficients = crypto.getRandomValues(new Uint8Array(secret.length * (threshold - 1)));
+  const shares = [];
+
+  for (let index = 1; index <= total; index += 1) {
+    const values = new Uint8Array(secret.length);
+    for (let b = 0; b < secret.length; b += 1) {
+      // Horner 法求多项式在 x = index 处的值
+      let y = 0;
+      for (let k = threshold - 2; k >= 0; k -= 1) {
+        y = gfMul(y, index) ^ coefficients[b * (threshold - 1) + k];
+      }
+      values[b] = gfMul(y, index) ^ secret[b];
+    }
+
+    shares.push({
+      version: SHARE_VERSION,
+      setId,
+      digest: bytesToHex(values.slice(entropy.length)),
+      threshold,
+      total,
+      index,
+      words: bip39.entropyToMnemonic(bytesToHex(values.slice(0, entropy.length)))
+    });
+  }
+
+  entropy.fill(0);
+  secret.fill(0);
+  coefficients.fill(0);
+  console.log(`🧩 助记词已拆分为 ${total} 个分片 (门限 ${threshold})`);
+  return shares;
+};
+
+/**
+ * 分片转为单行文本 (用于抄写、二维码与 TXT 导出)
+ * @param {object} share - 分片
+ * @returns {string} MNSHARE2:<组ID>:<摘要分片>:<门限>:<总数>:<序号>:<单词> (旧版为 MNSHARE1 与明文摘要)
+ */
+export const formatShare = (share) =>
+  [
+    share.version === 1 ? LEGACY_SHARE_PREFIX : SHARE_PREFIX,
+    share.setId,
+    share.digest,
+    share.threshold,
+    share.total,
+    share.index,
+    share.words
+  ].join(':');
+
+/**
+ * 解析分片 (单行文本或 JSON 导出)
+ * @param {string|object} input - 分片文本或对象
+ * @returns {object} 分片
+ */
+export const parseShare = (input) => {
+  let share = input;
+
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('{')) {
+      share = JSON.parse(text);
+    } else {
+      const parts = text.split(':');
+      if (parts.length !== 7 || !isShareLine(text)) {
+        throw new Error('分片格式不正确');
+      }
+      const [prefix, setId, digest, threshold, total, index, words] = parts;
+      share = { version: prefix === LEGACY_SHARE_PREFIX ? 1 : SHARE_VERSION, setId, digest, threshold, total, index, words };
+    }
+  }
+
+  // 未标明版本的 JSON 分片为旧版导出
+  const version = Number(share.version || 1);
+  if (version !== 1 && version !== SHARE_VERSION) {
+    throw new Error(`不支持的分片版本: ${share.version}`);
+  }
+
+  const parsed = {
+    version,
+    setId: String(share.setId || '').toLowerCase(),
+    digest: String(share.digest || '').toLowerCase(),
+    threshold: Number(share.threshold),
+    total: Number(share.total),
+    index: Number(share.index),
+    words: String(share.words || '').trim().toLowerCase().split(/\s+/).join(' ')
+  };
+
+  validateShareParams(parsed.threshold, parsed.total);
+  if (!/^[0-9a-f]{4}$/.test(parsed.setId) || !/^[0-9a-f]{4}$/.test(parsed.digest)) {
+    throw new Error('分片组ID或摘要不正确');
+  }
+  if (!Number.isInteger(parsed.index) || parsed.index < 1 || parsed.index > parsed.total) {
+    throw new Error('分片序号不正确');
+  }
+  if (!bip39.validateMnemonic(parsed.words)) {
+    throw new Error(`分片 #${parsed.index} 的单词校验失败，请检查抄写是否有误`);
+  }
+
+  return parsed;
+};
+
+/**
+ * 由不少于门限数量的分片恢复助记词
+ * @param {Array} inputs - 分片文本或对象数组
+ * @returns {string} 恢复出的助记词
+ */
+export const combineShares = async (inputs) => {
+  const shares = inputs.map(parseShare);
+  if (shares.length === 0) {
+    throw new Error('请至少提供一个分片');
+  }
+
+  const [first] = shares;
+  const legacy = first.version === 1;
+  shares.forEach((share) => {
+    // 新版分片的摘要字段各不相同，旧版为同一明文摘要
+    if (share.setId !== first.setId || share.version !== first.version || (legacy && share.digest !== first.digest)) {
+      throw new Error(`分片 #${share.index} 与其他分片不属于同一组`);
+    }
+    if (share.threshold !== first.threshold || share.total !== first.total) {
+      throw new Error(`分片 #${share.index} 的门限参数不一致`);
+    }
+  });
+
+  // 去重后取前 M 个分片
+  const unique = shares.filter((share, i) => shares.findIndex((s) => s.index === share.index) === i);
+  if (unique.length < first.threshold) {
+    throw new Error(`至少需要 ${first.threshold} 个不同的分片，当前 ${unique.length} 个`);
+  }
+  const selected = unique.slice(0, first.threshold);
+
+  // 新版分片的 y 值为 熵分片 || 摘要分片
+  const points = selected.map((share) => ({
+    x: share.index,
+    y: hexToBytes(bip39.mnemonicToEntropy(share.words) + (legacy ? '' : share.digest))
+  }));
+  const length = points[0].y.length;
+  if (points.some((point) => point.y.length !== length)) {
+    throw new Error('分片长度不一致');
+  }
+
+  // 拉格朗日插值求 x = 0 处的值
+  const secret = new Uint8Array(length);
+  points.forEach((point, i) => {
+    let basis = 1;
+    points.forEach((other, j) => {
+      if (i !== j) {
+        basis = gfMul(basis, gfDiv(other.x, other.x ^ point.x));
+      }
+    });
+    for (let b = 0; b < length; b += 1) {
+      secret[b] ^= gfMul(point.y[b], basis);
+    }
+  });
+
+  const entropy = legacy ? secret : secret.slice(0, length - DIGEST_BYTES);
+  const digest = legacy ? first.digest : bytesToHex(secret.slice(length - DIGEST_BYTES));
+  if ((await entropyDigest(entropy)) !== digest) {
+    throw new Error('恢复结果摘要不匹配，请检查分片是否正确');
+  }
+
+  const mnemonic = bip39.entropyToMnemonic(bytesToHex(entropy));
+  entropy.fill(0);
+  secret.fill(0);
+  console.log(`🧩 已由 ${selected.length} 个分片恢复助记词`);
+  return mnemonic;
+};
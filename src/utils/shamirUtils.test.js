@@ -0,0 +1,52 @@
+import { LEGACY_SHARE_PREFIX, SHARE_PREFIX, combineShares, formatShare, parseShare, splitMnemonic } from './shamirUtils';
+
+const MNEMONIC = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+const MNEMONIC_24 =
+  'zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo vote';
+
+// 旧版 2-of-3 分片 (明文摘要)，由 MNEMONIC 拆分得到
+const LEGACY_SHARES = [
+  'MNSHARE1:8c03:87dc:2:3:1:floor fantasy achieve flash casual immune legend blanket forget flower soup derive',
+  'MNSHARE1:8c03:87dc:2:3:3:best actual sadness best mention gas lecture pistol basket bubble used mad'
+];
+
+describe('splitMnemonic / combineShares', () => {
+  test('任意门限数量的分片可恢复原助记词', async () => {
+    const shares = await splitMnemonic(MNEMONIC, 3, 5);
+    expect(shares).toHaveLength(5);
+    for (const subset of [[0, 1, 2], [4, 2, 0], [1, 3, 4]]) {
+      expect(await combineShares(subset.map((i) => formatShare(shares[i])))).toBe(MNEMONIC);
+    }
+    expect(await combineShares(shares.slice(1, 4))).toBe(MNEMONIC);
+    expect(await combineShares(await splitMnemonic(MNEMONIC_24, 2, 2))).toBe(MNEMONIC_24);
+  });
+
+  test('单行与 JSON 格式的分片可互相转换', async () => {
+    const shares = await splitMnemonic(MNEMONIC, 2, 3);
+    expect(formatShare(shares[0]).startsWith(`${SHARE_PREFIX}:`)).toBe(true);
+    expect(parseShare(formatShare(shares[0]))).toEqual(shares[0]);
+    expect(parseShare(JSON.stringify(shares[1]))).toEqual(shares[1]);
+  });
+
+  test('分片不足、混组或被篡改时拒绝恢复', async () => {
+    const shares = await splitMnemonic(MNEMONIC, 2, 3);
+    const other = await splitMnemonic(MNEMONIC, 2, 3);
+    await expect(combineShares([shares[0]])).rejects.toThrow('至少需要 2 个不同的分片');
+    await expect(combineShares([shares[0], shares[0]])).rejects.toThrow('至少需要 2 个不同的分片');
+    await expect(combineShares([shares[0], { ...other[1], setId: shares[0].setId }])).rejects.toThrow(
+      '恢复结果摘要不匹配'
+    );
+  });
+
+  test('旧版明文摘要分片仍可恢复', async () => {
+    expect(LEGACY_SHARES[0].startsWith(`${LEGACY_SHARE_PREFIX}:`)).toBe(true);
+    expect(parseShare(LEGACY_SHARES[0]).version).toBe(1);
+    expect(formatShare(parseShare(LEGACY_SHARES[1]))).toBe(LEGACY_SHARES[1]);
+    expect(await combineShares(LEGACY_SHARES)).toBe(MNEMONIC);
+  });
+
+  test('拒绝无效门限', async () => {
+    await expect(splitMnemonic(MNEMONIC, 1, 3)).rejects.toThrow('门限至少为 2');
+    await expect(splitMnemonic(MNEMONIC, 3, 2)).rejects.toThrow('分片总数不能小于门限');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * 批量交易模拟
+ * 发送、回收与归集先生成逐行计划（gas、手续费、可发送数量、nonce），
+ * 操作者核对并确认后才签名广播
+ */
+
+import { ethers } from 'ethers';
+
+export const PLAN_STATUS = {
+  READY: 'ready',
+  WARNING: 'warning',
+  SKIP: 'skip'
+};
+
+export const PLAN_STATUS_LABELS = {
+  [PLAN_STATUS.READY]: '可执行',
+  [PLAN_STATUS.WARNING]: '需注意',
+  [PLAN_STATUS.SKIP]: '跳过'
+};
+
+export const PLAN_KIND_LABELS = {
+  send: '批量发送 Gas',
+  distribute: '批量分发代币',
+  reclaim: '批量回收 Gas',
+  collect: '批量归集'
+};
+
+/**
+ * 行是否会被执行：跳过的行不签名
+ */
+export const isExecutableRow = (row) => row.status !== PLAN_STATUS.SKIP;
+
+/**
+ * 单行手续费上限 = gasLimit × maxFeePerGas
+ */
+export const getMaxFee = (gasLimit, feeOptions) => gasLimit * feeOptions.maxFeePerGas;
+
+/**
+ * 汇总计划
+ * 合约批量的计划 (带 chunks) 按批次与授权交易计算手续费与交易笔数
+ * @param {Object} plan - { rows, decimals, chunks?, approval? }
+ * @returns {Object} { readyCount, skipCount, warningCount, duplicateCount, totalValue, totalFee, txCount }
+ */
+export const summarizePlan = (plan) => {
+  const executable = plan.rows.filter(isExecutableRow);
+  const approvalFee = plan.approval ? plan.approval.fee : 0n;
+  return {
+    readyCount: executable.length,
+    skipCount: plan.rows.length - executable.length,
+    warningCount: plan.rows.filter((row) => row.status === PLAN_STATUS.WARNING).length,
+    duplicateCount: executable.filter((row) => row.duplicate).length,
+    totalValue: executable.reduce((sum, row) => sum + row.value, 0n),
+    totalFee: plan.chunks
+      ? plan.chunks.reduce((sum, chunk) => sum + chunk.fee, approvalFee)
+      : executable.reduce((sum, row) => sum + row.fee, 0n),
+    txCount: plan.chunks ? plan.chunks.length + (plan.approval ? 1 : 0) : executable.length
+  };
+};
+
+/**
+ * 检查账户是否有待确认交易：pending nonce 大于 latest nonce
+ * @returns {Promise<Object>} { nonce, queued }，nonce 为下一笔可用的 nonce
+ */
+export const checkNonce = async (provider, address) => {
+  const latest = await provider.getTransactionCount(address, 'latest');
+  const pending = await provider.getTransactionCount(address, 'pending');
+  return { nonce: pending, queued: Math.max(0, pending - latest) };
+};
+
+/**
+ * 按计划的精度显示金额，去掉多余的 0
+ */
+export const formatPlanAmount = (value, decimals = 18) => {
+  if (value === null || value === undefined) return '—';
+  const text = ethers.formatUnits(value, decimals);
+  return text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+};
@@ -0,0 +1,33 @@
+import { PLAN_STATUS, summarizePlan } from './txPlanUtils';
+
+const row = (patch) => ({ value: 10n, fee: 1n, status: PLAN_STATUS.READY, ...patch });
+
+describe('summarizePlan', () => {
+  test('逐笔计划按可执行的行汇总金额、手续费与重复地址', () => {
+    const summary = summarizePlan({
+      rows: [
+        row(),
+        row({ status: PLAN_STATUS.WARNING, duplicate: true }),
+        row({ status: PLAN_STATUS.SKIP, duplicate: true })
+      ]
+    });
+    expect(summary).toEqual({
+      readyCount: 2,
+      skipCount: 1,
+      warningCount: 1,
+      duplicateCount: 1,
+      totalValue: 20n,
+      totalFee: 2n,
+      txCount: 2
+    });
+  });
+
+  test('合约批量按批次与授权交易计算手续费和笔数', () => {
+    const summary = summarizePlan({
+      rows: [row({ fee: null }), row({ fee: null })],
+      chunks: [{ fee: 5n }, { fee: 7n }],
+      approval: { fee: 3n }
+    });
+    expect(summary).toMatchObject({ totalValue: 20n, totalFee: 15n, txCount: 3, duplicateCount: 0 });
+  });
+});
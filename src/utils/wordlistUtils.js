@@ -0,0 +1,170 @@
+/**
+ * BIP39 多语言词表工具
+ * 生成时指定语言，校验与派生时自动识别助记词所属的词表
+ */
+
+import * as bip39 from 'bip39';
+
+export const DEFAULT_MNEMONIC_LANGUAGE = 'english';
+
+/**
+ * 支持的 BIP39 词表 (与 cryptoUtils.getSupportedLanguages 一致)
+ */
+export const MNEMONIC_LANGUAGES = [
+  { value: 'english', label: 'English 英语' },
+  { value: 'chinese_simplified', label: '简体中文' },
+  { value: 'chinese_traditional', label: '繁體中文' },
+  { value: 'japanese', label: '日本語 日语' },
+  { value: 'korean', label: '한국어 韩语' },
+  { value: 'french', label: 'Français 法语' },
+  { value: 'italian', label: 'Italiano 意大利语' },
+  { value: 'spanish', label: 'Español 西班牙语' }
+];
+
+/**
+ * 获取词表
+ * @param {string} language - 语言代码
+ * @returns {Array} 2048 个单词
+ */
+export const getWordlist = (language = DEFAULT_MNEMONIC_LANGUAGE) => {
+  const wordlist = bip39.wordlists[language];
+  if (!wordlist || !MNEMONIC_LANGUAGES.some((item) => item.value === language)) {
+    throw new Error(`不支持的助记词语言: ${language}`);
+  }
+  return wordlist;
+};
+
+/**
+ * 获取语言显示名称
+ * @param {string} language - 语言代码
+ * @returns {string} 显示名称
+ */
+export const getLanguageLabel = (language) =>
+  MNEMONIC_LANGUAGES.find((item) => item.value === language)?.label || language || '未知';
+
+/**
+ * 拆分助记词单词 (兼容日语的全角空格；bip39 词表均为 NFKD 形式)
+ * @param {string} mnemonic - 助记词
+ * @returns {Array} 单词数组
+ */
+export const splitMnemonicWords = (mnemonic = '') =>
+  mnemonic.normalize('NFKD').trim().split(/\s+/).filter(Boolean);
+
+/**
+ * 识别助记词所属的词表
+ * 优先返回校验和有效的语言；简繁中文共用部分汉字，均有效时按列表顺序取简体
+ * @param {string} mnemonic - 助记词
+ * @returns {string|null} 语言代码，无法识别时为 null
+ */
+export const detectMnemonicLanguage = (mnemonic) => {
+  const words = splitMnemonicWords(mnemonic);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const valid = MNEMONIC_LANGUAGES.find(({ value }) =>
+    bip39.validateMnemonic(words.join(' '), bip39.wordlists[value])
+  );
+  if (valid) {
+    return valid.value;
+  }
+
+  // 校验和错误时，按单词全部命中的词表判断语言，便于给出准确的错误提示
+  const matched = MNEMONIC_LANGUAGES.find(({ value }) =>
+    words.every((word) => bip39.wordlists[value].includes(word))
+  );
+  return matched ? matched.value : null;
+};
+
+/**
+ * 按指定语言或任意支持的语言校验助记词
+ * @param {string} mnemonic - 助记词
+ * @param {string} language - 语言代码，留空则自动识别
+ * @returns {boolean} 是否有效
+ */
+export const isValidMnemonic = (mnemonic, language) => {
+  try {
+    const normalized = splitMnemonicWords(mnemonic).join(' ');
+    if (language) {
+      return bip39.validateMnemonic(normalized, getWordlist(language));
+    }
+    return MNEMONIC_LANGUAGES.some(({ value }) =>
+      bip39.validateMnemonic(normalized, bip39.wordlists[value])
+    );
+  } catch {
+    return false;
+  }
+};
+
+// BIP39 英文词表的单词由前 4 个字母唯一确定，钢板备份通常只刻前 4 个字母
+export const WORD_PREFIX_LENGTH = 4;
+
+/**
+ * 解析单个单词：完整单词原样保留，唯一匹配的前缀展开为完整单词
+ * @param {string} input - 输入的单词或前缀
+ * @param {string} language - 语言代码
+ * @returns {object} { input, word, status, matches }，status 为 ok | expanded | ambiguous | unknown
+ */
+export const resolveMnemonicWord = (input, language = DEFAULT_MNEMONIC_LANGUAGE) => {
+  const normalized = input.normalize('NFKD').toLowerCase();
+  const wordlist = getWordlist(language);
+  if (wordlist.includes(normalized)) {
+    return { input, word: normalized, status: 'ok', matches: [normalized] };
+  }
+
+  const matches = normalized.length >= WORD_PREFIX_LENGTH
+    ? wordlist.filter((word) => word.startsWith(normalized))
+    : [];
+  if (matches.length === 1) {
+    return { input, word: matches[0], status: 'expanded', matches };
+  }
+  return { input, word: null, status: matches.length > 1 ? 'ambiguous' : 'unknown', matches };
+};
+
+/**
+ * 展开助记词中的前缀缩写
+ * 未指定语言时，选择能解析出最多单词的词表
+ * @param {string} mnemonic - 助记词，可混用完整单词与前 4 个字母
+ * @param {string} language - 语言代码，留空则自动选择
+ * @returns {object} { mnemonic, language, words, complete }，complete 表示所有单词均已解析
+ */
+export const expandMnemonic = (mnemonic, language) => {
+  const inputs = splitMnemonicWords(mnemonic);
+  const resolveAll = (value) => inputs.map((word) => resolveMnemonicWord(word, value));
+
+  let resolvedLanguage = language || DEFAULT_MNEMONIC_LANGUAGE;
+  let words = resolveAll(resolvedLanguage);
+  if (!language && inputs.length > 0) {
+    const countResolved = (items) => items.filter((item) => item.word).length;
+    MNEMONIC_LANGUAGES.forEach(({ value }) => {
+      if (value === resolvedLanguage) return;
+      const candidate = resolveAll(value);
+      if (countResolved(candidate) > countResolved(words)) {
+        resolvedLanguage = value;
+        words = candidate;
+      }
+    });
+  }
+
+  return {
+    mnemonic: words.map((item) => item.word || item.input).join(' '),
+    language: resolvedLanguage,
+    words,
+    complete: words.every((item) => item.word)
+  };
+};
+
+/**
+ * 自动补全：返回以指定前缀开头的单词
+ * @param {string} prefix - 已输入的前缀
+ * @param {string} language - 语言代码
+ * @param {number} limit - 最多返回数量
+ * @returns {Array} 候选单词
+ */
+export const completeMnemonicWord = (prefix, language = DEFAULT_MNEMONIC_LANGUAGE, limit = 8) => {
+  const normalized = (prefix || '').normalize('NFKD').toLowerCase();
+  if (!normalized) {
+    return [];
+  }
+  return getWordlist(language).filter((word) => word.startsWith(normalized)).slice(0, limit);
+};